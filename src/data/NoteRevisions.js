@@ -0,0 +1,137 @@
+const vscode = require('vscode');
+const {
+    DONE_STATUS,
+    DEFAULT_STATUS,
+    getStatusLabel
+} = require('./noteStatus');
+
+const REVISIONS_STORAGE_KEY = 'quickNotes.noteRevisions';
+
+// Notes whose history is kept; the ones edited longest ago are dropped first
+const MAX_NOTES = 500;
+
+// The fields a revision keeps, and that count as a change worth recording
+const REVISION_FIELDS = ['title', 'description', 'priority', 'status', 'tags', 'subtasks', 'dueDate', 'reminderAt'];
+
+/**
+ * Earlier versions of each note, newest first, kept on this device only
+ * (in globalState, but not synced). Each revision is { savedAt, source, note }, where
+ * `source` says what replaced it: 'edit', 'sync', 'undo', 'restore' or 'external'.
+ */
+class NoteRevisions {
+    constructor(context) {
+        this.context = context;
+    }
+
+    get maxRevisions() {
+        return vscode.workspace.getConfiguration('quickNotes.history').get('maxRevisions', 20);
+    }
+
+    /**
+     * Revisions of a note, newest first
+     */
+    getRevisions(noteId) {
+        return (this._getAll()[noteId] || []).map(revision => ({
+            ...revision,
+            note: withStatus(revision.note)
+        }));
+    }
+
+    /**
+     * Remember the versions of notes that `changes` (see changes.js) replaced
+     */
+    async record(changes, source) {
+        const max = this.maxRevisions;
+        if (max <= 0) return;
+
+        const all = this._getAll();
+        const savedAt = new Date().toISOString();
+        let recorded = false;
+
+        for (const change of changes) {
+            if (change.kind !== 'note' || !change.before || !change.after) continue;
+            if (!hasRevisionChanges(change.before, change.after)) continue;
+
+            all[change.noteId] = [{
+                savedAt,
+                source,
+                note: pickRevisionFields(change.before)
+            }, ...(all[change.noteId] || [])].slice(0, max);
+            recorded = true;
+        }
+
+        if (recorded) {
+            await this.context.globalState.update(REVISIONS_STORAGE_KEY, this._prune(all));
+        }
+    }
+
+    _getAll() {
+        return {
+            ...this.context.globalState.get(REVISIONS_STORAGE_KEY, {})
+        };
+    }
+
+    _prune(all) {
+        const noteIds = Object.keys(all);
+        if (noteIds.length <= MAX_NOTES) return all;
+
+        noteIds
+            .sort((a, b) => all[b][0].savedAt.localeCompare(all[a][0].savedAt))
+            .slice(MAX_NOTES)
+            .forEach(noteId => delete all[noteId]);
+        return all;
+    }
+}
+
+function pickRevisionFields(note) {
+    const result = {};
+    for (const field of REVISION_FIELDS) {
+        if (note[field] !== undefined) result[field] = note[field];
+    }
+    return result;
+}
+
+/**
+ * Revisions saved before notes had a status only have the `completed` flag
+ */
+function withStatus(note) {
+    if (typeof note.status === 'string' || !('completed' in note)) return note;
+    const {
+        completed,
+        ...rest
+    } = note;
+    return {
+        ...rest,
+        status: completed ? DONE_STATUS : DEFAULT_STATUS
+    };
+}
+
+function hasRevisionChanges(a, b) {
+    return JSON.stringify(pickRevisionFields(a)) !== JSON.stringify(pickRevisionFields(b));
+}
+
+/**
+ * Plain-text rendering of a note version, for diffing two versions side by side
+ */
+function formatRevision(note) {
+    const lines = [`# ${note.title || ''}`, ''];
+    lines.push(`Priority: ${note.priority || 'medium'}`);
+    lines.push(`Status: ${getStatusLabel(note.status)}`);
+    if (note.dueDate) lines.push(`Due: ${note.dueDate}`);
+    if (note.tags?.length) lines.push(`Tags: ${note.tags.map(tag => `#${tag}`).join(' ')}`);
+    lines.push('');
+    if (note.description) {
+        lines.push(note.description, '');
+    }
+    for (const subtask of note.subtasks || []) {
+        lines.push(`- [${subtask.done ? 'x' : ' '}] ${subtask.text}`);
+    }
+    return lines.join('\n').trimEnd() + '\n';
+}
+
+module.exports = {
+    NoteRevisions,
+    REVISION_FIELDS,
+    pickRevisionFields,
+    formatRevision
+};
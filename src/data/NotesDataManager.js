@@ -1,54 +1,205 @@
 const vscode = require('vscode');
+const fs = require('fs');
+const {
+    createTombstones,
+    recordTombstone,
+    clearTombstone,
+    hasTombstone,
+    foldProjectInto,
+    compactTombstones
+} = require('./tombstones');
+const {
+    getReminderAt
+} = require('./dueDates');
+const {
+    matchesFilter
+} = require('./noteFilter');
+const {
+    normalizeTags
+} = require('./tags');
+const {
+    SCHEMA_VERSION,
+    getSchemaVersion,
+    isNewerSchema,
+    createNewerSchemaError,
+    migrateData
+} = require('./schema');
+const {
+    createTrash,
+    trashNote,
+    trashProject,
+    removeFromTrash,
+    restoreTrashedNote,
+    restoreTrashedProject,
+    purgeExpiredTrash
+} = require('./trash');
+const {
+    sortByRank,
+    ranksBetween,
+    renumber
+} = require('./noteOrder');
+const {
+    DONE_STATUS,
+    isDone,
+    getOpenStatus
+} = require('./noteStatus');
+const {
+    diffData,
+    applyChanges,
+    describeChanges
+} = require('./changes');
+const {
+    NoteRevisions,
+    REVISION_FIELDS
+} = require('./NoteRevisions');
+const {
+    GlobalStateStore
+} = require('../storage/GlobalStateStore');
 
+// Undo steps kept per session
+const MAX_UNDO_STEPS = 50;
 
 /**
- * Manages notes data using VS Code globalState for Settings Sync compatibility
+ * Manages notes data. The data lives in a pluggable store: VS Code globalState
+ * (Settings Sync compatible) by default, or JSON files in a folder.
  */
 class NotesDataManager {
-    constructor(context) {
+    constructor(context, store = new GlobalStateStore(context)) {
         this.context = context;
-        this.STORAGE_KEY = 'quickNotes.data';
-        this.syncManager = null;
+        this.syncQueue = null;
+
+        // Fires when the stored data was changed from outside (e.g. notes files edited on disk)
+        this._onDidChangeData = new vscode.EventEmitter();
+        this.onDidChangeData = this._onDidChangeData.event;
+
+        // Earlier versions of notes, and the session's undo/redo steps ({ id, label, changes })
+        this.revisions = new NoteRevisions(context);
+        this._undoStack = [];
+        this._redoStack = [];
+        this._nextChangeId = 1;
+        // Copy of the data as last written or read, to see what each save changes
+        this._snapshot = null;
+
+        this._storeListener = null;
+        this._useStore(store);
+    }
+
+    /**
+     * Switch to another store. The data is not copied; see copyDataTo().
+     */
+    async setStore(store) {
+        this._useStore(store);
+        // The notes just changed wholesale, so sync can't replay them as individual changes
+        await this.syncQueue?.invalidate();
+    }
+
+    _useStore(store) {
+        this._storeListener?.dispose();
+        this.store = store;
+        this._takeSnapshot();
+        this._storeListener = store.onDidChange(async () => {
+            // Written from outside, perhaps by an older version of the extension on another device
+            try {
+                await this._upgradeStore();
+            } catch (err) {
+                console.error('Quick Notes: Failed to upgrade notes data:', err.message);
+            }
+            await this._trackChanges('external');
+            this._onDidChangeData.fire();
+        });
     }
 
     /**
-     * Set the sync manager for GitHub sync
+     * Copy all current data into another store
      */
-    setSyncManager(syncManager) {
-        this.syncManager = syncManager;
+    async copyDataTo(store) {
+        await store.set(this.getData());
     }
 
     /**
-     * Get all stored data
+     * Set the queue that syncs saved changes in the background
+     */
+    setSyncQueue(syncQueue) {
+        this.syncQueue = syncQueue;
+    }
+
+    /**
+     * Get all stored data. It is in the current schema once migrateStore() has run on the store
+     * (see schema.js); data from a newer version of the extension is returned as is, and can't be saved.
      */
     getData() {
-        return this.context.globalState.get(this.STORAGE_KEY, {
-            version: '1.0.0',
-            projects: {},
-            archivedProjects: {}
-        });
+        const data = this.store.get();
+        if (!data) {
+            return {
+                version: SCHEMA_VERSION,
+                projects: {},
+                archivedProjects: {},
+                trash: createTrash(),
+                tombstones: createTombstones()
+            };
+        }
+        return data;
     }
 
     /**
-     * Save all data (and trigger background sync if configured)
+     * Write the stored data back in the current schema if it is older.
+     * Throws if it was written by a newer version of the extension.
      */
-    async saveData(data) {
-        await this.context.globalState.update(this.STORAGE_KEY, data);
+    async migrateStore() {
+        const data = this.store.get();
+        if (data && isNewerSchema(data)) {
+            throw createNewerSchemaError(data, 'Your notes');
+        }
+        if (await this._upgradeStore()) {
+            this._takeSnapshot();
+        }
+    }
 
-        // Trigger background sync to GitHub (pull -> merge -> push)
-        if (this.syncManager && this.syncManager.isConfigured()) {
-            try {
-                const merged = await this.syncManager.sync(data);
-                // If the sync resulted in a merge with remote data, update local state
-                if (JSON.stringify(merged) !== JSON.stringify(data)) {
-                    await this.importData(merged);
-                }
-                return merged;
-            } catch (err) {
-                console.error('Background sync failed:', err.message);
-                // We don't throw here to keep UI responsive, but it's logged
-                return data;
+    /**
+     * Write the stored data back in the current schema if it is older. Returns whether it did.
+     */
+    async _upgradeStore() {
+        const data = this.store.get();
+        if (!data || getSchemaVersion(data) >= SCHEMA_VERSION) return false;
+        await this.store.set(migrateData(data));
+        return true;
+    }
+
+    _assertWritable() {
+        const stored = this.store.get();
+        if (stored && isNewerSchema(stored)) {
+            throw createNewerSchemaError(stored, 'Your notes');
+        }
+    }
+
+    /**
+     * Save all data, and queue the changes for background sync if configured.
+     * Returns as soon as the data is stored; the sync runs later (see SyncQueue).
+     * The changes become an undo step unless `recordUndo` is false (for bookkeeping such as
+     * project detection); `source` is noted in the revision history of edited notes.
+     */
+    async saveData(data, {
+        recordUndo = true,
+        source = 'edit'
+    } = {}) {
+        this._assertWritable();
+        compactTombstones(data);
+        const changes = diffData(this._snapshot, data);
+        await this.store.set(data);
+        this._snapshot = JSON.parse(JSON.stringify(data));
+
+        if (changes.length > 0) {
+            await this.revisions.record(changes, source);
+            if (recordUndo) {
+                this._undoStack.push({
+                    id: this._nextChangeId++,
+                    label: describeChanges(changes),
+                    changes
+                });
+                this._undoStack.splice(0, this._undoStack.length - MAX_UNDO_STEPS);
+                this._redoStack = [];
             }
+            await this.syncQueue?.enqueue(changes);
         }
         return data;
     }
@@ -64,47 +215,213 @@ class NotesDataManager {
      * Import data from sync (replaces local state)
      */
     async importData(data) {
-        await this.context.globalState.update(this.STORAGE_KEY, data);
+        this._assertWritable();
+        const changes = diffData(this._snapshot, data);
+        await this.store.set(data);
+        this._snapshot = JSON.parse(JSON.stringify(data));
+        await this.revisions.record(changes, 'sync');
+    }
+
+    /**
+     * ID of the latest undo step, so a notification can undo exactly the change it reports
+     */
+    get lastChangeId() {
+        return this._undoStack[this._undoStack.length - 1]?.id ?? null;
+    }
+
+    canUndo() {
+        return this._undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this._redoStack.length > 0;
+    }
+
+    /**
+     * Revert the latest undo step (only if it is `changeId`, when given).
+     * Returns the step's label, or null if there was nothing to undo.
+     */
+    async undo(changeId) {
+        const step = this._undoStack[this._undoStack.length - 1];
+        if (!step || (changeId !== undefined && step.id !== changeId)) return null;
+
+        const data = applyChanges(this.getData(), step.changes, 'before');
+        this._undoStack.pop();
+        await this.saveData(data, {
+            recordUndo: false,
+            source: 'undo'
+        });
+        this._redoStack.push(step);
+        return step.label;
     }
 
     /**
-     * Ensure a project exists in our data store
+     * Re-apply the latest undone step. Returns its label, or null if there was nothing to redo.
+     */
+    async redo() {
+        const step = this._redoStack.pop();
+        if (!step) return null;
+
+        const data = applyChanges(this.getData(), step.changes, 'after');
+        await this.saveData(data, {
+            recordUndo: false,
+            source: 'undo'
+        });
+        this._undoStack.push(step);
+        return step.label;
+    }
+
+    /**
+     * Put an earlier version of a note back (see NoteRevisions)
+     */
+    async restoreRevision(projectId, noteId, revision) {
+        const data = this.getData();
+        const notes = data.projects[projectId]?.notes || [];
+        const index = notes.findIndex(n => n.id === noteId);
+        if (index === -1) {
+            throw new Error('Note not found');
+        }
+
+        const updates = {};
+        for (const field of REVISION_FIELDS) {
+            updates[field] = revision.note[field];
+        }
+        notes[index] = this._applyNoteUpdates(notes[index], {
+            ...updates,
+            subtasks: updates.subtasks || [],
+            tags: updates.tags || []
+        });
+
+        await this.saveData(data, {
+            source: 'restore'
+        });
+        return notes[index];
+    }
+
+    _takeSnapshot() {
+        try {
+            this._snapshot = JSON.parse(JSON.stringify(this.getData()));
+        } catch {
+            // Unreadable data; the next save or import sets a fresh snapshot
+            this._snapshot = null;
+        }
+    }
+
+    /**
+     * Record notes changed behind our back (e.g. files edited on disk) in their history,
+     * and queue them for sync like saved changes
+     */
+    async _trackChanges(source) {
+        const previous = this._snapshot;
+        this._takeSnapshot();
+        if (previous && this._snapshot) {
+            const changes = diffData(previous, this._snapshot);
+            await this.revisions.record(changes, source);
+            if (changes.length > 0) {
+                await this.syncQueue?.enqueue(changes);
+            }
+        }
+    }
+
+    /**
+     * Ensure a project exists in our data store.
+     * Explicitly adding a project brings it back even if it was deleted before.
      */
     async ensureProject(projectId, projectInfo) {
         const data = this.getData();
+        clearTombstone(data, 'projects', projectId);
         this._updateProjectInData(data, projectId, projectInfo);
         await this.saveData(data);
     }
 
     /**
-     * Ensure multiple projects exist (batch update to avoid multiple syncs)
+     * Ensure multiple projects exist (batch update to avoid multiple syncs).
+     * Auto-detected projects that were deliberately deleted are skipped.
      */
     async batchEnsureProjects(projectSpecs) {
         const data = this.getData();
         for (const spec of projectSpecs) {
+            if (hasTombstone(data, 'projects', spec.id)) continue;
             this._updateProjectInData(data, spec.id, spec.projectInfo);
         }
-        await this.saveData(data);
+        await this.saveData(data, {
+            recordUndo: false
+        });
     }
 
     /**
-     * Internal helper to update project info in a data object
+     * Internal helper to update project info in a data object.
+     * The path is also remembered for this device, since the same project can live
+     * at a different path on each machine.
      */
     _updateProjectInData(data, projectId, projectInfo) {
         if (!data.projects[projectId]) {
             data.projects[projectId] = {
                 ...projectInfo,
+                paths: {},
                 notes: [],
                 createdAt: new Date().toISOString()
             };
         } else {
-            const existingNotes = data.projects[projectId].notes;
+            const existing = data.projects[projectId];
             data.projects[projectId] = {
-                ...data.projects[projectId],
+                ...existing,
                 ...projectInfo,
-                notes: existingNotes
+                paths: existing.paths || {},
+                notes: existing.notes
             };
         }
+
+        if (projectInfo.path && fs.existsSync(projectInfo.path)) {
+            data.projects[projectId].paths[vscode.env.machineId] = projectInfo.path;
+        }
+    }
+
+    /**
+     * Get the folder a project lives in on this device
+     */
+    getProjectPath(project) {
+        return project.paths?.[vscode.env.machineId] || project.path;
+    }
+
+    /**
+     * Move projects to new IDs, merging them into any project that already has the new ID.
+     * `mappings` is a list of { fromId, toId }. A tombstone pointing at the new ID lets
+     * other devices fold their copy of the old project in on the next sync.
+     */
+    async rekeyProjects(mappings) {
+        const data = this.getData();
+
+        for (const {
+                fromId,
+                toId
+            } of mappings) {
+            if (fromId === toId) continue;
+
+            for (const container of [data.projects, data.archivedProjects]) {
+                const project = container?.[fromId];
+                if (!project) continue;
+
+                delete container[fromId];
+                foldProjectInto(data, container, project, toId);
+            }
+
+            clearTombstone(data, 'projects', toId);
+            recordTombstone(data, 'projects', fromId, {
+                mergedInto: toId
+            });
+        }
+
+        await this.saveData(data, {
+            recordUndo: false
+        });
+    }
+
+    /**
+     * Check whether a project was deleted (and should not be re-detected)
+     */
+    isProjectDeleted(projectId) {
+        return hasTombstone(this.getData(), 'projects', projectId);
     }
 
     /**
@@ -115,6 +432,59 @@ class NotesDataManager {
         return data.projects[projectId]?.notes || [];
     }
 
+    /**
+     * Find notes matching a parsed filter (see noteFilter.js) in active and archived projects.
+     * Returns [{ note, projectId, projectName, archived }]
+     */
+    searchNotes(filter) {
+        const data = this.getData();
+        const results = [];
+
+        for (const [container, archived] of [
+                [data.projects || {}, false],
+                [data.archivedProjects || {}, true]
+            ]) {
+            for (const [projectId, project] of Object.entries(container)) {
+                for (const note of project.notes || []) {
+                    if (!matchesFilter(note, {
+                            name: project.name,
+                            archived
+                        }, filter)) continue;
+
+                    results.push({
+                        note,
+                        projectId,
+                        projectName: project.name,
+                        archived
+                    });
+                }
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * All tags used on active notes, with how many notes carry each, most used first:
+     * [{ tag, count }]
+     */
+    getAllTags() {
+        const counts = new Map();
+        for (const project of Object.values(this.getData().projects || {})) {
+            for (const note of project.notes || []) {
+                for (const tag of note.tags || []) {
+                    counts.set(tag, (counts.get(tag) || 0) + 1);
+                }
+            }
+        }
+        return Array.from(counts.entries())
+            .map(([tag, count]) => ({
+                tag,
+                count
+            }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
     /**
      * Get a specific note
      */
@@ -133,15 +503,7 @@ class NotesDataManager {
             throw new Error('Project not found');
         }
 
-        const note = {
-            id: this.generateId(),
-            title: noteData.title || noteData.tag || 'Untitled',
-            description: noteData.description || noteData.content || '',
-            priority: noteData.priority || 'medium',
-            completed: false,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
+        const note = this._createNote(noteData);
 
         data.projects[projectId].notes.push(note);
         await this.saveData(data);
@@ -150,7 +512,8 @@ class NotesDataManager {
     }
 
     /**
-     * Update an existing note
+     * Update an existing note.
+     * A `due` key (parsed due date, or null to clear) is turned into dueDate/reminderAt.
      */
     async updateNote(projectId, noteId, updates) {
         const data = this.getData();
@@ -165,19 +528,741 @@ class NotesDataManager {
             throw new Error('Note not found');
         }
 
-        data.projects[projectId].notes[noteIndex] = {
-            ...data.projects[projectId].notes[noteIndex],
+        data.projects[projectId].notes[noteIndex] = this._applyNoteUpdates(
+            data.projects[projectId].notes[noteIndex],
+            updates
+        );
+
+        await this.saveData(data);
+
+        return data.projects[projectId].notes[noteIndex];
+    }
+
+    /**
+     * Add and update several notes of a project with a single save (and sync).
+     * `add` is a list of note data as for addNote; `update` is a list of { noteId, updates }.
+     * With `recordUndo: false` the change can't be undone (for automatic updates).
+     */
+    async batchUpdateNotes(projectId, {
+        add = [],
+        update = [],
+        recordUndo = true
+    }) {
+        const data = this.getData();
+
+        if (!data.projects[projectId]) {
+            throw new Error('Project not found');
+        }
+
+        const notes = data.projects[projectId].notes;
+        for (const {
+                noteId,
+                updates
+            } of update) {
+            const noteIndex = notes.findIndex(n => n.id === noteId);
+            if (noteIndex !== -1) {
+                notes[noteIndex] = this._applyNoteUpdates(notes[noteIndex], updates);
+            }
+        }
+        const added = add.map(noteData => this._createNote(noteData));
+        notes.push(...added);
+
+        await this.saveData(data, {
+            recordUndo
+        });
+
+        return added;
+    }
+
+    /**
+     * Update several notes, possibly across projects, with a single save (and sync).
+     * `notes` is a list of { projectId, noteId }; `updates` is as for updateNote, or a function
+     * from the current note to its updates. Returns the number of notes updated.
+     */
+    async updateNotes(notes, updates) {
+        const data = this.getData();
+        let updated = 0;
+
+        for (const {
+                projectId,
+                noteId
+            } of notes) {
+            const projectNotes = data.projects[projectId]?.notes || [];
+            const noteIndex = projectNotes.findIndex(n => n.id === noteId);
+            if (noteIndex === -1) continue;
+
+            const note = projectNotes[noteIndex];
+            projectNotes[noteIndex] = this._applyNoteUpdates(note, typeof updates === 'function' ? updates(note) : updates);
+            updated++;
+        }
+
+        if (updated > 0) {
+            await this.saveData(data);
+        }
+        return updated;
+    }
+
+    /**
+     * Move several notes to the trash with a single save. Returns the number of notes trashed.
+     */
+    async deleteNotes(notes) {
+        const data = this.getData();
+        const trashed = notes.filter(({
+            projectId,
+            noteId
+        }) => trashNote(data, 'projects', projectId, noteId)).length;
+
+        if (trashed > 0) {
+            await this.saveData(data);
+        }
+        return trashed;
+    }
+
+    /**
+     * Move a note to another project (active or archived), keeping its ID, timestamps and history.
+     * Sync treats this as a move: copies of the note still in the old project on other devices
+     * follow it to the new one, with their edits merged in.
+     */
+    async moveNote(projectId, noteId, targetProjectId) {
+        return this.moveNotes([{
+            projectId,
+            noteId
+        }], targetProjectId);
+    }
+
+    /**
+     * Move several notes to another project, or to another place in a project's manual order,
+     * with a single save. With `beforeNoteId` the notes go just before that note, otherwise at the end.
+     * `updates` (as for updateNote) are applied to the moved notes too, e.g. a new status from the board.
+     * Returns the number of notes moved.
+     */
+    async moveNotes(notes, targetProjectId, beforeNoteId = null, updates = null) {
+        const data = this.getData();
+        const target = data.projects[targetProjectId] || data.archivedProjects[targetProjectId];
+
+        if (!target) {
+            throw new Error('Project not found');
+        }
+
+        // Take the notes out of their projects, in the order given
+        const moving = [];
+        const movingIds = new Set();
+        const fromElsewhere = new Set();
+        for (const {
+                projectId,
+                noteId
+            } of notes) {
+            if (noteId === beforeNoteId || (projectId === targetProjectId && !beforeNoteId && !updates)) continue;
+            const source = data.projects[projectId] || data.archivedProjects[projectId];
+            const note = source?.notes.find(n => n.id === noteId);
+            if (!note) continue;
+
+            source.notes = source.notes.filter(n => n.id !== noteId);
+            moving.push(note);
+            movingIds.add(noteId);
+            if (projectId !== targetProjectId) {
+                fromElsewhere.add(noteId);
+                recordTombstone(data, 'notes', noteId, {
+                    projectId,
+                    movedTo: targetProjectId
+                });
+            }
+        }
+
+        if (moving.length === 0) return 0;
+
+        // Notes from another project keep their timestamps (the move is in their tombstone);
+        // notes reordered within their project, or otherwise updated, count as edited
+        const place = (note, fields) => fromElsewhere.has(note.id) && !updates ? {
+            ...note,
+            ...fields
+        } : this._applyNoteUpdates(note, {
+            ...(movingIds.has(note.id) ? updates : null),
+            ...fields
+        });
+
+        const rest = target.notes;
+        if (!beforeNoteId && !rest.some(n => typeof n.rank === 'number')) {
+            // No manual order in this project yet: the notes just go at the end
+            target.notes = [...rest, ...moving.map(({
+                rank,
+                ...note
+            }) => place(note, {}))];
+        } else {
+            const ordered = sortByRank(rest);
+            let index = beforeNoteId ? ordered.findIndex(n => n.id === beforeNoteId) : -1;
+            if (index === -1) index = ordered.length;
+
+            const ranks = ordered.every(n => typeof n.rank === 'number') &&
+                ranksBetween(ordered[index - 1]?.rank, ordered[index]?.rank, moving.length);
+            if (ranks) {
+                target.notes = [...rest, ...moving.map((note, i) => place(note, {
+                    rank: ranks[i]
+                }))];
+            } else {
+                // Rank the whole project, only touching notes whose rank changes
+                const order = [...ordered.slice(0, index), ...moving, ...ordered.slice(index)];
+                const newRanks = renumber(order.length);
+                target.notes = order.map((note, i) => note.rank === newRanks[i] && !movingIds.has(note.id) ? note :
+                    place(note, {
+                        rank: newRanks[i]
+                    }));
+            }
+        }
+
+        await this.saveData(data);
+        return moving.length;
+    }
+
+    /**
+     * Copy several notes into a project (active or archived) with a single save.
+     * Copies are new notes with their own IDs; code links are only kept within the same project,
+     * as their paths are relative to it. Returns the copies.
+     */
+    async copyNotes(notes, targetProjectId) {
+        const data = this.getData();
+        const target = data.projects[targetProjectId] || data.archivedProjects[targetProjectId];
+
+        if (!target) {
+            throw new Error('Project not found');
+        }
+
+        const copies = [];
+        for (const {
+                projectId,
+                noteId
+            } of notes) {
+            const note = (data.projects[projectId] || data.archivedProjects[projectId])?.notes.find(n => n.id === noteId);
+            if (!note) continue;
+
+            const copy = this._createNote({
+                title: note.title,
+                description: note.description,
+                priority: note.priority,
+                status: note.status,
+                tags: note.tags,
+                subtasks: (note.subtasks || []).map(({
+                    text,
+                    done
+                }) => ({
+                    text,
+                    done
+                })),
+                anchors: projectId === targetProjectId ? note.anchors : undefined
+            });
+            if (note.dueDate) copy.dueDate = note.dueDate;
+            if (note.reminderAt) copy.reminderAt = note.reminderAt;
+            copies.push(copy);
+        }
+
+        if (copies.length > 0) {
+            target.notes.push(...copies);
+            await this.saveData(data);
+        }
+        return copies;
+    }
+
+    /**
+     * Work out what importing parsed notes (see noteFormats.js) would do, without writing anything.
+     * A note matches an existing one by ID, or else by title within its project. Entries go to the
+     * project with the same ID or name, or else to `defaultProjectId`; without one their projectId is null.
+     * Returns [{ action: 'create' | 'update' | 'unchanged', projectId, noteId?, title, fields, changes }].
+     */
+    planImport(entries, defaultProjectId) {
+        const data = this.getData();
+        const projects = data.projects || {};
+        const plan = [];
+        const seen = new Set();
+
+        for (const entry of entries) {
+            const fields = this._importFields(entry.note);
+            const found = entry.note.id ? this._findNoteInProjects(projects, entry.note.id) : null;
+            const projectId = found?.projectId || this._resolveImportProject(projects, entry, defaultProjectId);
+            if (!projectId) {
+                this._resolveImportStatus(fields, null);
+                plan.push({
+                    action: 'create',
+                    projectId: null,
+                    title: fields.title,
+                    fields,
+                    changes: []
+                });
+                continue;
+            }
+
+            const title = fields.title.trim().toLowerCase();
+            const existing = found?.note ||
+                projects[projectId].notes.find(n => !seen.has(n.id) && (n.title || '').trim().toLowerCase() === title);
+            // Titles repeated within the file are only imported once per project
+            const key = existing ? existing.id : `${projectId}\n${title}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            this._resolveImportStatus(fields, existing);
+
+            if (!existing) {
+                plan.push({
+                    action: 'create',
+                    projectId,
+                    title: fields.title,
+                    fields,
+                    changes: []
+                });
+                continue;
+            }
+
+            fields.subtasks = fields.subtasks && this._matchSubtasks(fields.subtasks, existing.subtasks || []);
+            const changes = this._diffImportFields(existing, fields);
+            plan.push({
+                action: changes.length > 0 ? 'update' : 'unchanged',
+                projectId,
+                noteId: existing.id,
+                title: existing.title,
+                fields,
+                changes
+            });
+        }
+
+        return plan;
+    }
+
+    /**
+     * Write the creates and updates of an import plan with a single save (and sync)
+     */
+    async applyImport(plan) {
+        const data = this.getData();
+        let created = 0;
+        let updated = 0;
+
+        for (const item of plan) {
+            const project = data.projects[item.projectId];
+            if (!project) continue;
+
+            if (item.action === 'create') {
+                const {
+                    id,
+                    createdAt,
+                    dueDate,
+                    reminderAt,
+                    ...noteData
+                } = item.fields;
+                const note = this._createNote(noteData);
+                // Keep imported IDs so importing the same file again updates instead of duplicating
+                if (id && !this._findNoteInProjects(data.projects, id)) {
+                    note.id = id;
+                    clearTombstone(data, 'notes', id);
+                }
+                if (createdAt) note.createdAt = createdAt;
+                if (dueDate !== undefined) Object.assign(note, {
+                    dueDate,
+                    reminderAt
+                });
+                project.notes.push(note);
+                created++;
+            } else if (item.action === 'update') {
+                const index = project.notes.findIndex(n => n.id === item.noteId);
+                if (index === -1) continue;
+                const updates = {};
+                for (const field of item.changes) {
+                    updates[field] = item.fields[field];
+                }
+                if (item.changes.includes('dueDate')) {
+                    updates.reminderAt = item.fields.reminderAt;
+                }
+                project.notes[index] = this._applyNoteUpdates(project.notes[index], updates);
+                updated++;
+            }
+        }
+
+        if (created > 0 || updated > 0) {
+            await this.saveData(data);
+        }
+        return {
+            created,
+            updated
+        };
+    }
+
+    _findNoteInProjects(projects, noteId) {
+        for (const [projectId, project] of Object.entries(projects)) {
+            const note = (project.notes || []).find(n => n.id === noteId);
+            if (note) return {
+                projectId,
+                note
+            };
+        }
+        return null;
+    }
+
+    _resolveImportProject(projects, entry, defaultProjectId) {
+        if (entry.projectId && projects[entry.projectId]) {
+            return entry.projectId;
+        }
+        if (entry.projectName) {
+            const name = entry.projectName.trim().toLowerCase();
+            const match = Object.entries(projects).find(([, project]) => (project.name || '').toLowerCase() === name);
+            if (match) return match[0];
+        }
+        return projects[defaultProjectId] ? defaultProjectId : null;
+    }
+
+    /**
+     * The note fields an import may set. Formats without a reminder time get one from the due date.
+     */
+    _importFields(note) {
+        const fields = {
+            title: (note.title || 'Untitled').trim()
+        };
+        for (const key of ['id', 'description', 'priority', 'status', 'tags', 'subtasks', 'createdAt', 'completedAt', 'source', 'anchors']) {
+            if (note[key] !== undefined) fields[key] = note[key];
+        }
+        // Formats with just a checkbox give `done` instead of a status
+        if (fields.status === undefined && note.done !== undefined) fields.done = !!note.done;
+        if (fields.tags) fields.tags = normalizeTags(fields.tags);
+
+        if ('dueDate' in note) {
+            const due = note.dueDate ? {
+                date: note.dueDate,
+                time: null
+            } : null;
+            Object.assign(fields, 'reminderAt' in note ? {
+                dueDate: note.dueDate || undefined,
+                reminderAt: note.reminderAt || undefined
+            } : this._dueDateFields(due));
+        }
+        return fields;
+    }
+
+    /**
+     * Turn an imported checkbox (`done`) into a status, in place. A checkbox that agrees with the
+     * existing note keeps its status (e.g. In Progress stays as is for an unticked box).
+     */
+    _resolveImportStatus(fields, existing) {
+        if (fields.done === undefined) return;
+        if (!existing || isDone(existing) !== fields.done) {
+            fields.status = fields.done ? DONE_STATUS : getOpenStatus();
+        }
+        delete fields.done;
+    }
+
+    /**
+     * Give imported checklist items the IDs of matching existing items (by ID, then text)
+     */
+    _matchSubtasks(subtasks, existingSubtasks) {
+        const used = new Set();
+        return subtasks.map(subtask => {
+            const text = (subtask.text || '').trim();
+            const match = existingSubtasks.find(e => !used.has(e.id) && (e.id === subtask.id || e.text === text));
+            if (match) used.add(match.id);
+            return {
+                id: match?.id,
+                text,
+                done: !!subtask.done
+            };
+        });
+    }
+
+    _diffImportFields(existing, fields) {
+        const changes = [];
+        const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+        for (const key of ['title', 'description', 'priority', 'status', 'tags', 'dueDate']) {
+            if (key in fields && !same(existing[key], fields[key])) changes.push(key);
+        }
+        if (fields.subtasks) {
+            const summary = subtasks => (subtasks || []).map(s => [s.id, s.text, !!s.done]);
+            if (!same(summary(existing.subtasks), summary(fields.subtasks))) changes.push('subtasks');
+        }
+        return changes;
+    }
+
+    _createNote(noteData) {
+        const note = {
+            id: this.generateId(),
+            title: noteData.title || 'Untitled',
+            description: noteData.description || '',
+            priority: noteData.priority || 'medium',
+            status: noteData.status || getOpenStatus(),
+            subtasks: this._normalizeSubtasks(noteData.subtasks || []),
+            tags: normalizeTags(noteData.tags || []),
+            ...this._dueDateFields(noteData.due),
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        if (note.status === DONE_STATUS) {
+            note.completedAt = noteData.completedAt || note.createdAt;
+        }
+        if (noteData.source) {
+            note.source = noteData.source;
+        }
+        if (noteData.anchors) {
+            note.anchors = noteData.anchors.map(anchor => this._createAnchor(anchor));
+        }
+
+        return note;
+    }
+
+    _applyNoteUpdates(existing, updates) {
+        if ('due' in updates) {
+            const {
+                due,
+                ...rest
+            } = updates;
+            updates = {
+                ...rest,
+                ...this._dueDateFields(due)
+            };
+        }
+        if (updates.subtasks) {
+            updates = {
+                ...updates,
+                subtasks: this._normalizeSubtasks(updates.subtasks, existing.subtasks || [])
+            };
+        }
+        if (updates.tags) {
+            updates = {
+                ...updates,
+                tags: normalizeTags(updates.tags)
+            };
+        }
+        // Remember when a note was finished (for the dashboard); reopening it clears that
+        if ('status' in updates && (updates.status === DONE_STATUS) !== isDone(existing)) {
+            updates = {
+                ...updates,
+                completedAt: updates.status === DONE_STATUS ? new Date().toISOString() : undefined
+            };
+        }
+
+        return {
+            ...existing,
             ...updates,
             updatedAt: new Date().toISOString()
         };
+    }
 
-        await this.saveData(data);
+    /**
+     * Set or clear (with null) a note's due date.
+     * `due` is a parsed due date: { date: 'YYYY-MM-DD', time: 'HH:MM' | null }.
+     */
+    async setDueDate(projectId, noteId, due) {
+        return this.updateNote(projectId, noteId, {
+            due
+        });
+    }
 
-        return data.projects[projectId].notes[noteIndex];
+    _dueDateFields(due) {
+        if (!due) {
+            return {
+                dueDate: undefined,
+                reminderAt: undefined
+            };
+        }
+        return {
+            dueDate: due.date,
+            reminderAt: getReminderAt(due) || undefined
+        };
     }
 
     /**
-     * Delete a note
+     * Add a checklist item to the end of a note's subtasks
+     */
+    async addSubtask(projectId, noteId, text) {
+        const note = this._requireNote(projectId, noteId);
+        return this.updateNote(projectId, noteId, {
+            subtasks: [...(note.subtasks || []), {
+                text
+            }]
+        });
+    }
+
+    /**
+     * Update a checklist item (text and/or done)
+     */
+    async updateSubtask(projectId, noteId, subtaskId, updates) {
+        const note = this._requireNote(projectId, noteId);
+        return this.updateNote(projectId, noteId, {
+            subtasks: (note.subtasks || []).map(s => s.id === subtaskId ? {
+                ...s,
+                ...updates
+            } : s)
+        });
+    }
+
+    /**
+     * Remove a checklist item
+     */
+    async deleteSubtask(projectId, noteId, subtaskId) {
+        const note = this._requireNote(projectId, noteId);
+        return this.updateNote(projectId, noteId, {
+            subtasks: (note.subtasks || []).filter(s => s.id !== subtaskId)
+        });
+    }
+
+    /**
+     * Link a note to a line of code.
+     * `anchor` is { file, line, text }: project-relative path, 1-based line and the line's content.
+     */
+    async addAnchor(projectId, noteId, anchor) {
+        return this.addAnchors(projectId, noteId, [anchor]);
+    }
+
+    /**
+     * Link a note to several lines of code at once (as for addAnchor)
+     */
+    async addAnchors(projectId, noteId, anchors) {
+        const note = this._requireNote(projectId, noteId);
+        return this.updateNote(projectId, noteId, {
+            anchors: [...(note.anchors || []), ...anchors.map(anchor => this._createAnchor(anchor))]
+        });
+    }
+
+    /**
+     * Remove a code link from a note
+     */
+    async removeAnchor(projectId, noteId, anchorId) {
+        const note = this._requireNote(projectId, noteId);
+        return this.updateNote(projectId, noteId, {
+            anchors: (note.anchors || []).filter(a => a.id !== anchorId)
+        });
+    }
+
+    /**
+     * Move code links of several notes with a single save.
+     * `moves` is a list of { noteId, anchorId, line, text }.
+     */
+    async moveAnchors(projectId, moves) {
+        const byNote = new Map();
+        for (const move of moves) {
+            if (!byNote.has(move.noteId)) byNote.set(move.noteId, []);
+            byNote.get(move.noteId).push(move);
+        }
+
+        const now = new Date().toISOString();
+        const update = [];
+        for (const [noteId, noteMoves] of byNote) {
+            const note = this.getNote(projectId, noteId);
+            if (!note) continue;
+
+            update.push({
+                noteId,
+                updates: {
+                    anchors: (note.anchors || []).map(anchor => {
+                        const move = noteMoves.find(m => m.anchorId === anchor.id);
+                        return move ? {
+                            ...anchor,
+                            line: move.line,
+                            text: move.text,
+                            updatedAt: now
+                        } : anchor;
+                    })
+                }
+            });
+        }
+
+        if (update.length > 0) {
+            await this.batchUpdateNotes(projectId, {
+                update,
+                recordUndo: false
+            });
+        }
+    }
+
+    /**
+     * Follow a file or folder rename in a project: code links and TODO sources pointing
+     * at `oldPath` (or anything inside it) now point at `newPath`. Paths are project-relative.
+     */
+    async renameFile(projectId, oldPath, newPath) {
+        const rename = file => {
+            if (file === oldPath) return newPath;
+            if (file.startsWith(oldPath + '/')) return newPath + file.slice(oldPath.length);
+            return null;
+        };
+
+        const now = new Date().toISOString();
+        const update = [];
+        for (const note of this.getNotesForProject(projectId)) {
+            const updates = {};
+
+            if ((note.anchors || []).some(a => rename(a.file))) {
+                updates.anchors = note.anchors.map(anchor => rename(anchor.file) ? {
+                    ...anchor,
+                    file: rename(anchor.file),
+                    updatedAt: now
+                } : anchor);
+            }
+            if (note.source?.file && rename(note.source.file)) {
+                updates.source = {
+                    ...note.source,
+                    file: rename(note.source.file)
+                };
+            }
+
+            if (Object.keys(updates).length > 0) {
+                update.push({
+                    noteId: note.id,
+                    updates
+                });
+            }
+        }
+
+        if (update.length > 0) {
+            await this.batchUpdateNotes(projectId, {
+                update,
+                recordUndo: false
+            });
+        }
+        return update.length;
+    }
+
+    _createAnchor(anchor) {
+        const now = new Date().toISOString();
+        return {
+            id: this.generateId('anchor'),
+            file: anchor.file,
+            line: anchor.line,
+            text: anchor.text || '',
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    _requireNote(projectId, noteId) {
+        const note = this.getNote(projectId, noteId);
+        if (!note) {
+            throw new Error('Note not found');
+        }
+        return note;
+    }
+
+    /**
+     * Give incoming checklist items IDs and timestamps.
+     * Items that didn't change keep their existing record so sync sees them as untouched.
+     */
+    _normalizeSubtasks(subtasks, existingSubtasks = []) {
+        const now = new Date().toISOString();
+
+        return subtasks
+            .filter(s => s.text && s.text.trim())
+            .map(s => {
+                const previous = s.id ? existingSubtasks.find(e => e.id === s.id) : null;
+                const text = s.text.trim();
+                const done = !!s.done;
+
+                if (previous && previous.text === text && previous.done === done) {
+                    return previous;
+                }
+                return {
+                    id: previous ? previous.id : this.generateId('sub'),
+                    text,
+                    done,
+                    createdAt: previous ? previous.createdAt : now,
+                    updatedAt: now
+                };
+            });
+    }
+
+    /**
+     * Move a note to the trash
      */
     async deleteNote(projectId, noteId) {
         const data = this.getData();
@@ -186,19 +1271,17 @@ class NotesDataManager {
             throw new Error('Project not found');
         }
 
-        data.projects[projectId].notes = data.projects[projectId].notes.filter(
-            n => n.id !== noteId
-        );
+        trashNote(data, 'projects', projectId, noteId);
 
         await this.saveData(data);
     }
 
     /**
-     * Remove a project and all its notes
+     * Move a project and all its notes to the trash
      */
     async removeProject(projectId) {
         const data = this.getData();
-        delete data.projects[projectId];
+        trashProject(data, 'projects', projectId);
         await this.saveData(data);
     }
 
@@ -206,16 +1289,31 @@ class NotesDataManager {
      * Archive a project (preserve notes, remove from active list)
      */
     async archiveProject(projectId) {
+        await this.archiveProjects([projectId]);
+    }
+
+    /**
+     * Archive several projects with a single save. Returns the number of projects archived.
+     */
+    async archiveProjects(projectIds) {
         const data = this.getData();
+        const archivedAt = new Date().toISOString();
+        let archived = 0;
 
-        if (data.projects[projectId]) {
+        for (const projectId of projectIds) {
+            if (!data.projects[projectId]) continue;
             data.archivedProjects[projectId] = {
                 ...data.projects[projectId],
-                archivedAt: new Date().toISOString()
+                archivedAt
             };
             delete data.projects[projectId];
+            archived++;
+        }
+
+        if (archived > 0) {
             await this.saveData(data);
         }
+        return archived;
     }
 
     /**
@@ -243,14 +1341,67 @@ class NotesDataManager {
     }
 
     /**
-     * Delete an archived project permanently
+     * Move an archived project to the trash
      */
     async deleteArchivedProject(projectId) {
         const data = this.getData();
-        delete data.archivedProjects[projectId];
+        trashProject(data, 'archivedProjects', projectId);
         await this.saveData(data);
     }
 
+    /**
+     * Trashed notes and projects: { notes: { id: entry }, projects: { id: entry } } (see trash.js)
+     */
+    getTrash() {
+        return this.getData().trash || createTrash();
+    }
+
+    /**
+     * Put a trashed note (kind 'notes') or project (kind 'projects') back.
+     * A note goes to `targetProjectId` when given, otherwise to the project it came from.
+     */
+    async restoreFromTrash(kind, id, targetProjectId) {
+        const data = this.getData();
+        const restored = kind === 'notes' ? restoreTrashedNote(data, id, targetProjectId) : restoreTrashedProject(data, id);
+        if (!restored) {
+            throw new Error('Not found in the trash');
+        }
+        await this.saveData(data);
+        return restored;
+    }
+
+    /**
+     * Permanently delete one trash entry, or everything in the trash when no kind is given
+     */
+    async deleteFromTrash(kind, id) {
+        const data = this.getData();
+        const trash = data.trash || createTrash();
+        const entries = kind ? [
+            [kind, id]
+        ] : [
+            ...Object.keys(trash.notes).map(noteId => ['notes', noteId]),
+            ...Object.keys(trash.projects).map(projectId => ['projects', projectId])
+        ];
+        entries.forEach(([entryKind, entryId]) => removeFromTrash(data, entryKind, entryId));
+        await this.saveData(data);
+        return entries.length;
+    }
+
+    /**
+     * Permanently delete trash entries older than `quickNotes.trash.retentionDays`.
+     * Returns the number of entries purged.
+     */
+    async purgeTrash() {
+        const data = this.getData();
+        const purged = purgeExpiredTrash(data);
+        if (purged > 0) {
+            await this.saveData(data, {
+                recordUndo: false
+            });
+        }
+        return purged;
+    }
+
     /**
      * Update a project's path (for relocated projects)
      */
@@ -259,6 +1410,10 @@ class NotesDataManager {
 
         if (data.projects[projectId]) {
             data.projects[projectId].path = newPath;
+            data.projects[projectId].paths = {
+                ...(data.projects[projectId].paths || {}),
+                [vscode.env.machineId]: newPath
+            };
             await this.saveData(data);
         }
     }
@@ -266,9 +1421,9 @@ class NotesDataManager {
     /**
      * Generate a unique ID
      */
-    generateId() {
+    generateId(prefix = 'note') {
         // Simple UUID-like ID generator
-        return 'note_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
+        return prefix + '_' + Date.now().toString(36) + '_' + Math.random().toString(36).substr(2, 9);
     }
 }
 
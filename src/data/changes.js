@@ -0,0 +1,256 @@
+const {
+    recordTombstone,
+    clearTombstone
+} = require('./tombstones');
+const {
+    TRASH_TOMBSTONES,
+    createTrash
+} = require('./trash');
+
+/**
+ * Record-level differences between two copies of the notes data, used for undo/redo.
+ *
+ * A change is { kind: 'project' | 'note', container, projectId, noteId?, index?, before, after },
+ * or { kind: 'trash', trashKind: 'notes' | 'projects', id, before, after } for a trash entry.
+ * Project changes cover everything but the notes; `before`/`after` is undefined where the
+ * record didn't exist. Applying one side of a list of changes to newer data only touches
+ * those records, so edits synced in from other devices meanwhile are kept.
+ */
+
+const CONTAINERS = ['projects', 'archivedProjects'];
+
+function diffData(before, after) {
+    const changes = [];
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    for (const container of CONTAINERS) {
+        const beforeProjects = before?.[container] || {};
+        const afterProjects = after?.[container] || {};
+        const projectIds = new Set([...Object.keys(beforeProjects), ...Object.keys(afterProjects)]);
+
+        for (const projectId of projectIds) {
+            const beforeProject = beforeProjects[projectId];
+            const afterProject = afterProjects[projectId];
+            const beforeMeta = withoutNotes(beforeProject);
+            const afterMeta = withoutNotes(afterProject);
+            if (!same(beforeMeta, afterMeta)) {
+                changes.push({
+                    kind: 'project',
+                    container,
+                    projectId,
+                    before: beforeMeta,
+                    after: afterMeta
+                });
+            }
+
+            const beforeNotes = beforeProject?.notes || [];
+            const afterNotes = afterProject?.notes || [];
+            const noteIds = new Set([...beforeNotes.map(n => n.id), ...afterNotes.map(n => n.id)]);
+            for (const noteId of noteIds) {
+                const index = beforeNotes.findIndex(n => n.id === noteId);
+                const beforeNote = beforeNotes[index];
+                const afterNote = afterNotes.find(n => n.id === noteId);
+                if (same(beforeNote, afterNote)) continue;
+                changes.push({
+                    kind: 'note',
+                    container,
+                    projectId,
+                    noteId,
+                    index: index === -1 ? afterNotes.findIndex(n => n.id === noteId) : index,
+                    before: beforeNote,
+                    after: afterNote
+                });
+            }
+        }
+    }
+
+    for (const trashKind of ['notes', 'projects']) {
+        const beforeEntries = before?.trash?.[trashKind] || {};
+        const afterEntries = after?.trash?.[trashKind] || {};
+        for (const id of new Set([...Object.keys(beforeEntries), ...Object.keys(afterEntries)])) {
+            if (same(beforeEntries[id], afterEntries[id])) continue;
+            changes.push({
+                kind: 'trash',
+                trashKind,
+                id,
+                before: beforeEntries[id],
+                after: afterEntries[id]
+            });
+        }
+    }
+    return changes;
+}
+
+function withoutNotes(project) {
+    if (!project) return undefined;
+    const {
+        notes,
+        ...meta
+    } = project;
+    return meta;
+}
+
+/**
+ * Put the `side` ('before' or 'after') of each change into `data`, in place.
+ * Restored notes get a fresh updatedAt so the next sync prefers them; records that end up
+ * gone get a tombstone, and records that are back lose theirs.
+ */
+function applyChanges(data, changes, side) {
+    const now = new Date().toISOString();
+
+    for (const change of changes.filter(c => c.kind === 'project')) {
+        const container = data[change.container] = data[change.container] || {};
+        const value = change[side];
+        if (value) {
+            container[change.projectId] = {
+                ...value,
+                notes: container[change.projectId]?.notes || []
+            };
+        } else {
+            delete container[change.projectId];
+        }
+    }
+
+    for (const change of changes.filter(c => c.kind === 'note')) {
+        const project = data[change.container]?.[change.projectId];
+        if (!project) continue;
+
+        const notes = project.notes = project.notes || [];
+        const current = notes.findIndex(n => n.id === change.noteId);
+        const value = change[side];
+        if (current !== -1) {
+            notes.splice(current, 1);
+        }
+        if (value) {
+            notes.splice(Math.min(change.index, notes.length), 0, {
+                ...value,
+                updatedAt: now
+            });
+        }
+    }
+
+    for (const change of changes.filter(c => c.kind === 'trash')) {
+        const value = change[side];
+        data.trash = data.trash || createTrash();
+        if (value) {
+            data.trash[change.trashKind][change.id] = value;
+            clearTombstone(data, TRASH_TOMBSTONES[change.trashKind], change.id);
+        } else if (data.trash[change.trashKind][change.id]) {
+            delete data.trash[change.trashKind][change.id];
+            recordTombstone(data, TRASH_TOMBSTONES[change.trashKind], change.id);
+        }
+    }
+
+    for (const change of changes.filter(c => c.kind === 'project')) {
+        if (CONTAINERS.some(container => data[container]?.[change.projectId])) {
+            clearTombstone(data, 'projects', change.projectId);
+        } else {
+            recordTombstone(data, 'projects', change.projectId);
+        }
+    }
+
+    for (const change of changes.filter(c => c.kind === 'note')) {
+        const projectId = findNoteProject(data, change.noteId);
+        if (!projectId) {
+            recordTombstone(data, 'notes', change.noteId, {
+                projectId: change.projectId
+            });
+        } else if (projectId !== change.projectId) {
+            // The note moved between projects: other devices should move their copy too
+            recordTombstone(data, 'notes', change.noteId, {
+                projectId: change.projectId,
+                movedTo: projectId
+            });
+        } else if (!changes.some(c => c.kind === 'note' && c.noteId === change.noteId && c.projectId !== projectId)) {
+            clearTombstone(data, 'notes', change.noteId);
+        }
+    }
+    return data;
+}
+
+function findNoteProject(data, noteId) {
+    for (const container of CONTAINERS) {
+        for (const [projectId, project] of Object.entries(data[container] || {})) {
+            if ((project.notes || []).some(n => n.id === noteId)) return projectId;
+        }
+    }
+    return null;
+}
+
+/**
+ * Short description of a list of changes, e.g. 'Delete note "Fix login"' or 'Change 3 notes'
+ */
+function describeChanges(changes) {
+    // Notes only given a new place in the manual order don't count as edited
+    const allNotes = changes.filter(c => c.kind === 'note');
+    const notes = allNotes.filter(c => !isRankOnly(c));
+    const projects = changes.filter(c => c.kind === 'project');
+    const trashed = changes.filter(c => c.kind === 'trash');
+    const verb = change => !change.before ? 'Add' : !change.after ? 'Delete' : 'Edit';
+
+    if (projects.length === 0 && notes.length === 0 && allNotes.length > 0) {
+        return 'Reorder notes';
+    }
+    if (projects.length === 0 && notes.length === 0) {
+        return trashed.every(c => !c.after) ?
+            `Permanently delete ${trashed.length} item${trashed.length !== 1 ? 's' : ''} from the trash` :
+            'Change the trash';
+    }
+
+    if (projects.length > 0) {
+        // Archiving or restoring moves a project between containers
+        const moved = projects.filter(c => c.after && projects.some(o => o.projectId === c.projectId && !o.after));
+        if (moved.length > 0) {
+            const action = moved[0].container === 'archivedProjects' ? 'Archive' : 'Restore';
+            return moved.length === 1 ? `${action} project "${moved[0].after.name}"` : `${action} ${moved.length} projects`;
+        }
+        if (projects.length === 1) {
+            const change = projects[0];
+            if (change.before && !change.after && trashed.some(c => c.after)) {
+                return `Move project "${change.before.name}" to the trash`;
+            }
+            if (!change.before && trashed.some(c => !c.after)) {
+                return `Restore project "${change.after.name}" from the trash`;
+            }
+            return `${verb(change)} project "${(change.after || change.before).name}"`;
+        }
+        return `Change ${projects.length} projects`;
+    }
+    const noteIds = new Set(notes.map(c => c.noteId));
+    if (notes.length === 2 * noteIds.size && notes.every(c => !c.before !== !c.after)) {
+        // Each note left one project and arrived in another
+        return noteIds.size === 1 ?
+            `Move note "${notes[0].before?.title || notes[0].after.title}"` :
+            `Move ${noteIds.size} notes`;
+    }
+    if (notes.length > 1 && notes.every(c => c.before && !c.after) && trashed.length === notes.length) {
+        return `Move ${notes.length} notes to the trash`;
+    }
+    if (notes.length === 1) {
+        const change = notes[0];
+        if (change.before && !change.after && trashed.some(c => c.after)) {
+            return `Move note "${change.before.title}" to the trash`;
+        }
+        if (!change.before && trashed.some(c => !c.after)) {
+            return `Restore note "${change.after.title}" from the trash`;
+        }
+        return `${verb(change)} note "${(change.after || change.before).title}"`;
+    }
+    return `Change ${notes.length} notes`;
+}
+
+function isRankOnly(change) {
+    if (!change.before || !change.after) return false;
+    const strip = ({
+        rank,
+        updatedAt,
+        ...fields
+    }) => fields;
+    return JSON.stringify(strip(change.before)) === JSON.stringify(strip(change.after));
+}
+
+module.exports = {
+    diffData,
+    applyChanges,
+    describeChanges
+};
@@ -0,0 +1,243 @@
+const vscode = require('vscode');
+const {
+    isDone
+} = require('./noteStatus');
+
+/**
+ * Due date helpers.
+ *
+ * A note's `dueDate` is a local calendar day ("YYYY-MM-DD"); its optional `reminderAt`
+ * is the ISO timestamp at which a reminder notification should fire.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const UNITS = {
+    h: 'hour', hr: 'hour', hrs: 'hour', hour: 'hour', hours: 'hour',
+    d: 'day', day: 'day', days: 'day',
+    w: 'week', wk: 'week', wks: 'week', week: 'week', weeks: 'week',
+    m: 'month', mo: 'month', month: 'month', months: 'month',
+    y: 'year', yr: 'year', year: 'year', years: 'year'
+};
+
+/**
+ * Parse natural due date input such as "today", "tomorrow", "fri", "next mon",
+ * "+3d", "in 2 weeks", "2026-03-01", "mar 1" or "oct 21 3pm".
+ * Returns { date: 'YYYY-MM-DD', time: 'HH:MM' | null }, or null if the input isn't understood.
+ */
+function parseDueDate(input, now = new Date()) {
+    let text = (input || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!text) return null;
+
+    // Relative hours ("+2h", "in 3 hours") pin both the day and the time
+    const hours = text.match(/^(?:\+|in )(\d+) ?(h|hr|hrs|hour|hours)$/);
+    if (hours) {
+        const at = new Date(now.getTime() + parseInt(hours[1], 10) * 60 * 60 * 1000);
+        return {
+            date: toDateKey(at),
+            time: `${pad(at.getHours())}:${pad(at.getMinutes())}`
+        };
+    }
+
+    // Optional trailing time: "3pm", "3:30 pm", "15:00", "at 9"
+    let time = null;
+    const timeMatch = text.match(/(?:^| )(?:at )?(\d{1,2})(?::(\d{2}))? ?(am|pm)$/) ||
+        text.match(/(?:^| )(?:at )?(\d{1,2}):(\d{2})$/) ||
+        text.match(/ at (\d{1,2})$/);
+    if (timeMatch) {
+        let hour = parseInt(timeMatch[1], 10);
+        const minute = timeMatch[2] ? parseInt(timeMatch[2], 10) : 0;
+        const meridiem = timeMatch[3];
+        if (meridiem === 'pm' && hour < 12) hour += 12;
+        if (meridiem === 'am' && hour === 12) hour = 0;
+        if (hour > 23 || minute > 59) return null;
+
+        time = `${pad(hour)}:${pad(minute)}`;
+        text = text.slice(0, timeMatch.index).trim();
+    }
+
+    const day = _parseDay(text, _startOfDay(now));
+    if (!day) return null;
+
+    return {
+        date: toDateKey(day),
+        time
+    };
+}
+
+function _parseDay(text, today) {
+    if (text === '' || text === 'today' || text === 'tod' || text === 'tonight') {
+        return today;
+    }
+    if (text === 'tomorrow' || text === 'tmr' || text === 'tom') {
+        return _addDays(today, 1);
+    }
+    if (text === 'next week') {
+        // Following Monday
+        return _addDays(today, ((8 - today.getDay()) % 7) || 7);
+    }
+    if (text === 'weekend' || text === 'this weekend') {
+        return _addDays(today, (6 - today.getDay() + 7) % 7);
+    }
+
+    // "+3d", "+2w", "3d", "in 2 weeks"
+    const relative = text.match(/^(?:\+|in )?(\d+) ?([a-z]+)$/);
+    if (relative && UNITS[relative[2]] && UNITS[relative[2]] !== 'hour') {
+        return _addUnits(today, parseInt(relative[1], 10), UNITS[relative[2]]);
+    }
+
+    // "fri", "friday", "next fri"
+    const weekday = text.match(/^(next |this )?([a-z]+)$/);
+    if (weekday) {
+        const index = WEEKDAYS.findIndex(name => weekday[2].length >= 3 && name.startsWith(weekday[2]));
+        if (index !== -1) {
+            let offset = (index - today.getDay() + 7) % 7;
+            if (weekday[1] === 'next ' && offset === 0) offset = 7;
+            return _addDays(today, offset);
+        }
+    }
+
+    // ISO "2026-03-01"
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (iso) {
+        return _validDate(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10));
+    }
+
+    // "mar 1", "1 mar", "march 1 2027"
+    const monthFirst = text.match(/^([a-z]{3,}) (\d{1,2})(?:,? (\d{4}))?$/);
+    const dayFirst = text.match(/^(\d{1,2}) ([a-z]{3,})(?: (\d{4}))?$/);
+    const named = monthFirst ? {
+        month: monthFirst[1],
+        day: monthFirst[2],
+        year: monthFirst[3]
+    } : dayFirst ? {
+        month: dayFirst[2],
+        day: dayFirst[1],
+        year: dayFirst[3]
+    } : null;
+    if (named) {
+        const month = MONTHS.findIndex(name => name.startsWith(named.month));
+        if (month === -1) return null;
+
+        const day = parseInt(named.day, 10);
+        if (named.year) {
+            return _validDate(parseInt(named.year, 10), month, day);
+        }
+        // Without a year, pick the next time that date comes around
+        const thisYear = _validDate(today.getFullYear(), month, day);
+        if (thisYear && thisYear < today) {
+            return _validDate(today.getFullYear() + 1, month, day);
+        }
+        return thisYear;
+    }
+
+    return null;
+}
+
+/**
+ * Work out when the reminder for a parsed due date should fire: the given time,
+ * else `quickNotes.reminders.defaultTime` on the due day. Returns null if reminders
+ * are disabled or that moment has already passed.
+ */
+function getReminderAt(parsed, now = new Date()) {
+    const config = vscode.workspace.getConfiguration('quickNotes.reminders');
+    if (!parsed || !config.get('enabled', true)) return null;
+
+    const time = parsed.time || config.get('defaultTime', '09:00');
+    const [hour, minute] = time.split(':').map(n => parseInt(n, 10));
+    const day = fromDateKey(parsed.date);
+    const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour || 0, minute || 0);
+
+    return at.getTime() > now.getTime() ? at.toISOString() : null;
+}
+
+/**
+ * Classify a note against today: 'overdue', 'today', 'upcoming', or null when it
+ * has no due date or is already done.
+ */
+function getDueStatus(note, now = new Date()) {
+    if (!note.dueDate || isDone(note)) return null;
+
+    const today = toDateKey(now);
+    if (note.dueDate < today) return 'overdue';
+    if (note.dueDate === today) return 'today';
+    return 'upcoming';
+}
+
+/**
+ * Short human description of a due date: "today", "tomorrow", "Fri", "Mar 1", "3 days overdue"
+ */
+function describeDueDate(dueDate, now = new Date()) {
+    const day = fromDateKey(dueDate);
+    const diff = Math.round((day - _startOfDay(now)) / DAY_MS);
+
+    if (diff === 0) return 'today';
+    if (diff === 1) return 'tomorrow';
+    if (diff === -1) return 'yesterday';
+    if (diff < 0) return `${-diff} days overdue`;
+    if (diff < 7) return day.toLocaleDateString(undefined, {
+        weekday: 'short'
+    });
+    return day.toLocaleDateString(undefined, {
+        month: 'short',
+        day: 'numeric',
+        year: day.getFullYear() === now.getFullYear() ? undefined : 'numeric'
+    });
+}
+
+/**
+ * Format a Date as a local "YYYY-MM-DD" key
+ */
+function toDateKey(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Turn a "YYYY-MM-DD" key into a local Date at midnight
+ */
+function fromDateKey(key) {
+    const [year, month, day] = key.split('-').map(n => parseInt(n, 10));
+    return new Date(year, month - 1, day);
+}
+
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+function _startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function _addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function _addUnits(date, amount, unit) {
+    switch (unit) {
+        case 'day':
+            return _addDays(date, amount);
+        case 'week':
+            return _addDays(date, amount * 7);
+        case 'month':
+            return new Date(date.getFullYear(), date.getMonth() + amount, date.getDate());
+        case 'year':
+            return new Date(date.getFullYear() + amount, date.getMonth(), date.getDate());
+        default:
+            return null;
+    }
+}
+
+function _validDate(year, month, day) {
+    const date = new Date(year, month, day);
+    return date.getMonth() === month && date.getDate() === day ? date : null;
+}
+
+module.exports = {
+    parseDueDate,
+    getReminderAt,
+    getDueStatus,
+    describeDueDate,
+    toDateKey,
+    fromDateKey
+};
@@ -0,0 +1,136 @@
+const {
+    getDueStatus
+} = require('./dueDates');
+const {
+    isDone,
+    getStatusLabel
+} = require('./noteStatus');
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const STATES = ['done', 'open', 'overdue', 'due', 'archived'];
+
+/**
+ * Parse a search/filter query such as `login bug priority:high is:open project:"my app"`.
+ *
+ * Supported tokens:
+ *   priority:<high|medium|low>  (also `p:`)
+ *   is:done | is:open | is:overdue | is:due (overdue or due today) | is:archived
+ *   status:<status> workflow status, by ID or board column label (e.g. status:blocked)
+ *   project:<name>  substring of the project name
+ *   tag:<name>      note tag (or the tag of an imported TODO comment)
+ * Anything else is free text that must appear in the title, description or checklist.
+ * Repeating a key means "any of", e.g. `priority:high priority:medium`.
+ *
+ * Returns { text: [], priority: [], is: [], status: [], project: [], tag: [], errors: [] }
+ */
+function parseFilterQuery(query) {
+    const filter = {
+        text: [],
+        priority: [],
+        is: [],
+        status: [],
+        project: [],
+        tag: [],
+        errors: []
+    };
+
+    const tokens = (query || '').match(/(?:[^\s"]+:)?"[^"]*"?|\S+/g) || [];
+    for (const token of tokens) {
+        const match = token.match(/^([a-z]+):(.*)$/i);
+        const key = match?.[1].toLowerCase();
+        const value = match ? unquote(match[2]).toLowerCase() : '';
+
+        if (key === 'priority' || key === 'p') {
+            if (PRIORITIES.includes(value)) {
+                filter.priority.push(value);
+            } else {
+                filter.errors.push(`Unknown priority "${value}" (use ${PRIORITIES.join(', ')})`);
+            }
+        } else if (key === 'is') {
+            if (STATES.includes(value)) {
+                filter.is.push(value);
+            } else {
+                filter.errors.push(`Unknown state "${value}" (use ${STATES.join(', ')})`);
+            }
+        } else if ((key === 'status' || key === 'project' || key === 'tag') && value) {
+            filter[key].push(value);
+        } else {
+            const text = unquote(token).toLowerCase();
+            if (text) filter.text.push(text);
+        }
+    }
+
+    return filter;
+}
+
+function unquote(value) {
+    return value.replace(/^"/, '').replace(/"$/, '');
+}
+
+function isFilterEmpty(filter) {
+    return ['text', 'priority', 'is', 'status', 'project', 'tag'].every(key => filter[key].length === 0);
+}
+
+/**
+ * Whether a note matches a parsed filter.
+ * `project` is { name, archived } for the project holding the note.
+ */
+function matchesFilter(note, project, filter) {
+    if (filter.priority.length > 0 && !filter.priority.includes(note.priority || 'medium')) {
+        return false;
+    }
+
+    if (filter.status.length > 0) {
+        const names = [note.status, getStatusLabel(note.status)].filter(Boolean).map(name => name.toLowerCase().replace(/\s+/g, ''));
+        if (!filter.status.some(status => names.includes(status.replace(/\s+/g, '')))) return false;
+    }
+
+    if (filter.project.length > 0 &&
+        !filter.project.some(name => (project.name || '').toLowerCase().includes(name))) {
+        return false;
+    }
+
+    if (filter.tag.length > 0) {
+        const noteTags = [...(note.tags || []), note.source?.tag].filter(Boolean).map(t => t.toLowerCase());
+        if (!filter.tag.some(tag => noteTags.includes(tag))) return false;
+    }
+
+    // Different states are alternatives ("is:overdue is:done"), except archived which narrows
+    const states = filter.is.filter(state => state !== 'archived');
+    if (filter.is.includes('archived') && !project.archived) return false;
+    if (states.length > 0 && !states.some(state => matchesState(note, state))) return false;
+
+    if (filter.text.length > 0) {
+        const haystack = [
+            note.title,
+            note.description,
+            ...(note.subtasks || []).map(s => s.text)
+        ].filter(Boolean).join('\n').toLowerCase();
+        if (!filter.text.every(term => haystack.includes(term))) return false;
+    }
+
+    return true;
+}
+
+function matchesState(note, state) {
+    switch (state) {
+        case 'done':
+            return isDone(note);
+        case 'open':
+            return !isDone(note);
+        case 'overdue':
+            return getDueStatus(note) === 'overdue';
+        case 'due': {
+            const status = getDueStatus(note);
+            return status === 'overdue' || status === 'today';
+        }
+        default:
+            return true;
+    }
+}
+
+module.exports = {
+    parseFilterQuery,
+    isFilterEmpty,
+    matchesFilter
+};
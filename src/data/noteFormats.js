@@ -0,0 +1,503 @@
+/**
+ * Conversion of notes to and from exchange formats: Markdown checklists, JSON, CSV and todo.txt.
+ *
+ * Exporters take groups of notes, [{ projectId, projectName, notes }].
+ * Parsers return [{ projectId?, projectName?, note }] where `note` only carries the fields
+ * the format can express, so an import never clears fields the file knows nothing about.
+ */
+
+const FORMATS = [{
+        id: 'markdown',
+        label: 'Markdown',
+        description: 'Checklists grouped by project',
+        extensions: ['md', 'markdown']
+    },
+    {
+        id: 'json',
+        label: 'JSON',
+        description: 'Every field, in the extension\'s own format',
+        extensions: ['json']
+    },
+    {
+        id: 'csv',
+        label: 'CSV',
+        description: 'One row per note, for spreadsheets',
+        extensions: ['csv']
+    },
+    {
+        id: 'todotxt',
+        label: 'todo.txt',
+        description: 'One line per note (descriptions and checklists are left out)',
+        extensions: ['txt']
+    }
+];
+
+const {
+    SCHEMA_VERSION,
+    migrateData
+} = require('./schema');
+const {
+    DONE_STATUS,
+    isDone,
+    getOpenStatus
+} = require('./noteStatus');
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const TODOTXT_PRIORITIES = {
+    high: 'A',
+    medium: 'B',
+    low: 'C'
+};
+
+// Title words that would be read back as metadata; a backslash in front keeps them in the title
+const MARKDOWN_TOKEN_WORD = /^\\*(#[\w-]|(priority|due|status):\S)/;
+const TODOTXT_TOKEN_WORD = /^\\*([+@]\S|(due|pri|id|status):\S|\d{4}-\d{2}-\d{2}$|\([A-Z]\)$)/;
+
+/**
+ * Put a backslash in front of each title word matching `pattern`, so it survives an import.
+ * Words already starting with one get another, so unescapeTitle gives back the exact title.
+ */
+function escapeTitle(title, pattern) {
+    return title.split(' ').map(word => pattern.test(word) ? `\\${word}` : word).join(' ');
+}
+
+function unescapeTitle(title, pattern) {
+    return title.split(' ').map(word => word.startsWith('\\') && pattern.test(word.slice(1)) ? word.slice(1) : word).join(' ');
+}
+
+function getFormatForFile(fileName) {
+    const extension = fileName.split('.').pop().toLowerCase();
+    return FORMATS.find(format => format.extensions.includes(extension)) || null;
+}
+
+function formatNotes(formatId, groups) {
+    switch (formatId) {
+        case 'markdown':
+            return toMarkdown(groups);
+        case 'json':
+            return toJson(groups);
+        case 'csv':
+            return toCsv(groups);
+        case 'todotxt':
+            return toTodoTxt(groups);
+        default:
+            throw new Error(`Unknown export format "${formatId}"`);
+    }
+}
+
+function parseNotes(formatId, text) {
+    switch (formatId) {
+        case 'markdown':
+            return fromMarkdown(text);
+        case 'json':
+            return fromJson(text);
+        case 'csv':
+            return fromCsv(text);
+        case 'todotxt':
+            return fromTodoTxt(text);
+        default:
+            throw new Error(`Unknown import format "${formatId}"`);
+    }
+}
+
+// Markdown
+//
+// # Project name
+//
+// - [ ] Note title priority:high due:2026-03-01 status:inProgress #tag <!-- id:note_123 -->
+//
+// Title words that look like metadata ("#123") are written with a backslash ("\#123").
+//   Description, indented under the note
+//   - [x] Checklist item
+
+function toMarkdown(groups) {
+    const sections = groups.map(({
+        projectName,
+        notes
+    }) => {
+        const lines = [`# ${projectName}`, ''];
+        const openStatus = getOpenStatus();
+        for (const note of notes) {
+            const tokens = [
+                note.priority && note.priority !== 'medium' ? `priority:${note.priority}` : null,
+                note.dueDate ? `due:${note.dueDate}` : null,
+                // The checkbox covers Done and the open status
+                note.status && !isDone(note) && note.status !== openStatus ? `status:${note.status}` : null,
+                ...(note.tags || []).map(tag => `#${tag}`)
+            ].filter(Boolean);
+            lines.push(`- [${isDone(note) ? 'x' : ' '}] ${[escapeTitle(note.title, MARKDOWN_TOKEN_WORD), ...tokens].join(' ')} <!-- id:${note.id} -->`);
+
+            const description = (note.description || '').trim();
+            if (description) {
+                lines.push(...description.split(/\r?\n/).map(line => line.trim() ? `  ${line}` : ''));
+            }
+            for (const subtask of note.subtasks || []) {
+                lines.push(`  - [${subtask.done ? 'x' : ' '}] ${subtask.text}`);
+            }
+        }
+        return lines.join('\n');
+    });
+    return sections.join('\n\n') + '\n';
+}
+
+function fromMarkdown(text) {
+    const entries = [];
+    let projectName = null;
+    let current = null;
+    // Blank lines only belong to a description if more of it follows
+    let blankLines = 0;
+
+    for (const line of text.split(/\r?\n/)) {
+        if (current && !line.trim()) {
+            blankLines++;
+            continue;
+        }
+
+        const heading = line.match(/^#{1,6}\s+(.+?)\s*$/);
+        const item = line.match(/^[-*+]\s+\[([ xX])\]\s+(.*)$/);
+        const subtask = line.match(/^\s+[-*+]\s+\[([ xX])\]\s+(.*)$/);
+
+        if (heading) {
+            projectName = heading[1];
+            current = null;
+        } else if (item) {
+            const note = {
+                ...parseTitleTokens(item[2]),
+                description: '',
+                subtasks: []
+            };
+            // A ticked box wins over a status token; without either, only done-ness is known
+            if (item[1] !== ' ') {
+                note.status = DONE_STATUS;
+            } else if (!note.status) {
+                note.done = false;
+            }
+            current = {
+                projectName,
+                note
+            };
+            entries.push(current);
+        } else if (current && subtask) {
+            current.note.subtasks.push({
+                text: subtask[2].trim(),
+                done: subtask[1] !== ' '
+            });
+        } else if (current && /^\s+\S/.test(line)) {
+            const descriptionLine = line.replace(/^ {1,2}/, '');
+            const separator = current.note.description ? '\n'.repeat(blankLines + 1) : '';
+            current.note.description += separator + descriptionLine;
+        }
+        blankLines = 0;
+    }
+
+    return entries;
+}
+
+/**
+ * Split "Title priority:high due:2026-03-01 status:blocked #tag <!-- id:x -->" into note fields
+ */
+function parseTitleTokens(text) {
+    const note = {};
+    let rest = text.replace(/\s*<!--\s*id:(\S+)\s*-->\s*$/, (match, id) => {
+        note.id = id;
+        return '';
+    });
+
+    const tags = [];
+    // Tokens are only read from the end of the line, so titles may still contain "#" or ":"
+    for (;;) {
+        const match = rest.match(/\s+(priority:(\w+)|due:(\d{4}-\d{2}-\d{2})|#([\w-]+)|status:([\w-]+))$/);
+        if (!match) break;
+        if (match[2] && PRIORITIES.includes(match[2].toLowerCase())) {
+            note.priority = match[2].toLowerCase();
+        } else if (match[3]) {
+            note.dueDate = match[3];
+        } else if (match[4]) {
+            tags.unshift(match[4].toLowerCase());
+        } else if (match[5]) {
+            note.status = match[5];
+        } else {
+            break;
+        }
+        rest = rest.slice(0, match.index);
+    }
+
+    note.title = unescapeTitle(rest.trim(), MARKDOWN_TOKEN_WORD);
+    note.tags = tags;
+    note.priority = note.priority || 'medium';
+    return note;
+}
+
+// JSON: { version, exportedAt, projects: { <id>: { name, notes } } }; also reads a full data file
+
+function toJson(groups) {
+    const projects = {};
+    for (const {
+            projectId,
+            projectName,
+            notes
+        } of groups) {
+        projects[projectId] = {
+            name: projectName,
+            notes
+        };
+    }
+    return JSON.stringify({
+        version: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        projects
+    }, null, 2) + '\n';
+}
+
+function fromJson(text) {
+    const parsed = JSON.parse(text);
+    if (!parsed?.projects) {
+        throw new Error('No "projects" found in the JSON file');
+    }
+    // Files exported by older versions are upgraded like stored data
+    const data = migrateData({
+        archivedProjects: {},
+        ...parsed
+    }, 'The notes in this file');
+    const entries = [];
+    const containers = [data.projects, data.archivedProjects];
+
+    for (const container of containers) {
+        for (const [projectId, project] of Object.entries(container)) {
+            for (const note of project.notes) {
+                entries.push({
+                    projectId,
+                    projectName: project.name,
+                    note: {
+                        ...note
+                    }
+                });
+            }
+        }
+    }
+    return entries;
+}
+
+// CSV
+
+const CSV_COLUMNS = ['project', 'id', 'title', 'description', 'priority', 'status', 'tags', 'dueDate', 'checklist', 'createdAt', 'updatedAt'];
+
+function toCsv(groups) {
+    const rows = [CSV_COLUMNS];
+    for (const {
+            projectName,
+            notes
+        } of groups) {
+        for (const note of notes) {
+            rows.push([
+                projectName,
+                note.id,
+                note.title,
+                note.description || '',
+                note.priority || 'medium',
+                note.status || getOpenStatus(),
+                (note.tags || []).join(' '),
+                note.dueDate || '',
+                (note.subtasks || []).map(s => `[${s.done ? 'x' : ' '}] ${s.text}`).join('\n'),
+                note.createdAt || '',
+                note.updatedAt || ''
+            ]);
+        }
+    }
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function csvCell(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim()));
+}
+
+function fromCsv(text) {
+    const [header, ...rows] = parseCsvRows(text.replace(/^﻿/, ''));
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim());
+    if (!columns.includes('title')) {
+        throw new Error('The CSV file needs a "title" column');
+    }
+
+    return rows.map(values => {
+        const row = Object.fromEntries(columns.map((name, index) => [name, values[index] ?? '']));
+        const note = {
+            title: row.title.trim()
+        };
+
+        if (row.id) note.id = row.id.trim();
+        if ('description' in row) note.description = row.description;
+        if (PRIORITIES.includes(row.priority?.trim().toLowerCase())) note.priority = row.priority.trim().toLowerCase();
+        if (row.status?.trim()) {
+            note.status = row.status.trim();
+        } else if ('completed' in row) {
+            // Files exported before statuses have a yes/no "completed" column
+            note.done = /^(yes|true|1|x|done)$/i.test(row.completed.trim());
+        }
+        if ('tags' in row) note.tags = row.tags.split(/[,\s]+/).filter(Boolean);
+        if ('dueDate' in row) note.dueDate = /^\d{4}-\d{2}-\d{2}$/.test(row.dueDate.trim()) ? row.dueDate.trim() : undefined;
+        if ('checklist' in row) {
+            note.subtasks = row.checklist.split(/\r?\n/).filter(line => line.trim()).map(line => {
+                const match = line.match(/^\s*\[([ xX])\]\s*(.*)$/);
+                return match ? {
+                    text: match[2],
+                    done: match[1] !== ' '
+                } : {
+                    text: line.trim(),
+                    done: false
+                };
+            });
+        }
+        if (row.createdAt) note.createdAt = row.createdAt.trim();
+
+        return {
+            projectName: row.project?.trim() || null,
+            note
+        };
+    }).filter(entry => entry.note.title);
+}
+
+// todo.txt: "x 2026-01-02 2026-01-01 (A) Title +Project @tag due:2026-03-01 status:blocked id:note_1"
+// Title words that look like metadata ("@john", "+1", "due:friday") are written with a backslash.
+
+function toTodoTxt(groups) {
+    const lines = [];
+    for (const {
+            projectName,
+            notes
+        } of groups) {
+        const projectTag = `+${projectName.replace(/\s+/g, '_')}`;
+        const openStatus = getOpenStatus();
+        for (const note of notes) {
+            const created = (note.createdAt || '').slice(0, 10);
+            const parts = [];
+            const priority = TODOTXT_PRIORITIES[note.priority] || 'B';
+            if (isDone(note)) {
+                parts.push('x', (note.updatedAt || note.createdAt || '').slice(0, 10));
+            } else {
+                parts.push(`(${priority})`);
+            }
+            if (created) parts.push(created);
+            parts.push(escapeTitle(note.title.replace(/\s+/g, ' '), TODOTXT_TOKEN_WORD), projectTag);
+            parts.push(...(note.tags || []).map(tag => `@${tag}`));
+            if (note.dueDate) parts.push(`due:${note.dueDate}`);
+            if (note.status && !isDone(note) && note.status !== openStatus) parts.push(`status:${note.status}`);
+            // Completed tasks lose their "(A)" prefix, so the priority goes into a tag
+            if (isDone(note)) parts.push(`pri:${priority}`);
+            parts.push(`id:${note.id}`);
+            lines.push(parts.filter(Boolean).join(' '));
+        }
+    }
+    return lines.join('\n') + '\n';
+}
+
+function fromTodoTxt(text) {
+    const priorityByLetter = Object.fromEntries(Object.entries(TODOTXT_PRIORITIES).map(([name, letter]) => [letter, name]));
+
+    return text.split(/\r?\n/).filter(line => line.trim()).map(line => {
+        let rest = line.trim();
+        const note = {
+            done: false
+        };
+
+        const done = rest.match(/^x\s+(?:(\d{4}-\d{2}-\d{2})\s+)?/);
+        if (done) {
+            note.done = true;
+            rest = rest.slice(done[0].length);
+        }
+        const priority = rest.match(/^\(([A-Z])\)\s+/);
+        if (priority) {
+            // Letters below C count as low
+            note.priority = priorityByLetter[priority[1]] || 'low';
+            rest = rest.slice(priority[0].length);
+        }
+        const created = rest.match(/^(\d{4}-\d{2}-\d{2})\s+/);
+        if (created) {
+            note.createdAt = new Date(`${created[1]}T00:00:00`).toISOString();
+            rest = rest.slice(created[0].length);
+        }
+
+        let projectName = null;
+        const words = [];
+        const tags = [];
+        for (const word of rest.split(/\s+/)) {
+            const keyValue = word.match(/^([a-z]+):(\S+)$/i);
+            if (word.startsWith('+') && word.length > 1) {
+                projectName = projectName || word.slice(1).replace(/_/g, ' ');
+            } else if (word.startsWith('@') && word.length > 1) {
+                tags.push(word.slice(1).toLowerCase());
+            } else if (keyValue && keyValue[1] === 'due' && /^\d{4}-\d{2}-\d{2}$/.test(keyValue[2])) {
+                note.dueDate = keyValue[2];
+            } else if (keyValue && keyValue[1] === 'pri' && /^[A-Z]$/.test(keyValue[2])) {
+                note.priority = priorityByLetter[keyValue[2]] || 'low';
+            } else if (keyValue && keyValue[1] === 'id') {
+                note.id = keyValue[2];
+            } else if (keyValue && keyValue[1] === 'status' && !note.done) {
+                note.status = keyValue[2];
+            } else {
+                words.push(word);
+            }
+        }
+
+        note.title = unescapeTitle(words.join(' '), TODOTXT_TOKEN_WORD);
+        note.tags = tags;
+        if (note.done) {
+            note.status = DONE_STATUS;
+        }
+        if (note.status) {
+            delete note.done;
+        }
+        return {
+            projectName,
+            note
+        };
+    }).filter(entry => entry.note.title);
+}
+
+module.exports = {
+    FORMATS,
+    getFormatForFile,
+    formatNotes,
+    parseNotes
+};
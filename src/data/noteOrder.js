@@ -0,0 +1,56 @@
+// Gap between neighbouring ranks when a project's notes are (re)numbered
+const RANK_STEP = 1024;
+
+// Closer than this, two ranks leave no room in between and the project is renumbered
+const MIN_RANK_GAP = 1e-6;
+
+/**
+ * Manual order of notes within a project, kept as a numeric `rank` on each note.
+ * Moving a note only changes its own rank (picked between its new neighbours), so reordering
+ * on two devices merges note by note instead of fighting over the whole list.
+ * Notes without a rank (new ones, or ones synced in from elsewhere) come after ranked ones,
+ * in the order they are stored.
+ */
+function compareByRank(a, b) {
+    const aRanked = typeof a.rank === 'number';
+    const bRanked = typeof b.rank === 'number';
+    if (aRanked && bRanked) return a.rank - b.rank;
+    return (aRanked ? 0 : 1) - (bRanked ? 0 : 1);
+}
+
+/**
+ * Notes in manual order
+ */
+function sortByRank(notes) {
+    return [...notes].sort(compareByRank);
+}
+
+/**
+ * Ranks for `count` notes placed between two neighbours (either may be missing).
+ * Returns null when there is no room left and the project needs renumbering.
+ */
+function ranksBetween(before, after, count) {
+    const low = typeof before === 'number' ? before : (typeof after === 'number' ? after - (count + 1) * RANK_STEP : 0);
+    const high = typeof after === 'number' ? after : low + (count + 1) * RANK_STEP;
+    const gap = (high - low) / (count + 1);
+    if (gap < MIN_RANK_GAP) return null;
+    return Array.from({
+        length: count
+    }, (_, i) => low + gap * (i + 1));
+}
+
+/**
+ * Ranks for a whole list of notes in the given order
+ */
+function renumber(count) {
+    return Array.from({
+        length: count
+    }, (_, i) => (i + 1) * RANK_STEP);
+}
+
+module.exports = {
+    compareByRank,
+    sortByRank,
+    ranksBetween,
+    renumber
+};
@@ -0,0 +1,167 @@
+const {
+    isDone
+} = require('./noteStatus');
+const {
+    getDueStatus,
+    toDateKey
+} = require('./dueDates');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PRIORITIES = ['high', 'medium', 'low'];
+
+// Weeks shown in the completion trend, this one included
+const TREND_WEEKS = 8;
+
+// Open notes listed as the oldest
+const OLDEST_COUNT = 10;
+
+/**
+ * Figures for the dashboard, across active and archived projects (trashed notes don't count).
+ * `projects` are the tree's projects, for telling which ones are stale on this device.
+ */
+function computeStats(data, projects = [], now = new Date()) {
+    const staleIds = new Set(projects.filter(p => p.isStale).map(p => p.id));
+    const weekStart = startOfWeek(now);
+    const entries = [];
+    const byProject = [];
+
+    for (const [container, archived] of [
+            [data.projects || {}, false],
+            [data.archivedProjects || {}, true]
+        ]) {
+        for (const [projectId, project] of Object.entries(container)) {
+            const row = {
+                projectId,
+                name: project.name,
+                archived,
+                stale: !archived && staleIds.has(projectId),
+                high: 0,
+                medium: 0,
+                low: 0,
+                open: 0,
+                done: 0
+            };
+            for (const note of project.notes || []) {
+                entries.push({
+                    note,
+                    projectId,
+                    projectName: project.name,
+                    archived
+                });
+                if (isDone(note)) {
+                    row.done++;
+                } else {
+                    row.open++;
+                    row[PRIORITIES.includes(note.priority) ? note.priority : 'medium']++;
+                }
+            }
+            byProject.push(row);
+        }
+    }
+
+    const open = entries.filter(e => !isDone(e.note));
+    const done = entries.filter(e => isDone(e.note));
+    const completedThisWeek = done
+        .filter(e => completedAt(e.note) >= weekStart)
+        .sort((a, b) => completedAt(b.note) - completedAt(a.note));
+
+    return {
+        totals: {
+            open: open.length,
+            done: done.length,
+            overdue: open.filter(e => getDueStatus(e.note, now) === 'overdue').length,
+            completionRate: entries.length > 0 ? done.length / entries.length : null
+        },
+        projects: {
+            active: byProject.filter(p => !p.archived).length,
+            stale: byProject.filter(p => p.stale).length,
+            archived: byProject.filter(p => p.archived).length
+        },
+        // Active projects, and archived ones still holding open notes; most open notes first
+        byProject: byProject
+            .filter(p => p.open > 0 || !p.archived)
+            .sort((a, b) => b.open - a.open || a.name.localeCompare(b.name)),
+        trend: completionTrend(entries, weekStart),
+        oldestOpen: open
+            .sort((a, b) => (a.note.createdAt || '').localeCompare(b.note.createdAt || ''))
+            .slice(0, OLDEST_COUNT)
+            .map(e => ({
+                ...toSummary(e),
+                ageDays: e.note.createdAt ? Math.floor((now - new Date(e.note.createdAt)) / DAY_MS) : null
+            })),
+        completedThisWeek: completedThisWeek.map(toSummary)
+    };
+}
+
+/**
+ * Per week, oldest first: notes completed that week, and the share of all notes that existed
+ * by the end of the week that were done by then
+ */
+function completionTrend(entries, weekStart) {
+    const weeks = [];
+    for (let i = TREND_WEEKS - 1; i >= 0; i--) {
+        const start = addDays(weekStart, -7 * i);
+        const end = addDays(start, 7);
+        let existing = 0;
+        let doneByEnd = 0;
+        let completed = 0;
+
+        for (const {
+                note
+            } of entries) {
+            if (note.createdAt && new Date(note.createdAt) >= end) continue;
+            existing++;
+            if (!isDone(note)) continue;
+            const at = completedAt(note);
+            if (at < end) doneByEnd++;
+            if (at >= start && at < end) completed++;
+        }
+
+        weeks.push({
+            weekStart: toDateKey(start),
+            completed,
+            rate: existing > 0 ? doneByEnd / existing : null
+        });
+    }
+    return weeks;
+}
+
+function toSummary({
+    note,
+    projectId,
+    projectName,
+    archived
+}) {
+    return {
+        projectId,
+        noteId: note.id,
+        title: note.title || 'Untitled',
+        priority: note.priority || 'medium',
+        projectName,
+        archived
+    };
+}
+
+/**
+ * When a done note was finished; notes completed before this was recorded use their last edit
+ */
+function completedAt(note) {
+    return new Date(note.completedAt || note.updatedAt || note.createdAt || 0);
+}
+
+/**
+ * Local midnight on the Monday of the week containing `date`
+ */
+function startOfWeek(date) {
+    const daysSinceMonday = (date.getDay() + 6) % 7;
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() - daysSinceMonday);
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+module.exports = {
+    computeStats
+};
@@ -0,0 +1,79 @@
+const vscode = require('vscode');
+
+// The status of finished notes; always a board column, and the only status that counts as done
+const DONE_STATUS = 'done';
+
+// Status of notes that predate statuses, or were never given one
+const DEFAULT_STATUS = 'backlog';
+
+const DEFAULT_COLUMNS = [{
+        id: 'backlog',
+        label: 'Backlog'
+    },
+    {
+        id: 'inProgress',
+        label: 'In Progress'
+    },
+    {
+        id: 'blocked',
+        label: 'Blocked'
+    },
+    {
+        id: DONE_STATUS,
+        label: 'Done'
+    }
+];
+
+/**
+ * Workflow statuses, in board order, from `quickNotes.board.columns` ([{ id, label }]).
+ * Invalid and duplicate entries are skipped, and a Done column is added if missing.
+ */
+function getStatusColumns() {
+    const configured = vscode.workspace.getConfiguration('quickNotes.board').get('columns', DEFAULT_COLUMNS);
+    const columns = [];
+
+    for (const column of Array.isArray(configured) ? configured : []) {
+        const id = typeof column?.id === 'string' ? column.id.trim() : '';
+        if (!id || columns.some(c => c.id === id)) continue;
+        columns.push({
+            id,
+            label: typeof column.label === 'string' && column.label.trim() ? column.label.trim() : id
+        });
+    }
+
+    if (columns.length === 0) return DEFAULT_COLUMNS;
+    if (!columns.some(c => c.id === DONE_STATUS)) {
+        columns.push({
+            id: DONE_STATUS,
+            label: 'Done'
+        });
+    }
+    return columns;
+}
+
+/**
+ * Status for new notes, and for notes reopened: the first column that isn't Done
+ */
+function getOpenStatus() {
+    return getStatusColumns().find(c => c.id !== DONE_STATUS)?.id || DEFAULT_STATUS;
+}
+
+function isDone(note) {
+    return note?.status === DONE_STATUS;
+}
+
+/**
+ * Label of a status, or the status itself when it isn't one of the configured columns
+ */
+function getStatusLabel(status) {
+    return getStatusColumns().find(c => c.id === status)?.label || status || 'Backlog';
+}
+
+module.exports = {
+    DONE_STATUS,
+    DEFAULT_STATUS,
+    getStatusColumns,
+    getOpenStatus,
+    isDone,
+    getStatusLabel
+};
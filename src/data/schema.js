@@ -0,0 +1,188 @@
+/**
+ * Versioning of the stored notes data.
+ *
+ * `data.version` is the schema version the data was written with. Data from older versions
+ * is upgraded on load by running each migration in turn; data from a newer version is left
+ * untouched and must not be written back, since this version of the extension would
+ * silently drop whatever it doesn't understand.
+ */
+
+const {
+    createTrash
+} = require('./trash');
+const {
+    DONE_STATUS,
+    DEFAULT_STATUS
+} = require('./noteStatus');
+
+const SCHEMA_VERSION = 4;
+
+const PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * Each migration upgrades data from the previous version to `version`, in place
+ */
+const MIGRATIONS = [{
+    version: 2,
+    // 1.x: notes may only have the legacy `tag` (title) and `content` (description) fields,
+    // and lists or flags may be missing altogether
+    migrate(data) {
+        data.projects = data.projects || {};
+        data.archivedProjects = data.archivedProjects || {};
+
+        for (const container of [data.projects, data.archivedProjects]) {
+            for (const [projectId, project] of Object.entries(container)) {
+                if (!project || typeof project !== 'object') continue;
+                const notes = Array.isArray(project.notes) ? project.notes : [];
+                project.notes = notes.filter(note => note && typeof note === 'object').map((note, index) => {
+                    const {
+                        tag,
+                        content,
+                        ...rest
+                    } = note;
+                    return {
+                        ...rest,
+                        id: rest.id || `note_${projectId}_${index}`,
+                        title: rest.title || tag || content || 'Untitled',
+                        description: rest.description || content || '',
+                        priority: PRIORITIES.includes(rest.priority) ? rest.priority : 'medium',
+                        completed: !!rest.completed,
+                        subtasks: Array.isArray(rest.subtasks) ? rest.subtasks : [],
+                        tags: Array.isArray(rest.tags) ? rest.tags : []
+                    };
+                });
+            }
+        }
+    }
+}, {
+    version: 3,
+    // Deleted notes and projects go to a synced trash instead of disappearing
+    migrate(data) {
+        data.trash = data.trash || createTrash();
+    }
+}, {
+    version: 4,
+    // The `completed` flag becomes a workflow `status` (see noteStatus.js), trashed notes included
+    migrate(data) {
+        const toStatus = note => {
+            if (!note || typeof note !== 'object') return;
+            if (typeof note.status !== 'string') {
+                note.status = note.completed ? DONE_STATUS : DEFAULT_STATUS;
+            }
+            delete note.completed;
+        };
+        const projects = [
+            ...Object.values(data.projects || {}),
+            ...Object.values(data.archivedProjects || {}),
+            ...Object.values(data.trash?.projects || {}).map(entry => entry?.project)
+        ];
+
+        for (const project of projects) {
+            (Array.isArray(project?.notes) ? project.notes : []).forEach(toStatus);
+        }
+        Object.values(data.trash?.notes || {}).forEach(entry => toStatus(entry?.note));
+    }
+}];
+
+/**
+ * Schema version of a data object. Releases before versioning wrote the string '1.0.0'.
+ */
+function getSchemaVersion(data) {
+    if (typeof data?.version === 'number') return data.version;
+    const major = parseInt(data?.version, 10);
+    return Number.isNaN(major) ? 1 : major;
+}
+
+function isNewerSchema(data) {
+    return getSchemaVersion(data) > SCHEMA_VERSION;
+}
+
+/**
+ * Error for data written by a newer version of the extension. Flagged with `isNewerSchema`.
+ */
+function createNewerSchemaError(data, where) {
+    const err = new Error(
+        `${where} were saved by a newer version of Quick Notes (data version ${getSchemaVersion(data)}, ` +
+        `this version understands up to ${SCHEMA_VERSION}). Update the extension to keep editing and syncing them.`
+    );
+    err.isNewerSchema = true;
+    return err;
+}
+
+/**
+ * Upgrade data to the current schema and validate it. The input is not modified.
+ * `where` names the data in error messages ("Your notes", "The notes on GitHub", ...).
+ * Throws for data from a newer schema version or data that fails validation.
+ */
+function migrateData(data, where = 'Your notes') {
+    const version = getSchemaVersion(data);
+    if (version > SCHEMA_VERSION) {
+        throw createNewerSchemaError(data, where);
+    }
+
+    const result = JSON.parse(JSON.stringify(data));
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= version) continue;
+        migration.migrate(result);
+        result.version = migration.version;
+    }
+    result.version = SCHEMA_VERSION;
+
+    const problems = validateData(result);
+    if (problems.length > 0) {
+        throw new Error(`${where} could not be read: ${problems.slice(0, 3).join('; ')}` +
+            (problems.length > 3 ? ` (and ${problems.length - 3} more problems)` : ''));
+    }
+    return result;
+}
+
+/**
+ * Check the shape of current-schema data. Returns a list of problems (empty if valid).
+ */
+function validateData(data) {
+    const problems = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(data)) {
+        return ['the data is not an object'];
+    }
+
+    for (const container of ['projects', 'archivedProjects']) {
+        if (!isObject(data[container])) {
+            problems.push(`"${container}" is missing or not an object`);
+            continue;
+        }
+        for (const [projectId, project] of Object.entries(data[container])) {
+            if (!isObject(project) || !Array.isArray(project.notes)) {
+                problems.push(`project "${projectId}" has no list of notes`);
+                continue;
+            }
+            project.notes.forEach((note, index) => {
+                if (!isObject(note) || typeof note.id !== 'string' || typeof note.title !== 'string') {
+                    problems.push(`note ${index + 1} of project "${project.name || projectId}" has no ID or title`);
+                } else if (['subtasks', 'tags'].some(field => note[field] !== undefined && !Array.isArray(note[field]))) {
+                    problems.push(`note "${note.title}" has an invalid checklist or tags`);
+                } else if (note.status !== undefined && typeof note.status !== 'string') {
+                    problems.push(`note "${note.title}" has an invalid status`);
+                }
+            });
+        }
+    }
+
+    if (data.trash !== undefined && (!isObject(data.trash) || !isObject(data.trash.notes) || !isObject(data.trash.projects))) {
+        problems.push('"trash" is invalid');
+    }
+    if (data.tombstones !== undefined && !isObject(data.tombstones)) {
+        problems.push('"tombstones" is not an object');
+    }
+    return problems;
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    getSchemaVersion,
+    isNewerSchema,
+    createNewerSchemaError,
+    migrateData,
+    validateData
+};
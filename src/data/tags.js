@@ -0,0 +1,66 @@
+const vscode = require('vscode');
+
+// Colors offered for tags; theme color IDs so they follow the active theme
+const TAG_COLORS = [{
+        label: 'Red',
+        id: 'charts.red'
+    },
+    {
+        label: 'Orange',
+        id: 'charts.orange'
+    },
+    {
+        label: 'Yellow',
+        id: 'charts.yellow'
+    },
+    {
+        label: 'Green',
+        id: 'charts.green'
+    },
+    {
+        label: 'Blue',
+        id: 'charts.blue'
+    },
+    {
+        label: 'Purple',
+        id: 'charts.purple'
+    }
+];
+
+/**
+ * Clean up a list of tags: lowercase, no leading "#", spaces turned into dashes,
+ * no empties or duplicates. Accepts an array or a comma/space separated string.
+ */
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,\s]+/);
+    const result = [];
+    for (const raw of list) {
+        const tag = String(raw).trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase();
+        if (tag && !result.includes(tag)) {
+            result.push(tag);
+        }
+    }
+    return result;
+}
+
+/**
+ * Theme color ID configured for a tag in `quickNotes.tagColors`, if any
+ */
+function getTagColor(tag) {
+    const colors = vscode.workspace.getConfiguration('quickNotes').get('tagColors', {});
+    return colors[tag] || null;
+}
+
+/**
+ * CSS variable for a theme color ID, for use in webviews ("charts.red" -> "var(--vscode-charts-red)")
+ */
+function toCssColor(colorId) {
+    return colorId ? `var(--vscode-${colorId.replace(/\./g, '-')})` : null;
+}
+
+module.exports = {
+    TAG_COLORS,
+    normalizeTags,
+    getTagColor,
+    toCssColor
+};
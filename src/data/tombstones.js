@@ -0,0 +1,271 @@
+const vscode = require('vscode');
+
+/**
+ * Deletion tombstones.
+ *
+ * Deleting a note or project leaves a tombstone behind ({ deletedAt, deletedBy })
+ * so that merging with a copy that still contains the record doesn't bring it back.
+ * A record that was edited after the deletion wins over its tombstone.
+ * A project tombstone with `mergedInto` marks a project that was re-keyed: instead of being
+ * dropped, its notes are folded into the project with the new ID.
+ * Likewise a note tombstone with `movedTo` marks a note moved to another project: copies of it
+ * still in another project are moved there instead of being dropped.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an empty tombstone set. 'trashNotes' and 'trashProjects' mark entries taken out
+ * of the trash (see trash.js).
+ */
+function createTombstones() {
+    return {
+        notes: {},
+        projects: {},
+        trashNotes: {},
+        trashProjects: {}
+    };
+}
+
+/**
+ * Record that a note or project was deleted.
+ * `kind` is 'notes' or 'projects'; `extra` is stored alongside (e.g. the note's projectId).
+ */
+function recordTombstone(data, kind, id, extra = {}) {
+    if (!data.tombstones) {
+        data.tombstones = createTombstones();
+    }
+    if (!data.tombstones[kind]) {
+        data.tombstones[kind] = {};
+    }
+
+    data.tombstones[kind][id] = {
+        ...extra,
+        deletedAt: new Date().toISOString(),
+        deletedBy: vscode.env.machineId
+    };
+}
+
+/**
+ * Forget a tombstone (e.g. when a deleted project is explicitly added again)
+ */
+function clearTombstone(data, kind, id) {
+    if (data.tombstones?.[kind]) {
+        delete data.tombstones[kind][id];
+    }
+}
+
+/**
+ * Check whether a record currently has a tombstone
+ */
+function hasTombstone(data, kind, id) {
+    return !!data.tombstones?.[kind]?.[id];
+}
+
+/**
+ * Union two tombstone sets. When both sides deleted the same record, keep the later deletion.
+ */
+function mergeTombstones(local, remote) {
+    const merged = createTombstones();
+
+    for (const kind of Object.keys(merged)) {
+        const localKind = local?.[kind] || {};
+        const remoteKind = remote?.[kind] || {};
+
+        for (const [id, stone] of Object.entries(remoteKind)) {
+            merged[kind][id] = stone;
+        }
+        for (const [id, stone] of Object.entries(localKind)) {
+            const existing = merged[kind][id];
+            if (!existing || _time(stone.deletedAt) >= _time(existing.deletedAt)) {
+                merged[kind][id] = stone;
+            }
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Remove every note and project covered by a tombstone from `data`.
+ * If the record was edited after it was deleted the edit wins: the record is kept
+ * and the tombstone is dropped.
+ */
+function applyTombstones(data) {
+    const tombstones = data.tombstones || createTombstones();
+    const containers = [data.projects || {}, data.archivedProjects || {}];
+
+    moveNotesToTheirProjects(data, tombstones);
+
+    for (const container of containers) {
+        for (const [projectId, project] of Object.entries(container)) {
+            const stone = tombstones.projects?.[projectId];
+            if (!stone) continue;
+
+            if (stone.mergedInto) {
+                // Re-keyed project: its notes always move over to the new ID
+                delete container[projectId];
+                foldProjectInto(data, container, project, stone.mergedInto);
+            } else if (_projectActivityTime(project) <= _time(stone.deletedAt)) {
+                delete container[projectId];
+            } else {
+                delete tombstones.projects[projectId];
+            }
+        }
+
+        for (const [projectId, project] of Object.entries(container)) {
+            // Replace rather than mutate: the project object may still be shared with the caller's data
+            container[projectId] = {
+                ...project,
+                notes: (project.notes || []).filter(note => {
+                    const stone = tombstones.notes?.[note.id];
+                    if (!stone || stone.movedTo) return true;
+
+                    if (_noteTime(note) <= _time(stone.deletedAt)) {
+                        return false;
+                    }
+                    delete tombstones.notes[note.id];
+                    return true;
+                })
+            };
+        }
+    }
+
+    data.tombstones = tombstones;
+    return data;
+}
+
+/**
+ * Move notes found outside the project their `movedTo` tombstone points at into that project,
+ * in place (project objects are replaced, not mutated). If the project already has a copy the
+ * newer one wins. Notes whose target project isn't in `data` stay where they are.
+ */
+function moveNotesToTheirProjects(data, tombstones = data.tombstones) {
+    const moves = tombstones?.notes || {};
+    const findProject = projectId => data.projects?.[projectId] ? data.projects :
+        data.archivedProjects?.[projectId] ? data.archivedProjects : null;
+
+    for (const container of [data.projects || {}, data.archivedProjects || {}]) {
+        for (const projectId of Object.keys(container)) {
+            // Read afresh: notes may have been moved into this project already
+            const project = container[projectId];
+            const moving = (project.notes || []).filter(note => {
+                const targetId = moves[note.id]?.movedTo;
+                return targetId && targetId !== projectId && findProject(targetId);
+            });
+            if (moving.length === 0) continue;
+
+            container[projectId] = {
+                ...project,
+                notes: project.notes.filter(note => !moving.includes(note))
+            };
+            for (const note of moving) {
+                const targetId = moves[note.id].movedTo;
+                const targetContainer = findProject(targetId);
+                const notes = targetContainer[targetId].notes || [];
+                const existing = notes.find(n => n.id === note.id);
+                if (existing && _noteTime(existing) >= _noteTime(note)) continue;
+
+                targetContainer[targetId] = {
+                    ...targetContainer[targetId],
+                    notes: [...notes.filter(n => n.id !== note.id), note]
+                };
+            }
+        }
+    }
+    return data;
+}
+
+/**
+ * Merge `project` into the project stored under `targetId`, in place.
+ * Notes are combined by ID (newer copy wins) and per-device paths are combined.
+ * If there is no such project yet, `project` is stored under `targetId` in `sourceContainer`.
+ */
+function foldProjectInto(data, sourceContainer, project, targetId) {
+    const targetContainer = data.projects?.[targetId] ? data.projects :
+        data.archivedProjects?.[targetId] ? data.archivedProjects :
+        sourceContainer;
+    const target = targetContainer[targetId];
+
+    if (!target) {
+        targetContainer[targetId] = {
+            ...project
+        };
+        return;
+    }
+
+    const notes = new Map((target.notes || []).map(note => [note.id, note]));
+    for (const note of project.notes || []) {
+        const existing = notes.get(note.id);
+        if (!existing || _noteTime(note) > _noteTime(existing)) {
+            notes.set(note.id, note);
+        }
+    }
+
+    targetContainer[targetId] = {
+        ...project,
+        ...target,
+        paths: {
+            ...(project.paths || {}),
+            ...(target.paths || {})
+        },
+        createdAt: _time(project.createdAt) && _time(project.createdAt) < _time(target.createdAt) ?
+            project.createdAt : target.createdAt,
+        notes: Array.from(notes.values())
+    };
+}
+
+/**
+ * Drop tombstones older than `quickNotes.sync.tombstoneRetentionDays`, in place.
+ * A retention of 0 keeps tombstones forever.
+ */
+function compactTombstones(data, now = Date.now()) {
+    if (!data.tombstones) return data;
+
+    const config = vscode.workspace.getConfiguration('quickNotes.sync');
+    const retentionDays = config.get('tombstoneRetentionDays', 90);
+    if (!retentionDays || retentionDays <= 0) return data;
+
+    const cutoff = now - retentionDays * DAY_MS;
+    for (const kind of Object.keys(data.tombstones)) {
+        for (const [id, stone] of Object.entries(data.tombstones[kind] || {})) {
+            if (_time(stone.deletedAt) < cutoff) {
+                delete data.tombstones[kind][id];
+            }
+        }
+    }
+
+    return data;
+}
+
+function _time(isoString) {
+    const time = new Date(isoString).getTime();
+    return isNaN(time) ? 0 : time;
+}
+
+function _noteTime(note) {
+    return _time(note.updatedAt || note.createdAt);
+}
+
+/**
+ * Latest sign of life of a project: its creation, restore from the trash, or any note edit
+ */
+function _projectActivityTime(project) {
+    let latest = Math.max(_time(project.createdAt), _time(project.updatedAt));
+    for (const note of project.notes || []) {
+        latest = Math.max(latest, _noteTime(note));
+    }
+    return latest;
+}
+
+module.exports = {
+    createTombstones,
+    recordTombstone,
+    clearTombstone,
+    hasTombstone,
+    mergeTombstones,
+    applyTombstones,
+    moveNotesToTheirProjects,
+    foldProjectInto,
+    compactTombstones
+};
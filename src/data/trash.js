@@ -0,0 +1,230 @@
+const vscode = require('vscode');
+const {
+    recordTombstone,
+    clearTombstone
+} = require('./tombstones');
+
+/**
+ * The trash: deleted notes and projects, kept for `quickNotes.trash.retentionDays` before
+ * they are purged.
+ *
+ *   data.trash.notes[noteId]       = { note, projectId, projectName, container, deletedAt, deletedBy }
+ *   data.trash.projects[projectId] = { project, container, deletedAt, deletedBy }
+ *
+ * Moving a record to the trash still leaves a tombstone for the live record, so other devices
+ * drop their copy on sync. Taking an entry out of the trash (restore or purge) leaves a
+ * 'trashNotes' / 'trashProjects' tombstone so the entry doesn't come back from another device's trash.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRASH_TOMBSTONES = {
+    notes: 'trashNotes',
+    projects: 'trashProjects'
+};
+
+function createTrash() {
+    return {
+        notes: {},
+        projects: {}
+    };
+}
+
+function _ensureTrash(data) {
+    data.trash = data.trash || createTrash();
+    data.trash.notes = data.trash.notes || {};
+    data.trash.projects = data.trash.projects || {};
+    return data.trash;
+}
+
+/**
+ * Move a note to the trash, in place. Returns the trashed note, or null if it wasn't found.
+ */
+function trashNote(data, container, projectId, noteId) {
+    const project = data[container]?.[projectId];
+    const note = project?.notes.find(n => n.id === noteId);
+    if (!note) return null;
+
+    project.notes = project.notes.filter(n => n.id !== noteId);
+    _ensureTrash(data).notes[noteId] = {
+        note,
+        projectId,
+        projectName: project.name,
+        container,
+        deletedAt: new Date().toISOString(),
+        deletedBy: vscode.env.machineId
+    };
+    recordTombstone(data, 'notes', noteId, {
+        projectId
+    });
+    clearTombstone(data, TRASH_TOMBSTONES.notes, noteId);
+    return note;
+}
+
+/**
+ * Move a project, with its notes, to the trash, in place
+ */
+function trashProject(data, container, projectId) {
+    const project = data[container]?.[projectId];
+    if (!project) return null;
+
+    delete data[container][projectId];
+    _ensureTrash(data).projects[projectId] = {
+        project,
+        container,
+        deletedAt: new Date().toISOString(),
+        deletedBy: vscode.env.machineId
+    };
+    recordTombstone(data, 'projects', projectId);
+    clearTombstone(data, TRASH_TOMBSTONES.projects, projectId);
+    return project;
+}
+
+/**
+ * Take an entry out of the trash for good, in place. Returns the entry, or null.
+ */
+function removeFromTrash(data, kind, id) {
+    const entry = data.trash?.[kind]?.[id];
+    if (!entry) return null;
+
+    delete data.trash[kind][id];
+    recordTombstone(data, TRASH_TOMBSTONES[kind], id);
+    return entry;
+}
+
+/**
+ * Put a trashed note back into a project (its own unless `targetProjectId` is given), in place.
+ * The note counts as edited now, so it wins over the deletion on other devices.
+ */
+function restoreTrashedNote(data, noteId, targetProjectId) {
+    const entry = data.trash?.notes?.[noteId];
+    if (!entry) return null;
+
+    const projectId = targetProjectId || entry.projectId;
+    const container = data.projects?.[projectId] ? 'projects' :
+        data.archivedProjects?.[projectId] ? 'archivedProjects' : null;
+    if (!container) {
+        throw new Error(`The project "${entry.projectName}" no longer exists`);
+    }
+
+    removeFromTrash(data, 'notes', noteId);
+    const note = {
+        ...entry.note,
+        updatedAt: new Date().toISOString()
+    };
+    data[container][projectId].notes.push(note);
+    clearTombstone(data, 'notes', noteId);
+    return note;
+}
+
+/**
+ * Put a trashed project back where it was, in place. If a project with the same ID has
+ * appeared since, the trashed notes are added to it.
+ */
+function restoreTrashedProject(data, projectId) {
+    const entry = data.trash?.projects?.[projectId];
+    if (!entry) return null;
+
+    removeFromTrash(data, 'projects', projectId);
+    const now = new Date().toISOString();
+    const container = data[entry.container] = data[entry.container] || {};
+    const existing = data.projects?.[projectId] || data.archivedProjects?.[projectId];
+
+    if (existing) {
+        const ids = new Set(existing.notes.map(n => n.id));
+        existing.notes.push(...entry.project.notes.filter(n => !ids.has(n.id)));
+        existing.updatedAt = now;
+    } else {
+        container[projectId] = {
+            ...entry.project,
+            updatedAt: now
+        };
+    }
+    clearTombstone(data, 'projects', projectId);
+    return entry.project;
+}
+
+/**
+ * Purge entries older than `quickNotes.trash.retentionDays`, in place (0 keeps them forever).
+ * Returns the number of entries purged.
+ */
+function purgeExpiredTrash(data, now = Date.now()) {
+    const retentionDays = vscode.workspace.getConfiguration('quickNotes.trash').get('retentionDays', 30);
+    if (!data.trash || !retentionDays || retentionDays <= 0) return 0;
+
+    const cutoff = now - retentionDays * DAY_MS;
+    let purged = 0;
+    for (const kind of Object.keys(TRASH_TOMBSTONES)) {
+        for (const [id, entry] of Object.entries(data.trash[kind] || {})) {
+            if (_time(entry.deletedAt) < cutoff) {
+                removeFromTrash(data, kind, id);
+                purged++;
+            }
+        }
+    }
+    return purged;
+}
+
+/**
+ * Union two trashes. When both sides trashed the same record, keep the later deletion.
+ */
+function mergeTrash(local, remote) {
+    const merged = createTrash();
+    for (const kind of Object.keys(merged)) {
+        Object.assign(merged[kind], remote?.[kind] || {});
+        for (const [id, entry] of Object.entries(local?.[kind] || {})) {
+            const existing = merged[kind][id];
+            if (!existing || _time(entry.deletedAt) >= _time(existing.deletedAt)) {
+                merged[kind][id] = entry;
+            }
+        }
+    }
+    return merged;
+}
+
+/**
+ * Drop trash entries taken out of the trash on some device, and entries whose record is live
+ * again (restored, or edited elsewhere after it was deleted), in place
+ */
+function applyTrashTombstones(data) {
+    if (!data.trash) return data;
+
+    const liveProjects = new Set([...Object.keys(data.projects || {}), ...Object.keys(data.archivedProjects || {})]);
+    const liveNotes = new Set();
+    for (const container of [data.projects || {}, data.archivedProjects || {}]) {
+        for (const project of Object.values(container)) {
+            (project.notes || []).forEach(note => liveNotes.add(note.id));
+        }
+    }
+
+    for (const [kind, live] of [
+            ['notes', liveNotes],
+            ['projects', liveProjects]
+        ]) {
+        const stones = data.tombstones?.[TRASH_TOMBSTONES[kind]] || {};
+        for (const [id, entry] of Object.entries(data.trash[kind] || {})) {
+            if (live.has(id) || (stones[id] && _time(stones[id].deletedAt) >= _time(entry.deletedAt))) {
+                delete data.trash[kind][id];
+            }
+        }
+    }
+    return data;
+}
+
+function _time(isoString) {
+    const time = new Date(isoString).getTime();
+    return isNaN(time) ? 0 : time;
+}
+
+module.exports = {
+    TRASH_TOMBSTONES,
+    createTrash,
+    trashNote,
+    trashProject,
+    removeFromTrash,
+    restoreTrashedNote,
+    restoreTrashedProject,
+    purgeExpiredTrash,
+    mergeTrash,
+    applyTrashTombstones
+};
@@ -0,0 +1,38 @@
+const vscode = require('vscode');
+const {
+    isDone
+} = require('../data/noteStatus');
+
+/**
+ * Shows a CodeLens above each line a note is linked to; clicking it opens the note
+ */
+class AnchorCodeLensProvider {
+    constructor(anchorManager) {
+        this.anchorManager = anchorManager;
+        this.onDidChangeCodeLenses = anchorManager.onDidChangeAnchors;
+    }
+
+    provideCodeLenses(document) {
+        if (!vscode.workspace.getConfiguration('quickNotes.anchors').get('codeLens', true)) {
+            return [];
+        }
+
+        return this.anchorManager.getAnchorsForDocument(document).map(({
+            projectId,
+            note,
+            line
+        }) => new vscode.CodeLens(new vscode.Range(line, 0, line, 0), {
+            title: `📝 ${note.title}${isDone(note) ? ' ✓' : ''}`,
+            tooltip: 'Open note',
+            command: 'quickNotes.editNote',
+            arguments: [{
+                projectId,
+                noteId: note.id
+            }]
+        }));
+    }
+}
+
+module.exports = {
+    AnchorCodeLensProvider
+};
@@ -0,0 +1,268 @@
+const vscode = require('vscode');
+
+// How far from its stored line an anchor is looked for when the file changed outside the editor
+const RELOCATE_SEARCH_LINES = 200;
+
+/**
+ * Keeps notes' code links (anchors) in step with the editor:
+ * draws gutter icons on anchored lines, shifts anchors as lines are inserted or removed,
+ * saves the new positions when the file is saved, and follows file renames.
+ *
+ * Anchors are stored on notes as { id, file, line, text } with `file` relative to the project
+ * and `line` 1-based. While a document has unsaved edits, the shifted lines live in memory only.
+ */
+class AnchorManager {
+    constructor(context, dataManager, quickNotesProvider) {
+        this.dataManager = dataManager;
+        this.quickNotesProvider = quickNotesProvider;
+
+        // document URI -> Map(anchorId -> 0-based line): live positions in open documents,
+        // tracked from the moment the document is shown so edits can shift them
+        this._liveLines = new Map();
+
+        this._onDidChangeAnchors = new vscode.EventEmitter();
+        this.onDidChangeAnchors = this._onDidChangeAnchors.event;
+
+        this.decorationType = vscode.window.createTextEditorDecorationType({
+            gutterIconPath: vscode.Uri.joinPath(context.extensionUri, 'resources', 'notes-icon.svg'),
+            gutterIconSize: 'contain',
+            overviewRulerColor: new vscode.ThemeColor('editorInfo.foreground'),
+            overviewRulerLane: vscode.OverviewRulerLane.Right
+        });
+
+        this._disposables = [
+            this.decorationType,
+            this._onDidChangeAnchors,
+            vscode.window.onDidChangeVisibleTextEditors(() => this.updateDecorations()),
+            vscode.workspace.onDidChangeTextDocument(e => this._onDocumentChanged(e)),
+            vscode.workspace.onDidSaveTextDocument(document => this._persistDocument(document)),
+            vscode.workspace.onDidCloseTextDocument(document => this._liveLines.delete(document.uri.toString())),
+            vscode.workspace.onDidRenameFiles(e => this._onFilesRenamed(e)),
+            vscode.workspace.onDidChangeConfiguration(e => {
+                if (e.affectsConfiguration('quickNotes.anchors')) this.refresh();
+            }),
+            // Notes were added, edited or removed
+            quickNotesProvider.onDidChangeTreeData(() => this.refresh())
+        ];
+
+        this.updateDecorations();
+    }
+
+    dispose() {
+        this._disposables.forEach(d => d.dispose());
+    }
+
+    refresh() {
+        this.updateDecorations();
+        this._onDidChangeAnchors.fire();
+    }
+
+    /**
+     * Anchors that point into a document, with their current 0-based line:
+     * [{ projectId, note, anchor, line }]
+     */
+    getAnchorsForDocument(document) {
+        if (document.uri.scheme !== 'file') return [];
+
+        const project = this.quickNotesProvider.findProjectForFile(document.uri.fsPath);
+        if (!project) return [];
+
+        const relPath = this.quickNotesProvider.toProjectRelativePath(project, document.uri.fsPath);
+        const liveLines = this._liveLines.get(document.uri.toString());
+        const results = [];
+
+        for (const note of this.dataManager.getNotesForProject(project.id)) {
+            for (const anchor of note.anchors || []) {
+                if (anchor.file !== relPath) continue;
+
+                const line = liveLines?.has(anchor.id) ?
+                    liveLines.get(anchor.id) :
+                    this._locate(document, anchor);
+                results.push({
+                    projectId: project.id,
+                    note,
+                    anchor,
+                    line
+                });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Current 0-based line of an anchor. If the stored line no longer holds the anchored text
+     * (the file was edited elsewhere), look for the text nearby.
+     */
+    _locate(document, anchor) {
+        const stored = Math.min(Math.max(anchor.line - 1, 0), Math.max(document.lineCount - 1, 0));
+        const text = (anchor.text || '').trim();
+        if (!text || document.lineAt(stored).text.trim() === text) return stored;
+
+        for (let offset = 1; offset <= RELOCATE_SEARCH_LINES; offset++) {
+            for (const candidate of [stored - offset, stored + offset]) {
+                if (candidate >= 0 && candidate < document.lineCount &&
+                    document.lineAt(candidate).text.trim() === text) {
+                    return candidate;
+                }
+            }
+        }
+        return stored;
+    }
+
+    /**
+     * Start following the anchors of a document (and any anchors added to it since)
+     */
+    _track(document) {
+        const key = document.uri.toString();
+        const liveLines = this._liveLines.get(key) || new Map();
+        for (const {
+                anchor,
+                line
+            } of this.getAnchorsForDocument(document)) {
+            if (!liveLines.has(anchor.id)) liveLines.set(anchor.id, line);
+        }
+        if (liveLines.size > 0) {
+            this._liveLines.set(key, liveLines);
+        }
+    }
+
+    updateDecorations() {
+        const enabled = vscode.workspace.getConfiguration('quickNotes.anchors').get('gutterIcons', true);
+
+        for (const editor of vscode.window.visibleTextEditors) {
+            this._track(editor.document);
+
+            if (!enabled) {
+                editor.setDecorations(this.decorationType, []);
+                continue;
+            }
+
+            // One decoration per line, listing every note anchored there
+            const byLine = new Map();
+            for (const {
+                    note,
+                    line
+                } of this.getAnchorsForDocument(editor.document)) {
+                if (!byLine.has(line)) byLine.set(line, []);
+                byLine.get(line).push(note);
+            }
+
+            const decorations = Array.from(byLine.entries()).map(([line, notes]) => {
+                const hover = new vscode.MarkdownString(notes.map(n => `**📝 ${n.title}**`).join('  \n'));
+                return {
+                    range: new vscode.Range(line, 0, line, 0),
+                    hoverMessage: hover
+                };
+            });
+            editor.setDecorations(this.decorationType, decorations);
+        }
+    }
+
+    /**
+     * Shift anchors below an edit by the number of lines it added or removed.
+     * Anchors on deleted lines move to the start of the edit.
+     */
+    _onDocumentChanged(event) {
+        // The event arrives after the edit, so only documents tracked beforehand can be shifted;
+        // anchors in others are found again by their text
+        const lines = this._liveLines.get(event.document.uri.toString());
+        if (!lines || event.contentChanges.length === 0) return;
+
+        // Apply bottom-up so each change's positions are still valid
+        const changes = [...event.contentChanges].sort((a, b) => b.range.start.line - a.range.start.line);
+        let moved = false;
+        for (const change of changes) {
+            const startLine = change.range.start.line;
+            const endLine = change.range.end.line;
+            const addedLines = (change.text.match(/\n/g) || []).length;
+            const delta = addedLines - (endLine - startLine);
+            if (delta === 0) continue;
+
+            for (const [anchorId, line] of lines) {
+                let newLine = line;
+                if (line > endLine || (line === endLine && line > startLine)) {
+                    newLine = line + delta;
+                } else if (line === startLine && change.range.start.character === 0 && change.text.endsWith('\n')) {
+                    // Lines inserted above the anchored line push it down
+                    newLine = line + delta;
+                } else if (line > startLine) {
+                    newLine = startLine;
+                }
+                newLine = Math.max(newLine, 0);
+                if (newLine !== line) {
+                    lines.set(anchorId, newLine);
+                    moved = true;
+                }
+            }
+        }
+
+        if (moved) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Save the shifted positions (and the anchored line's text) once the file is saved
+     */
+    async _persistDocument(document) {
+        const byProject = new Map();
+        for (const {
+                projectId,
+                note,
+                anchor,
+                line
+            } of this.getAnchorsForDocument(document)) {
+            const text = document.lineAt(Math.min(line, document.lineCount - 1)).text;
+            if (line + 1 === anchor.line && text === anchor.text) continue;
+
+            if (!byProject.has(projectId)) byProject.set(projectId, []);
+            byProject.get(projectId).push({
+                noteId: note.id,
+                anchorId: anchor.id,
+                line: line + 1,
+                text
+            });
+        }
+
+        try {
+            for (const [projectId, moves] of byProject) {
+                await this.dataManager.moveAnchors(projectId, moves);
+            }
+            if (byProject.size > 0) {
+                this.quickNotesProvider.refresh();
+            }
+        } catch (err) {
+            console.error('Quick Notes: Failed to save moved code links:', err.message);
+        }
+    }
+
+    async _onFilesRenamed(event) {
+        let changed = 0;
+        try {
+            for (const {
+                    oldUri,
+                    newUri
+                } of event.files) {
+                const project = this.quickNotesProvider.findProjectForFile(oldUri.fsPath);
+                if (!project) continue;
+
+                const oldPath = this.quickNotesProvider.toProjectRelativePath(project, oldUri.fsPath);
+                const newPath = this.quickNotesProvider.toProjectRelativePath(project, newUri.fsPath);
+                if (newPath.startsWith('..')) continue; // moved out of the project
+
+                changed += await this.dataManager.renameFile(project.id, oldPath, newPath);
+            }
+        } catch (err) {
+            console.error('Quick Notes: Failed to follow renamed file:', err.message);
+        }
+
+        if (changed > 0) {
+            this.quickNotesProvider.refresh();
+        }
+    }
+}
+
+module.exports = {
+    AnchorManager
+};
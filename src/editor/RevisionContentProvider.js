@@ -0,0 +1,48 @@
+const vscode = require('vscode');
+const {
+    formatRevision
+} = require('../data/NoteRevisions');
+
+const REVISION_SCHEME = 'quicknotes-revision';
+
+/**
+ * Read-only documents showing a note version as text, so two versions can be opened in a diff editor.
+ * URIs carry the project and note IDs and the revision's savedAt, or "current" for the note as it is now.
+ */
+class RevisionContentProvider {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+    }
+
+    static uriFor(note, projectId, savedAt) {
+        const name = (note.title || 'note').replace(/[\\/:*?"<>|#?]+/g, '-').slice(0, 60);
+        const query = new URLSearchParams({
+            projectId,
+            noteId: note.id,
+            revision: savedAt
+        });
+        return vscode.Uri.from({
+            scheme: REVISION_SCHEME,
+            path: `/${name}.md`,
+            query: query.toString()
+        });
+    }
+
+    provideTextDocumentContent(uri) {
+        const params = new URLSearchParams(uri.query);
+        const noteId = params.get('noteId');
+        const revision = params.get('revision');
+
+        if (revision === 'current') {
+            const note = this.dataManager.getNote(params.get('projectId'), noteId);
+            return note ? formatRevision(note) : '(This note no longer exists)\n';
+        }
+        const saved = this.dataManager.revisions.getRevisions(noteId).find(r => r.savedAt === revision);
+        return saved ? formatRevision(saved.note) : '(This version is no longer kept)\n';
+    }
+}
+
+module.exports = {
+    RevisionContentProvider,
+    REVISION_SCHEME
+};
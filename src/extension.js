@@ -1,7 +1,12 @@
 const vscode = require('vscode');
+const path = require('path');
+const os = require('os');
 const {
     QuickNotesProvider
 } = require('./providers/QuickNotesProvider');
+const {
+    NotesDragAndDropController
+} = require('./providers/NotesDragAndDropController');
 const {
     NotesDataManager
 } = require('./data/NotesDataManager');
@@ -9,14 +14,83 @@ const {
     ProjectTracker
 } = require('./integrations/ProjectTracker');
 const {
-    GitHubSyncManager
-} = require('./sync/GitHubSyncManager');
+    ProjectIdentity
+} = require('./integrations/ProjectIdentity');
+const {
+    SyncManager
+} = require('./sync/SyncManager');
+const {
+    SyncQueue
+} = require('./sync/SyncQueue');
 const {
     SyncPanel
 } = require('./panels/SyncPanel');
 const {
     NoteEditorPanel
 } = require('./panels/NoteEditorPanel');
+const {
+    ConflictPanel
+} = require('./panels/ConflictPanel');
+const {
+    BoardPanel
+} = require('./panels/BoardPanel');
+const {
+    DashboardPanel
+} = require('./panels/DashboardPanel');
+const {
+    ReminderScheduler
+} = require('./reminders/ReminderScheduler');
+const {
+    TodoScanner
+} = require('./integrations/TodoScanner');
+const {
+    AnchorManager
+} = require('./editor/AnchorManager');
+const {
+    AnchorCodeLensProvider
+} = require('./editor/AnchorCodeLensProvider');
+const {
+    RevisionContentProvider,
+    REVISION_SCHEME
+} = require('./editor/RevisionContentProvider');
+const {
+    parseDueDate,
+    describeDueDate
+} = require('./data/dueDates');
+const {
+    parseFilterQuery
+} = require('./data/noteFilter');
+const {
+    TAG_COLORS,
+    normalizeTags
+} = require('./data/tags');
+const {
+    DONE_STATUS,
+    isDone,
+    getOpenStatus,
+    getStatusColumns
+} = require('./data/noteStatus');
+const {
+    FORMATS,
+    getFormatForFile,
+    formatNotes,
+    parseNotes
+} = require('./data/noteFormats');
+const {
+    REVISION_FIELDS
+} = require('./data/NoteRevisions');
+const {
+    GlobalStateStore
+} = require('./storage/GlobalStateStore');
+const {
+    FolderStore
+} = require('./storage/FolderStore');
+
+const FILTER_STORAGE_KEY = 'quickNotes.treeFilter';
+const MAX_SEARCH_RESULTS = 200;
+const TRASH_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+// Shortest passphrase accepted when setting a new one for sync encryption
+const MIN_PASSPHRASE_LENGTH = 8;
 
 /**
  * @param {vscode.ExtensionContext} context
@@ -25,47 +99,45 @@ async function activate(context) {
     console.log('Quick Notes extension is trying to activate...');
 
     try {
-        // Initialize the data manager (uses VS Code sync-compatible globalState)
-        const dataManager = new NotesDataManager(context);
+        // Initialize the data manager (VS Code sync-compatible globalState, or a notes folder)
+        let storageConfigKey = getStorageConfigKey();
+        const dataManager = new NotesDataManager(context, createStore(context));
+        context.subscriptions.push({
+            dispose: () => dataManager.store.dispose()
+        });
+        await migrateNotesStore(dataManager);
 
         // Register keys for VS Code Settings Sync
         context.globalState.setKeysForSync(['quickNotes.data']);
 
-        // Initialize GitHub sync manager
-        const syncManager = new GitHubSyncManager(context);
-        dataManager.setSyncManager(syncManager);
+        // Initialize the sync manager (GitHub, GitLab, Gitea or any git remote; see sync/providers)
+        const syncManager = new SyncManager(context);
+
+        // Saves are synced in the background, debounced and one at a time
+        const syncQueue = new SyncQueue(context, dataManager, syncManager);
+        dataManager.setSyncQueue(syncQueue);
+        context.subscriptions.push(syncQueue);
+
+        // Notes edited on two devices are resolved by the user before sync pushes
+        syncManager.setConflictResolver(conflicts => ConflictPanel.resolve(context.extensionUri, conflicts));
 
         // Create sync status bar item
         const syncStatusBar = vscode.window.createStatusBarItem(
             vscode.StatusBarAlignment.Right, 100
         );
         syncStatusBar.command = 'quickNotes.syncNow';
-        updateSyncStatusBar(syncStatusBar, 'idle');
+        // Last reported sync status; the status bar also shows the changes waiting to sync
+        let syncStatus = 'idle';
+        const showSyncStatus = (status = syncStatus) => {
+            syncStatus = status;
+            updateSyncStatusBar(syncStatusBar, status, syncQueue.pending);
+        };
+        showSyncStatus();
         syncStatusBar.show();
 
         // Listen for sync status changes
-        syncManager.onSyncStatusChanged((status) => {
-            updateSyncStatusBar(syncStatusBar, status);
-        });
-
-        // Pull remote data on activation (merge with local)
-        if (syncManager.isConfigured()) {
-            try {
-                const remoteData = await syncManager.pull();
-                if (remoteData) {
-                    const localData = dataManager.exportData();
-                    const merged = syncManager.mergeData(localData, remoteData);
-                    await dataManager.importData(merged);
-                    updateSyncStatusBar(syncStatusBar, 'synced');
-                    console.log('Quick Notes: Initial sync complete');
-                }
-            } catch (err) {
-                console.error('Quick Notes: Initial sync failed:', err.message);
-                updateSyncStatusBar(syncStatusBar, 'error');
-            }
-        } else {
-            updateSyncStatusBar(syncStatusBar, 'not-configured');
-        }
+        syncManager.onSyncStatusChanged(status => showSyncStatus(status));
+        syncQueue.onDidChangePending(() => showSyncStatus());
 
         // Set up auto-sync interval
         let autoSyncTimer = null;
@@ -82,10 +154,7 @@ async function activate(context) {
             if (syncManager.isConfigured() && intervalMinutes > 0) {
                 autoSyncTimer = setInterval(async () => {
                     try {
-                        const localData = dataManager.exportData();
-                        const merged = await syncManager.sync(localData);
-                        await dataManager.importData(merged);
-                        quickNotesProvider.refresh();
+                        await syncQueue.syncNow();
                     } catch (err) {
                         console.error('Quick Notes: Auto-sync failed:', err.message);
                     }
@@ -96,14 +165,31 @@ async function activate(context) {
         startAutoSync();
 
         // Listen for configuration changes to update auto-sync or initial configuration
+        let configSyncTimer = null;
+        // Set while Set Sync Passphrase turns encryption on and then syncs by itself
+        let passphraseSyncPending = false;
         context.subscriptions.push(vscode.workspace.onDidChangeConfiguration(e => {
             if (e.affectsConfiguration('quickNotes.sync')) {
                 startAutoSync();
-                // If it was just configured, trigger a sync
-                if (syncManager.isConfigured() && !syncStatusBar.text.includes('Synced')) {
-                    vscode.commands.executeCommand('quickNotes.syncNow');
+                // If it was just configured, trigger a sync once the provider, URL and branch are all saved
+                clearTimeout(configSyncTimer);
+                if (!passphraseSyncPending) {
+                    configSyncTimer = setTimeout(() => {
+                        if (syncManager.isConfigured() && syncStatus !== 'synced') {
+                            vscode.commands.executeCommand('quickNotes.syncNow');
+                        }
+                    }, 1000);
                 }
             }
+            if (e.affectsConfiguration('quickNotes.groupBy') || e.affectsConfiguration('quickNotes.tagColors')) {
+                quickNotesProvider.refresh();
+            }
+            if (e.affectsConfiguration('quickNotes.storage') && getStorageConfigKey() !== storageConfigKey) {
+                storageConfigKey = getStorageConfigKey();
+                switchStore(createStore(context), true).catch(err => {
+                    vscode.window.showErrorMessage(`Failed to switch where notes are stored: ${err.message}`);
+                });
+            }
         }));
 
         // Sync when the window gains focus — ensures data is fresh when switching devices
@@ -111,10 +197,7 @@ async function activate(context) {
             if (state.focused && syncManager.isConfigured()) {
                 console.log('Quick Notes: Window focused, checking for updates...');
                 try {
-                    const localData = dataManager.exportData();
-                    const merged = await syncManager.sync(localData);
-                    await dataManager.importData(merged);
-                    quickNotesProvider.refresh();
+                    await syncQueue.syncNow();
                 } catch (err) {
                     console.error('Quick Notes: Focus-triggered sync failed:', err.message);
                 }
@@ -124,13 +207,107 @@ async function activate(context) {
         // Initialize project tracker integration
         const projectTracker = new ProjectTracker();
 
+        // Resolves portable project IDs (marker file / git remote) shared across devices
+        const projectIdentity = new ProjectIdentity();
+
         // Initialize the tree view provider
-        const quickNotesProvider = new QuickNotesProvider(dataManager, projectTracker);
+        const quickNotesProvider = new QuickNotesProvider(dataManager, projectTracker, projectIdentity);
+
+        // Background syncs may bring in notes from other devices
+        context.subscriptions.push(syncQueue.onDidSync(() => quickNotesProvider.refresh()));
 
         // Register the tree view
         const treeView = vscode.window.createTreeView('quickNotesView', {
             treeDataProvider: quickNotesProvider,
-            showCollapseAll: true
+            showCollapseAll: true,
+            canSelectMany: true,
+            dragAndDropController: new NotesDragAndDropController(dataManager, quickNotesProvider)
+        });
+
+        // Notes files edited outside VS Code
+        context.subscriptions.push(dataManager.onDidChangeData(async () => {
+            await quickNotesProvider.refreshProjects();
+            quickNotesProvider.refresh();
+        }));
+
+        /**
+         * Start using another store. When it is an empty folder, offer to copy the current notes in.
+         */
+        async function switchStore(store, offerCopy) {
+            const previous = dataManager.store;
+            if (offerCopy && store instanceof FolderStore && !store.hasData()) {
+                const choice = await vscode.window.showInformationMessage(
+                    `The notes folder ${store.label} is empty. Copy your current notes into it?`,
+                    'Copy Notes',
+                    'Start Empty'
+                );
+                if (choice === 'Copy Notes') {
+                    await dataManager.copyDataTo(store);
+                }
+            }
+
+            await dataManager.setStore(store);
+            previous.dispose();
+            await migrateNotesStore(dataManager);
+            await quickNotesProvider.refreshProjects();
+            quickNotesProvider.refresh();
+        }
+
+        // Persistent tree filter, shown as a message above the tree until cleared
+        const applyTreeFilter = (query) => {
+            quickNotesProvider.setFilter(query);
+            const active = quickNotesProvider.getFilterQuery();
+            treeView.message = active ? `Filtered by: ${active}` : undefined;
+            vscode.commands.executeCommand('setContext', 'quickNotes.filterActive', !!active);
+            context.globalState.update(FILTER_STORAGE_KEY, active);
+        };
+        applyTreeFilter(context.globalState.get(FILTER_STORAGE_KEY, ''));
+
+        // Notify when note reminders come due
+        const reminderScheduler = new ReminderScheduler(context, dataManager, quickNotesProvider);
+        reminderScheduler.start();
+
+        // Imports TODO/FIXME comments from project sources as notes
+        const todoScanner = new TodoScanner(dataManager);
+
+        // Optionally rescan a file's TODO comments whenever it is saved
+        const saveListener = vscode.workspace.onDidSaveTextDocument(async (document) => {
+            const config = vscode.workspace.getConfiguration('quickNotes.todoScan');
+            if (!config.get('scanOnSave', false) || document.uri.scheme !== 'file') return;
+
+            const project = quickNotesProvider.findProjectForFile(document.uri.fsPath);
+            if (!project) return;
+
+            try {
+                const result = await todoScanner.scanSingleFile(project.id, project.path, document.uri.fsPath);
+                if (result.added > 0 || result.updated > 0) {
+                    quickNotesProvider.refresh();
+                }
+                await offerToCompleteRemovedTodos(dataManager, quickNotesProvider, project.id, result.removed);
+            } catch (err) {
+                console.error('Quick Notes: TODO rescan failed:', err.message);
+            }
+        });
+
+        // Gutter icons and CodeLens for notes linked to code lines
+        const anchorManager = new AnchorManager(context, dataManager, quickNotesProvider);
+        const codeLensRegistration = vscode.languages.registerCodeLensProvider({
+            scheme: 'file'
+        }, new AnchorCodeLensProvider(anchorManager));
+
+        // Ticking a checklist item in the tree
+        const checkboxListener = treeView.onDidChangeCheckboxState(async (e) => {
+            try {
+                for (const [item, state] of e.items) {
+                    if (item.type !== 'subtask') continue;
+                    await dataManager.updateSubtask(item.projectId, item.noteId, item.subtaskId, {
+                        done: state === vscode.TreeItemCheckboxState.Checked
+                    });
+                }
+                quickNotesProvider.refresh();
+            } catch (err) {
+                vscode.window.showErrorMessage(`Failed to update checklist: ${err.message}`);
+            }
         });
 
         // Register commands
@@ -153,7 +330,7 @@ async function activate(context) {
                     if (folder && folder[0]) {
                         const path = folder[0].fsPath;
                         const name = path.split(/[\\/]/).pop();
-                        const id = Buffer.from(path).toString('base64').replace(/[/+=]/g, '_');
+                        const id = quickNotesProvider.generateProjectId(path);
 
                         await dataManager.ensureProject(id, {
                             name,
@@ -182,42 +359,123 @@ async function activate(context) {
                 );
             }),
 
-            vscode.commands.registerCommand('quickNotes.deleteNote', async (item) => {
-                if (!item?.noteId) return;
+            vscode.commands.registerCommand('quickNotes.deleteNote', async (item, items) => {
+                const notes = selectedNotes(item, items);
+                if (notes.length === 0) return;
 
-                const confirm = await vscode.window.showWarningMessage(
-                    'Are you sure you want to delete this note?',
-                    'Yes', 'No'
+                // Deleted notes go to the trash, so no confirmation is needed
+                try {
+                    const count = await dataManager.deleteNotes(notes);
+                    quickNotesProvider.refresh();
+                    showUndoableMessage(dataManager, quickNotesProvider,
+                        count === 1 ? 'Note moved to the trash.' : `${count} notes moved to the trash.`);
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to delete note: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.toggleComplete', async (item, items) => {
+                const notes = selectedNotes(item, items);
+                if (notes.length === 0) return;
+
+                try {
+                    // Complete them all, unless they all are already; reopened notes go back to the first column
+                    const allDone = notes.every(({
+                        projectId,
+                        noteId
+                    }) => isDone(dataManager.getNote(projectId, noteId)));
+
+                    await dataManager.updateNotes(notes, {
+                        status: allDone ? getOpenStatus() : DONE_STATUS
+                    });
+                    quickNotesProvider.refresh();
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to toggle completion: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.setStatus', async (item, items) => {
+                const notes = selectedNotes(item, items);
+                if (notes.length === 0) return;
+
+                const current = notes.length === 1 ? dataManager.getNote(notes[0].projectId, notes[0].noteId)?.status : null;
+                const status = await vscode.window.showQuickPick(
+                    getStatusColumns().map(column => ({
+                        label: column.label,
+                        description: column.id === current ? 'Current' : '',
+                        value: column.id
+                    })), {
+                        placeHolder: notes.length === 1 ? 'Select status' : `Select status for ${notes.length} notes`
+                    }
                 );
 
-                if (confirm === 'Yes') {
+                if (status) {
                     try {
-                        await dataManager.deleteNote(item.projectId, item.noteId);
+                        await dataManager.updateNotes(notes, {
+                            status: status.value
+                        });
                         quickNotesProvider.refresh();
                     } catch (err) {
-                        vscode.window.showErrorMessage(`Failed to delete note: ${err.message}`);
+                        vscode.window.showErrorMessage(`Failed to set status: ${err.message}`);
                     }
                 }
             }),
 
-            vscode.commands.registerCommand('quickNotes.toggleComplete', async (item) => {
+            vscode.commands.registerCommand('quickNotes.openBoard', async (item) => {
+                const projectId = item?.projectId || await selectProject(quickNotesProvider, 'Select a project to show as a board');
+                if (!projectId) return;
+                BoardPanel.createOrShow(context.extensionUri, dataManager, quickNotesProvider, projectId);
+            }),
+
+            vscode.commands.registerCommand('quickNotes.openDashboard', () => {
+                DashboardPanel.createOrShow(context.extensionUri, dataManager, quickNotesProvider);
+            }),
+
+            vscode.commands.registerCommand('quickNotes.revealNote', async (item) => {
                 if (!item?.noteId) return;
 
-                try {
-                    const currentNote = dataManager.getNote(item.projectId, item.noteId);
-                    if (!currentNote) return;
+                const archived = dataManager.getArchivedProjects()[item.projectId];
+                if (archived) {
+                    vscode.window.showInformationMessage(`The note is in the archived project "${archived.name}".`);
+                    return;
+                }
+                if (quickNotesProvider.getProjects().find(p => p.id === item.projectId)?.isStale) {
+                    vscode.window.showWarningMessage('The project folder was not found on this device.');
+                    return;
+                }
 
-                    await dataManager.updateNote(item.projectId, item.noteId, {
-                        completed: !currentNote.completed
+                let treeItem = quickNotesProvider.getNoteItem(item.projectId, item.noteId);
+                const exists = !!dataManager.getNote(item.projectId, item.noteId);
+                if (!treeItem && exists && quickNotesProvider.getFilterQuery()) {
+                    const choice = await vscode.window.showInformationMessage(
+                        'The note is hidden by the current filter.',
+                        'Clear Filter'
+                    );
+                    if (choice !== 'Clear Filter') return;
+                    applyTreeFilter('');
+                    treeItem = quickNotesProvider.getNoteItem(item.projectId, item.noteId);
+                }
+                if (!treeItem) {
+                    if (exists) {
+                        vscode.window.showInformationMessage('Completed notes are hidden in the tree (quickNotes.showCompletedNotes).');
+                    }
+                    return;
+                }
+
+                try {
+                    await treeView.reveal(treeItem, {
+                        select: true,
+                        focus: true,
+                        expand: false
                     });
-                    quickNotesProvider.refresh();
                 } catch (err) {
-                    vscode.window.showErrorMessage(`Failed to toggle completion: ${err.message}`);
+                    vscode.window.showErrorMessage(`Failed to reveal note: ${err.message}`);
                 }
             }),
 
-            vscode.commands.registerCommand('quickNotes.setPriority', async (item) => {
-                if (!item?.noteId) return;
+            vscode.commands.registerCommand('quickNotes.setPriority', async (item, items) => {
+                const notes = selectedNotes(item, items);
+                if (notes.length === 0) return;
 
                 const priority = await vscode.window.showQuickPick(
                     [{
@@ -233,13 +491,13 @@ async function activate(context) {
                             value: 'low'
                         }
                     ], {
-                        placeHolder: 'Select priority'
+                        placeHolder: notes.length === 1 ? 'Select priority' : `Select priority for ${notes.length} notes`
                     }
                 );
 
                 if (priority) {
                     try {
-                        await dataManager.updateNote(item.projectId, item.noteId, {
+                        await dataManager.updateNotes(notes, {
                             priority: priority.value
                         });
                         quickNotesProvider.refresh();
@@ -249,174 +507,830 @@ async function activate(context) {
                 }
             }),
 
-            vscode.commands.registerCommand('quickNotes.refresh', async () => {
+            vscode.commands.registerCommand('quickNotes.moveNote', async (item, items) => {
+                const notes = selectedNotes(item, items);
+                if (notes.length === 0) return;
+
+                const target = await selectTargetProject(dataManager, quickNotesProvider,
+                    notes.length === 1 ? 'Select a project to move the note to' : `Select a project to move ${notes.length} notes to`);
+                if (!target) return;
+
                 try {
-                    await quickNotesProvider.refreshProjects();
+                    const count = await dataManager.moveNotes(notes, target.projectId);
+                    if (count === 0) return;
                     quickNotesProvider.refresh();
-                    vscode.window.showInformationMessage('Projects refreshed!');
+                    showUndoableMessage(dataManager, quickNotesProvider,
+                        `${count === 1 ? 'Note' : `${count} notes`} moved to "${target.name}".`);
                 } catch (err) {
-                    vscode.window.showErrorMessage(`Failed to refresh projects: ${err.message}`);
+                    vscode.window.showErrorMessage(`Failed to move notes: ${err.message}`);
                 }
             }),
 
-            vscode.commands.registerCommand('quickNotes.removeStaleProject', async (item) => {
-                if (!item?.projectId) return;
+            vscode.commands.registerCommand('quickNotes.copyNote', async (item, items) => {
+                const notes = selectedNotes(item, items);
+                if (notes.length === 0) return;
 
-                const confirm = await vscode.window.showWarningMessage(
-                    'Remove this stale project and all its notes?',
-                    'Yes', 'No'
-                );
+                const target = await selectTargetProject(dataManager, quickNotesProvider,
+                    notes.length === 1 ? 'Select a project to copy the note to' : `Select a project to copy ${notes.length} notes to`);
+                if (!target) return;
 
-                if (confirm === 'Yes') {
-                    try {
-                        await dataManager.removeProject(item.projectId);
-                        quickNotesProvider.refresh();
-                    } catch (err) {
-                        vscode.window.showErrorMessage(`Failed to remove project: ${err.message}`);
-                    }
+                try {
+                    const copies = await dataManager.copyNotes(notes, target.projectId);
+                    quickNotesProvider.refresh();
+                    showUndoableMessage(dataManager, quickNotesProvider,
+                        `${copies.length === 1 ? 'Note' : `${copies.length} notes`} copied to "${target.name}".`);
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to copy notes: ${err.message}`);
                 }
             }),
 
-            vscode.commands.registerCommand('quickNotes.archiveProject', async (item) => {
-                if (!item?.projectId) return;
+            vscode.commands.registerCommand('quickNotes.editTags', async (item, items) => {
+                const notes = selectedNotes(item, items).filter(({
+                    projectId,
+                    noteId
+                }) => dataManager.getNote(projectId, noteId));
+                if (notes.length === 0) return;
+
+                // With several notes, start from the tags they share and only add or remove what changes
+                const noteTags = notes.map(({
+                    projectId,
+                    noteId
+                }) => dataManager.getNote(projectId, noteId).tags || []);
+                const shared = noteTags[0].filter(tag => noteTags.every(tags => tags.includes(tag)));
+                const tags = await pickTags(dataManager, shared);
+                if (!tags) return;
+
+                const added = tags.filter(tag => !shared.includes(tag));
+                const removed = shared.filter(tag => !tags.includes(tag));
 
                 try {
-                    await dataManager.archiveProject(item.projectId);
+                    await dataManager.updateNotes(notes, note => ({
+                        tags: normalizeTags([...(note.tags || []).filter(tag => !removed.includes(tag)), ...added])
+                    }));
                     quickNotesProvider.refresh();
-                    vscode.window.showInformationMessage('Project archived. Notes preserved.');
                 } catch (err) {
-                    vscode.window.showErrorMessage(`Failed to archive project: ${err.message}`);
+                    vscode.window.showErrorMessage(`Failed to update tags: ${err.message}`);
                 }
             }),
 
-            vscode.commands.registerCommand('quickNotes.updateProjectPath', async (item) => {
-                if (!item?.projectId) return;
+            vscode.commands.registerCommand('quickNotes.setTagColor', async (item) => {
+                let tag = item?.tag;
+                if (!tag) {
+                    const tags = dataManager.getAllTags();
+                    if (tags.length === 0) {
+                        vscode.window.showInformationMessage('No tags yet. Add tags to notes first.');
+                        return;
+                    }
+                    const picked = await vscode.window.showQuickPick(
+                        tags.map(t => ({
+                            label: `#${t.tag}`,
+                            description: `${t.count} note${t.count !== 1 ? 's' : ''}`,
+                            tag: t.tag
+                        })), {
+                            placeHolder: 'Select a tag'
+                        }
+                    );
+                    tag = picked?.tag;
+                }
+                if (!tag) return;
 
-                const newPath = await vscode.window.showOpenDialog({
-                    canSelectFiles: false,
-                    canSelectFolders: true,
-                    canSelectMany: false,
-                    openLabel: 'Select New Location'
+                const color = await vscode.window.showQuickPick([
+                    ...TAG_COLORS.map(c => ({
+                        label: c.label,
+                        id: c.id
+                    })),
+                    {
+                        label: 'No Color',
+                        id: null
+                    }
+                ], {
+                    placeHolder: `Color for #${tag}`
                 });
+                if (!color) return;
 
-                if (newPath && newPath[0]) {
-                    try {
-                        await dataManager.updateProjectPath(item.projectId, newPath[0].fsPath);
-                        quickNotesProvider.refresh();
-                    } catch (err) {
-                        vscode.window.showErrorMessage(`Failed to update path: ${err.message}`);
-                    }
+                const config = vscode.workspace.getConfiguration('quickNotes');
+                const colors = {
+                    ...config.get('tagColors', {})
+                };
+                if (color.id) {
+                    colors[tag] = color.id;
+                } else {
+                    delete colors[tag];
                 }
+                await config.update('tagColors', colors, vscode.ConfigurationTarget.Global);
             }),
 
-            vscode.commands.registerCommand('quickNotes.openProject', async (item) => {
-                if (!item?.path) return;
+            vscode.commands.registerCommand('quickNotes.groupByTag', () =>
+                vscode.workspace.getConfiguration('quickNotes').update('groupBy', 'tag', vscode.ConfigurationTarget.Global)),
+
+            vscode.commands.registerCommand('quickNotes.groupByProject', () =>
+                vscode.workspace.getConfiguration('quickNotes').update('groupBy', 'project', vscode.ConfigurationTarget.Global)),
+
+            vscode.commands.registerCommand('quickNotes.setDueDate', async (item) => {
+                if (!item?.noteId) return;
+
+                const note = dataManager.getNote(item.projectId, item.noteId);
+                if (!note) return;
+
+                const input = await vscode.window.showInputBox({
+                    prompt: 'Due date, e.g. "tomorrow", "fri", "+3d", "next mon 3pm", "2026-03-01". Leave empty to clear.',
+                    value: note.dueDate || '',
+                    validateInput: value => {
+                        if (!value.trim()) return null;
+                        const due = parseDueDate(value);
+                        if (!due) return 'Could not understand that date';
+                        return {
+                            message: `Due ${describeDueDate(due.date)} (${due.date}${due.time ? ' ' + due.time : ''})`,
+                            severity: vscode.InputBoxValidationSeverity.Info
+                        };
+                    }
+                });
+                if (input === undefined) return;
 
                 try {
-                    const uri = vscode.Uri.file(item.path);
-                    await vscode.commands.executeCommand('vscode.openFolder', uri, {
-                        forceNewWindow: false
-                    });
+                    await dataManager.setDueDate(item.projectId, item.noteId, input.trim() ? parseDueDate(input) : null);
+                    quickNotesProvider.refresh();
                 } catch (err) {
-                    vscode.window.showErrorMessage(`Failed to open project: ${err.message}`);
+                    vscode.window.showErrorMessage(`Failed to set due date: ${err.message}`);
                 }
             }),
 
-            vscode.commands.registerCommand('quickNotes.viewArchived', async () => {
+            vscode.commands.registerCommand('quickNotes.addSubtask', async (item) => {
+                if (!item?.noteId) return;
+
+                const text = await vscode.window.showInputBox({
+                    prompt: 'New checklist item',
+                    placeHolder: 'What needs to be done?'
+                });
+                if (!text || !text.trim()) return;
+
                 try {
-                    const archived = dataManager.getArchivedProjects();
+                    await dataManager.addSubtask(item.projectId, item.noteId, text);
+                    quickNotesProvider.refresh();
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to add checklist item: ${err.message}`);
+                }
+            }),
 
-                    if (Object.keys(archived).length === 0) {
-                        vscode.window.showInformationMessage('No archived projects');
-                        return;
-                    }
+            vscode.commands.registerCommand('quickNotes.editSubtask', async (item) => {
+                if (!item?.subtaskId) return;
 
-                    const items = Object.entries(archived).map(([id, project]) => ({
-                        label: project.name,
-                        description: `${project.notes?.length || 0} notes`,
-                        projectId: id
-                    }));
+                const text = await vscode.window.showInputBox({
+                    prompt: 'Edit checklist item',
+                    value: item.label
+                });
+                if (!text || !text.trim()) return;
 
-                    const selected = await vscode.window.showQuickPick(items, {
-                        placeHolder: 'Select a project to restore or view'
+                try {
+                    await dataManager.updateSubtask(item.projectId, item.noteId, item.subtaskId, {
+                        text
                     });
+                    quickNotesProvider.refresh();
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to edit checklist item: ${err.message}`);
+                }
+            }),
 
-                    if (selected) {
-                        const action = await vscode.window.showQuickPick(
-                            ['Restore Project', 'View Notes', 'Delete Permanently'], {
-                                placeHolder: 'What would you like to do?'
-                            }
-                        );
+            vscode.commands.registerCommand('quickNotes.deleteSubtask', async (item) => {
+                if (!item?.subtaskId) return;
 
-                        if (action === 'Restore Project') {
-                            await dataManager.restoreProject(selected.projectId);
-                            quickNotesProvider.refresh();
-                        } else if (action === 'View Notes') {
-                            const project = archived[selected.projectId];
-                            const notesList = project.notes?.map(n => `• ${n.title || n.tag || n.content}`).join('\n') || 'No notes';
-                            vscode.window.showInformationMessage(notesList, {
-                                modal: true
-                            });
-                        } else if (action === 'Delete Permanently') {
-                            await dataManager.deleteArchivedProject(selected.projectId);
-                            vscode.window.showInformationMessage('Project permanently deleted');
-                        }
-                    }
+                try {
+                    await dataManager.deleteSubtask(item.projectId, item.noteId, item.subtaskId);
+                    quickNotesProvider.refresh();
                 } catch (err) {
-                    vscode.window.showErrorMessage(`Failed to view archived: ${err.message}`);
+                    vscode.window.showErrorMessage(`Failed to delete checklist item: ${err.message}`);
                 }
             }),
 
-            vscode.commands.registerCommand('quickNotes.configureSync', () => {
-                SyncPanel.createOrShow(context.extensionUri);
-            }),
+            vscode.commands.registerCommand('quickNotes.addNoteHere', async () => {
+                const editor = vscode.window.activeTextEditor;
+                if (!editor || editor.document.uri.scheme !== 'file') return;
 
-            vscode.commands.registerCommand('quickNotes.syncNow', async () => {
-                if (!syncManager.isConfigured()) {
-                    const action = await vscode.window.showWarningMessage(
-                        'GitHub sync is not configured. Setup your repo URL and token in the sync panel.',
-                        'Configure Sync',
-                        'Open Settings'
-                    );
-                    if (action === 'Configure Sync') {
-                        vscode.commands.executeCommand('quickNotes.configureSync');
-                    } else if (action === 'Open Settings') {
-                        vscode.commands.executeCommand(
-                            'workbench.action.openSettings',
-                            'quickNotes.sync'
-                        );
-                    }
+                const project = quickNotesProvider.findProjectForFile(editor.document.uri.fsPath);
+                if (!project) {
+                    vscode.window.showWarningMessage('This file is not inside a Quick Notes project.');
                     return;
                 }
 
+                const line = editor.selection.active.line;
+                const anchor = {
+                    file: quickNotesProvider.toProjectRelativePath(project, editor.document.uri.fsPath),
+                    line: line + 1,
+                    text: editor.document.lineAt(line).text
+                };
+
+                const items = [{
+                        label: '$(add) New note...',
+                        isNew: true
+                    },
+                    ...dataManager.getNotesForProject(project.id)
+                    .filter(note => !isDone(note))
+                    .map(note => ({
+                        label: note.title,
+                        description: note.anchors?.length ? `${note.anchors.length} linked` : '',
+                        noteId: note.id
+                    }))
+                ];
+
+                const choice = await vscode.window.showQuickPick(items, {
+                    placeHolder: `Link ${path.posix.basename(anchor.file)}:${anchor.line} to a note`
+                });
+                if (!choice) return;
+
                 try {
-                    updateSyncStatusBar(syncStatusBar, 'syncing');
-                    const localData = dataManager.exportData();
-                    const merged = await syncManager.sync(localData);
-                    await dataManager.importData(merged);
+                    if (choice.isNew) {
+                        const title = await vscode.window.showInputBox({
+                            prompt: 'Note title',
+                            value: anchor.text.trim().slice(0, 80)
+                        });
+                        if (!title || !title.trim()) return;
+
+                        await dataManager.addNote(project.id, {
+                            title: title.trim(),
+                            anchors: [anchor]
+                        });
+                    } else {
+                        await dataManager.addAnchor(project.id, choice.noteId, anchor);
+                    }
                     quickNotesProvider.refresh();
-                    updateSyncStatusBar(syncStatusBar, 'synced');
-                    vscode.window.showInformationMessage('Quick Notes synced successfully!');
                 } catch (err) {
-                    updateSyncStatusBar(syncStatusBar, 'error');
-                    vscode.window.showErrorMessage(`Sync failed: ${err.message}`);
+                    vscode.window.showErrorMessage(`Failed to link note: ${err.message}`);
                 }
-            })
-        ];
+            }),
 
-        context.subscriptions.push(treeView, syncStatusBar, ...commands);
+            vscode.commands.registerCommand('quickNotes.goToAnchor', async (item) => {
+                if (!item?.anchorId) return;
 
-        // Clean up auto-sync timer on deactivation
-        context.subscriptions.push({
-            dispose: () => {
-                if (autoSyncTimer) {
-                    clearInterval(autoSyncTimer);
+                const project = quickNotesProvider.getProjects().find(p => p.id === item.projectId);
+                const anchor = dataManager.getNote(item.projectId, item.noteId)?.anchors?.find(a => a.id === item.anchorId);
+                if (!project || !anchor) return;
+                if (project.isStale) {
+                    vscode.window.showWarningMessage('The project folder was not found on this device.');
+                    return;
                 }
-            }
+
+                try {
+                    const document = await vscode.workspace.openTextDocument(
+                        vscode.Uri.file(path.join(project.path, ...anchor.file.split('/')))
+                    );
+                    // Prefer the live position, which follows unsaved edits
+                    const current = anchorManager.getAnchorsForDocument(document).find(a => a.anchor.id === anchor.id);
+                    const line = current ? current.line : anchor.line - 1;
+                    const position = new vscode.Position(line, 0);
+
+                    await vscode.window.showTextDocument(document, {
+                        selection: new vscode.Range(position, position)
+                    });
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to open ${anchor.file}: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.removeAnchor', async (item) => {
+                if (!item?.anchorId) return;
+
+                try {
+                    await dataManager.removeAnchor(item.projectId, item.noteId, item.anchorId);
+                    quickNotesProvider.refresh();
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to remove code link: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.scanTodos', async (item) => {
+                const projectId = item?.projectId || await selectProject(quickNotesProvider);
+                if (!projectId) return;
+
+                const project = quickNotesProvider.getProjects().find(p => p.id === projectId);
+                if (!project || project.isStale) {
+                    vscode.window.showWarningMessage('The project folder was not found on this device.');
+                    return;
+                }
+
+                try {
+                    const result = await vscode.window.withProgress({
+                        location: vscode.ProgressLocation.Notification,
+                        title: `Scanning ${project.name} for TODO comments...`
+                    }, () => todoScanner.scanProject(project.id, project.path));
+
+                    quickNotesProvider.refresh();
+                    vscode.window.showInformationMessage(
+                        `TODO scan: ${result.added} added, ${result.updated} updated` +
+                        (result.truncated ? ' (file limit reached, see quickNotes.todoScan.maxFiles)' : '')
+                    );
+                    await offerToCompleteRemovedTodos(dataManager, quickNotesProvider, project.id, result.removed);
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to scan for TODOs: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.search', () => searchNotes(dataManager, applyTreeFilter)),
+
+            vscode.commands.registerCommand('quickNotes.setFilter', async () => {
+                const query = await vscode.window.showInputBox({
+                    prompt: 'Filter the notes tree: text, priority:high, is:done, is:open, is:overdue, project:name, tag:name',
+                    placeHolder: 'e.g. login is:open priority:high',
+                    value: quickNotesProvider.getFilterQuery(),
+                    validateInput: value => parseFilterQuery(value).errors[0] || null
+                });
+                if (query === undefined) return;
+                applyTreeFilter(query);
+            }),
+
+            vscode.commands.registerCommand('quickNotes.clearFilter', () => applyTreeFilter('')),
+
+            vscode.commands.registerCommand('quickNotes.export', async (item, items) => {
+                try {
+                    await exportNotes(dataManager, item, items);
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to export notes: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.import', async (item) => {
+                try {
+                    await importNotes(dataManager, quickNotesProvider, item?.projectId);
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to import notes: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.undo', async () => {
+                try {
+                    const label = await dataManager.undo();
+                    if (!label) {
+                        vscode.window.showInformationMessage('Nothing to undo.');
+                        return;
+                    }
+                    quickNotesProvider.refresh();
+                    vscode.window.setStatusBarMessage(`Quick Notes: Undid "${label}"`, 4000);
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to undo: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.redo', async () => {
+                try {
+                    const label = await dataManager.redo();
+                    if (!label) {
+                        vscode.window.showInformationMessage('Nothing to redo.');
+                        return;
+                    }
+                    quickNotesProvider.refresh();
+                    vscode.window.setStatusBarMessage(`Quick Notes: Redid "${label}"`, 4000);
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to redo: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.showNoteHistory', async (item) => {
+                if (!item?.noteId) return;
+                try {
+                    await showNoteHistory(dataManager, quickNotesProvider, item.projectId, item.noteId);
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to show note history: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.moveStorage', async () => {
+                const usingFolder = dataManager.store instanceof FolderStore;
+                const choice = await vscode.window.showQuickPick([{
+                        label: '$(folder) Store Notes in a Folder...',
+                        description: 'One JSON file per project',
+                        target: 'folder'
+                    },
+                    ...(usingFolder ? [{
+                        label: '$(vm) Store Notes in VS Code',
+                        description: 'Settings Sync compatible (default)',
+                        target: 'globalState'
+                    }] : [])
+                ], {
+                    placeHolder: `Notes are stored in ${dataManager.store.label}`
+                });
+                if (!choice) return;
+
+                const config = vscode.workspace.getConfiguration('quickNotes.storage');
+                try {
+                    if (choice.target === 'folder') {
+                        const picked = await vscode.window.showOpenDialog({
+                            canSelectFiles: false,
+                            canSelectFolders: true,
+                            canSelectMany: false,
+                            openLabel: 'Store Notes Here'
+                        });
+                        if (!picked?.[0]) return;
+
+                        const target = new FolderStore(picked[0].fsPath);
+                        if (target.hasData()) {
+                            const action = await vscode.window.showWarningMessage(
+                                'This folder already contains notes.', {
+                                    modal: true
+                                },
+                                'Use Notes in Folder',
+                                'Replace with Current Notes'
+                            );
+                            if (!action) return;
+                            if (action === 'Replace with Current Notes') {
+                                await dataManager.copyDataTo(target);
+                            }
+                        } else {
+                            await dataManager.copyDataTo(target);
+                        }
+                        target.dispose();
+
+                        await config.update('folder', picked[0].fsPath, vscode.ConfigurationTarget.Global);
+                        await config.update('location', 'folder', vscode.ConfigurationTarget.Global);
+                        vscode.window.showInformationMessage(
+                            `Notes are now stored in ${picked[0].fsPath}. The copy in VS Code storage is kept as a backup.`
+                        );
+                    } else {
+                        const confirm = await vscode.window.showWarningMessage(
+                            'Copy the notes from the folder into VS Code storage? This replaces the notes kept there.', {
+                                modal: true
+                            },
+                            'Copy and Switch'
+                        );
+                        if (!confirm) return;
+
+                        // Only written to here; switching to it (on the settings change) opens its own
+                        const target = new GlobalStateStore(context);
+                        await dataManager.copyDataTo(target);
+                        target.dispose();
+
+                        await config.update('location', 'globalState', vscode.ConfigurationTarget.Global);
+                        vscode.window.showInformationMessage('Notes are now stored in VS Code. The notes folder was left in place.');
+                    }
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to move notes: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.refresh', async () => {
+                try {
+                    await quickNotesProvider.refreshProjects();
+                    quickNotesProvider.refresh();
+                    vscode.window.showInformationMessage('Projects refreshed!');
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to refresh projects: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.removeStaleProject', async (item) => {
+                if (!item?.projectId) return;
+
+                const confirm = await vscode.window.showWarningMessage(
+                    'Move this stale project and all its notes to the trash?',
+                    'Yes', 'No'
+                );
+
+                if (confirm === 'Yes') {
+                    try {
+                        await dataManager.removeProject(item.projectId);
+                        quickNotesProvider.refresh();
+                        showUndoableMessage(dataManager, quickNotesProvider, 'Project moved to the trash.');
+                    } catch (err) {
+                        vscode.window.showErrorMessage(`Failed to remove project: ${err.message}`);
+                    }
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.archiveProject', async (item, items) => {
+                const projectIds = selectedItems(item, items, ['project', 'staleProject']).map(i => i.projectId);
+                if (projectIds.length === 0) return;
+
+                try {
+                    const count = await dataManager.archiveProjects(projectIds);
+                    quickNotesProvider.refresh();
+                    showUndoableMessage(dataManager, quickNotesProvider,
+                        count === 1 ? 'Project archived. Notes preserved.' : `${count} projects archived. Notes preserved.`);
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to archive project: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.updateProjectPath', async (item) => {
+                if (!item?.projectId) return;
+
+                const newPath = await vscode.window.showOpenDialog({
+                    canSelectFiles: false,
+                    canSelectFolders: true,
+                    canSelectMany: false,
+                    openLabel: 'Select New Location'
+                });
+
+                if (newPath && newPath[0]) {
+                    try {
+                        await dataManager.updateProjectPath(item.projectId, newPath[0].fsPath);
+                        quickNotesProvider.refresh();
+                    } catch (err) {
+                        vscode.window.showErrorMessage(`Failed to update path: ${err.message}`);
+                    }
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.openProject', async (item) => {
+                if (!item?.path) return;
+
+                try {
+                    const uri = vscode.Uri.file(item.path);
+                    await vscode.commands.executeCommand('vscode.openFolder', uri, {
+                        forceNewWindow: false
+                    });
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to open project: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.setProjectKey', async (item) => {
+                if (!item?.projectId || !item?.path) return;
+
+                const currentKey = projectIdentity.readMarker(item.path);
+                const key = await vscode.window.showInputBox({
+                    prompt: 'Key that identifies this project on every device (saved to a .quicknotes file in the project folder)',
+                    value: currentKey || item.label,
+                    validateInput: value => value.trim() ? null : 'Key cannot be empty'
+                });
+                if (!key) return;
+
+                try {
+                    projectIdentity.writeMarker(item.path, key.trim());
+                    const newId = projectIdentity.resolve(item.path).id;
+                    await dataManager.rekeyProjects([{
+                        fromId: item.projectId,
+                        toId: newId
+                    }]);
+                    await quickNotesProvider.refreshProjects();
+                    quickNotesProvider.refresh();
+                    vscode.window.showInformationMessage(`Project key set to "${key.trim()}". Commit the .quicknotes file so other devices pick it up.`);
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to set project key: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.viewArchived', async () => {
+                try {
+                    const archived = dataManager.getArchivedProjects();
+
+                    if (Object.keys(archived).length === 0) {
+                        vscode.window.showInformationMessage('No archived projects');
+                        return;
+                    }
+
+                    const items = Object.entries(archived).map(([id, project]) => ({
+                        label: project.name,
+                        description: `${project.notes?.length || 0} notes`,
+                        projectId: id
+                    }));
+
+                    const selected = await vscode.window.showQuickPick(items, {
+                        placeHolder: 'Select a project to restore or view'
+                    });
+
+                    if (selected) {
+                        const action = await vscode.window.showQuickPick(
+                            ['Restore Project', 'View Notes', 'Move to Trash'], {
+                                placeHolder: 'What would you like to do?'
+                            }
+                        );
+
+                        if (action === 'Restore Project') {
+                            await dataManager.restoreProject(selected.projectId);
+                            quickNotesProvider.refresh();
+                        } else if (action === 'View Notes') {
+                            const project = archived[selected.projectId];
+                            const notesList = project.notes?.map(n => `• ${n.title}`).join('\n') || 'No notes';
+                            vscode.window.showInformationMessage(notesList, {
+                                modal: true
+                            });
+                        } else if (action === 'Move to Trash') {
+                            await dataManager.deleteArchivedProject(selected.projectId);
+                            quickNotesProvider.refresh();
+                            showUndoableMessage(dataManager, quickNotesProvider, 'Project moved to the trash.');
+                        }
+                    }
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to view archived: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.restoreFromTrash', async (item) => {
+                if (!item?.trashId) return;
+
+                try {
+                    try {
+                        await dataManager.restoreFromTrash(item.trashKind, item.trashId);
+                    } catch (err) {
+                        // The note's project is gone too; put the note somewhere else
+                        if (item.trashKind !== 'notes' || !dataManager.getTrash().notes[item.trashId]) throw err;
+                        const projectId = await selectProject(quickNotesProvider, `${err.message}. Select a project to restore the note into`);
+                        if (!projectId) return;
+                        await dataManager.restoreFromTrash('notes', item.trashId, projectId);
+                    }
+                    await quickNotesProvider.refreshProjects();
+                    quickNotesProvider.refresh();
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to restore from trash: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.deleteFromTrash', async (item) => {
+                if (!item?.trashId) return;
+
+                const confirm = await vscode.window.showWarningMessage(
+                    `Permanently delete "${item.label}"?`, {
+                        modal: true
+                    },
+                    'Delete'
+                );
+                if (confirm !== 'Delete') return;
+
+                try {
+                    await dataManager.deleteFromTrash(item.trashKind, item.trashId);
+                    quickNotesProvider.refresh();
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to delete from trash: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.emptyTrash', async () => {
+                const trash = dataManager.getTrash();
+                const count = Object.keys(trash.notes).length + Object.keys(trash.projects).length;
+                if (count === 0) {
+                    vscode.window.showInformationMessage('The trash is empty.');
+                    return;
+                }
+
+                const confirm = await vscode.window.showWarningMessage(
+                    `Permanently delete ${count} item${count !== 1 ? 's' : ''} in the trash?`, {
+                        modal: true
+                    },
+                    'Empty Trash'
+                );
+                if (confirm !== 'Empty Trash') return;
+
+                try {
+                    await dataManager.deleteFromTrash();
+                    quickNotesProvider.refresh();
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to empty the trash: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.configureSync', () => {
+                SyncPanel.createOrShow(context.extensionUri, context.secrets);
+            }),
+
+            vscode.commands.registerCommand('quickNotes.syncNow', async () => {
+                if (!syncManager.isConfigured()) {
+                    const action = await vscode.window.showWarningMessage(
+                        'Sync is not configured. Set it up in the sync panel.',
+                        'Configure Sync',
+                        'Open Settings'
+                    );
+                    if (action === 'Configure Sync') {
+                        vscode.commands.executeCommand('quickNotes.configureSync');
+                    } else if (action === 'Open Settings') {
+                        vscode.commands.executeCommand(
+                            'workbench.action.openSettings',
+                            'quickNotes.sync'
+                        );
+                    }
+                    return;
+                }
+
+                try {
+                    showSyncStatus('syncing');
+                    await syncQueue.syncNow();
+                    showSyncStatus('synced');
+                    vscode.window.showInformationMessage('Quick Notes synced successfully!');
+                } catch (err) {
+                    if (err.isOffline) {
+                        showSyncStatus('offline');
+                        vscode.window.showWarningMessage('Quick Notes is offline. Your changes are kept and will sync when the connection is back.');
+                        return;
+                    }
+                    if (err.needsPassphrase) {
+                        showSyncStatus('locked');
+                        showPassphraseError(err);
+                        return;
+                    }
+                    showSyncStatus('error');
+                    vscode.window.showErrorMessage(`Sync failed: ${err.message}`);
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.setSyncPassphrase', async () => {
+                if (!syncManager.isConfigured()) {
+                    vscode.window.showWarningMessage('Configure sync before setting a passphrase.');
+                    return;
+                }
+
+                let encrypted;
+                try {
+                    // Unlocking notes encrypted on another device, or turning encryption on
+                    encrypted = await syncManager.isRemoteEncrypted();
+                    const passphrase = await askPassphrase(encrypted ?
+                        'Passphrase the synced notes are encrypted with (as set on your other devices)' :
+                        'New passphrase to encrypt synced notes with. You need it on every device, and notes can\'t be recovered without it.', !encrypted);
+                    if (!passphrase) return;
+
+                    await syncManager.setPassphrase(passphrase);
+                    passphraseSyncPending = true;
+                    await vscode.workspace.getConfiguration('quickNotes.sync').update('encryption', true, vscode.ConfigurationTarget.Global);
+                } catch (err) {
+                    passphraseSyncPending = false;
+                    vscode.window.showErrorMessage(`Failed to set the sync passphrase: ${err.message}`);
+                    return;
+                }
+
+                // The passphrase is set either way, so a failed sync is reported on its own
+                try {
+                    await syncQueue.syncNow();
+                    showSyncStatus('synced');
+                    vscode.window.showInformationMessage(encrypted ?
+                        'Passphrase accepted. Synced notes are decrypted on this device.' :
+                        'Sync encryption is on: notes are encrypted before they leave this device.');
+                } catch (err) {
+                    showSyncStatus(err.isOffline ? 'offline' : err.needsPassphrase ? 'locked' : 'error');
+                    vscode.window.showWarningMessage(`The sync passphrase is set, but syncing failed: ${err.message}`);
+                } finally {
+                    passphraseSyncPending = false;
+                }
+            }),
+
+            vscode.commands.registerCommand('quickNotes.changeSyncPassphrase', async () => {
+                try {
+                    const passphrase = await askPassphrase('New passphrase for synced notes. Your other devices will ask for it on their next sync.', true);
+                    if (!passphrase) return;
+                    await syncManager.changePassphrase(passphrase);
+                } catch (err) {
+                    vscode.window.showErrorMessage(`Failed to change the sync passphrase: ${err.message}`);
+                    return;
+                }
+
+                // Re-encrypted with the new key on this sync; until it succeeds the old key stays in use
+                try {
+                    await syncQueue.syncNow();
+                    showSyncStatus('synced');
+                    vscode.window.showInformationMessage('Sync passphrase changed. Enter the new one with "Set Sync Passphrase..." on your other devices.');
+                } catch (err) {
+                    showSyncStatus(err.isOffline ? 'offline' : err.needsPassphrase ? 'locked' : 'error');
+                    vscode.window.showWarningMessage(`The new sync passphrase is set, but syncing failed, so the notes aren't re-encrypted yet: ${err.message}`);
+                }
+            })
+        ];
+
+        const revisionProvider = vscode.workspace.registerTextDocumentContentProvider(
+            REVISION_SCHEME,
+            new RevisionContentProvider(dataManager)
+        );
+
+        context.subscriptions.push(treeView, checkboxListener, saveListener, reminderScheduler, anchorManager, codeLensRegistration, revisionProvider, syncStatusBar, ...commands);
+
+        // Purge old trash entries now and every few hours
+        const purgeTrash = async () => {
+            try {
+                if (await dataManager.purgeTrash() > 0) {
+                    quickNotesProvider.refresh();
+                }
+            } catch (err) {
+                console.error('Quick Notes: Failed to purge the trash:', err.message);
+            }
+        };
+        const trashPurgeTimer = setInterval(purgeTrash, TRASH_PURGE_INTERVAL_MS);
+        purgeTrash();
+
+        // Clean up auto-sync and trash timers on deactivation
+        context.subscriptions.push({
+            dispose: () => {
+                if (autoSyncTimer) {
+                    clearInterval(autoSyncTimer);
+                }
+                clearInterval(trashPurgeTimer);
+            }
         });
 
         // Initial refresh to load projects
         await quickNotesProvider.refreshProjects();
+
+        // Pull remote data (merge with local), pushing changes left pending last time. Not awaited:
+        // conflicts found here wait for the user in the conflict panel, so the UI must be up first.
+        if (syncManager.isConfigured()) {
+            syncQueue.catchUp().then(synced => {
+                if (synced) {
+                    showSyncStatus('synced');
+                    console.log('Quick Notes: Initial sync complete');
+                }
+            }, err => {
+                console.error('Quick Notes: Initial sync failed:', err.message);
+                showSyncStatus(err.isOffline ? 'offline' : err.needsPassphrase ? 'locked' : 'error');
+                if (err.needsPassphrase) {
+                    showPassphraseError(err);
+                }
+            });
+        } else {
+            showSyncStatus('not-configured');
+        }
         console.log('Quick Notes extension is now active!');
     } catch (error) {
         console.error('Failed to activate Quick Notes extension:', error);
@@ -427,7 +1341,7 @@ async function activate(context) {
 /**
  * Helper to select a project when adding a note from the title bar
  */
-async function selectProject(provider) {
+async function selectProject(provider, placeHolder = 'Select a project to add note to') {
     const projects = provider.getProjects();
 
     if (projects.length === 0) {
@@ -440,41 +1354,615 @@ async function selectProject(provider) {
             label: p.name,
             projectId: p.id
         })), {
-            placeHolder: 'Select a project to add note to'
+            placeHolder
         }
     );
 
     return selected?.projectId;
 }
 
+/**
+ * Pick a project to move or copy notes to, archived ones included.
+ * Returns { projectId, name }, or undefined if cancelled.
+ */
+async function selectTargetProject(dataManager, provider, placeHolder) {
+    const archived = dataManager.getArchivedProjects();
+    const items = [
+        ...provider.getProjects().map(p => ({
+            label: p.name,
+            description: p.isStale ? 'Folder not found' : '',
+            projectId: p.id
+        })),
+        ...Object.entries(archived).map(([id, project]) => ({
+            label: project.name,
+            description: 'Archived',
+            projectId: id
+        }))
+    ];
+
+    if (items.length === 0) {
+        vscode.window.showWarningMessage('No projects available. Make sure project-tracker extension is installed.');
+        return undefined;
+    }
+
+    const selected = await vscode.window.showQuickPick(items, {
+        placeHolder,
+        matchOnDescription: true
+    });
+    return selected && {
+        projectId: selected.projectId,
+        name: selected.label
+    };
+}
+
+/**
+ * The tree items a command should act on: the whole selection when `item` is part of it
+ * (VS Code passes the selection as the second argument), otherwise just `item`.
+ * Only items of the given types are kept.
+ */
+function selectedItems(item, items, types) {
+    const selection = items?.includes(item) ? items : [item];
+    return selection.filter(i => i && types.includes(i.type));
+}
+
+/**
+ * The notes a command should act on, as { projectId, noteId }.
+ * A note shown under more than one group (e.g. Due Soon and its project) is only counted once.
+ */
+function selectedNotes(item, items) {
+    const seen = new Set();
+    return selectedItems(item, items, ['note'])
+        .filter(i => !seen.has(i.noteId) && seen.add(i.noteId))
+        .map(i => ({
+            projectId: i.projectId,
+            noteId: i.noteId
+        }));
+}
+
+/**
+ * The store selected in settings: a notes folder, or VS Code globalState (the default)
+ */
+function createStore(context) {
+    const config = vscode.workspace.getConfiguration('quickNotes.storage');
+    const folder = resolveHome(config.get('folder', '').trim());
+
+    if (config.get('location', 'globalState') === 'folder') {
+        if (folder && path.isAbsolute(folder)) {
+            const store = new FolderStore(folder);
+            store.watch();
+            return store;
+        }
+        vscode.window.showWarningMessage('Quick Notes: Set "quickNotes.storage.folder" to an absolute path to store notes in a folder. Using VS Code storage for now.');
+    }
+    return new GlobalStateStore(context);
+}
+
+/**
+ * Bring stored notes up to the current schema. Notes from a newer version of the
+ * extension are left alone and only shown, with a warning.
+ */
+async function migrateNotesStore(dataManager) {
+    try {
+        await dataManager.migrateStore();
+    } catch (err) {
+        console.error('Quick Notes: Failed to upgrade notes data:', err.message);
+        vscode.window.showWarningMessage(`Quick Notes: ${err.message}`);
+    }
+}
+
+function getStorageConfigKey() {
+    const config = vscode.workspace.getConfiguration('quickNotes.storage');
+    return config.get('location', 'globalState') === 'folder' ? `folder:${config.get('folder', '')}` : 'globalState';
+}
+
+function resolveHome(folder) {
+    return folder.startsWith('~') ? path.join(os.homedir(), folder.slice(1)) : folder;
+}
+
+/**
+ * Multi-select of existing tags, where typing a name offers it as a new tag.
+ * Resolves to the chosen tags, or undefined if cancelled.
+ */
+function pickTags(dataManager, currentTags) {
+    return new Promise(resolve => {
+        const quickPick = vscode.window.createQuickPick();
+        quickPick.canSelectMany = true;
+        quickPick.placeholder = 'Select tags, or type a new one';
+
+        const known = dataManager.getAllTags();
+        const baseItems = [
+            ...currentTags.filter(tag => !known.some(t => t.tag === tag)).map(tag => ({
+                label: tag
+            })),
+            ...known.map(t => ({
+                label: t.tag,
+                description: `${t.count} note${t.count !== 1 ? 's' : ''}`
+            }))
+        ];
+        quickPick.items = baseItems;
+        quickPick.selectedItems = baseItems.filter(item => currentTags.includes(item.label));
+
+        // Offer the typed text as a new tag, keeping the current selection
+        quickPick.onDidChangeValue(value => {
+            const selected = quickPick.selectedItems.map(item => item.label);
+            const [typed] = normalizeTags(value);
+            const items = typed && !baseItems.some(item => item.label === typed) ? [{
+                label: typed,
+                description: 'New tag',
+                alwaysShow: true
+            }, ...baseItems] : baseItems;
+            quickPick.items = items;
+            quickPick.selectedItems = items.filter(item => selected.includes(item.label));
+        });
+
+        let accepted = false;
+        quickPick.onDidAccept(() => {
+            accepted = true;
+            resolve(normalizeTags(quickPick.selectedItems.map(item => item.label)));
+            quickPick.hide();
+        });
+        quickPick.onDidHide(() => {
+            if (!accepted) resolve(undefined);
+            quickPick.dispose();
+        });
+
+        quickPick.show();
+    });
+}
+
+/**
+ * Ask for a sync passphrase, twice if `confirm` (a new one). Resolves to undefined if cancelled.
+ */
+async function askPassphrase(prompt, confirm = false) {
+    const passphrase = await vscode.window.showInputBox({
+        prompt,
+        password: true,
+        ignoreFocusOut: true,
+        validateInput: value => confirm && value.length < MIN_PASSPHRASE_LENGTH ?
+            `Use at least ${MIN_PASSPHRASE_LENGTH} characters` :
+            null
+    });
+    if (!passphrase || !confirm) return passphrase;
+
+    const repeated = await vscode.window.showInputBox({
+        prompt: 'Enter the passphrase again',
+        password: true,
+        ignoreFocusOut: true
+    });
+    if (repeated === undefined) return undefined;
+    if (repeated !== passphrase) {
+        vscode.window.showErrorMessage('The passphrases don\'t match.');
+        return undefined;
+    }
+    return passphrase;
+}
+
+/**
+ * Show why encrypted notes couldn't be synced, offering to enter the passphrase
+ */
+async function showPassphraseError(err) {
+    const action = await vscode.window.showErrorMessage(err.message, 'Set Sync Passphrase...');
+    if (action) {
+        vscode.commands.executeCommand('quickNotes.setSyncPassphrase');
+    }
+}
+
+/**
+ * Live search across all notes, including archived projects.
+ * The title-bar button turns the current query into the tree filter.
+ */
+function searchNotes(dataManager, applyTreeFilter) {
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.placeholder = 'Search notes, e.g. "login priority:high is:open project:api tag:bug"';
+    quickPick.buttons = [{
+        iconPath: new vscode.ThemeIcon('filter'),
+        tooltip: 'Filter the Notes tree by this search'
+    }];
+
+    const update = () => {
+        const filter = parseFilterQuery(quickPick.value);
+        if (filter.errors.length > 0) {
+            quickPick.items = [{
+                label: `$(warning) ${filter.errors[0]}`,
+                alwaysShow: true
+            }];
+            return;
+        }
+
+        // Active projects and open notes first, then most recently updated
+        const results = dataManager.searchNotes(filter).sort((a, b) =>
+            (a.archived - b.archived) ||
+            (isDone(a.note) - isDone(b.note)) ||
+            new Date(b.note.updatedAt) - new Date(a.note.updatedAt)
+        );
+
+        // Matching is done by the filter, so keep VS Code from fuzzy-filtering the items again
+        quickPick.items = results.slice(0, MAX_SEARCH_RESULTS).map(result => ({
+            label: `${isDone(result.note) ? '$(check)' : '$(note)'} ${result.note.title}`,
+            description: result.archived ? `${result.projectName} (archived)` : result.projectName,
+            detail: result.note.description ? result.note.description.split('\n')[0].slice(0, 120) : undefined,
+            alwaysShow: true,
+            result
+        }));
+    };
+
+    quickPick.onDidChangeValue(update);
+    quickPick.onDidTriggerButton(() => {
+        if (parseFilterQuery(quickPick.value).errors.length > 0) return;
+        applyTreeFilter(quickPick.value);
+        quickPick.hide();
+    });
+    quickPick.onDidAccept(async () => {
+        const result = quickPick.selectedItems[0]?.result;
+        if (!result) return;
+        quickPick.hide();
+
+        if (!result.archived) {
+            vscode.commands.executeCommand('quickNotes.editNote', {
+                projectId: result.projectId,
+                noteId: result.note.id
+            });
+            return;
+        }
+
+        const action = await vscode.window.showInformationMessage(
+            result.note.title, {
+                modal: true,
+                detail: `${result.note.description || 'No description'}\n\nIn archived project "${result.projectName}".`
+            },
+            'Restore Project'
+        );
+        if (action === 'Restore Project') {
+            try {
+                await dataManager.restoreProject(result.projectId);
+                vscode.commands.executeCommand('quickNotes.refresh');
+            } catch (err) {
+                vscode.window.showErrorMessage(`Failed to restore project: ${err.message}`);
+            }
+        }
+    });
+    quickPick.onDidHide(() => quickPick.dispose());
+
+    update();
+    quickPick.show();
+}
+
+/**
+ * Export the selected notes, the selected projects, or projects picked from a list, to a file
+ */
+async function exportNotes(dataManager, item, items) {
+    const data = dataManager.getData();
+    const notes = selectedNotes(item, items);
+    // A project shown under several tags (grouped by tag) is exported once
+    const projectIds = [...new Set(selectedItems(item, items, ['project']).map(i => i.projectId))];
+    let groups;
+
+    if (notes.length > 0) {
+        groups = [];
+        for (const {
+                projectId,
+                noteId
+            } of notes) {
+            const project = data.projects[projectId];
+            const note = project?.notes.find(n => n.id === noteId);
+            if (!note) continue;
+
+            let group = groups.find(g => g.projectId === projectId);
+            if (!group) {
+                group = {
+                    projectId,
+                    projectName: project.name,
+                    notes: []
+                };
+                groups.push(group);
+            }
+            group.notes.push(note);
+        }
+    } else if (projectIds.length > 0) {
+        groups = projectIds
+            .filter(id => data.projects[id])
+            .map(id => toExportGroup(id, data.projects[id]));
+    } else {
+        const picked = await vscode.window.showQuickPick([
+            ...Object.entries(data.projects).map(([id, project]) => ({
+                label: project.name,
+                description: `${project.notes?.length || 0} notes`,
+                picked: true,
+                group: toExportGroup(id, project)
+            })),
+            ...Object.entries(data.archivedProjects || {}).map(([id, project]) => ({
+                label: project.name,
+                description: `${project.notes?.length || 0} notes, archived`,
+                group: toExportGroup(id, project)
+            }))
+        ], {
+            canPickMany: true,
+            placeHolder: 'Select the projects to export'
+        });
+        if (!picked) return;
+        groups = picked.map(p => p.group);
+    }
+
+    groups = groups.filter(g => g.notes.length > 0);
+    const count = groups.reduce((sum, g) => sum + g.notes.length, 0);
+    if (count === 0) {
+        vscode.window.showInformationMessage('There are no notes to export.');
+        return;
+    }
+
+    const format = await vscode.window.showQuickPick(FORMATS.map(f => ({
+        label: f.label,
+        description: f.description,
+        format: f
+    })), {
+        placeHolder: `Export ${count} note${count !== 1 ? 's' : ''} as...`
+    });
+    if (!format) return;
+
+    const baseName = groups.length === 1 ? groups[0].projectName.replace(/[\\/:*?"<>|]+/g, '-') : 'quick-notes';
+    const folder = vscode.workspace.workspaceFolders?.[0]?.uri || vscode.Uri.file(os.homedir());
+    const uri = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.joinPath(folder, `${baseName}.${format.format.extensions[0]}`),
+        filters: {
+            [format.format.label]: format.format.extensions
+        },
+        saveLabel: 'Export'
+    });
+    if (!uri) return;
+
+    await vscode.workspace.fs.writeFile(uri, Buffer.from(formatNotes(format.format.id, groups), 'utf8'));
+
+    const action = await vscode.window.showInformationMessage(
+        `Exported ${count} note${count !== 1 ? 's' : ''} to ${path.basename(uri.fsPath)}`,
+        'Open'
+    );
+    if (action === 'Open') {
+        await vscode.window.showTextDocument(uri);
+    }
+}
+
+function toExportGroup(projectId, project) {
+    return {
+        projectId,
+        projectName: project.name,
+        notes: project.notes || []
+    };
+}
+
+/**
+ * Import notes from a file, after previewing which notes will be created or updated.
+ * Notes matching no project go to `projectId`, or to a project picked here.
+ */
+async function importNotes(dataManager, provider, projectId) {
+    const files = await vscode.window.showOpenDialog({
+        canSelectFiles: true,
+        canSelectFolders: false,
+        canSelectMany: false,
+        openLabel: 'Import',
+        filters: {
+            'Notes': FORMATS.flatMap(f => f.extensions)
+        }
+    });
+    if (!files?.[0]) return;
+
+    const uri = files[0];
+    const fileName = path.basename(uri.fsPath);
+    let format = getFormatForFile(fileName);
+    if (!format) {
+        const picked = await vscode.window.showQuickPick(FORMATS.map(f => ({
+            label: f.label,
+            format: f
+        })), {
+            placeHolder: `Which format is ${fileName} in?`
+        });
+        if (!picked) return;
+        format = picked.format;
+    }
+
+    const text = Buffer.from(await vscode.workspace.fs.readFile(uri)).toString('utf8');
+    const entries = parseNotes(format.id, text);
+    if (entries.length === 0) {
+        vscode.window.showInformationMessage(`No notes found in ${fileName}.`);
+        return;
+    }
+
+    let plan = dataManager.planImport(entries, projectId);
+    if (plan.some(p => !p.projectId)) {
+        const target = await selectProject(provider, 'Some notes match no project. Select a project to import them into');
+        if (!target) return;
+        plan = dataManager.planImport(entries, target);
+    }
+
+    const changes = plan.filter(p => p.action !== 'unchanged');
+    const unchanged = plan.length - changes.length;
+    if (changes.length === 0) {
+        vscode.window.showInformationMessage(`All ${plan.length} notes in ${fileName} are already up to date.`);
+        return;
+    }
+
+    const projectNames = dataManager.getData().projects;
+    const created = changes.filter(p => p.action === 'create').length;
+    const selected = await vscode.window.showQuickPick(changes.map(p => ({
+        label: `${p.action === 'create' ? '$(add)' : '$(edit)'} ${p.title}`,
+        description: projectNames[p.projectId]?.name,
+        detail: p.action === 'create' ? 'New note' : `Updates ${p.changes.join(', ')}`,
+        picked: true,
+        planItem: p
+    })), {
+        canPickMany: true,
+        placeHolder: `${fileName}: ${created} new, ${changes.length - created} updated, ${unchanged} unchanged. Uncheck notes to skip them.`
+    });
+    if (!selected || selected.length === 0) return;
+
+    const result = await dataManager.applyImport(selected.map(s => s.planItem));
+    provider.refresh();
+    showUndoableMessage(dataManager, provider, `Imported ${fileName}: ${result.created} created, ${result.updated} updated.`);
+}
+
+/**
+ * Show a notification with an Undo button that reverts the change just made,
+ * as long as nothing else was changed in the meantime
+ */
+async function showUndoableMessage(dataManager, provider, message) {
+    const changeId = dataManager.lastChangeId;
+    const action = await vscode.window.showInformationMessage(message, 'Undo');
+    if (action !== 'Undo') return;
+
+    try {
+        if (await dataManager.undo(changeId)) {
+            provider.refresh();
+        } else {
+            vscode.window.showWarningMessage('This can no longer be undone from here, as other changes were made since. Use "Undo Last Change" to step back.');
+        }
+    } catch (err) {
+        vscode.window.showErrorMessage(`Failed to undo: ${err.message}`);
+    }
+}
+
+const REVISION_SOURCES = {
+    edit: 'Replaced by an edit',
+    sync: 'Replaced by sync',
+    undo: 'Replaced by undo/redo',
+    restore: 'Replaced by a restore',
+    external: 'Replaced by a change on disk'
+};
+
+/**
+ * Browse a note's earlier versions, then compare one with the current note or restore it
+ */
+async function showNoteHistory(dataManager, provider, projectId, noteId) {
+    const note = dataManager.getNote(projectId, noteId);
+    if (!note) return;
+
+    const revisions = dataManager.revisions.getRevisions(noteId);
+    if (revisions.length === 0) {
+        vscode.window.showInformationMessage(`No earlier versions of "${note.title}" are kept yet.`);
+        return;
+    }
+
+    const picked = await vscode.window.showQuickPick(revisions.map(revision => {
+        // The reminder follows the due date, so it isn't listed separately
+        const changed = REVISION_FIELDS.filter(field => field !== 'reminderAt' &&
+            JSON.stringify(revision.note[field] ?? null) !== JSON.stringify(note[field] ?? null));
+        return {
+            label: `$(history) ${new Date(revision.savedAt).toLocaleString()}`,
+            description: REVISION_SOURCES[revision.source] || revision.source,
+            detail: `${revision.note.title}${changed.length ? ` · differs in ${changed.join(', ')}` : ' · same as now'}`,
+            revision
+        };
+    }), {
+        placeHolder: `Earlier versions of "${note.title}"`,
+        matchOnDetail: true
+    });
+    if (!picked) return;
+
+    const action = await vscode.window.showQuickPick(['Compare with Current', 'Restore This Version'], {
+        placeHolder: picked.label.replace('$(history) ', '')
+    });
+    if (action === 'Compare with Current') {
+        await vscode.commands.executeCommand(
+            'vscode.diff',
+            RevisionContentProvider.uriFor(note, projectId, picked.revision.savedAt),
+            RevisionContentProvider.uriFor(note, projectId, 'current'),
+            `${note.title} (${new Date(picked.revision.savedAt).toLocaleString()} ↔ Current)`
+        );
+    } else if (action === 'Restore This Version') {
+        await dataManager.restoreRevision(projectId, noteId, picked.revision);
+        provider.refresh();
+        showUndoableMessage(dataManager, provider, `Restored "${picked.revision.note.title}".`);
+    }
+}
+
+/**
+ * Offer to complete notes whose TODO comment has disappeared from the code
+ */
+async function offerToCompleteRemovedTodos(dataManager, provider, projectId, removedNotes) {
+    if (!removedNotes || removedNotes.length === 0) return;
+
+    const action = await vscode.window.showInformationMessage(
+        `${removedNotes.length} TODO comment${removedNotes.length !== 1 ? 's were' : ' was'} removed from the code. Complete the matching note${removedNotes.length !== 1 ? 's' : ''}?`,
+        'Complete All',
+        'Choose...',
+        'Keep Open'
+    );
+
+    let toComplete = [];
+    if (action === 'Complete All') {
+        toComplete = removedNotes;
+    } else if (action === 'Choose...') {
+        const picked = await vscode.window.showQuickPick(
+            removedNotes.map(note => ({
+                label: note.title,
+                description: `${note.source.file}:${note.source.line}`,
+                picked: true,
+                note
+            })), {
+                canPickMany: true,
+                placeHolder: 'Select the notes to mark as complete'
+            }
+        );
+        toComplete = (picked || []).map(p => p.note);
+    }
+
+    if (toComplete.length > 0) {
+        await dataManager.batchUpdateNotes(projectId, {
+            update: toComplete.map(note => ({
+                noteId: note.id,
+                updates: {
+                    status: DONE_STATUS
+                }
+            }))
+        });
+        provider.refresh();
+    }
+}
+
 function deactivate() {
     console.log('Quick Notes extension deactivated');
 }
 
 /**
- * Update the sync status bar display
+ * Update the sync status bar display, with the number of local changes still to be pushed
  */
-function updateSyncStatusBar(statusBar, status) {
+function updateSyncStatusBar(statusBar, status, pending = 0) {
+    const waiting = pending > 0 ? `${pending} change${pending !== 1 ? 's' : ''} waiting to sync` : '';
+
     switch (status) {
         case 'syncing':
             statusBar.text = '$(sync~spin) Syncing...';
-            statusBar.tooltip = 'Quick Notes: Syncing with GitHub...';
+            statusBar.tooltip = 'Quick Notes: Syncing...';
             break;
-        case 'synced':
-            statusBar.text = '$(check) Notes Synced';
-            statusBar.tooltip = `Quick Notes: Synced at ${new Date().toLocaleTimeString()}`;
+        case 'conflict':
+            statusBar.text = '$(git-merge) Resolve Conflicts';
+            statusBar.tooltip = 'Quick Notes: Notes were edited on two devices. Resolve the conflicts to finish syncing.';
+            break;
+        case 'offline':
+            statusBar.text = pending > 0 ? `$(cloud-offline) Offline — ${pending} Pending` : '$(cloud-offline) Offline';
+            statusBar.tooltip = `Quick Notes: Can't reach the sync server${waiting ? `, ${waiting}` : ''}. Changes sync when the connection is back; click to retry now.`;
             break;
         case 'error':
-            statusBar.text = '$(warning) Sync Error';
-            statusBar.tooltip = 'Quick Notes: Sync failed. Click to retry.';
+            statusBar.text = pending > 0 ? `$(warning) Sync Error (${pending})` : '$(warning) Sync Error';
+            statusBar.tooltip = `Quick Notes: Sync failed${waiting ? `, ${waiting}` : ''}. Click to retry.`;
+            break;
+        case 'locked':
+            statusBar.text = '$(lock) Sync Locked';
+            statusBar.tooltip = `Quick Notes: The synced notes are encrypted and this device needs the passphrase${waiting ? `, ${waiting}` : ''}. Click to retry.`;
             break;
         case 'not-configured':
             statusBar.text = '$(cloud-upload) Setup Sync';
-            statusBar.tooltip = 'Quick Notes: Click to configure GitHub sync';
+            statusBar.tooltip = 'Quick Notes: Click to configure sync';
             break;
         default:
-            statusBar.text = '$(cloud) Notes Sync';
-            statusBar.tooltip = 'Quick Notes: Click to sync now';
+            if (pending > 0) {
+                statusBar.text = `$(cloud-upload) ${pending} Pending`;
+                statusBar.tooltip = `Quick Notes: ${waiting}. Click to sync now.`;
+            } else if (status === 'synced') {
+                statusBar.text = '$(check) Notes Synced';
+                statusBar.tooltip = `Quick Notes: Synced at ${new Date().toLocaleTimeString()}`;
+            } else {
+                statusBar.text = '$(cloud) Notes Sync';
+                statusBar.tooltip = 'Quick Notes: Click to sync now';
+            }
             break;
     }
 }
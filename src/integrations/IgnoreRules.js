@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Turn a glob into a RegExp matching forward-slash relative paths.
+ * Supports `**`, `*`, `?`, `[...]` and `{a,b}`.
+ */
+function globToRegExp(glob) {
+    let source = '';
+    let inGroup = false;
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*') {
+            if (glob[i + 1] === '*') {
+                // "**/" matches zero or more directories, a bare "**" matches anything
+                if (glob[i + 2] === '/') {
+                    source += '(?:.*/)?';
+                    i += 2;
+                } else {
+                    source += '.*';
+                    i += 1;
+                }
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const close = glob.indexOf(']', i);
+            if (close === -1) {
+                source += '\\[';
+            } else {
+                source += glob.slice(i, close + 1).replace(/^\[!/, '[^');
+                i = close;
+            }
+        } else if (char === '{') {
+            inGroup = true;
+            source += '(?:';
+        } else if (char === '}' && inGroup) {
+            inGroup = false;
+            source += ')';
+        } else if (char === ',' && inGroup) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Decides which files a project scan should skip, combining configured exclude globs
+ * with the project's .gitignore files (including nested ones).
+ */
+class IgnoreRules {
+    /**
+     * @param {string} rootPath project folder
+     * @param {string[]} excludeGlobs globs relative to the project root
+     * @param {boolean} respectGitignore whether to read .gitignore files
+     */
+    constructor(rootPath, excludeGlobs = [], respectGitignore = true) {
+        this.rootPath = rootPath;
+        this.excludes = excludeGlobs.map(globToRegExp);
+        this.respectGitignore = respectGitignore;
+        this._gitignoreRules = []; // { base, regex, negate, dirOnly }
+        this._loadedDirs = new Set();
+    }
+
+    /**
+     * Read the .gitignore in a directory (once). Call for each directory as the walk enters it.
+     */
+    loadDirectory(relDir) {
+        if (!this.respectGitignore || this._loadedDirs.has(relDir)) return;
+        this._loadedDirs.add(relDir);
+
+        let content;
+        try {
+            content = fs.readFileSync(path.join(this.rootPath, relDir, '.gitignore'), 'utf8');
+        } catch {
+            return;
+        }
+
+        for (const rawLine of content.split(/\r?\n/)) {
+            let line = rawLine.replace(/\s+$/, '');
+            if (!line || line.startsWith('#')) continue;
+
+            const negate = line.startsWith('!');
+            if (negate) line = line.slice(1);
+            if (line.startsWith('\\')) line = line.slice(1);
+
+            const dirOnly = line.endsWith('/');
+            if (dirOnly) line = line.slice(0, -1);
+
+            // A pattern with a slash (other than a trailing one) is relative to the .gitignore's folder;
+            // otherwise it matches a name at any depth
+            const anchored = line.includes('/');
+            if (line.startsWith('/')) line = line.slice(1);
+            const pattern = anchored ? line : `**/${line}`;
+
+            this._gitignoreRules.push({
+                base: relDir,
+                regex: globToRegExp(pattern),
+                negate,
+                dirOnly
+            });
+        }
+    }
+
+    /**
+     * Whether a project-relative path (forward slashes) should be skipped
+     */
+    isIgnored(relPath, isDirectory) {
+        if (this.excludes.some(regex => regex.test(relPath) || (isDirectory && regex.test(relPath + '/')))) {
+            return true;
+        }
+
+        // Later rules override earlier ones, as in git
+        let ignored = false;
+        for (const rule of this._gitignoreRules) {
+            if (rule.dirOnly && !isDirectory) continue;
+
+            const prefix = rule.base ? rule.base + '/' : '';
+            if (prefix && !relPath.startsWith(prefix)) continue;
+
+            if (rule.regex.test(relPath.slice(prefix.length))) {
+                ignored = !rule.negate;
+            }
+        }
+        return ignored;
+    }
+}
+
+module.exports = {
+    IgnoreRules,
+    globToRegExp
+};
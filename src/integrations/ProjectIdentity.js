@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+
+const MARKER_FILE = '.quicknotes';
+
+/**
+ * Works out a machine-independent ID for a project folder, so the same repo
+ * cloned at different paths on different devices maps to the same notes.
+ *
+ * In order of preference:
+ *   1. a `.quicknotes` marker file in the folder with a user-chosen key  -> "key:<key>"
+ *   2. the git remote URL (origin, else the first remote)               -> "git:<host>/<owner>/<repo>"
+ *   3. the absolute path (legacy, only stable on this device)          -> base64 of the path
+ */
+class ProjectIdentity {
+    /**
+     * Resolve the ID for a project folder.
+     * Returns { id, source } where source is 'marker', 'git' or 'path'.
+     */
+    resolve(projectPath) {
+        const key = this.readMarker(projectPath);
+        if (key) {
+            return {
+                id: `key:${key}`,
+                source: 'marker'
+            };
+        }
+
+        const remoteUrl = this.readGitRemote(projectPath);
+        const normalized = remoteUrl ? ProjectIdentity.normalizeRemoteUrl(remoteUrl) : null;
+        if (normalized) {
+            return {
+                id: `git:${normalized}`,
+                source: 'git'
+            };
+        }
+
+        return {
+            id: ProjectIdentity.legacyId(projectPath),
+            source: 'path'
+        };
+    }
+
+    /**
+     * Legacy path-based ID (base64 of the absolute path)
+     */
+    static legacyId(projectPath) {
+        return Buffer.from(projectPath).toString('base64').replace(/[/+=]/g, '_');
+    }
+
+    /**
+     * Whether an ID is a legacy path-based one
+     */
+    static isLegacyId(projectId) {
+        return !/^(key|git):/.test(projectId);
+    }
+
+    /**
+     * Read the project key from the `.quicknotes` marker file.
+     * The file may hold plain text or JSON like { "id": "my-project" }.
+     */
+    readMarker(projectPath) {
+        try {
+            const content = fs.readFileSync(path.join(projectPath, MARKER_FILE), 'utf8').trim();
+            if (!content) return null;
+
+            if (content.startsWith('{')) {
+                const parsed = JSON.parse(content);
+                return typeof parsed.id === 'string' && parsed.id.trim() ? parsed.id.trim() : null;
+            }
+            return content.split(/\r?\n/)[0].trim() || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Write a user-chosen key to the project's `.quicknotes` marker file
+     */
+    writeMarker(projectPath, key) {
+        const content = JSON.stringify({
+            id: key
+        }, null, 2) + '\n';
+        fs.writeFileSync(path.join(projectPath, MARKER_FILE), content, 'utf8');
+    }
+
+    /**
+     * Read the origin (or first) remote URL from the repo's git config, without needing git installed
+     */
+    readGitRemote(projectPath) {
+        try {
+            const gitDir = this._findGitDir(projectPath);
+            if (!gitDir) return null;
+
+            const config = fs.readFileSync(path.join(gitDir, 'config'), 'utf8');
+            const remotes = {};
+            let currentRemote = null;
+
+            for (const rawLine of config.split(/\r?\n/)) {
+                const line = rawLine.trim();
+                const section = line.match(/^\[\s*remote\s+"([^"]+)"\s*\]$/);
+                if (section) {
+                    currentRemote = section[1];
+                    continue;
+                }
+                if (line.startsWith('[')) {
+                    currentRemote = null;
+                    continue;
+                }
+                const url = line.match(/^url\s*=\s*(.+)$/);
+                if (currentRemote && url && !remotes[currentRemote]) {
+                    remotes[currentRemote] = url[1].trim();
+                }
+            }
+
+            return remotes.origin || Object.values(remotes)[0] || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Locate the git directory, following the `gitdir:` pointer used by worktrees and submodules
+     */
+    _findGitDir(projectPath) {
+        const dotGit = path.join(projectPath, '.git');
+        if (!fs.existsSync(dotGit)) return null;
+
+        if (fs.statSync(dotGit).isFile()) {
+            const pointer = fs.readFileSync(dotGit, 'utf8').match(/^gitdir:\s*(.+)$/m);
+            if (!pointer) return null;
+            const gitDir = path.resolve(projectPath, pointer[1].trim());
+            // Worktrees keep their config in the main repository's git dir
+            const commonDir = path.join(gitDir, 'commondir');
+            if (fs.existsSync(commonDir)) {
+                return path.resolve(gitDir, fs.readFileSync(commonDir, 'utf8').trim());
+            }
+            return gitDir;
+        }
+        return dotGit;
+    }
+
+    /**
+     * Reduce the different spellings of a remote to "host/owner/repo":
+     * https://github.com/Owner/Repo.git, git@github.com:owner/repo and ssh://git@github.com/owner/repo
+     * all become "github.com/owner/repo".
+     */
+    static normalizeRemoteUrl(url) {
+        let value = url.trim();
+
+        // scp-like syntax: git@host:owner/repo
+        const scp = value.match(/^(?:[^@/]+@)?([^:/]+):(?!\/)(.+)$/);
+        if (scp) {
+            value = `${scp[1]}/${scp[2]}`;
+        } else {
+            value = value
+                .replace(/^[a-z+]+:\/\//i, '') // scheme
+                .replace(/^[^@/]+@/, '') // credentials
+                .replace(/^([^/:]+):\d+/, '$1'); // port
+        }
+
+        value = value
+            .replace(/\.git\/?$/, '')
+            .replace(/\/+$/, '')
+            .toLowerCase();
+
+        return value.includes('/') ? value : null;
+    }
+}
+
+module.exports = {
+    ProjectIdentity
+};
@@ -0,0 +1,225 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const {
+    IgnoreRules,
+    globToRegExp
+} = require('./IgnoreRules');
+const {
+    isDone
+} = require('../data/noteStatus');
+
+const MAX_FILE_BYTES = 1024 * 1024;
+
+// Tags that default to a higher/lower priority than medium
+const TAG_PRIORITIES = {
+    FIXME: 'high',
+    BUG: 'high',
+    NOTE: 'low'
+};
+
+/**
+ * Scans a project folder for TODO/FIXME-style comments and keeps a note for each one.
+ * Notes created this way carry a `source` ({ type: 'todo', file, line, tag, text })
+ * so a rescan can update them in place and notice comments that were removed.
+ */
+class TodoScanner {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+    }
+
+    _getConfig() {
+        const config = vscode.workspace.getConfiguration('quickNotes.todoScan');
+        return {
+            tags: config.get('tags', ['TODO', 'FIXME', 'HACK', 'XXX', 'BUG']),
+            include: config.get('include', ['**/*']),
+            exclude: config.get('exclude', ['**/node_modules/**', '**/.git/**', '**/dist/**', '**/out/**', '**/build/**', '**/*.min.js']),
+            respectGitignore: config.get('respectGitignore', true),
+            maxFiles: config.get('maxFiles', 5000)
+        };
+    }
+
+    /**
+     * Regex for a comment starting with one of the tags, e.g. "// TODO(sam): fix this"
+     */
+    _buildCommentRegex(tags) {
+        const escaped = tags.map(tag => tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+        return new RegExp(`(?:\\/\\/+|#+|\\/\\*+|<!--|--|;+|^\\s*\\*+)\\s*(${escaped})\\b(?:\\([^)]*\\))?\\s*[:\\-]?\\s*(.*)$`);
+    }
+
+    /**
+     * Find all tagged comments in one file.
+     * Returns [{ file, line, tag, text }] with `line` 1-based and `file` relative to the project.
+     */
+    scanFile(projectPath, filePath, regex) {
+        let content;
+        try {
+            if (fs.statSync(filePath).size > MAX_FILE_BYTES) return [];
+            content = fs.readFileSync(filePath, 'utf8');
+        } catch {
+            return [];
+        }
+        // Skip binary files
+        if (content.slice(0, 8000).includes('\0')) return [];
+
+        const relPath = path.relative(projectPath, filePath).split(path.sep).join('/');
+        const found = [];
+
+        content.split(/\r?\n/).forEach((lineText, index) => {
+            const match = lineText.match(regex);
+            if (!match) return;
+
+            const text = match[2].replace(/\s*(\*\/|-->)\s*$/, '').trim();
+            found.push({
+                file: relPath,
+                line: index + 1,
+                tag: match[1],
+                text
+            });
+        });
+
+        return found;
+    }
+
+    /**
+     * Walk the project folder and collect every tagged comment
+     */
+    scanFolder(projectPath) {
+        const config = this._getConfig();
+        const regex = this._buildCommentRegex(config.tags);
+        const includes = config.include.map(globToRegExp);
+        const ignore = new IgnoreRules(projectPath, config.exclude, config.respectGitignore);
+        const found = [];
+        let fileCount = 0;
+
+        const walk = (relDir) => {
+            ignore.loadDirectory(relDir);
+
+            let entries;
+            try {
+                entries = fs.readdirSync(path.join(projectPath, relDir), {
+                    withFileTypes: true
+                });
+            } catch {
+                return;
+            }
+
+            for (const entry of entries) {
+                if (fileCount >= config.maxFiles) return;
+
+                const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+                if (entry.isDirectory()) {
+                    if (entry.name === '.git' || ignore.isIgnored(relPath, true)) continue;
+                    walk(relPath);
+                } else if (entry.isFile()) {
+                    if (ignore.isIgnored(relPath, false) || !includes.some(r => r.test(relPath))) continue;
+                    fileCount++;
+                    found.push(...this.scanFile(projectPath, path.join(projectPath, relPath), regex));
+                }
+            }
+        };
+
+        walk('');
+        return {
+            comments: found,
+            truncated: fileCount >= config.maxFiles
+        };
+    }
+
+    /**
+     * Scan a whole project and bring its TODO notes up to date.
+     * Returns { added, updated, removed } where `removed` lists open notes whose comment is gone.
+     */
+    async scanProject(projectId, projectPath) {
+        const {
+            comments,
+            truncated
+        } = this.scanFolder(projectPath);
+        const result = await this._applyComments(projectId, comments, () => true);
+        result.truncated = truncated;
+        return result;
+    }
+
+    /**
+     * Rescan a single file of a project (e.g. after it was saved)
+     */
+    async scanSingleFile(projectId, projectPath, filePath) {
+        const config = this._getConfig();
+        const relPath = path.relative(projectPath, filePath).split(path.sep).join('/');
+        const comments = this.scanFile(projectPath, filePath, this._buildCommentRegex(config.tags));
+        return this._applyComments(projectId, comments, source => source.file === relPath);
+    }
+
+    /**
+     * Match scanned comments to existing TODO notes (by file, tag and text, so moved lines
+     * still match), create notes for new comments and update moved ones.
+     * `inScope` limits which existing notes the scan speaks for.
+     */
+    async _applyComments(projectId, comments, inScope) {
+        const notes = this.dataManager.getNotesForProject(projectId)
+            .filter(note => note.source?.type === 'todo' && inScope(note.source));
+
+        const unmatched = new Map();
+        for (const note of notes) {
+            const key = this._key(note.source);
+            if (!unmatched.has(key)) unmatched.set(key, []);
+            unmatched.get(key).push(note);
+        }
+
+        const add = [];
+        const update = [];
+        for (const comment of comments) {
+            const candidates = unmatched.get(this._key(comment)) || [];
+            const note = candidates.shift();
+
+            if (!note) {
+                add.push({
+                    title: `${comment.tag}: ${comment.text || '(no description)'}`.slice(0, 120),
+                    description: `${comment.file}:${comment.line}`,
+                    priority: TAG_PRIORITIES[comment.tag] || 'medium',
+                    source: {
+                        type: 'todo',
+                        ...comment
+                    }
+                });
+            } else if (note.source.line !== comment.line) {
+                const updates = {
+                    source: {
+                        ...note.source,
+                        line: comment.line
+                    }
+                };
+                // Move the location in the description too, unless the user has written their own
+                if (note.description === `${note.source.file}:${note.source.line}`) {
+                    updates.description = `${comment.file}:${comment.line}`;
+                }
+                update.push({
+                    noteId: note.id,
+                    updates
+                });
+            }
+        }
+
+        if (add.length > 0 || update.length > 0) {
+            await this.dataManager.batchUpdateNotes(projectId, {
+                add,
+                update
+            });
+        }
+
+        const removed = Array.from(unmatched.values()).flat().filter(note => !isDone(note));
+        return {
+            added: add.length,
+            updated: update.length,
+            removed
+        };
+    }
+
+    _key(source) {
+        return `${source.file}\u0000${source.tag}\u0000${source.text}`;
+    }
+}
+
+module.exports = {
+    TodoScanner
+};
@@ -0,0 +1,467 @@
+const vscode = require('vscode');
+const {
+    getStatusColumns,
+    getOpenStatus,
+    isDone
+} = require('../data/noteStatus');
+const {
+    sortByRank
+} = require('../data/noteOrder');
+const {
+    describeDueDate
+} = require('../data/dueDates');
+const {
+    toScriptJson
+} = require('./markdownRenderer');
+
+/**
+ * A project's notes as a Kanban board, one column per status (`quickNotes.board.columns`).
+ * Dragging a card sets its status and its place in the project's manual order in one save;
+ * the board redraws whenever the notes change, including through sync.
+ */
+class BoardPanel {
+    static currentPanel = undefined;
+    static viewType = 'noteBoard';
+
+    static createOrShow(extensionUri, dataManager, quickNotesProvider, projectId) {
+        const column = vscode.window.activeTextEditor ?
+            vscode.window.activeTextEditor.viewColumn :
+            undefined;
+
+        if (BoardPanel.currentPanel) {
+            BoardPanel.currentPanel._panel.reveal(column);
+            BoardPanel.currentPanel._show(projectId);
+            return;
+        }
+
+        const panel = vscode.window.createWebviewPanel(
+            BoardPanel.viewType,
+            'Board',
+            column || vscode.ViewColumn.One, {
+                enableScripts: true,
+                retainContextWhenHidden: true,
+                localResourceRoots: [extensionUri]
+            }
+        );
+
+        BoardPanel.currentPanel = new BoardPanel(panel, extensionUri, dataManager, quickNotesProvider, projectId);
+    }
+
+    constructor(panel, extensionUri, dataManager, quickNotesProvider, projectId) {
+        this._panel = panel;
+        this._extensionUri = extensionUri;
+        this._dataManager = dataManager;
+        this._quickNotesProvider = quickNotesProvider;
+        this._projectId = projectId;
+        this._disposables = [];
+
+        const board = this._getBoard();
+        this._panel.title = this._getTitle(board);
+        this._panel.webview.html = this._getHtmlForWebview(board);
+
+        this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+
+        // Any change to the notes (edits here, in the tree, or synced in) refreshes the board
+        this._quickNotesProvider.onDidChangeTreeData(() => this._postBoard(), null, this._disposables);
+
+        this._panel.webview.onDidReceiveMessage(
+            async message => {
+                    switch (message.command) {
+                        case 'moveCard':
+                            try {
+                                await this._moveCard(message.noteId, message.status, message.beforeNoteId);
+                            } catch (err) {
+                                vscode.window.showErrorMessage(`Failed to move card: ${err.message}`);
+                                this._postBoard();
+                            }
+                            return;
+                        case 'openNote':
+                            vscode.commands.executeCommand('quickNotes.editNote', {
+                                projectId: this._projectId,
+                                noteId: message.noteId
+                            });
+                            return;
+                        case 'addNote':
+                            try {
+                                await this._addNote(message.status);
+                            } catch (err) {
+                                vscode.window.showErrorMessage(`Failed to add note: ${err.message}`);
+                            }
+                            return;
+                    }
+                },
+                null,
+                this._disposables
+        );
+    }
+
+    dispose() {
+        BoardPanel.currentPanel = undefined;
+        this._panel.dispose();
+        while (this._disposables.length) {
+            const disposable = this._disposables.pop();
+            if (disposable) {
+                disposable.dispose();
+            }
+        }
+    }
+
+    _show(projectId) {
+        this._projectId = projectId;
+        this._postBoard();
+    }
+
+    _postBoard() {
+        const board = this._getBoard();
+        this._panel.title = this._getTitle(board);
+        this._panel.webview.postMessage({
+            command: 'update',
+            board
+        });
+    }
+
+    _getTitle(board) {
+        return board.projectName ? `Board: ${board.projectName}` : 'Board';
+    }
+
+    /**
+     * The columns with their cards, each column in manual order.
+     * Notes with a status that is no longer a column show in the first open column.
+     */
+    _getBoard() {
+        const project = this._quickNotesProvider.getProjects().find(p => p.id === this._projectId);
+        const columns = getStatusColumns();
+        const openStatus = getOpenStatus();
+        const columnIds = new Set(columns.map(c => c.id));
+        const notes = sortByRank(this._dataManager.getNotesForProject(this._projectId));
+
+        return {
+            projectName: project?.name || null,
+            columns: columns.map(column => ({
+                id: column.id,
+                label: column.label,
+                cards: notes
+                    .filter(note => (columnIds.has(note.status) ? note.status : openStatus) === column.id)
+                    .map(note => this._toCard(note))
+            })),
+            // Every note in manual order, to place cards dropped below a column's last card
+            order: notes.map(note => note.id)
+        };
+    }
+
+    _toCard(note) {
+        const subtasks = note.subtasks || [];
+        return {
+            id: note.id,
+            title: note.title || 'Untitled',
+            priority: note.priority || 'medium',
+            tags: note.tags || [],
+            due: note.dueDate ? describeDueDate(note.dueDate) : null,
+            checklist: subtasks.length > 0 ? `${subtasks.filter(s => s.done).length}/${subtasks.length}` : null,
+            done: isDone(note)
+        };
+    }
+
+    async _moveCard(noteId, status, beforeNoteId) {
+        const note = this._dataManager.getNote(this._projectId, noteId);
+        if (!note) return;
+
+        const updates = note.status !== status ? {
+            status
+        } : null;
+        const moved = await this._dataManager.moveNotes([{
+            projectId: this._projectId,
+            noteId
+        }], this._projectId, beforeNoteId || null, updates);
+        if (moved > 0) {
+            this._quickNotesProvider.refresh();
+        }
+    }
+
+    async _addNote(status) {
+        if (!this._quickNotesProvider.getProjects().some(p => p.id === this._projectId)) return;
+
+        const title = await vscode.window.showInputBox({
+            prompt: 'New note',
+            placeHolder: 'Note title'
+        });
+        if (!title?.trim()) return;
+
+        await this._dataManager.addNote(this._projectId, {
+            title: title.trim(),
+            status
+        });
+        this._quickNotesProvider.refresh();
+    }
+
+    _getHtmlForWebview(board) {
+        const json = toScriptJson(board);
+
+        return `<!DOCTYPE html>
+            <html lang="en">
+            <head>
+                <meta charset="UTF-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <title>Board</title>
+                <style>
+                    body {
+                        font-family: var(--vscode-font-family);
+                        padding: 0;
+                        margin: 0;
+                        color: var(--vscode-foreground);
+                        background-color: var(--vscode-editor-background);
+                    }
+                    .header {
+                        padding: 16px 24px 0;
+                    }
+                    .header h2 {
+                        margin: 0;
+                        font-size: 18px;
+                        font-weight: 600;
+                    }
+                    .board {
+                        display: flex;
+                        gap: 16px;
+                        padding: 16px 24px 24px;
+                        align-items: flex-start;
+                        overflow-x: auto;
+                    }
+                    .column {
+                        flex: 0 0 260px;
+                        background: var(--vscode-sideBar-background);
+                        border: 1px solid var(--vscode-widget-border);
+                        border-radius: 8px;
+                        display: flex;
+                        flex-direction: column;
+                        max-height: calc(100vh - 90px);
+                    }
+                    .column.drop-target {
+                        border-color: var(--vscode-focusBorder);
+                    }
+                    .column-header {
+                        display: flex;
+                        align-items: center;
+                        justify-content: space-between;
+                        padding: 10px 12px;
+                        font-weight: 600;
+                        font-size: 12px;
+                        text-transform: uppercase;
+                        letter-spacing: 0.05em;
+                        color: var(--vscode-descriptionForeground);
+                    }
+                    .count {
+                        margin-left: 6px;
+                        font-weight: normal;
+                    }
+                    .add-btn {
+                        background: none;
+                        border: none;
+                        color: var(--vscode-descriptionForeground);
+                        cursor: pointer;
+                        font-size: 16px;
+                        line-height: 1;
+                        padding: 2px 6px;
+                        border-radius: 4px;
+                    }
+                    .add-btn:hover {
+                        background: var(--vscode-toolbar-hoverBackground);
+                        color: var(--vscode-foreground);
+                    }
+                    .cards {
+                        display: flex;
+                        flex-direction: column;
+                        gap: 8px;
+                        padding: 0 10px 10px;
+                        min-height: 40px;
+                        overflow-y: auto;
+                    }
+                    .card {
+                        background: var(--vscode-editor-background);
+                        border: 1px solid var(--vscode-widget-border);
+                        border-left: 3px solid var(--vscode-charts-yellow);
+                        border-radius: 6px;
+                        padding: 8px 10px;
+                        cursor: grab;
+                        font-size: 13px;
+                    }
+                    .card.priority-high {
+                        border-left-color: var(--vscode-charts-red);
+                    }
+                    .card.priority-low {
+                        border-left-color: var(--vscode-charts-green);
+                    }
+                    .card:hover {
+                        background: var(--vscode-list-hoverBackground);
+                    }
+                    .card.dragging {
+                        opacity: 0.4;
+                    }
+                    .card.drop-before {
+                        box-shadow: 0 -2px 0 var(--vscode-focusBorder);
+                    }
+                    .card.done .card-title {
+                        text-decoration: line-through;
+                        opacity: 0.7;
+                    }
+                    .card-title {
+                        word-break: break-word;
+                    }
+                    .card-meta {
+                        display: flex;
+                        flex-wrap: wrap;
+                        gap: 6px;
+                        margin-top: 6px;
+                        font-size: 11px;
+                        color: var(--vscode-descriptionForeground);
+                    }
+                    .tag {
+                        background: var(--vscode-badge-background);
+                        color: var(--vscode-badge-foreground);
+                        border-radius: 10px;
+                        padding: 0 6px;
+                    }
+                    .empty {
+                        padding: 40px 24px;
+                        color: var(--vscode-descriptionForeground);
+                    }
+                </style>
+            </head>
+            <body>
+                <div class="header"><h2 id="title"></h2></div>
+                <div class="board" id="board"></div>
+
+                <script>
+                    const vscode = acquireVsCodeApi();
+                    let board = ${json};
+                    let dragged = null;
+
+                    function el(tag, className, text) {
+                        const node = document.createElement(tag);
+                        if (className) node.className = className;
+                        if (text !== undefined) node.textContent = text;
+                        return node;
+                    }
+
+                    function clearDropMarkers() {
+                        document.querySelectorAll('.drop-before, .drop-target').forEach(node => {
+                            node.classList.remove('drop-before', 'drop-target');
+                        });
+                    }
+
+                    // The card the dragged one would go before, or null for the end of the column
+                    function cardAfter(cards, y) {
+                        const others = [...cards.querySelectorAll('.card:not(.dragging)')];
+                        return others.find(card => {
+                            const box = card.getBoundingClientRect();
+                            return y < box.top + box.height / 2;
+                        }) || null;
+                    }
+
+                    // Below a column's last card means before whatever note follows it in the project
+                    function noteAfterColumn(column) {
+                        const ids = column.cards.map(card => card.id).filter(id => id !== dragged);
+                        if (ids.length === 0) return null;
+                        const order = board.order.filter(id => id !== dragged);
+                        return order[order.indexOf(ids[ids.length - 1]) + 1] || null;
+                    }
+
+                    function renderCard(card) {
+                        const node = el('div', 'card priority-' + card.priority + (card.done ? ' done' : ''));
+                        node.draggable = true;
+                        node.setAttribute('data-id', card.id);
+                        node.appendChild(el('div', 'card-title', card.title));
+
+                        const meta = el('div', 'card-meta');
+                        if (card.due) meta.appendChild(el('span', '', '📅 ' + card.due));
+                        if (card.checklist) meta.appendChild(el('span', '', '☑ ' + card.checklist));
+                        card.tags.forEach(tag => meta.appendChild(el('span', 'tag', '#' + tag)));
+                        if (meta.childNodes.length > 0) node.appendChild(meta);
+
+                        node.addEventListener('click', () => {
+                            vscode.postMessage({ command: 'openNote', noteId: card.id });
+                        });
+                        node.addEventListener('dragstart', event => {
+                            dragged = card.id;
+                            event.dataTransfer.effectAllowed = 'move';
+                            event.dataTransfer.setData('text/plain', card.id);
+                            node.classList.add('dragging');
+                        });
+                        node.addEventListener('dragend', () => {
+                            dragged = null;
+                            node.classList.remove('dragging');
+                            clearDropMarkers();
+                        });
+                        return node;
+                    }
+
+                    function renderColumn(column) {
+                        const node = el('div', 'column');
+                        const header = el('div', 'column-header');
+                        const label = el('span', '', column.label);
+                        label.appendChild(el('span', 'count', String(column.cards.length)));
+                        header.appendChild(label);
+
+                        const addBtn = el('button', 'add-btn', '+');
+                        addBtn.title = 'Add a note to ' + column.label;
+                        addBtn.addEventListener('click', () => {
+                            vscode.postMessage({ command: 'addNote', status: column.id });
+                        });
+                        header.appendChild(addBtn);
+                        node.appendChild(header);
+
+                        const cards = el('div', 'cards');
+                        column.cards.forEach(card => cards.appendChild(renderCard(card)));
+                        node.appendChild(cards);
+
+                        node.addEventListener('dragover', event => {
+                            if (!dragged) return;
+                            event.preventDefault();
+                            clearDropMarkers();
+                            node.classList.add('drop-target');
+                            const after = cardAfter(cards, event.clientY);
+                            if (after) after.classList.add('drop-before');
+                        });
+                        node.addEventListener('dragleave', event => {
+                            if (!node.contains(event.relatedTarget)) node.classList.remove('drop-target');
+                        });
+                        node.addEventListener('drop', event => {
+                            if (!dragged) return;
+                            event.preventDefault();
+                            const after = cardAfter(cards, event.clientY);
+                            const beforeNoteId = after ? after.getAttribute('data-id') : noteAfterColumn(column);
+                            vscode.postMessage({ command: 'moveCard', noteId: dragged, status: column.id, beforeNoteId });
+                            clearDropMarkers();
+                        });
+                        return node;
+                    }
+
+                    function render() {
+                        const root = document.getElementById('board');
+                        root.replaceChildren();
+                        if (!board.projectName) {
+                            document.getElementById('title').textContent = 'Board';
+                            root.appendChild(el('div', 'empty', 'This project is no longer in Quick Notes.'));
+                            return;
+                        }
+                        document.getElementById('title').textContent = board.projectName;
+                        board.columns.forEach(column => root.appendChild(renderColumn(column)));
+                    }
+
+                    window.addEventListener('message', event => {
+                        const message = event.data;
+                        if (message.command === 'update') {
+                            board = message.board;
+                            render();
+                        }
+                    });
+
+                    render();
+                </script>
+            </body>
+            </html>`;
+    }
+}
+
+module.exports = {
+    BoardPanel
+};
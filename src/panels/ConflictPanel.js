@@ -0,0 +1,396 @@
+const vscode = require('vscode');
+const {
+    toScriptJson
+} = require('./markdownRenderer');
+
+/**
+ * Shows notes that were edited on two devices side by side and lets the user
+ * pick a version (or hand-merge text) for every conflicting field before sync pushes.
+ */
+class ConflictPanel {
+    static currentPanel = undefined;
+    static viewType = 'syncConflicts';
+
+    /**
+     * Open the panel for a set of conflicts.
+     * Resolves to one `{ field: value }` object per conflict, or null if the user cancelled.
+     */
+    static resolve(extensionUri, conflicts) {
+        // A newer set of conflicts supersedes whatever is still on screen
+        if (ConflictPanel.currentPanel) {
+            ConflictPanel.currentPanel.dispose();
+        }
+
+        const column = vscode.window.activeTextEditor ?
+            vscode.window.activeTextEditor.viewColumn :
+            undefined;
+
+        const panel = vscode.window.createWebviewPanel(
+            ConflictPanel.viewType,
+            'Resolve Sync Conflicts',
+            column || vscode.ViewColumn.One, {
+                enableScripts: true,
+                localResourceRoots: [extensionUri]
+            }
+        );
+
+        return new Promise(resolve => {
+            ConflictPanel.currentPanel = new ConflictPanel(panel, extensionUri, conflicts, resolve);
+        });
+    }
+
+    constructor(panel, extensionUri, conflicts, onResolved) {
+        this._panel = panel;
+        this._extensionUri = extensionUri;
+        this._conflicts = conflicts;
+        this._onResolved = onResolved;
+
+        this._panel.webview.html = this._getHtmlForWebview(conflicts);
+
+        this._panel.onDidDispose(() => this.dispose(), null, []);
+
+        this._panel.webview.onDidReceiveMessage(
+            message => {
+                switch (message.command) {
+                    case 'resolve':
+                        this._finish(message.resolutions);
+                        this._panel.dispose();
+                        return;
+                    case 'cancel':
+                        this._panel.dispose();
+                        return;
+                }
+            },
+            null,
+            []
+        );
+    }
+
+    dispose() {
+        ConflictPanel.currentPanel = undefined;
+        // Closing the panel without resolving counts as cancelling
+        this._finish(null);
+        this._panel.dispose();
+    }
+
+    _finish(resolutions) {
+        if (this._onResolved) {
+            this._onResolved(resolutions);
+            this._onResolved = null;
+        }
+    }
+
+    _getHtmlForWebview(conflicts) {
+        const payload = conflicts.map(conflict => ({
+            title: conflict.title || 'Untitled',
+            projectName: conflict.projectName || '',
+            fields: conflict.fields.map(f => ({
+                field: f.field,
+                local: f.local,
+                remote: f.remote
+            }))
+        }));
+        const json = toScriptJson(payload);
+
+        return `<!DOCTYPE html>
+            <html lang="en">
+            <head>
+                <meta charset="UTF-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <title>Resolve Sync Conflicts</title>
+                <style>
+                    :root {
+                        --padding: 24px;
+                        --border-radius: 8px;
+                    }
+                    body {
+                        font-family: var(--vscode-font-family);
+                        padding: 0;
+                        margin: 0;
+                        color: var(--vscode-foreground);
+                        background-color: var(--vscode-editor-background);
+                        display: flex;
+                        justify-content: center;
+                        align-items: flex-start;
+                        min-height: 100vh;
+                    }
+                    .container {
+                        width: 100%;
+                        max-width: 1000px;
+                        margin: 40px 20px;
+                        background: var(--vscode-sideBar-background);
+                        border-radius: var(--border-radius);
+                        box-shadow: 0 10px 30px rgba(0,0,0,0.3);
+                        display: flex;
+                        flex-direction: column;
+                        overflow: hidden;
+                        border: 1px solid var(--vscode-widget-border);
+                    }
+                    .header {
+                        padding: var(--padding);
+                        background: linear-gradient(135deg, var(--vscode-button-background), var(--vscode-progressBar-background));
+                        color: var(--vscode-button-foreground);
+                    }
+                    .header h2 {
+                        margin: 0 0 6px 0;
+                        font-size: 20px;
+                        font-weight: 600;
+                    }
+                    .header p {
+                        margin: 0;
+                        font-size: 13px;
+                        opacity: 0.9;
+                    }
+                    .content-area {
+                        padding: var(--padding);
+                        display: flex;
+                        flex-direction: column;
+                        gap: 24px;
+                    }
+                    .conflict {
+                        border: 1px solid var(--vscode-widget-border);
+                        border-radius: 6px;
+                        overflow: hidden;
+                    }
+                    .conflict-title {
+                        padding: 12px 16px;
+                        background: var(--vscode-editor-background);
+                        font-weight: 600;
+                        display: flex;
+                        justify-content: space-between;
+                    }
+                    .conflict-project {
+                        font-weight: normal;
+                        color: var(--vscode-descriptionForeground);
+                    }
+                    .field {
+                        padding: 16px;
+                        display: flex;
+                        flex-direction: column;
+                        gap: 8px;
+                        border-top: 1px solid var(--vscode-widget-border);
+                    }
+                    label {
+                        font-weight: 600;
+                        font-size: 11px;
+                        text-transform: uppercase;
+                        letter-spacing: 0.05em;
+                        color: var(--vscode-descriptionForeground);
+                    }
+                    .sides {
+                        display: grid;
+                        grid-template-columns: 1fr 1fr;
+                        gap: 12px;
+                    }
+                    .side {
+                        border: 1px solid var(--vscode-input-border);
+                        border-radius: 6px;
+                        padding: 10px 12px;
+                        cursor: pointer;
+                        background: var(--vscode-input-background);
+                        transition: all 0.2s;
+                    }
+                    .side:hover {
+                        background: var(--vscode-list-hoverBackground);
+                    }
+                    .side.active {
+                        border-color: var(--vscode-focusBorder);
+                        box-shadow: 0 0 0 2px rgba(0, 122, 204, 0.2);
+                    }
+                    .side-label {
+                        font-size: 11px;
+                        color: var(--vscode-descriptionForeground);
+                        margin-bottom: 6px;
+                    }
+                    .side-value {
+                        white-space: pre-wrap;
+                        word-break: break-word;
+                        font-size: 13px;
+                        max-height: 200px;
+                        overflow: auto;
+                    }
+                    textarea {
+                        background-color: var(--vscode-input-background);
+                        color: var(--vscode-input-foreground);
+                        border: 1px solid var(--vscode-input-border);
+                        padding: 12px 16px;
+                        border-radius: 6px;
+                        font-family: inherit;
+                        font-size: 14px;
+                        min-height: 80px;
+                        resize: vertical;
+                        line-height: 1.5;
+                    }
+                    textarea:focus {
+                        outline: none;
+                        border-color: var(--vscode-focusBorder);
+                    }
+                    .footer {
+                        padding: var(--padding);
+                        background-color: var(--vscode-sideBar-background);
+                        border-top: 1px solid var(--vscode-widget-border);
+                        display: flex;
+                        justify-content: flex-end;
+                        gap: 12px;
+                    }
+                    .footer .spacer {
+                        flex: 1;
+                    }
+                    button {
+                        padding: 10px 20px;
+                        border-radius: 6px;
+                        cursor: pointer;
+                        font-weight: 600;
+                        border: none;
+                        font-size: 13px;
+                        transition: all 0.2s;
+                    }
+                    .btn-primary {
+                        background-color: var(--vscode-button-background);
+                        color: var(--vscode-button-foreground);
+                    }
+                    .btn-primary:hover {
+                        background-color: var(--vscode-button-hoverBackground);
+                    }
+                    .btn-secondary {
+                        background-color: var(--vscode-button-secondaryBackground);
+                        color: var(--vscode-button-secondaryForeground);
+                    }
+                    .btn-secondary:hover {
+                        background-color: var(--vscode-button-secondaryHoverBackground);
+                    }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <div class="header">
+                        <h2>Resolve Sync Conflicts</h2>
+                        <p>These notes were changed on this device and on another device since the last sync.
+                        Pick a version for each field, or edit the merged text, then sync.</p>
+                    </div>
+
+                    <div class="content-area" id="conflicts"></div>
+
+                    <div class="footer">
+                        <button class="btn-secondary" id="keepLocalBtn">Keep All Mine</button>
+                        <button class="btn-secondary" id="keepRemoteBtn">Keep All Theirs</button>
+                        <span class="spacer"></span>
+                        <button class="btn-secondary" id="cancelBtn">Cancel Sync</button>
+                        <button class="btn-primary" id="resolveBtn">Resolve &amp; Sync</button>
+                    </div>
+                </div>
+
+                <script>
+                    const vscode = acquireVsCodeApi();
+                    const conflicts = ${json};
+
+                    // choices[i][field] = { side: 'local' | 'remote', value }
+                    const choices = conflicts.map(conflict => {
+                        const chosen = {};
+                        conflict.fields.forEach(f => {
+                            chosen[f.field] = { side: 'local', value: f.local };
+                        });
+                        return chosen;
+                    });
+
+                    function formatValue(value) {
+                        if (value === undefined || value === null || value === '') return '(empty)';
+                        if (typeof value === 'string') return value;
+                        return JSON.stringify(value, null, 2);
+                    }
+
+                    function el(tag, className, text) {
+                        const node = document.createElement(tag);
+                        if (className) node.className = className;
+                        if (text !== undefined) node.textContent = text;
+                        return node;
+                    }
+
+                    function choose(i, f, side) {
+                        const value = side === 'local' ? f.local : f.remote;
+                        choices[i][f.field] = { side, value };
+                        const row = document.querySelector('[data-row="' + i + '-' + f.field + '"]');
+                        row.querySelectorAll('.side').forEach(s => {
+                            s.classList.toggle('active', s.getAttribute('data-side') === side);
+                        });
+                        const textarea = row.querySelector('textarea');
+                        if (textarea) textarea.value = value || '';
+                    }
+
+                    function render() {
+                        const root = document.getElementById('conflicts');
+                        conflicts.forEach((conflict, i) => {
+                            const card = el('div', 'conflict');
+                            const title = el('div', 'conflict-title');
+                            title.appendChild(el('span', '', conflict.title));
+                            title.appendChild(el('span', 'conflict-project', conflict.projectName));
+                            card.appendChild(title);
+
+                            conflict.fields.forEach(f => {
+                                const row = el('div', 'field');
+                                row.setAttribute('data-row', i + '-' + f.field);
+                                row.appendChild(el('label', '', f.field));
+
+                                const sides = el('div', 'sides');
+                                [['local', 'This device', f.local], ['remote', 'Other device', f.remote]].forEach(([side, label, value]) => {
+                                    const box = el('div', 'side' + (side === 'local' ? ' active' : ''));
+                                    box.setAttribute('data-side', side);
+                                    box.appendChild(el('div', 'side-label', label));
+                                    box.appendChild(el('div', 'side-value', formatValue(value)));
+                                    box.addEventListener('click', () => choose(i, f, side));
+                                    sides.appendChild(box);
+                                });
+                                row.appendChild(sides);
+
+                                // Text fields can be merged by hand
+                                const isText = typeof f.local === 'string' && typeof f.remote === 'string';
+                                if (isText) {
+                                    row.appendChild(el('label', '', 'Merged result'));
+                                    const textarea = el('textarea');
+                                    textarea.value = f.local;
+                                    textarea.addEventListener('input', () => {
+                                        choices[i][f.field] = { side: 'custom', value: textarea.value };
+                                        row.querySelectorAll('.side').forEach(s => s.classList.remove('active'));
+                                    });
+                                    row.appendChild(textarea);
+                                }
+
+                                card.appendChild(row);
+                            });
+
+                            root.appendChild(card);
+                        });
+                    }
+
+                    function chooseAll(side) {
+                        conflicts.forEach((conflict, i) => conflict.fields.forEach(f => choose(i, f, side)));
+                    }
+
+                    document.getElementById('keepLocalBtn').addEventListener('click', () => chooseAll('local'));
+                    document.getElementById('keepRemoteBtn').addEventListener('click', () => chooseAll('remote'));
+
+                    document.getElementById('resolveBtn').addEventListener('click', () => {
+                        const resolutions = choices.map(chosen => {
+                            const values = {};
+                            Object.entries(chosen).forEach(([field, choice]) => {
+                                values[field] = choice.value;
+                            });
+                            return values;
+                        });
+                        vscode.postMessage({ command: 'resolve', resolutions });
+                    });
+
+                    document.getElementById('cancelBtn').addEventListener('click', () => {
+                        vscode.postMessage({ command: 'cancel' });
+                    });
+
+                    render();
+                </script>
+            </body>
+            </html>`;
+    }
+}
+
+module.exports = {
+    ConflictPanel
+};
@@ -0,0 +1,372 @@
+const vscode = require('vscode');
+const {
+    computeStats
+} = require('../data/noteStats');
+const {
+    toScriptJson
+} = require('./markdownRenderer');
+
+/**
+ * Overview of notes across all projects, archived ones included: open notes per project and
+ * priority, the completion trend, the oldest open notes and what was finished this week.
+ * Clicking a note reveals it in the Quick Notes tree.
+ */
+class DashboardPanel {
+    static currentPanel = undefined;
+    static viewType = 'notesDashboard';
+
+    static createOrShow(extensionUri, dataManager, quickNotesProvider) {
+        const column = vscode.window.activeTextEditor ?
+            vscode.window.activeTextEditor.viewColumn :
+            undefined;
+
+        if (DashboardPanel.currentPanel) {
+            DashboardPanel.currentPanel._panel.reveal(column);
+            DashboardPanel.currentPanel._postStats();
+            return;
+        }
+
+        const panel = vscode.window.createWebviewPanel(
+            DashboardPanel.viewType,
+            'Notes Dashboard',
+            column || vscode.ViewColumn.One, {
+                enableScripts: true,
+                localResourceRoots: [extensionUri]
+            }
+        );
+
+        DashboardPanel.currentPanel = new DashboardPanel(panel, extensionUri, dataManager, quickNotesProvider);
+    }
+
+    constructor(panel, extensionUri, dataManager, quickNotesProvider) {
+        this._panel = panel;
+        this._extensionUri = extensionUri;
+        this._dataManager = dataManager;
+        this._quickNotesProvider = quickNotesProvider;
+        this._disposables = [];
+
+        this._panel.webview.html = this._getHtmlForWebview(this._getStats());
+
+        this._panel.onDidDispose(() => this.dispose(), null, this._disposables);
+
+        // Keep the figures current while notes change here, in the tree or through sync
+        this._quickNotesProvider.onDidChangeTreeData(() => this._postStats(), null, this._disposables);
+
+        this._panel.webview.onDidReceiveMessage(
+            message => {
+                switch (message.command) {
+                    case 'revealNote':
+                        vscode.commands.executeCommand('quickNotes.revealNote', {
+                            projectId: message.projectId,
+                            noteId: message.noteId
+                        });
+                        return;
+                    case 'openBoard':
+                        vscode.commands.executeCommand('quickNotes.openBoard', {
+                            projectId: message.projectId
+                        });
+                        return;
+                }
+            },
+            null,
+            this._disposables
+        );
+    }
+
+    dispose() {
+        DashboardPanel.currentPanel = undefined;
+        this._panel.dispose();
+        while (this._disposables.length) {
+            const disposable = this._disposables.pop();
+            if (disposable) {
+                disposable.dispose();
+            }
+        }
+    }
+
+    _getStats() {
+        return computeStats(this._dataManager.getData(), this._quickNotesProvider.getProjects());
+    }
+
+    _postStats() {
+        this._panel.webview.postMessage({
+            command: 'update',
+            stats: this._getStats()
+        });
+    }
+
+    _getHtmlForWebview(stats) {
+        const json = toScriptJson(stats);
+
+        return `<!DOCTYPE html>
+            <html lang="en">
+            <head>
+                <meta charset="UTF-8">
+                <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                <title>Notes Dashboard</title>
+                <style>
+                    body {
+                        font-family: var(--vscode-font-family);
+                        padding: 0;
+                        margin: 0;
+                        color: var(--vscode-foreground);
+                        background-color: var(--vscode-editor-background);
+                    }
+                    .dashboard {
+                        max-width: 1100px;
+                        margin: 0 auto;
+                        padding: 24px;
+                        display: grid;
+                        grid-template-columns: repeat(auto-fit, minmax(320px, 1fr));
+                        gap: 16px;
+                    }
+                    .tiles {
+                        grid-column: 1 / -1;
+                        display: grid;
+                        grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+                        gap: 16px;
+                    }
+                    .tile, .card {
+                        background: var(--vscode-sideBar-background);
+                        border: 1px solid var(--vscode-widget-border);
+                        border-radius: 8px;
+                        padding: 16px;
+                    }
+                    .tile-value {
+                        font-size: 28px;
+                        font-weight: 600;
+                    }
+                    .tile-label {
+                        font-size: 12px;
+                        color: var(--vscode-descriptionForeground);
+                        margin-top: 4px;
+                    }
+                    .wide {
+                        grid-column: 1 / -1;
+                    }
+                    h3 {
+                        margin: 0 0 12px 0;
+                        font-size: 12px;
+                        font-weight: 600;
+                        text-transform: uppercase;
+                        letter-spacing: 0.05em;
+                        color: var(--vscode-descriptionForeground);
+                    }
+                    table {
+                        width: 100%;
+                        border-collapse: collapse;
+                        font-size: 13px;
+                    }
+                    th, td {
+                        text-align: left;
+                        padding: 6px 8px;
+                        border-bottom: 1px solid var(--vscode-widget-border);
+                    }
+                    th.num, td.num {
+                        text-align: right;
+                        width: 64px;
+                    }
+                    .muted {
+                        color: var(--vscode-descriptionForeground);
+                    }
+                    .link {
+                        cursor: pointer;
+                    }
+                    .link:hover {
+                        color: var(--vscode-textLink-activeForeground);
+                        text-decoration: underline;
+                    }
+                    .chart {
+                        display: flex;
+                        align-items: flex-end;
+                        gap: 8px;
+                        height: 140px;
+                    }
+                    .week {
+                        flex: 1;
+                        display: flex;
+                        flex-direction: column;
+                        align-items: center;
+                        justify-content: flex-end;
+                        height: 100%;
+                        font-size: 11px;
+                    }
+                    .bar {
+                        width: 100%;
+                        max-width: 48px;
+                        background: var(--vscode-charts-green);
+                        border-radius: 3px 3px 0 0;
+                        min-height: 2px;
+                    }
+                    .week-label {
+                        margin-top: 6px;
+                        color: var(--vscode-descriptionForeground);
+                    }
+                    .list {
+                        list-style: none;
+                        margin: 0;
+                        padding: 0;
+                        font-size: 13px;
+                    }
+                    .list li {
+                        display: flex;
+                        justify-content: space-between;
+                        gap: 12px;
+                        padding: 6px 0;
+                        border-bottom: 1px solid var(--vscode-widget-border);
+                    }
+                    .empty {
+                        color: var(--vscode-descriptionForeground);
+                        font-size: 13px;
+                    }
+                </style>
+            </head>
+            <body>
+                <div class="dashboard" id="dashboard"></div>
+
+                <script>
+                    const vscode = acquireVsCodeApi();
+                    let stats = ${json};
+
+                    const PRIORITY_ICONS = { high: '🔴', medium: '🟡', low: '🟢' };
+
+                    function el(tag, className, text) {
+                        const node = document.createElement(tag);
+                        if (className) node.className = className;
+                        if (text !== undefined) node.textContent = text;
+                        return node;
+                    }
+
+                    function percent(rate) {
+                        return rate === null ? '–' : Math.round(rate * 100) + '%';
+                    }
+
+                    function card(title, className) {
+                        const node = el('div', 'card' + (className ? ' ' + className : ''));
+                        node.appendChild(el('h3', '', title));
+                        return node;
+                    }
+
+                    function tile(value, label) {
+                        const node = el('div', 'tile');
+                        node.appendChild(el('div', 'tile-value', String(value)));
+                        node.appendChild(el('div', 'tile-label', label));
+                        return node;
+                    }
+
+                    function noteList(notes, describe, emptyText) {
+                        if (notes.length === 0) return el('div', 'empty', emptyText);
+                        const list = el('ul', 'list');
+                        notes.forEach(note => {
+                            const row = el('li');
+                            const title = el('span', 'link', (PRIORITY_ICONS[note.priority] || '') + ' ' + note.title);
+                            title.title = 'Reveal in Quick Notes';
+                            title.addEventListener('click', () => {
+                                vscode.postMessage({ command: 'revealNote', projectId: note.projectId, noteId: note.noteId });
+                            });
+                            row.appendChild(title);
+                            row.appendChild(el('span', 'muted', describe(note)));
+                            list.appendChild(row);
+                        });
+                        return list;
+                    }
+
+                    function renderTiles(root) {
+                        const tiles = el('div', 'tiles');
+                        tiles.appendChild(tile(stats.totals.open, 'Open notes'));
+                        tiles.appendChild(tile(stats.totals.overdue, 'Overdue'));
+                        tiles.appendChild(tile(stats.completedThisWeek.length, 'Completed this week'));
+                        tiles.appendChild(tile(percent(stats.totals.completionRate), 'Completion rate'));
+                        tiles.appendChild(tile(stats.projects.active, 'Projects'));
+                        tiles.appendChild(tile(stats.projects.stale, 'Stale projects'));
+                        tiles.appendChild(tile(stats.projects.archived, 'Archived projects'));
+                        root.appendChild(tiles);
+                    }
+
+                    function renderProjects(root) {
+                        const node = card('Open Notes by Project', 'wide');
+                        const table = el('table');
+                        const head = el('tr');
+                        head.appendChild(el('th', '', 'Project'));
+                        ['🔴 High', '🟡 Medium', '🟢 Low', 'Open', 'Done'].forEach(label => head.appendChild(el('th', 'num', label)));
+                        table.appendChild(head);
+
+                        stats.byProject.forEach(project => {
+                            const row = el('tr');
+                            const name = el('td');
+                            const label = el('span', project.archived ? '' : 'link', project.name);
+                            if (!project.archived) {
+                                label.title = 'Open Board';
+                                label.addEventListener('click', () => {
+                                    vscode.postMessage({ command: 'openBoard', projectId: project.projectId });
+                                });
+                            }
+                            name.appendChild(label);
+                            if (project.archived) name.appendChild(el('span', 'muted', ' (archived)'));
+                            if (project.stale) name.appendChild(el('span', 'muted', ' ⚠️ folder not found'));
+                            row.appendChild(name);
+                            [project.high, project.medium, project.low, project.open, project.done].forEach(value => {
+                                row.appendChild(el('td', 'num', String(value)));
+                            });
+                            table.appendChild(row);
+                        });
+                        node.appendChild(stats.byProject.length > 0 ? table : el('div', 'empty', 'No projects yet.'));
+                        root.appendChild(node);
+                    }
+
+                    function renderTrend(root) {
+                        const node = card('Completed per Week', 'wide');
+                        const chart = el('div', 'chart');
+                        const max = Math.max(1, ...stats.trend.map(week => week.completed));
+                        stats.trend.forEach(week => {
+                            const column = el('div', 'week');
+                            column.title = 'Week of ' + week.weekStart + ': ' + week.completed + ' completed, ' +
+                                percent(week.rate) + ' of notes done by the end of the week';
+                            column.appendChild(el('div', 'muted', String(week.completed)));
+                            const bar = el('div', 'bar');
+                            bar.style.height = Math.round(week.completed / max * 100) + '%';
+                            column.appendChild(bar);
+                            column.appendChild(el('div', 'week-label', week.weekStart.slice(5) + ' · ' + percent(week.rate)));
+                            chart.appendChild(column);
+                        });
+                        node.appendChild(chart);
+                        root.appendChild(node);
+                    }
+
+                    function render() {
+                        const root = document.getElementById('dashboard');
+                        root.replaceChildren();
+                        renderTiles(root);
+                        renderProjects(root);
+                        renderTrend(root);
+
+                        const oldest = card('Oldest Open Notes');
+                        oldest.appendChild(noteList(stats.oldestOpen, note => {
+                            const age = note.ageDays === null ? '' : note.ageDays + ' day' + (note.ageDays !== 1 ? 's' : '');
+                            return [note.projectName, age].filter(Boolean).join(' · ');
+                        }, 'No open notes.'));
+                        root.appendChild(oldest);
+
+                        const completed = card('Completed This Week');
+                        completed.appendChild(noteList(stats.completedThisWeek, note => note.projectName, 'Nothing completed yet this week.'));
+                        root.appendChild(completed);
+                    }
+
+                    window.addEventListener('message', event => {
+                        const message = event.data;
+                        if (message.command === 'update') {
+                            stats = message.stats;
+                            render();
+                        }
+                    });
+
+                    render();
+                </script>
+            </body>
+            </html>`;
+    }
+}
+
+module.exports = {
+    DashboardPanel
+};
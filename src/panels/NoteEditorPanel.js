@@ -1,4 +1,18 @@
 const vscode = require('vscode');
+const {
+    parseDueDate,
+    describeDueDate
+} = require('../data/dueDates');
+const {
+    getTagColor,
+    toCssColor
+} = require('../data/tags');
+const {
+    renderMarkdown,
+    toggleTask,
+    toScriptJson,
+    MARKDOWN_STYLES
+} = require('./markdownRenderer');
 
 class NoteEditorPanel {
     static currentPanel = undefined;
@@ -43,19 +57,57 @@ class NoteEditorPanel {
         this._panel.webview.onDidReceiveMessage(
             async message => {
                 switch (message.command) {
+                    case 'previewDueDate':
+                        this._panel.webview.postMessage({
+                            command: 'dueDatePreview',
+                            text: this._describeDueInput(message.text)
+                        });
+                        return;
+                    case 'renderMarkdown':
+                        this._panel.webview.postMessage({
+                            command: 'markdownPreview',
+                            html: renderMarkdown(message.text)
+                        });
+                        return;
+                    case 'toggleTask': {
+                        // Ticking a task in the preview updates the Markdown source
+                        const text = toggleTask(message.text, message.index, message.checked);
+                        this._panel.webview.postMessage({
+                            command: 'markdownPreview',
+                            text,
+                            html: renderMarkdown(text)
+                        });
+                        return;
+                    }
                     case 'saveNote':
                         try {
+                            const due = message.dueText ? parseDueDate(message.dueText) : null;
+                            if (message.dueText && !due) {
+                                vscode.window.showErrorMessage(`Could not understand the due date "${message.dueText}"`);
+                                return;
+                            }
+
                             if (this._noteId) {
-                                await this._dataManager.updateNote(this._projectId, this._noteId, {
+                                const updates = {
                                     title: message.title,
                                     description: message.description,
-                                    priority: message.priority
-                                });
+                                    priority: message.priority,
+                                    subtasks: message.subtasks,
+                                    tags: message.tags
+                                };
+                                // Leave an untouched due date (and its reminder) alone
+                                if (message.dueChanged) {
+                                    updates.due = due;
+                                }
+                                await this._dataManager.updateNote(this._projectId, this._noteId, updates);
                             } else {
                                 await this._dataManager.addNote(this._projectId, {
                                     title: message.title,
                                     description: message.description,
-                                    priority: message.priority
+                                    priority: message.priority,
+                                    subtasks: message.subtasks,
+                                    tags: message.tags,
+                                    due
                                 });
                             }
                             this._quickNotesProvider.refresh();
@@ -88,10 +140,49 @@ class NoteEditorPanel {
         this._panel.webview.html = this._getHtmlForWebview(note);
     }
 
+    /**
+     * Due date as shown in the input: "YYYY-MM-DD", plus the reminder time if one is set
+     */
+    _formatDueInput(note) {
+        if (!note?.dueDate) return '';
+        if (!note.reminderAt) return note.dueDate;
+
+        const reminder = new Date(note.reminderAt);
+        const time = `${String(reminder.getHours()).padStart(2, '0')}:${String(reminder.getMinutes()).padStart(2, '0')}`;
+        return `${note.dueDate} ${time}`;
+    }
+
+    _describeDueInput(text) {
+        if (!text || !text.trim()) return '';
+        const due = parseDueDate(text);
+        if (!due) return 'Not recognised — try "tomorrow", "fri", "+3d" or "2026-03-01"';
+        return `Due ${describeDueDate(due.date)} · ${due.date}${due.time ? ' at ' + due.time : ''}`;
+    }
+
     _getHtmlForWebview(note) {
-        const title = note ? (note.title || note.tag || '') : '';
-        const description = note ? (note.description || note.content || '') : '';
+        const title = note ? note.title : '';
+        const description = note ? note.description : '';
         const priority = note ? note.priority : 'medium';
+        const dueText = this._formatDueInput(note);
+        const duePreview = this._describeDueInput(dueText);
+        const subtasksJson = toScriptJson(
+            (note?.subtasks || []).map(s => ({
+                id: s.id,
+                text: s.text,
+                done: s.done
+            }))
+        );
+        const tagsJson = toScriptJson(note?.tags || []);
+        // Existing tags for autocomplete, with their configured colors
+        const knownTags = this._dataManager.getAllTags().map(({
+            tag
+        }) => tag);
+        const tagColorsJson = toScriptJson(Object.fromEntries(
+            knownTags.map(tag => [tag, toCssColor(getTagColor(tag))]).filter(([, color]) => color)
+        ));
+        const tagOptions = knownTags
+            .map(tag => `<option value="${tag.replace(/[&"<>]/g, c => `&#${c.charCodeAt(0)};`)}"></option>`)
+            .join('');
 
         return `<!DOCTYPE html>
             <html lang="en">
@@ -244,6 +335,101 @@ class NoteEditorPanel {
                     .btn-secondary:hover {
                         background-color: var(--vscode-button-secondaryHoverBackground);
                     }
+                    .due-preview {
+                        font-size: 12px;
+                        color: var(--vscode-descriptionForeground);
+                        min-height: 16px;
+                    }
+                    .subtask-list {
+                        display: flex;
+                        flex-direction: column;
+                        gap: 6px;
+                    }
+                    .subtask-row {
+                        display: flex;
+                        align-items: center;
+                        gap: 8px;
+                    }
+                    .subtask-row input[type="text"] {
+                        flex: 1;
+                        padding: 8px 12px;
+                    }
+                    .subtask-row input[type="checkbox"] {
+                        width: 16px;
+                        height: 16px;
+                        cursor: pointer;
+                    }
+                    .subtask-row.done input[type="text"] {
+                        text-decoration: line-through;
+                        opacity: 0.7;
+                    }
+                    .icon-btn {
+                        padding: 6px 10px;
+                        background: transparent;
+                        color: var(--vscode-foreground);
+                        font-weight: normal;
+                    }
+                    .icon-btn:hover {
+                        background: var(--vscode-list-hoverBackground);
+                    }
+                    .add-subtask {
+                        align-self: flex-start;
+                    }
+                    .description-header {
+                        display: flex;
+                        justify-content: space-between;
+                        align-items: center;
+                    }
+                    .mode-toggle {
+                        display: flex;
+                        gap: 4px;
+                    }
+                    .mode-toggle button {
+                        padding: 4px 12px;
+                        font-size: 12px;
+                        font-weight: normal;
+                        background: transparent;
+                        color: var(--vscode-foreground);
+                        border: 1px solid var(--vscode-input-border);
+                    }
+                    .mode-toggle button.active {
+                        background: var(--vscode-button-secondaryBackground);
+                        color: var(--vscode-button-secondaryForeground);
+                    }
+                    .markdown-body {
+                        min-height: 250px;
+                        padding: 12px 16px;
+                        border: 1px solid var(--vscode-input-border);
+                        border-radius: 6px;
+                        background-color: var(--vscode-input-background);
+                    }
+                    ${MARKDOWN_STYLES}
+                    .tag-box {
+                        display: flex;
+                        flex-wrap: wrap;
+                        align-items: center;
+                        gap: 6px;
+                    }
+                    .tag-chip {
+                        display: inline-flex;
+                        align-items: center;
+                        gap: 4px;
+                        padding: 3px 4px 3px 10px;
+                        border-radius: 12px;
+                        font-size: 12px;
+                        background: var(--vscode-badge-background);
+                        color: var(--vscode-badge-foreground);
+                        border-left: 4px solid transparent;
+                    }
+                    .tag-chip .icon-btn {
+                        padding: 0 6px;
+                        color: inherit;
+                    }
+                    .tag-box input {
+                        flex: 1;
+                        min-width: 160px;
+                        padding: 8px 12px;
+                    }
                 </style>
             </head>
             <body>
@@ -268,8 +454,35 @@ class NoteEditorPanel {
                         </div>
 
                         <div class="field">
-                            <label for="description">Description</label>
-                            <textarea id="description" placeholder="Type your detailed notes here...">${description}</textarea>
+                            <label for="dueDate">Due Date</label>
+                            <input type="text" id="dueDate" placeholder="e.g. tomorrow, fri, +3d, next mon 3pm, 2026-03-01" value="${dueText}">
+                            <span class="due-preview" id="duePreview">${duePreview}</span>
+                        </div>
+
+                        <div class="field">
+                            <label for="tagInput">Tags</label>
+                            <div class="tag-box" id="tagBox">
+                                <input type="text" id="tagInput" list="knownTags" placeholder="Add a tag and press Enter">
+                            </div>
+                            <datalist id="knownTags">${tagOptions}</datalist>
+                        </div>
+
+                        <div class="field">
+                            <label>Checklist</label>
+                            <div class="subtask-list" id="subtaskList"></div>
+                            <button class="btn-secondary add-subtask" id="addSubtaskBtn">+ Add Item</button>
+                        </div>
+
+                        <div class="field">
+                            <div class="description-header">
+                                <label for="description">Description (Markdown)</label>
+                                <div class="mode-toggle">
+                                    <button id="editModeBtn" class="active">Edit</button>
+                                    <button id="previewModeBtn">Preview</button>
+                                </div>
+                            </div>
+                            <textarea id="description" placeholder="Type your detailed notes here... Markdown is supported, including - [ ] task lists">${description}</textarea>
+                            <div class="markdown-body" id="preview" hidden></div>
                         </div>
                     </div>
 
@@ -282,6 +495,169 @@ class NoteEditorPanel {
                 <script>
                     const vscode = acquireVsCodeApi();
                     let selectedPriority = '${priority}';
+                    let subtasks = ${subtasksJson};
+                    const initialDueText = ${JSON.stringify(dueText)};
+                    let tags = ${tagsJson};
+                    const tagColors = ${tagColorsJson};
+
+                    // Due date preview (parsed by the extension)
+                    document.getElementById('dueDate').addEventListener('input', (e) => {
+                        vscode.postMessage({ command: 'previewDueDate', text: e.target.value });
+                    });
+                    window.addEventListener('message', event => {
+                        if (event.data.command === 'dueDatePreview') {
+                            document.getElementById('duePreview').textContent = event.data.text;
+                        } else if (event.data.command === 'markdownPreview') {
+                            if (event.data.text !== undefined) {
+                                descriptionInput.value = event.data.text;
+                            }
+                            preview.innerHTML = event.data.html || '<em>Nothing to preview</em>';
+                        }
+                    });
+
+                    // Description edit/preview (rendered and sanitised by the extension)
+                    const descriptionInput = document.getElementById('description');
+                    const preview = document.getElementById('preview');
+                    const editModeBtn = document.getElementById('editModeBtn');
+                    const previewModeBtn = document.getElementById('previewModeBtn');
+
+                    function setPreviewMode(on) {
+                        descriptionInput.hidden = on;
+                        preview.hidden = !on;
+                        editModeBtn.classList.toggle('active', !on);
+                        previewModeBtn.classList.toggle('active', on);
+                        if (on) {
+                            vscode.postMessage({ command: 'renderMarkdown', text: descriptionInput.value });
+                        } else {
+                            descriptionInput.focus();
+                        }
+                    }
+
+                    editModeBtn.addEventListener('click', () => setPreviewMode(false));
+                    previewModeBtn.addEventListener('click', () => setPreviewMode(true));
+                    preview.addEventListener('change', (e) => {
+                        if (!e.target.classList.contains('task')) return;
+                        vscode.postMessage({
+                            command: 'toggleTask',
+                            text: descriptionInput.value,
+                            index: Number(e.target.dataset.taskIndex),
+                            checked: e.target.checked
+                        });
+                    });
+
+                    // Checklist editing
+                    function renderSubtasks() {
+                        const list = document.getElementById('subtaskList');
+                        list.innerHTML = '';
+                        subtasks.forEach((subtask, index) => {
+                            const row = document.createElement('div');
+                            row.className = 'subtask-row' + (subtask.done ? ' done' : '');
+
+                            const checkbox = document.createElement('input');
+                            checkbox.type = 'checkbox';
+                            checkbox.checked = subtask.done;
+                            checkbox.addEventListener('change', () => {
+                                subtask.done = checkbox.checked;
+                                row.classList.toggle('done', subtask.done);
+                            });
+
+                            const text = document.createElement('input');
+                            text.type = 'text';
+                            text.value = subtask.text;
+                            text.placeholder = 'Checklist item';
+                            text.addEventListener('input', () => {
+                                subtask.text = text.value;
+                            });
+                            text.addEventListener('keydown', (e) => {
+                                if (e.key === 'Enter') {
+                                    e.preventDefault();
+                                    addSubtask(index + 1);
+                                }
+                            });
+
+                            row.appendChild(checkbox);
+                            row.appendChild(text);
+                            row.appendChild(iconButton('↑', 'Move up', () => moveSubtask(index, -1)));
+                            row.appendChild(iconButton('↓', 'Move down', () => moveSubtask(index, 1)));
+                            row.appendChild(iconButton('✕', 'Remove', () => {
+                                subtasks.splice(index, 1);
+                                renderSubtasks();
+                            }));
+                            list.appendChild(row);
+                        });
+                    }
+
+                    function iconButton(label, title, onClick) {
+                        const btn = document.createElement('button');
+                        btn.className = 'icon-btn';
+                        btn.textContent = label;
+                        btn.title = title;
+                        btn.addEventListener('click', onClick);
+                        return btn;
+                    }
+
+                    function moveSubtask(index, offset) {
+                        const target = index + offset;
+                        if (target < 0 || target >= subtasks.length) return;
+                        const [moved] = subtasks.splice(index, 1);
+                        subtasks.splice(target, 0, moved);
+                        renderSubtasks();
+                    }
+
+                    function addSubtask(position) {
+                        subtasks.splice(position, 0, { text: '', done: false });
+                        renderSubtasks();
+                        const inputs = document.querySelectorAll('.subtask-row input[type="text"]');
+                        inputs[position].focus();
+                    }
+
+                    document.getElementById('addSubtaskBtn').addEventListener('click', () => addSubtask(subtasks.length));
+                    renderSubtasks();
+
+                    // Tags: typed (or picked from the suggestions) and confirmed with Enter or a comma
+                    const tagInput = document.getElementById('tagInput');
+
+                    function renderTags() {
+                        const box = document.getElementById('tagBox');
+                        box.querySelectorAll('.tag-chip').forEach(chip => chip.remove());
+                        tags.forEach((tag, index) => {
+                            const chip = document.createElement('span');
+                            chip.className = 'tag-chip';
+                            chip.textContent = '#' + tag;
+                            if (tagColors[tag]) {
+                                chip.style.borderLeftColor = tagColors[tag];
+                            }
+                            chip.appendChild(iconButton('✕', 'Remove tag', () => {
+                                tags.splice(index, 1);
+                                renderTags();
+                            }));
+                            box.insertBefore(chip, tagInput);
+                        });
+                    }
+
+                    function commitTagInput() {
+                        tagInput.value.split(/[,\\s]+/).forEach(raw => {
+                            const tag = raw.trim().replace(/^#+/, '').toLowerCase();
+                            if (tag && !tags.includes(tag)) {
+                                tags.push(tag);
+                            }
+                        });
+                        tagInput.value = '';
+                        renderTags();
+                    }
+
+                    tagInput.addEventListener('keydown', (e) => {
+                        if (e.key === 'Enter' || e.key === ',') {
+                            e.preventDefault();
+                            commitTagInput();
+                        } else if (e.key === 'Backspace' && !tagInput.value && tags.length > 0) {
+                            tags.pop();
+                            renderTags();
+                        }
+                    });
+                    // Picking a suggestion from the list fills the input without a key press
+                    tagInput.addEventListener('change', commitTagInput);
+                    renderTags();
 
                     // Priority selection
                     document.querySelectorAll('.priority-btn').forEach(btn => {
@@ -294,8 +670,10 @@ class NoteEditorPanel {
 
                     // Save
                     document.getElementById('saveBtn').addEventListener('click', () => {
+                        commitTagInput();
                         const title = document.getElementById('title').value;
                         const description = document.getElementById('description').value;
+                        const dueText = document.getElementById('dueDate').value;
                         
                         if (!title || !description) {
                             alert('Title and Description are required');
@@ -306,7 +684,11 @@ class NoteEditorPanel {
                             command: 'saveNote',
                             title,
                             description,
-                            priority: selectedPriority
+                            priority: selectedPriority,
+                            subtasks: subtasks.filter(s => s.text.trim()),
+                            tags,
+                            dueText: dueText.trim(),
+                            dueChanged: dueText.trim() !== initialDueText
                         });
                     });
 
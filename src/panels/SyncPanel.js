@@ -1,10 +1,24 @@
 const vscode = require('vscode');
+const {
+    parseRepoUrl
+} = require('../sync/providers/http');
+const {
+    TOKEN_PROVIDERS,
+    getTokenHost,
+    storeToken
+} = require('../sync/providers/tokens');
+const {
+    toScriptJson
+} = require('./markdownRenderer');
+
+// Providers reached through a web URL (the git provider takes any remote, the folder one a path)
+const URL_PROVIDERS = ['github', 'gitlab', 'gitea', 'webdav'];
 
 class SyncPanel {
     static currentPanel = undefined;
     static viewType = 'syncSettings';
 
-    static createOrShow(extensionUri) {
+    static createOrShow(extensionUri, secrets) {
         const column = vscode.window.activeTextEditor ?
             vscode.window.activeTextEditor.viewColumn :
             undefined;
@@ -16,19 +30,20 @@ class SyncPanel {
 
         const panel = vscode.window.createWebviewPanel(
             SyncPanel.viewType,
-            'GitHub Sync Setup',
+            'Sync Setup',
             column || vscode.ViewColumn.One, {
                 enableScripts: true,
                 localResourceRoots: [extensionUri]
             }
         );
 
-        SyncPanel.currentPanel = new SyncPanel(panel, extensionUri);
+        SyncPanel.currentPanel = new SyncPanel(panel, extensionUri, secrets);
     }
 
-    constructor(panel, extensionUri) {
+    constructor(panel, extensionUri, secrets) {
         this._panel = panel;
         this._extensionUri = extensionUri;
+        this._secrets = secrets;
 
         this._update();
 
@@ -40,7 +55,16 @@ class SyncPanel {
 
                         case 'saveSettings':
                             try {
+                                if (URL_PROVIDERS.includes(message.provider)) {
+                                    parseRepoUrl(message.repoUrl, message.provider === 'webdav' ? 0 : 2);
+                                }
+                                if (message.token && TOKEN_PROVIDERS.includes(message.provider)) {
+                                    await storeToken(this._secrets, getTokenHost(message.provider, message.repoUrl), message.token);
+                                }
+
                                 const config = vscode.workspace.getConfiguration('quickNotes.sync');
+                                await config.update('provider', message.provider, vscode.ConfigurationTarget.Global);
+                                await config.update('branch', message.branch, vscode.ConfigurationTarget.Global);
                                 await config.update('repoUrl', message.repoUrl, vscode.ConfigurationTarget.Global);
                                 // Token is no longer stored in config
                                 await config.update('enabled', true, vscode.ConfigurationTarget.Global);
@@ -71,18 +95,24 @@ class SyncPanel {
 
     _update() {
         const config = vscode.workspace.getConfiguration('quickNotes.sync');
-        const repoUrl = config.get('repoUrl', '');
+        const settings = {
+            provider: config.get('provider', 'github'),
+            repoUrl: config.get('repoUrl', ''),
+            branch: config.get('branch', '')
+        };
 
-        this._panel.webview.html = this._getHtmlForWebview(repoUrl);
+        this._panel.webview.html = this._getHtmlForWebview(settings);
     }
 
-    _getHtmlForWebview(repoUrl) {
+    _getHtmlForWebview(settings) {
+        const json = toScriptJson(settings);
+
         return `<!DOCTYPE html>
             <html lang="en">
             <head>
                 <meta charset="UTF-8">
                 <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <title>GitHub Sync Setup</title>
+                <title>Sync Setup</title>
                 <style>
                     :root {
                         --padding: 24px;
@@ -150,7 +180,7 @@ class SyncPanel {
                         letter-spacing: 0.05em;
                         color: var(--vscode-descriptionForeground);
                     }
-                    input {
+                    input, select {
                         background-color: var(--vscode-input-background);
                         color: var(--vscode-input-foreground);
                         border: 1px solid var(--vscode-input-border);
@@ -159,7 +189,7 @@ class SyncPanel {
                         font-family: inherit;
                         font-size: 14px;
                     }
-                    input:focus {
+                    input:focus, select:focus {
                         outline: none;
                         border-color: var(--vscode-focusBorder);
                     }
@@ -225,22 +255,46 @@ class SyncPanel {
                 <div class="container">
                     <div class="header">
                         <span class="icon">🔄</span>
-                        <h2>GitHub Sync Setup</h2>
+                        <h2>Sync Setup</h2>
                     </div>
                     
                     <div class="content-area">
                         <div class="info-box">
-                            Sync your notes across devices securely using a GitHub repository. 
+                            Sync your notes across devices securely using a Git repository on GitHub, GitLab, Gitea or your own server,
+                            a WebDAV server such as Nextcloud, or a folder kept in sync by Dropbox, OneDrive or Syncthing.
                             <b>New:</b> Your notes now sync automatically when you switch between devices or focus the window.
                             The extension also merges changes to prevent data loss.
                         </div>
 
                         <div class="field">
-                            <label for="repoUrl">GitHub Repository URL</label>
-                            <input type="text" id="repoUrl" placeholder="https://github.com/username/repo" value="${repoUrl}">
-                            <span class="help-text">Create a repository first if you don't have one.</span>
+                            <label for="provider">Provider</label>
+                            <select id="provider">
+                                <option value="github">GitHub / GitHub Enterprise</option>
+                                <option value="gitlab">GitLab</option>
+                                <option value="gitea">Gitea / Forgejo</option>
+                                <option value="git">Git remote (git command)</option>
+                                <option value="webdav">WebDAV (Nextcloud, ownCloud, ...)</option>
+                                <option value="folder">Shared folder (Dropbox, OneDrive, Syncthing, ...)</option>
+                            </select>
+                            <span class="help-text" id="providerHelp"></span>
+                        </div>
+
+                        <div class="field">
+                            <label for="repoUrl" id="repoUrlLabel">Repository URL</label>
+                            <input type="text" id="repoUrl">
+                            <span class="help-text" id="repoUrlHelp"></span>
+                        </div>
+
+                        <div class="field" id="branchField">
+                            <label for="branch">Branch</label>
+                            <input type="text" id="branch" placeholder="Default branch">
+                        </div>
+
+                        <div class="field" id="tokenField">
+                            <label for="token" id="tokenLabel">Access Token</label>
+                            <input type="password" id="token" placeholder="Leave empty to keep the stored token">
+                            <span class="help-text">Stored in VS Code's secret storage. You are asked for one on the first sync if none is stored.</span>
                         </div>
-                        
 
                     </div>
 
@@ -252,18 +306,79 @@ class SyncPanel {
 
                 <script>
                     const vscode = acquireVsCodeApi();
+                    const settings = ${json};
+
+                    const PROVIDERS = {
+                        github: {
+                            placeholder: 'https://github.com/username/repo',
+                            help: 'Signs in with your GitHub account in VS Code. For GitHub Enterprise Server, use your server URL and set "github-enterprise.uri".'
+                        },
+                        gitlab: {
+                            placeholder: 'https://gitlab.com/group/project',
+                            help: 'Needs a personal access token with the "api" scope.'
+                        },
+                        gitea: {
+                            placeholder: 'https://codeberg.org/username/repo',
+                            help: 'Needs an access token with read and write access to repositories.'
+                        },
+                        git: {
+                            placeholder: '/path/to/notes.git or git@example.com:notes.git',
+                            help: 'Uses the git command and its credentials. Any absolute local or bare repository path, file://, ssh or https remote works.'
+                        },
+                        webdav: {
+                            placeholder: 'https://alice@cloud.example.com/remote.php/dav/files/alice/Notes',
+                            help: 'Put your user name in the URL. In Nextcloud the WebDAV URL is under Files settings; an app password is recommended.',
+                            location: 'Folder URL',
+                            locationHelp: 'The folder is created if its parent exists. Notes are kept in notes.json inside it.',
+                            token: 'Password'
+                        },
+                        folder: {
+                            placeholder: '~/Dropbox/Quick Notes',
+                            help: 'Notes are kept in notes.json in a folder your sync app keeps in step between devices.',
+                            location: 'Folder Path',
+                            locationHelp: 'An absolute path (~ for your home folder) to a folder that exists on each device.'
+                        }
+                    };
+
+                    const providerSelect = document.getElementById('provider');
+                    const repoUrlInput = document.getElementById('repoUrl');
+                    const branchInput = document.getElementById('branch');
+
+                    function showProvider() {
+                        const provider = PROVIDERS[providerSelect.value];
+                        repoUrlInput.placeholder = provider.placeholder;
+                        document.getElementById('providerHelp').textContent = provider.help;
+                        document.getElementById('repoUrlLabel').textContent = provider.location || 'Repository URL';
+                        document.getElementById('repoUrlHelp').textContent =
+                            provider.locationHelp || "Create a repository first if you don't have one.";
+                        document.getElementById('tokenLabel').textContent = provider.token || 'Access Token';
+                        document.getElementById('tokenField').style.display =
+                            ${JSON.stringify(TOKEN_PROVIDERS)}.includes(providerSelect.value) ? '' : 'none';
+                        // Only git hosts have branches
+                        document.getElementById('branchField').style.display =
+                            ['webdav', 'folder'].includes(providerSelect.value) ? 'none' : '';
+                    }
+
+                    providerSelect.value = PROVIDERS[settings.provider] ? settings.provider : 'github';
+                    repoUrlInput.value = settings.repoUrl;
+                    branchInput.value = settings.branch;
+                    providerSelect.addEventListener('change', showProvider);
+                    showProvider();
 
                     document.getElementById('saveBtn').addEventListener('click', () => {
-                        const repoUrl = document.getElementById('repoUrl').value.trim();
+                        const repoUrl = repoUrlInput.value.trim();
                         
                         if (!repoUrl) {
-                            alert('Repository URL is required.');
+                            alert(document.getElementById('repoUrlLabel').textContent + ' is required.');
                             return;
                         }
 
                         vscode.postMessage({
                             command: 'saveSettings',
-                            repoUrl
+                            provider: providerSelect.value,
+                            repoUrl,
+                            branch: branchInput.value.trim(),
+                            token: document.getElementById('token').value.trim()
                         });
                     });
 
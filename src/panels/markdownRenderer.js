@@ -0,0 +1,376 @@
+/**
+ * Small Markdown renderer for note descriptions shown in webviews.
+ *
+ * All source text is HTML-escaped before any markup is added, and links are only kept for
+ * http(s)/mailto URLs, so the output is safe to inject into a webview. Supported: headings,
+ * paragraphs, emphasis, strikethrough, inline code, links, block quotes, rules, nested
+ * ordered/unordered lists, task lists and fenced code blocks (with light syntax highlighting).
+ *
+ * Task list checkboxes are numbered in source order (`data-task-index`) so a tick in the
+ * preview can be written back with toggleTask().
+ */
+
+// A list item that is a task, e.g. "- [ ] buy milk", "> 1. [x] done"
+const TASK_LINE = /^(\s*(?:>\s*)*(?:[-*+]|\d+[.)])\s+)\[([ xX])\](?=\s|$)/;
+const FENCE = /^\s*(```|~~~)\s*([\w+#.-]*)/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>\s?/;
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+function escapeHtml(text) {
+    return text.replace(/[&<>"']/g, c => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        '\'': '&#39;'
+    })[c]);
+}
+
+/**
+ * JSON for a value embedded in a webview's <script> block. "<" is escaped, so user content
+ * can't close the block ("</script>") or open a comment in it.
+ */
+function toScriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * Render Markdown to sanitised HTML
+ */
+function renderMarkdown(source) {
+    const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+    return renderBlocks(lines, {
+        taskIndex: 0
+    });
+}
+
+function renderBlocks(lines, state) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const fence = line.match(FENCE);
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++; // closing fence
+            const lang = fence[2].toLowerCase();
+            html.push(`<pre><code${lang ? ` class="language-${escapeHtml(lang)}"` : ''}>${highlightCode(code.join('\n'), lang)}</code></pre>`);
+            continue;
+        }
+
+        const heading = line.match(HEADING);
+        if (heading) {
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
+        }
+
+        if (QUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && QUOTE.test(lines[i])) {
+                quoted.push(lines[i].replace(QUOTE, ''));
+                i++;
+            }
+            html.push(`<blockquote>${renderBlocks(quoted, state)}</blockquote>`);
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            i = renderList(lines, i, state, html);
+            continue;
+        }
+
+        // Paragraph: runs until a blank line or the start of another block
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+    }
+
+    return html.join('\n');
+}
+
+function startsBlock(line) {
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+}
+
+/**
+ * Render the list starting at lines[start]; returns the index after it.
+ * Lines indented deeper than an item's marker belong to that item (nested lists, continuations).
+ */
+function renderList(lines, start, state, html) {
+    const first = lines[start].match(LIST_ITEM);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+        const match = lines[i].match(LIST_ITEM);
+        if (!match || match[1].length !== indent || /\d/.test(match[2]) !== ordered) break;
+
+        const contentIndent = indent + match[2].length + 1;
+        const body = [match[3]];
+        i++;
+        while (i < lines.length) {
+            const next = lines[i];
+            const nextIndent = next.match(/^\s*/)[0].length;
+            if (next.trim() && nextIndent <= indent) break;
+            if (!next.trim()) {
+                // A blank line ends the item unless the next line is still indented under it
+                const following = lines[i + 1];
+                if (!following || !following.trim() || following.match(/^\s*/)[0].length <= indent) break;
+            }
+            body.push(next.slice(Math.min(nextIndent, contentIndent)));
+            i++;
+        }
+        items.push(body);
+
+        // Skip a single blank line between items of the same list
+        if (i < lines.length && !lines[i].trim() && lines[i + 1]?.match(LIST_ITEM)?.[1].length === indent) {
+            i++;
+        }
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const rendered = items.map(body => {
+        const task = body[0].match(/^\[([ xX])\](?:\s+|$)(.*)$/);
+        let prefix = '';
+        if (task) {
+            prefix = `<input type="checkbox" class="task" data-task-index="${state.taskIndex++}"${task[1] !== ' ' ? ' checked' : ''}> `;
+            body = [task[2], ...body.slice(1)];
+        }
+
+        // Keep simple items inline; render anything with nested blocks as blocks
+        const [text, ...rest] = body;
+        const nested = rest.length > 0 ? renderBlocks(rest, state) : '';
+        return `<li${task ? ' class="task-item"' : ''}>${prefix}${renderInline(text)}${nested}</li>`;
+    });
+
+    html.push(`<${tag}${ordered && startNumber !== 1 ? ` start="${startNumber}"` : ''}>${rendered.join('')}</${tag}>`);
+    return i;
+}
+
+/**
+ * Inline markup on a single line of text
+ */
+function renderInline(text) {
+    // Pull code spans out first so their contents are left alone
+    const codeSpans = [];
+    let result = text.replace(/`([^`]+)`/g, (match, code) => {
+        codeSpans.push(`<code>${escapeHtml(code)}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    result = escapeHtml(result);
+
+    // Links: only safe schemes become anchors; images are shown as links (no remote loads).
+    // Anchors are pulled out too, so emphasis markers in a URL don't end up inside the href.
+    const links = [];
+    result = result.replace(/!?\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;[^&]*&quot;)?\)/g, (match, label, url) => {
+        const href = url.replace(/&amp;/g, '&');
+        if (!SAFE_URL.test(href)) return label;
+        links.push(`<a href="${escapeHtml(href)}">${label ? renderEmphasis(label) : url}</a>`);
+        return `\u0001${links.length - 1}\u0001`;
+    });
+
+    return renderEmphasis(result)
+        .replace(/\u0001(\d+)\u0001/g, (match, index) => links[index])
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => codeSpans[index]);
+}
+
+/**
+ * Bold, italic and strikethrough on already escaped text
+ */
+function renderEmphasis(text) {
+    return text
+        .replace(/\*\*(.+?)\*\*|__(.+?)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+        .replace(/(^|[^*\w])\*(?!\s)(.+?)\*(?!\w)/g, '$1<em>$2</em>')
+        .replace(/(^|[^_\w])_(?!\s)(.+?)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(.+?)~~/g, '<del>$1</del>');
+}
+
+/**
+ * Flip the checkbox of the `index`-th task item (counting in source order, outside code blocks).
+ * Returns the updated source.
+ */
+function toggleTask(source, index, checked) {
+    const lines = String(source || '').split('\n');
+    let count = 0;
+    let fence = null;
+
+    for (let i = 0; i < lines.length; i++) {
+        const fenceMatch = lines[i].match(FENCE);
+        if (fence) {
+            if (lines[i].trim().startsWith(fence)) fence = null;
+            continue;
+        }
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            continue;
+        }
+
+        const task = lines[i].match(TASK_LINE);
+        if (!task) continue;
+        if (count++ === index) {
+            lines[i] = task[1] + (checked ? '[x]' : '[ ]') + lines[i].slice(task[0].length);
+            break;
+        }
+    }
+
+    return lines.join('\n');
+}
+
+// Syntax highlighting: enough for the languages notes usually quote
+const LANGUAGES = {
+    js: {
+        comments: ['//', '/*'],
+        keywords: 'async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield interface type enum implements public private protected readonly'
+    },
+    py: {
+        comments: ['#'],
+        keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return self True try while with yield'
+    },
+    sh: {
+        comments: ['#'],
+        keywords: 'case do done elif else esac export fi for function if in local return then until while echo cd'
+    },
+    json: {
+        comments: [],
+        keywords: 'true false null'
+    },
+    c: {
+        comments: ['//', '/*'],
+        keywords: 'auto bool break case catch char class const continue default delete do double else enum extern false float for fn func go if impl import int let long match mut namespace new nil null package private protected pub public return self short signed static struct switch template this throw true try type typedef union unsigned use using var void volatile while'
+    },
+    css: {
+        comments: ['/*'],
+        keywords: 'important inherit initial none auto'
+    },
+    sql: {
+        comments: ['--'],
+        keywords: 'select from where insert into values update set delete create table alter drop index join left right inner outer on and or not null as group by order having limit distinct union primary key'
+    }
+};
+
+const LANGUAGE_ALIASES = {
+    javascript: 'js',
+    jsx: 'js',
+    ts: 'js',
+    typescript: 'js',
+    tsx: 'js',
+    python: 'py',
+    bash: 'sh',
+    shell: 'sh',
+    zsh: 'sh',
+    yaml: 'sh',
+    yml: 'sh',
+    cpp: 'c',
+    'c++': 'c',
+    cs: 'c',
+    csharp: 'c',
+    java: 'c',
+    go: 'c',
+    rust: 'c',
+    rs: 'c',
+    php: 'c',
+    swift: 'c',
+    kotlin: 'c',
+    scss: 'css',
+    less: 'css'
+};
+
+function highlightCode(code, lang) {
+    const language = LANGUAGES[LANGUAGE_ALIASES[lang] || lang];
+    if (!language) return escapeHtml(code);
+
+    const keywords = new Set(language.keywords.split(' '));
+    const caseInsensitive = language === LANGUAGES.sql;
+    const commentPatterns = language.comments.map(start => start === '/*' ?
+        '\\/\\*[\\s\\S]*?(?:\\*\\/|$)' :
+        `${start.replace(/[/#-]/g, '\\$&')}[^\\n]*`);
+    const token = new RegExp([
+        ...commentPatterns.map(p => `(${p})`),
+        '("(?:[^"\\\\\\n]|\\\\.)*"|\'(?:[^\'\\\\\\n]|\\\\.)*\'|`(?:[^`\\\\]|\\\\.)*`)',
+        '(\\b\\d+(?:\\.\\d+)?\\b)',
+        '([A-Za-z_$][\\w$]*)'
+    ].join('|'), 'g');
+
+    let html = '';
+    let last = 0;
+    let match;
+    while ((match = token.exec(code)) !== null) {
+        html += escapeHtml(code.slice(last, match.index));
+        last = token.lastIndex;
+
+        const [text] = match;
+        const groups = match.slice(1);
+        const commentCount = commentPatterns.length;
+        let cls = null;
+        if (groups.slice(0, commentCount).some(Boolean)) {
+            cls = 'tok-comment';
+        } else if (groups[commentCount]) {
+            cls = 'tok-string';
+        } else if (groups[commentCount + 1]) {
+            cls = 'tok-number';
+        } else if (keywords.has(caseInsensitive ? text.toLowerCase() : text)) {
+            cls = 'tok-keyword';
+        }
+
+        html += cls ? `<span class="${cls}">${escapeHtml(text)}</span>` : escapeHtml(text);
+    }
+    return html + escapeHtml(code.slice(last));
+}
+
+// Styles for rendered Markdown, using the editor theme's colors
+const MARKDOWN_STYLES = `
+    .markdown-body { line-height: 1.6; font-size: 14px; word-wrap: break-word; }
+    .markdown-body h1, .markdown-body h2, .markdown-body h3 { margin: 16px 0 8px; }
+    .markdown-body p { margin: 0 0 10px; }
+    .markdown-body a { color: var(--vscode-textLink-foreground); }
+    .markdown-body code { font-family: var(--vscode-editor-font-family); font-size: 0.95em; background: var(--vscode-textCodeBlock-background); padding: 1px 4px; border-radius: 3px; }
+    .markdown-body pre { background: var(--vscode-textCodeBlock-background); padding: 12px; border-radius: 6px; overflow-x: auto; }
+    .markdown-body pre code { padding: 0; background: none; }
+    .markdown-body blockquote { margin: 0 0 10px; padding: 0 12px; border-left: 3px solid var(--vscode-textBlockQuote-border); color: var(--vscode-textBlockQuote-foreground, inherit); }
+    .markdown-body ul, .markdown-body ol { margin: 0 0 10px; padding-left: 24px; }
+    .markdown-body li.task-item { list-style: none; margin-left: -20px; }
+    .markdown-body hr { border: none; border-top: 1px solid var(--vscode-widget-border); }
+    .markdown-body .tok-keyword { color: var(--vscode-symbolIcon-keywordForeground, #569cd6); }
+    .markdown-body .tok-string { color: var(--vscode-debugTokenExpression-string, #ce9178); }
+    .markdown-body .tok-number { color: var(--vscode-debugTokenExpression-number, #b5cea8); }
+    .markdown-body .tok-comment { color: var(--vscode-descriptionForeground); font-style: italic; }
+`;
+
+module.exports = {
+    renderMarkdown,
+    toggleTask,
+    escapeHtml,
+    toScriptJson,
+    MARKDOWN_STYLES
+};
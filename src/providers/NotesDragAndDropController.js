@@ -0,0 +1,128 @@
+const vscode = require('vscode');
+const fs = require('fs');
+
+// Notes dragged within the Quick Notes tree (the tree's own MIME type: view ID, lowercased)
+const NOTES_MIME_TYPE = 'application/vnd.code.tree.quicknotesview';
+
+// Files dragged in from the explorer or an editor tab
+const URI_LIST_MIME_TYPE = 'text/uri-list';
+
+/**
+ * Drag and drop in the Quick Notes tree:
+ * - a note dropped on another note goes just before it (in manual sort order),
+ *   moving to that note's project if needed
+ * - a note dropped on a project moves to the end of that project
+ * - files dropped on a note (or its checklist items and code links) are linked to it
+ */
+class NotesDragAndDropController {
+    constructor(dataManager, provider) {
+        this.dataManager = dataManager;
+        this.provider = provider;
+        this.dragMimeTypes = [NOTES_MIME_TYPE];
+        this.dropMimeTypes = [NOTES_MIME_TYPE, URI_LIST_MIME_TYPE];
+    }
+
+    handleDrag(source, dataTransfer) {
+        const seen = new Set();
+        const notes = source
+            .filter(item => item.type === 'note' && !seen.has(item.noteId) && seen.add(item.noteId))
+            .map(item => ({
+                projectId: item.projectId,
+                noteId: item.noteId
+            }));
+        if (notes.length > 0) {
+            dataTransfer.set(NOTES_MIME_TYPE, new vscode.DataTransferItem(notes));
+        }
+    }
+
+    async handleDrop(target, dataTransfer) {
+        if (!target) return;
+
+        const notes = dataTransfer.get(NOTES_MIME_TYPE)?.value;
+        if (notes?.length) {
+            try {
+                await this.dropNotes(notes, target);
+            } catch (err) {
+                vscode.window.showErrorMessage(`Failed to move notes: ${err.message}`);
+            }
+            return;
+        }
+
+        const uriList = dataTransfer.get(URI_LIST_MIME_TYPE);
+        if (uriList && target.noteId) {
+            try {
+                await this.dropFiles(await uriList.asString(), target);
+            } catch (err) {
+                vscode.window.showErrorMessage(`Failed to link files: ${err.message}`);
+            }
+        }
+    }
+
+    async dropNotes(notes, target) {
+        if (target.type !== 'note' && target.type !== 'project') return;
+
+        let manual = vscode.workspace.getConfiguration('quickNotes').get('sortBy', 'priority') === 'manual';
+        if (target.type === 'note' && !manual && notes.every(note => note.projectId === target.projectId)) {
+            // Reordering only shows with manual sorting
+            const choice = await vscode.window.showInformationMessage(
+                'Notes are sorted automatically. Switch to manual order to arrange them by dragging?',
+                'Switch to Manual Order'
+            );
+            if (choice !== 'Switch to Manual Order') return;
+            await vscode.workspace.getConfiguration('quickNotes').update('sortBy', 'manual', vscode.ConfigurationTarget.Global);
+            manual = true;
+        }
+
+        const beforeNoteId = target.type === 'note' && manual ? target.noteId : null;
+        if (await this.dataManager.moveNotes(notes, target.projectId, beforeNoteId) > 0) {
+            this.provider.refresh();
+        }
+    }
+
+    async dropFiles(uriList, target) {
+        const project = this.provider.getProjects().find(p => p.id === target.projectId);
+        if (!project || project.isStale) {
+            vscode.window.showWarningMessage('The project folder was not found on this device.');
+            return;
+        }
+
+        const anchors = [];
+        let outside = 0;
+        for (const line of uriList.split(/\r?\n/)) {
+            if (!line.trim() || line.startsWith('#')) continue;
+
+            const uri = vscode.Uri.parse(line.trim());
+            if (uri.scheme !== 'file' || !this._isFile(uri.fsPath)) continue;
+
+            if (this.provider.findProjectForFile(uri.fsPath)?.id !== project.id) {
+                outside++;
+                continue;
+            }
+            anchors.push({
+                file: this.provider.toProjectRelativePath(project, uri.fsPath),
+                line: 1,
+                text: ''
+            });
+        }
+
+        if (outside > 0) {
+            vscode.window.showWarningMessage(`Only files inside "${project.name}" can be linked to its notes.`);
+        }
+        if (anchors.length > 0) {
+            await this.dataManager.addAnchors(target.projectId, target.noteId, anchors);
+            this.provider.refresh();
+        }
+    }
+
+    _isFile(filePath) {
+        try {
+            return fs.statSync(filePath).isFile();
+        } catch {
+            return false;
+        }
+    }
+}
+
+module.exports = {
+    NotesDragAndDropController
+};
@@ -1,17 +1,46 @@
 const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
+const {
+    ProjectIdentity
+} = require('../integrations/ProjectIdentity');
+const {
+    getDueStatus,
+    describeDueDate
+} = require('../data/dueDates');
+const {
+    parseFilterQuery,
+    isFilterEmpty,
+    matchesFilter
+} = require('../data/noteFilter');
+const {
+    getTagColor
+} = require('../data/tags');
+const {
+    compareByRank
+} = require('../data/noteOrder');
+const {
+    isDone,
+    getOpenStatus,
+    getStatusLabel
+} = require('../data/noteStatus');
+
+// Tag group holding notes without tags in the tag-grouped tree
+const UNTAGGED = '';
 
 /**
  * Tree data provider for the Quick Notes sidebar
  */
 class QuickNotesProvider {
-    constructor(dataManager, projectTracker) {
+    constructor(dataManager, projectTracker, projectIdentity) {
         this.dataManager = dataManager;
         this.projectTracker = projectTracker;
+        this.projectIdentity = projectIdentity;
         this._onDidChangeTreeData = new vscode.EventEmitter();
         this.onDidChangeTreeData = this._onDidChangeTreeData.event;
         this.projects = [];
+        this.filterQuery = '';
+        this.filter = null;
     }
 
     refresh() {
@@ -23,16 +52,19 @@ class QuickNotesProvider {
             // Get projects from project-tracker
             const trackedProjects = await this.projectTracker.getProjects();
 
+            // Move path-keyed projects over to their portable IDs first
+            await this.migrateProjectIds();
+
             // Get existing projects from data manager (to keep manually added ones)
             const storedData = this.dataManager.getData();
             const storedProjects = storedData.projects || {};
 
-            // Map tracked projects to our format
+            // Map tracked projects to our format, skipping ones the user deleted
             const detectedProjects = trackedProjects.map(project => ({
                 ...project,
                 id: this.generateProjectId(project.path),
                 isStale: !fs.existsSync(project.path)
-            }));
+            })).filter(project => !this.dataManager.isProjectDeleted(project.id));
 
             // Create a map of all projects, preferring detected ones if they exist
             // but keeping stored ones if they are manual additions
@@ -40,10 +72,12 @@ class QuickNotesProvider {
 
             // Add stored projects first
             Object.entries(storedProjects).forEach(([id, proj]) => {
+                const localPath = this.dataManager.getProjectPath(proj);
                 allProjectsMap.set(id, {
                     ...proj,
                     id,
-                    isStale: !fs.existsSync(proj.path)
+                    path: localPath,
+                    isStale: !fs.existsSync(localPath)
                 });
             });
 
@@ -74,37 +108,191 @@ class QuickNotesProvider {
     }
 
     generateProjectId(projectPath) {
-        // Create a consistent ID from the path
-        return Buffer.from(projectPath).toString('base64').replace(/[/+=]/g, '_');
+        // Portable ID from the marker file or git remote, falling back to the path
+        return this.projectIdentity.resolve(projectPath).id;
+    }
+
+    /**
+     * Re-key stored projects whose folder on this device now resolves to a different ID:
+     * legacy path-based IDs, or any project that was given a key in a `.quicknotes` file.
+     * Several path-keyed copies of the same repo are merged into one project.
+     */
+    async migrateProjectIds() {
+        const data = this.dataManager.getData();
+        const mappings = [];
+
+        for (const container of [data.projects || {}, data.archivedProjects || {}]) {
+            for (const [id, project] of Object.entries(container)) {
+                const localPath = this.dataManager.getProjectPath(project);
+                if (!localPath || !fs.existsSync(localPath)) continue;
+
+                const resolved = this.projectIdentity.resolve(localPath);
+                // Never migrate to another path-based ID: that would just re-key per device
+                const shouldMigrate = resolved.source !== 'path' &&
+                    (ProjectIdentity.isLegacyId(id) || resolved.source === 'marker');
+                if (resolved.id !== id && shouldMigrate) {
+                    mappings.push({
+                        fromId: id,
+                        toId: resolved.id
+                    });
+                }
+            }
+        }
+
+        if (mappings.length > 0) {
+            await this.dataManager.rekeyProjects(mappings);
+        }
     }
 
     getProjects() {
         return this.projects;
     }
 
+    /**
+     * Narrow the tree to notes matching a query (see noteFilter.js); an empty query clears it.
+     * Returns the parsed filter.
+     */
+    setFilter(query) {
+        const parsed = parseFilterQuery(query);
+        this.filterQuery = isFilterEmpty(parsed) ? '' : query.trim();
+        this.filter = this.filterQuery ? parsed : null;
+        this.refresh();
+        return parsed;
+    }
+
+    getFilterQuery() {
+        return this.filterQuery;
+    }
+
+    /**
+     * Apply the tree filter to a project's notes
+     */
+    filterNotes(notes, project) {
+        if (!this.filter) return notes;
+        return notes.filter(note => matchesFilter(note, {
+            name: project?.name,
+            archived: false
+        }, this.filter));
+    }
+
+    /**
+     * Find the (non-stale) project whose folder contains a file
+     */
+    findProjectForFile(filePath) {
+        const candidates = this.projects
+            .filter(p => !p.isStale && p.path)
+            .filter(p => {
+                const relative = path.relative(p.path, filePath);
+                return relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+            });
+        // Innermost folder wins for nested projects
+        return candidates.sort((a, b) => b.path.length - a.path.length)[0];
+    }
+
+    /**
+     * Path of a file relative to its project, with forward slashes (as stored in notes)
+     */
+    toProjectRelativePath(project, filePath) {
+        return path.relative(project.path, filePath).split(path.sep).join('/');
+    }
+
     getTreeItem(element) {
         return element;
     }
 
     getChildren(element) {
         if (!element) {
-            // Root level - return projects
-            return this.getProjectItems();
+            // Root level - overdue/due-today group, then projects (or tags when grouping by tag), then the trash
+            const groupBy = vscode.workspace.getConfiguration('quickNotes').get('groupBy', 'project');
+            const groups = groupBy === 'tag' ? this.getTagGroupItems() : this.getProjectItems();
+            const dueGroup = this.getDueGroupItem();
+            const trash = this.getTrashItem();
+            return [dueGroup, ...groups, trash].filter(Boolean);
+        } else if (element.type === 'dueGroup') {
+            return this.getDueNoteItems();
+        } else if (element.type === 'trash') {
+            return this.getTrashedItems();
+        } else if (element.type === 'tagGroup') {
+            // Tag level - projects with notes carrying the tag
+            return this.getProjectItems(element.tag);
         } else if (element.type === 'project') {
-            // Project level - return notes
-            return this.getNoteItems(element.projectId);
+            // Project level - return notes (only those with the tag when under a tag group)
+            return this.getNoteItems(element.projectId, element.tag);
+        } else if (element.type === 'note') {
+            // Note level - return checklist items and code links
+            return [
+                ...this.getSubtaskItems(element.projectId, element.noteId),
+                ...this.getAnchorItems(element.projectId, element.noteId)
+            ];
         }
         return [];
     }
 
-    getProjectItems() {
+    /**
+     * A project's notes after the tree filter, optionally only those with a tag
+     * (`UNTAGGED` for notes without tags, undefined for all)
+     */
+    getVisibleNotes(project, tag) {
+        const notes = this.filterNotes(this.dataManager.getNotesForProject(project.id), project);
+        if (tag === undefined) return notes;
+        return notes.filter(note => tag === UNTAGGED ?
+            !(note.tags?.length > 0) :
+            (note.tags || []).includes(tag));
+    }
+
+    /**
+     * Root items of the tag-grouped tree: one per tag in use, then "Untagged"
+     */
+    getTagGroupItems() {
+        const counts = new Map();
+        let untagged = 0;
+        for (const project of this.projects.filter(p => !p.isStale)) {
+            for (const note of this.getVisibleNotes(project)) {
+                if (!(note.tags?.length > 0)) {
+                    untagged++;
+                }
+                for (const tag of note.tags || []) {
+                    counts.set(tag, (counts.get(tag) || 0) + 1);
+                }
+            }
+        }
+
+        const items = Array.from(counts.keys()).sort().map(tag => {
+            const item = new vscode.TreeItem(`#${tag}`, vscode.TreeItemCollapsibleState.Expanded);
+            const color = getTagColor(tag);
+
+            item.type = 'tagGroup';
+            item.tag = tag;
+            item.description = `${counts.get(tag)}`;
+            item.iconPath = new vscode.ThemeIcon('tag', color ? new vscode.ThemeColor(color) : undefined);
+            item.contextValue = 'tagGroup';
+
+            return item;
+        });
+
+        if (untagged > 0) {
+            const item = new vscode.TreeItem('Untagged', vscode.TreeItemCollapsibleState.Collapsed);
+            item.type = 'tagGroup';
+            item.tag = UNTAGGED;
+            item.description = `${untagged}`;
+            item.iconPath = new vscode.ThemeIcon('circle-slash');
+            item.contextValue = 'untaggedGroup';
+            items.push(item);
+        }
+
+        return items;
+    }
+
+    getProjectItems(tag) {
         const config = vscode.workspace.getConfiguration('quickNotes');
 
         return this.projects
             .filter(project => !project.isStale)
+            // While filtering or grouping by tag, only show projects with matching notes
+            .filter(project => (!this.filter && tag === undefined) || this.getVisibleNotes(project, tag).length > 0)
             .map(project => {
-                const notes = this.dataManager.getNotesForProject(project.id);
-                const incompleteCount = notes.filter(n => !n.completed).length;
+                const notes = this.getVisibleNotes(project, tag);
+                const incompleteCount = notes.filter(n => !isDone(n)).length;
 
                 const item = new vscode.TreeItem(
                     project.name,
@@ -114,6 +302,7 @@ class QuickNotesProvider {
                 item.type = 'project';
                 item.projectId = project.id;
                 item.path = project.path;
+                item.tag = tag;
 
                 // Show note count
                 if (incompleteCount > 0) {
@@ -143,61 +332,333 @@ class QuickNotesProvider {
             });
     }
 
-    getNoteItems(projectId) {
+    getNoteItems(projectId, tag) {
         const config = vscode.workspace.getConfiguration('quickNotes');
         const showCompleted = config.get('showCompletedNotes', true);
         const sortBy = config.get('sortBy', 'priority');
 
-        let notes = this.dataManager.getNotesForProject(projectId);
+        const project = this.projects.find(p => p.id === projectId) || {
+            id: projectId
+        };
+        let notes = this.getVisibleNotes(project, tag);
 
-        // Filter completed if needed
-        if (!showCompleted) {
-            notes = notes.filter(n => !n.completed);
+        // Filter completed if needed (unless the filter asks for them)
+        if (!showCompleted && !this.filter?.is.includes('done')) {
+            notes = notes.filter(n => !isDone(n));
         }
 
         // Sort notes
         notes = this.sortNotes(notes, sortBy);
 
         return notes.map(note => {
+            const item = this.createNoteItem(note, projectId);
+            item.tag = tag;
+            return item;
+        });
+    }
+
+    /**
+     * A note's item under its project (or, grouped by tag, under its first tag), for revealing it.
+     * Null when the tree doesn't show the note: its project is stale or archived, the filter
+     * hides it, or it is done and completed notes are hidden.
+     */
+    getNoteItem(projectId, noteId) {
+        const project = this.projects.find(p => p.id === projectId && !p.isStale);
+        const note = project && this.dataManager.getNote(projectId, noteId);
+        if (!note) return null;
+
+        const groupBy = vscode.workspace.getConfiguration('quickNotes').get('groupBy', 'project');
+        const tag = groupBy === 'tag' ? (note.tags?.[0] ?? UNTAGGED) : undefined;
+        return this.getNoteItems(projectId, tag).find(item => item.noteId === noteId) || null;
+    }
+
+    /**
+     * Parent of a project or note item, which the tree needs to reveal it
+     */
+    getParent(element) {
+        if (element.type === 'note') {
+            return this.getProjectItems(element.tag).find(item => item.projectId === element.projectId);
+        }
+        if (element.type === 'project' && element.tag !== undefined) {
+            return this.getTagGroupItems().find(item => item.tag === element.tag);
+        }
+        return undefined;
+    }
+
+    /**
+     * Notes across all visible projects that are overdue or due today
+     */
+    getDueNotes() {
+        const dueNotes = [];
+        for (const project of this.projects.filter(p => !p.isStale)) {
+            for (const note of this.filterNotes(this.dataManager.getNotesForProject(project.id), project)) {
+                const status = getDueStatus(note);
+                if (status === 'overdue' || status === 'today') {
+                    dueNotes.push({
+                        note,
+                        project
+                    });
+                }
+            }
+        }
+        return dueNotes.sort((a, b) => a.note.dueDate.localeCompare(b.note.dueDate));
+    }
+
+    getDueGroupItem() {
+        const config = vscode.workspace.getConfiguration('quickNotes');
+        if (!config.get('showDueGroup', true)) return null;
+
+        const dueNotes = this.getDueNotes();
+        if (dueNotes.length === 0) return null;
+
+        const overdueCount = dueNotes.filter(({
+            note
+        }) => getDueStatus(note) === 'overdue').length;
+        const item = new vscode.TreeItem('Overdue & Due Today', vscode.TreeItemCollapsibleState.Expanded);
+
+        item.type = 'dueGroup';
+        item.description = overdueCount > 0 ?
+            `${overdueCount} overdue, ${dueNotes.length - overdueCount} today` :
+            `${dueNotes.length} today`;
+        item.iconPath = new vscode.ThemeIcon(
+            'bell',
+            new vscode.ThemeColor(overdueCount > 0 ? 'list.errorForeground' : 'list.warningForeground')
+        );
+        item.contextValue = 'dueGroup';
+
+        return item;
+    }
+
+    getDueNoteItems() {
+        return this.getDueNotes().map(({
+            note,
+            project
+        }) => {
+            const item = this.createNoteItem(note, project.id);
+            item.description = `${item.description} · ${project.name}`;
+            return item;
+        });
+    }
+
+    /**
+     * "Trash" root item, shown while anything is in the trash
+     */
+    getTrashItem() {
+        const trash = this.dataManager.getTrash();
+        const count = Object.keys(trash.notes).length + Object.keys(trash.projects).length;
+        if (count === 0) return null;
+
+        const item = new vscode.TreeItem('Trash', vscode.TreeItemCollapsibleState.Collapsed);
+        item.type = 'trash';
+        item.description = `${count}`;
+        item.iconPath = new vscode.ThemeIcon('trash');
+        item.contextValue = 'trash';
+
+        const retentionDays = vscode.workspace.getConfiguration('quickNotes.trash').get('retentionDays', 30);
+        item.tooltip = retentionDays > 0 ?
+            `Deleted notes and projects are kept for ${retentionDays} days` :
+            'Deleted notes and projects are kept until the trash is emptied';
+
+        return item;
+    }
+
+    /**
+     * Trashed projects and notes, most recently deleted first
+     */
+    getTrashedItems() {
+        const trash = this.dataManager.getTrash();
+        const retentionDays = vscode.workspace.getConfiguration('quickNotes.trash').get('retentionDays', 30);
+        const entries = [
+            ...Object.entries(trash.projects).map(([id, entry]) => ({
+                trashKind: 'projects',
+                id,
+                entry
+            })),
+            ...Object.entries(trash.notes).map(([id, entry]) => ({
+                trashKind: 'notes',
+                id,
+                entry
+            }))
+        ].sort((a, b) => b.entry.deletedAt.localeCompare(a.entry.deletedAt));
+
+        return entries.map(({
+            trashKind,
+            id,
+            entry
+        }) => {
+            const deletedAt = new Date(entry.deletedAt);
+            const isProject = trashKind === 'projects';
             const item = new vscode.TreeItem(
-                note.title || note.tag || note.content,
+                isProject ? entry.project.name : entry.note.title,
                 vscode.TreeItemCollapsibleState.None
             );
 
-            item.type = 'note';
-            item.noteId = note.id;
-            item.projectId = projectId;
+            item.type = isProject ? 'trashedProject' : 'trashedNote';
+            item.trashKind = trashKind;
+            item.trashId = id;
+            item.description = isProject ?
+                `project, ${entry.project.notes.length} note${entry.project.notes.length !== 1 ? 's' : ''}` :
+                entry.projectName;
+            item.iconPath = new vscode.ThemeIcon(isProject ? 'folder' : 'note', new vscode.ThemeColor('disabledForeground'));
+            item.contextValue = item.type;
+
+            let tooltip = `Deleted ${deletedAt.toLocaleString()}`;
+            if (retentionDays > 0) {
+                const daysLeft = Math.max(0, Math.ceil((deletedAt.getTime() + retentionDays * 86400000 - Date.now()) / 86400000));
+                tooltip += ` · deleted for good in ${daysLeft} day${daysLeft !== 1 ? 's' : ''}`;
+            }
+            item.tooltip = tooltip;
+
+            return item;
+        });
+    }
 
-            // Priority icons
-            const priorityIcons = {
-                high: '🔴',
-                medium: '🟡',
-                low: '🟢'
+    createNoteItem(note, projectId) {
+        const subtasks = note.subtasks || [];
+        const anchors = note.anchors || [];
+        const item = new vscode.TreeItem(
+            note.title,
+            subtasks.length > 0 || anchors.length > 0 ?
+            vscode.TreeItemCollapsibleState.Collapsed :
+            vscode.TreeItemCollapsibleState.None
+        );
+
+        item.type = 'note';
+        item.noteId = note.id;
+        item.projectId = projectId;
+
+        // Priority icons
+        const priorityIcons = {
+            high: '🔴',
+            medium: '🟡',
+            low: '🟢'
+        };
+
+        // Completed styling
+        if (isDone(note)) {
+            item.iconPath = new vscode.ThemeIcon('check', new vscode.ThemeColor('charts.green'));
+            item.description = '✓ Done';
+        } else {
+            item.description = priorityIcons[note.priority] || '🟡';
+
+            // Different icon based on priority
+            const iconMap = {
+                high: 'flame',
+                medium: 'circle-outline',
+                low: 'circle-small'
             };
+            item.iconPath = new vscode.ThemeIcon(iconMap[note.priority] || 'circle-outline');
 
-            // Completed styling
-            if (note.completed) {
-                item.iconPath = new vscode.ThemeIcon('check', new vscode.ThemeColor('charts.green'));
-                item.description = '✓ Done';
-            } else {
-                item.description = priorityIcons[note.priority] || '🟡';
-
-                // Different icon based on priority
-                const iconMap = {
-                    high: 'flame',
-                    medium: 'circle-outline',
-                    low: 'circle-small'
-                };
-                item.iconPath = new vscode.ThemeIcon(iconMap[note.priority] || 'circle-outline');
+            // Workflow status, unless it's the first column's, e.g. "In Progress"
+            if (note.status && note.status !== getOpenStatus()) {
+                item.description += ` ${getStatusLabel(note.status)}`;
             }
+        }
+
+        // Checklist progress, e.g. "3/5"
+        if (subtasks.length > 0) {
+            item.description += ` ${this.formatSubtaskProgress(subtasks)}`;
+        }
+
+        // Due date, highlighted when overdue or due today
+        const dueStatus = getDueStatus(note);
+        if (dueStatus) {
+            item.description += ` 📅 ${describeDueDate(note.dueDate)}`;
+        }
+
+        if (note.tags?.length > 0) {
+            item.description += ` ${note.tags.map(tag => '#' + tag).join(' ')}`;
+        }
+        if (dueStatus === 'overdue' || dueStatus === 'today') {
+            item.iconPath = new vscode.ThemeIcon(
+                dueStatus === 'overdue' ? 'warning' : 'bell',
+                new vscode.ThemeColor(dueStatus === 'overdue' ? 'list.errorForeground' : 'list.warningForeground')
+            );
+        }
+
+        // Notes imported from code comments open the comment's location; linked notes their first link
+        const project = this.projects.find(p => p.id === projectId);
+        if (anchors.length > 0) {
+            item.command = {
+                command: 'quickNotes.goToAnchor',
+                title: 'Go to Code',
+                arguments: [{
+                    projectId,
+                    noteId: note.id,
+                    anchorId: anchors[0].id
+                }]
+            };
+        } else if (note.source?.file && project?.path) {
+            item.command = {
+                command: 'vscode.open',
+                title: 'Open Source',
+                arguments: [
+                    vscode.Uri.file(path.join(project.path, note.source.file)),
+                    {
+                        selection: new vscode.Range(note.source.line - 1, 0, note.source.line - 1, 0)
+                    }
+                ]
+            };
+        }
+
+        item.tooltip = this.formatNoteTooltip(note);
+        item.contextValue = 'note';
+
+        return item;
+    }
+
+    getSubtaskItems(projectId, noteId) {
+        const note = this.dataManager.getNote(projectId, noteId);
+
+        return (note?.subtasks || []).map(subtask => {
+            const item = new vscode.TreeItem(subtask.text, vscode.TreeItemCollapsibleState.None);
+
+            item.type = 'subtask';
+            item.projectId = projectId;
+            item.noteId = noteId;
+            item.subtaskId = subtask.id;
+            item.checkboxState = subtask.done ?
+                vscode.TreeItemCheckboxState.Checked :
+                vscode.TreeItemCheckboxState.Unchecked;
+            item.contextValue = 'subtask';
+
+            return item;
+        });
+    }
 
-            item.tooltip = this.formatNoteTooltip(note);
-            item.contextValue = 'note';
+    getAnchorItems(projectId, noteId) {
+        const note = this.dataManager.getNote(projectId, noteId);
+
+        return (note?.anchors || []).map(anchor => {
+            const item = new vscode.TreeItem(`${path.posix.basename(anchor.file)}:${anchor.line}`, vscode.TreeItemCollapsibleState.None);
+
+            item.type = 'anchor';
+            item.projectId = projectId;
+            item.noteId = noteId;
+            item.anchorId = anchor.id;
+            item.description = anchor.text.trim();
+            item.tooltip = `${anchor.file}:${anchor.line}`;
+            item.iconPath = new vscode.ThemeIcon('link');
+            item.contextValue = 'anchor';
+            item.command = {
+                command: 'quickNotes.goToAnchor',
+                title: 'Go to Code',
+                arguments: [{
+                    projectId,
+                    noteId,
+                    anchorId: anchor.id
+                }]
+            };
 
             return item;
         });
     }
 
+    formatSubtaskProgress(subtasks) {
+        const done = subtasks.filter(s => s.done).length;
+        return `${done}/${subtasks.length}`;
+    }
+
     sortNotes(notes, sortBy) {
         const priorityOrder = {
             high: 0,
@@ -207,8 +668,8 @@ class QuickNotesProvider {
 
         return [...notes].sort((a, b) => {
             // Completed items always at bottom
-            if (a.completed !== b.completed) {
-                return a.completed ? 1 : -1;
+            if (isDone(a) !== isDone(b)) {
+                return isDone(a) ? 1 : -1;
             }
 
             switch (sortBy) {
@@ -216,31 +677,73 @@ class QuickNotesProvider {
                     return priorityOrder[a.priority] - priorityOrder[b.priority];
                 case 'createdAt':
                     return new Date(b.createdAt) - new Date(a.createdAt);
+                case 'dueDate':
+                    // Notes with a due date first, soonest first
+                    if (!a.dueDate || !b.dueDate) {
+                        return (a.dueDate ? 0 : 1) - (b.dueDate ? 0 : 1);
+                    }
+                    return a.dueDate.localeCompare(b.dueDate);
                 case 'alphabetical':
-                    const labelA = a.title || a.tag || a.content || '';
-                    const labelB = b.title || b.tag || b.content || '';
-                    return labelA.localeCompare(labelB);
+                    return a.title.localeCompare(b.title);
+                case 'manual':
+                    return compareByRank(a, b);
                 default:
                     return 0;
             }
         });
     }
 
+    /**
+     * Hover for a note: the title, the description rendered as Markdown, then the details
+     */
     formatNoteTooltip(note) {
-        const lines = [
-            note.title || note.tag || '',
-            note.description || note.content || '',
-            '',
-            `Priority: ${note.priority}`,
-            `Status: ${note.completed ? 'Completed' : 'Pending'}`,
-            `Created: ${new Date(note.createdAt).toLocaleDateString()}`
-        ];
+        const details = [];
+
+        if (note.tags?.length > 0) {
+            details.push(['Tags', note.tags.map(tag => '#' + tag).join(' ')]);
+        }
+
+        if (note.subtasks?.length > 0) {
+            details.push(['Checklist', `${this.formatSubtaskProgress(note.subtasks)} done`]);
+        }
+
+        if (note.dueDate) {
+            details.push(['Due', `${new Date(note.reminderAt || note.dueDate + 'T00:00').toLocaleString(undefined, {
+                dateStyle: 'medium',
+                timeStyle: note.reminderAt ? 'short' : undefined
+            })} (${describeDueDate(note.dueDate)})`]);
+        }
+
+        details.push(
+            ['Priority', note.priority],
+            ['Status', getStatusLabel(note.status)],
+            ['Created', new Date(note.createdAt).toLocaleDateString()]
+        );
 
         if (note.updatedAt !== note.createdAt) {
-            lines.push(`Updated: ${new Date(note.updatedAt).toLocaleDateString()}`);
+            details.push(['Updated', new Date(note.updatedAt).toLocaleDateString()]);
+        }
+
+        // Untrusted and without HTML, so note content can't run commands or inject markup
+        const tooltip = new vscode.MarkdownString();
+        tooltip.appendMarkdown('**');
+        tooltip.appendText(note.title);
+        tooltip.appendMarkdown('**\n\n');
+
+        const description = note.description || '';
+        if (description.trim()) {
+            tooltip.appendMarkdown(description);
+            tooltip.appendMarkdown('\n\n');
+        }
+
+        tooltip.appendMarkdown('---\n\n');
+        for (const [label, value] of details) {
+            tooltip.appendMarkdown(`**${label}:** `);
+            tooltip.appendText(value);
+            tooltip.appendMarkdown('  \n');
         }
 
-        return lines.join('\n');
+        return tooltip;
     }
 }
 
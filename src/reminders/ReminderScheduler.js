@@ -0,0 +1,124 @@
+const vscode = require('vscode');
+const {
+    DONE_STATUS,
+    isDone
+} = require('../data/noteStatus');
+
+const SHOWN_STORAGE_KEY = 'quickNotes.remindersShown';
+const CHECK_INTERVAL_MS = 30 * 1000;
+const SNOOZE_MS = 60 * 60 * 1000;
+
+/**
+ * Shows a notification when a note's reminder time is reached while VS Code is open.
+ * Reminders missed while the editor was closed are shown on the next check.
+ * Which reminders were already shown is remembered per device (not synced).
+ */
+class ReminderScheduler {
+    constructor(context, dataManager, quickNotesProvider) {
+        this.context = context;
+        this.dataManager = dataManager;
+        this.quickNotesProvider = quickNotesProvider;
+        this._timer = null;
+        this._lastDay = new Date().toDateString();
+    }
+
+    start() {
+        this.stop();
+        this.check();
+        this._timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+    }
+
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+    }
+
+    dispose() {
+        this.stop();
+    }
+
+    /**
+     * Fire any reminders that are due and haven't been shown yet
+     */
+    check() {
+        const config = vscode.workspace.getConfiguration('quickNotes.reminders');
+        const now = Date.now();
+
+        // Overdue/today highlighting depends on the date, so redraw when it changes
+        const today = new Date().toDateString();
+        if (today !== this._lastDay) {
+            this._lastDay = today;
+            this.quickNotesProvider.refresh();
+        }
+
+        if (!config.get('enabled', true)) return;
+
+        const data = this.dataManager.getData();
+        const shown = this.context.globalState.get(SHOWN_STORAGE_KEY, {});
+        const liveNoteIds = new Set();
+        const due = [];
+
+        for (const [projectId, project] of Object.entries(data.projects || {})) {
+            for (const note of project.notes || []) {
+                liveNoteIds.add(note.id);
+                if (!note.reminderAt || isDone(note)) continue;
+                if (shown[note.id] === note.reminderAt) continue;
+                if (new Date(note.reminderAt).getTime() > now) continue;
+
+                shown[note.id] = note.reminderAt;
+                due.push({
+                    projectId,
+                    note
+                });
+            }
+        }
+
+        // Forget notes that no longer exist
+        for (const noteId of Object.keys(shown)) {
+            if (!liveNoteIds.has(noteId)) {
+                delete shown[noteId];
+            }
+        }
+
+        this.context.globalState.update(SHOWN_STORAGE_KEY, shown);
+        due.forEach(({
+            projectId,
+            note
+        }) => this._notify(projectId, note));
+    }
+
+    async _notify(projectId, note) {
+        const action = await vscode.window.showInformationMessage(
+            `⏰ Reminder: ${note.title}`,
+            'Open Note',
+            'Snooze 1 Hour',
+            'Mark Done'
+        );
+
+        try {
+            if (action === 'Open Note') {
+                vscode.commands.executeCommand('quickNotes.editNote', {
+                    projectId,
+                    noteId: note.id
+                });
+            } else if (action === 'Snooze 1 Hour') {
+                await this.dataManager.updateNote(projectId, note.id, {
+                    reminderAt: new Date(Date.now() + SNOOZE_MS).toISOString()
+                });
+            } else if (action === 'Mark Done') {
+                await this.dataManager.updateNote(projectId, note.id, {
+                    status: DONE_STATUS
+                });
+                this.quickNotesProvider.refresh();
+            }
+        } catch (err) {
+            vscode.window.showErrorMessage(`Failed to update reminder: ${err.message}`);
+        }
+    }
+}
+
+module.exports = {
+    ReminderScheduler
+};
@@ -0,0 +1,268 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const META_FILE = 'quicknotes.json';
+const PROJECTS_DIR = 'projects';
+const ARCHIVED_DIR = 'archived';
+const RELOAD_DELAY_MS = 300;
+
+/**
+ * Keeps notes data as plain JSON files in a folder, so it can be diffed, backed up,
+ * grepped or put under version control:
+ *
+ *   quicknotes.json           everything except projects (version, tombstones, ...)
+ *   projects/<name>-<id>.json one file per project, including its notes
+ *   archived/<name>-<id>.json one file per archived project
+ *
+ * Each project file holds the project's ID, so files can be renamed freely.
+ * The folder is watched and edits made outside VS Code are picked up.
+ */
+class FolderStore {
+    constructor(folderPath) {
+        this.folderPath = folderPath;
+        this._data = undefined;
+        this._loaded = false;
+        // Relative path -> content of every file as last read or written
+        this._files = new Map();
+        // Files that could not be parsed; never overwritten or deleted
+        this._unreadable = new Set();
+        this._reloadTimer = null;
+        this._watcher = null;
+        // Saves are written one after another
+        this._writeQueue = Promise.resolve();
+        this._pendingWrites = 0;
+
+        this._onDidChange = new vscode.EventEmitter();
+        this.onDidChange = this._onDidChange.event;
+    }
+
+    get label() {
+        return this.folderPath;
+    }
+
+    get() {
+        if (!this._loaded) {
+            this._load(this._readFiles());
+        }
+        // Callers modify what they get before saving it, so hand out a copy
+        return this._data === undefined ? undefined : JSON.parse(JSON.stringify(this._data));
+    }
+
+    /**
+     * Whether the folder already holds notes data
+     */
+    hasData() {
+        return this.get() !== undefined;
+    }
+
+    /**
+     * Replace the data. Reads see the new data at once; the files are written in order.
+     */
+    set(data) {
+        const snapshot = JSON.parse(JSON.stringify(data));
+        this._data = snapshot;
+        this._loaded = true;
+        this._pendingWrites++;
+
+        const write = this._writeQueue.then(() => this._writeFiles(snapshot));
+        this._writeQueue = write.catch(() => {}).finally(() => this._pendingWrites--);
+        return write;
+    }
+
+    async _writeFiles(data) {
+        const files = this._serialize(data);
+
+        await fs.promises.mkdir(path.join(this.folderPath, PROJECTS_DIR), {
+            recursive: true
+        });
+        await fs.promises.mkdir(path.join(this.folderPath, ARCHIVED_DIR), {
+            recursive: true
+        });
+
+        for (const [relPath, content] of files) {
+            if (this._files.get(relPath) === content || this._unreadable.has(relPath)) continue;
+            await this._writeFile(relPath, content);
+        }
+
+        for (const relPath of this._files.keys()) {
+            if (files.has(relPath) || this._unreadable.has(relPath)) continue;
+            await fs.promises.rm(path.join(this.folderPath, relPath), {
+                force: true
+            });
+        }
+
+        this._files = files;
+    }
+
+    /**
+     * Start watching the folder for changes made by other programs
+     */
+    watch() {
+        if (this._watcher) return;
+
+        this._watcher = vscode.workspace.createFileSystemWatcher(
+            new vscode.RelativePattern(vscode.Uri.file(this.folderPath), '**/*.json')
+        );
+        const schedule = () => this._scheduleReload();
+        this._watcher.onDidChange(schedule);
+        this._watcher.onDidCreate(schedule);
+        this._watcher.onDidDelete(schedule);
+    }
+
+    dispose() {
+        clearTimeout(this._reloadTimer);
+        this._watcher?.dispose();
+        this._onDidChange.dispose();
+    }
+
+    _scheduleReload() {
+        clearTimeout(this._reloadTimer);
+        this._reloadTimer = setTimeout(() => {
+            // Wait for our own writes to finish before comparing
+            if (this._pendingWrites > 0) {
+                this._scheduleReload();
+                return;
+            }
+
+            const files = this._readFiles();
+            // Our own writes show up as events too; only react to real changes
+            if (this._sameFiles(files)) return;
+
+            this._load(files);
+            this._onDidChange.fire();
+        }, RELOAD_DELAY_MS);
+    }
+
+    _sameFiles(files) {
+        if (files.size !== this._files.size) return false;
+        for (const [relPath, content] of files) {
+            if (this._files.get(relPath) !== content) return false;
+        }
+        return true;
+    }
+
+    _readFiles() {
+        const files = new Map();
+        const read = relPath => {
+            try {
+                files.set(relPath, fs.readFileSync(path.join(this.folderPath, relPath), 'utf8'));
+            } catch {
+                // Missing or unreadable files are treated as absent
+            }
+        };
+
+        read(META_FILE);
+        for (const dir of [PROJECTS_DIR, ARCHIVED_DIR]) {
+            let names = [];
+            try {
+                names = fs.readdirSync(path.join(this.folderPath, dir));
+            } catch {
+                continue;
+            }
+            names.filter(name => name.endsWith('.json')).forEach(name => read(`${dir}/${name}`));
+        }
+        return files;
+    }
+
+    _load(files) {
+        this._files = files;
+        this._unreadable = new Set();
+        this._loaded = true;
+
+        if (files.size === 0) {
+            this._data = undefined;
+            return;
+        }
+
+        const parse = relPath => {
+            try {
+                return JSON.parse(files.get(relPath));
+            } catch (err) {
+                console.error(`Quick Notes: Skipping unreadable notes file ${relPath}:`, err.message);
+                this._unreadable.add(relPath);
+                return null;
+            }
+        };
+
+        const {
+            version,
+            ...meta
+        } = files.has(META_FILE) ? parse(META_FILE) || {} : {};
+        // Same key order as data kept in VS Code storage
+        const data = {
+            version,
+            projects: {},
+            archivedProjects: {},
+            ...meta
+        };
+
+        for (const relPath of files.keys()) {
+            if (relPath === META_FILE) continue;
+
+            const project = parse(relPath);
+            if (!project?.id) continue;
+
+            const {
+                id,
+                ...rest
+            } = project;
+            const container = relPath.startsWith(`${ARCHIVED_DIR}/`) ? data.archivedProjects : data.projects;
+            container[id] = rest;
+        }
+
+        this._data = data;
+    }
+
+    _serialize(data) {
+        const {
+            projects = {},
+            archivedProjects = {},
+            ...meta
+        } = data;
+        const files = new Map([
+            [META_FILE, this._toJson(meta)]
+        ]);
+
+        for (const [dir, container] of [
+                [PROJECTS_DIR, projects],
+                [ARCHIVED_DIR, archivedProjects]
+            ]) {
+            for (const [id, project] of Object.entries(container)) {
+                files.set(`${dir}/${this._fileName(id, project)}`, this._toJson({
+                    id,
+                    ...project
+                }));
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Readable, stable file name: the project name plus a short hash of its ID
+     */
+    _fileName(id, project) {
+        const slug = (project.name || 'project').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+        const hash = crypto.createHash('sha1').update(id).digest('hex').slice(0, 8);
+        return `${slug.slice(0, 60)}-${hash}.json`;
+    }
+
+    _toJson(value) {
+        return JSON.stringify(value, null, 2) + '\n';
+    }
+
+    /**
+     * Write through a temporary file so a crash never leaves a half-written file behind
+     */
+    async _writeFile(relPath, content) {
+        const target = path.join(this.folderPath, relPath);
+        const temp = `${target}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temp, content, 'utf8');
+        await fs.promises.rename(temp, target);
+    }
+}
+
+module.exports = {
+    FolderStore
+};
@@ -0,0 +1,39 @@
+const vscode = require('vscode');
+
+const DATA_STORAGE_KEY = 'quickNotes.data';
+
+/**
+ * Keeps all notes data in one VS Code globalState entry (synced by Settings Sync).
+ * This is the default store.
+ *
+ * Stores share one shape: get() returns the data object (or undefined when empty),
+ * set(data) replaces it, and onDidChange fires when the data changed outside the extension.
+ */
+class GlobalStateStore {
+    constructor(context) {
+        this.context = context;
+        this._onDidChange = new vscode.EventEmitter();
+        this.onDidChange = this._onDidChange.event;
+    }
+
+    get label() {
+        return 'VS Code storage';
+    }
+
+    get() {
+        return this.context.globalState.get(DATA_STORAGE_KEY);
+    }
+
+    async set(data) {
+        await this.context.globalState.update(DATA_STORAGE_KEY, data);
+    }
+
+    dispose() {
+        this._onDidChange.dispose();
+    }
+}
+
+module.exports = {
+    GlobalStateStore,
+    DATA_STORAGE_KEY
+};
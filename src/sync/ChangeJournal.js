@@ -0,0 +1,207 @@
+// Local changes not pushed yet, kept across reloads
+const JOURNAL_STORAGE_KEY = 'quickNotes.sync.journal';
+
+// Operations kept before the journal stops recording them and the next sync merges whole snapshots
+const MAX_OPERATIONS = 1000;
+
+// Bookkeeping fields that aren't part of an operation's field changes
+const META_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+/**
+ * Journal of local changes not pushed yet, kept in globalState on this device only.
+ * Each save is recorded as operations, which the next sync replays on top of the remote notes
+ * (see SyncManager.mergeOperations), so only what was actually changed here is applied.
+ *
+ * An operation is { seq, at, kind: 'project' | 'note', type: 'add' | 'update' | 'delete' | 'move',
+ * container, projectId, noteId?, record?, fields?, to?, index?, updatedAt? }: `record` is the added
+ * project (without notes) or note, `fields` maps each changed field to { before, after }, `to` is
+ * the { container, projectId } a moved record went to and `index` its place among the notes there.
+ *
+ * The journal is incomplete when local notes changed without being recorded (before it existed,
+ * while sync was off, after switching stores or remotes, or when it grew too long). The next
+ * sync then merges whole snapshots instead, and pushing that makes the journal complete again.
+ */
+class ChangeJournal {
+    constructor(context) {
+        this.context = context;
+        this._state = context.globalState.get(JOURNAL_STORAGE_KEY, null) || {
+            complete: false,
+            // Sequence number at which the journal last became incomplete
+            incompleteAt: 0,
+            // Changes counted as pending without operations to replay
+            unrecorded: 0,
+            // Settings key of the remote the operations are meant for
+            remote: undefined,
+            nextSeq: 1,
+            operations: []
+        };
+    }
+
+    /**
+     * Number of local changes waiting to be pushed
+     */
+    get size() {
+        return this._state.operations.length + this._state.unrecorded;
+    }
+
+    get complete() {
+        return this._state.complete;
+    }
+
+    /**
+     * Record the changes (see changes.js) made by one save
+     */
+    async record(changes, at = new Date().toISOString()) {
+        const operations = toOperations(changes).map(operation => ({
+            seq: this._state.nextSeq++,
+            at,
+            ...operation
+        }));
+        if (operations.length === 0) return;
+
+        const all = [...this._state.operations, ...operations];
+        if (all.length > MAX_OPERATIONS) {
+            this._state.complete = false;
+            this._state.incompleteAt = this._state.nextSeq++;
+            this._state.unrecorded += all.length;
+            this._state.operations = [];
+        } else {
+            this._state.operations = all;
+        }
+        await this._save();
+    }
+
+    /**
+     * Note that local notes changed without being recorded, counting `count` of them as pending
+     */
+    async invalidate(count = 0) {
+        this._state.complete = false;
+        this._state.incompleteAt = this._state.nextSeq++;
+        this._state.unrecorded += count;
+        await this._save();
+    }
+
+    /**
+     * Tie the journal to the remote it is replayed on (see getProviderConfigKey). Operations
+     * recorded for another remote say nothing about what this one is missing, so switching
+     * makes the journal incomplete.
+     */
+    async setRemote(remote) {
+        if (this._state.remote === remote) return;
+        if (this._state.remote !== undefined) {
+            this._state.complete = false;
+            this._state.incompleteAt = this._state.nextSeq++;
+        }
+        this._state.remote = remote;
+        await this._save();
+    }
+
+    /**
+     * Taken when a sync starts: the operations to replay (null to merge whole snapshots instead),
+     * and where the journal stood, for acknowledge()
+     */
+    checkpoint() {
+        return {
+            operations: this._state.complete ? this._state.operations.slice() : null,
+            lastSeq: this._state.nextSeq - 1,
+            unrecorded: this._state.unrecorded
+        };
+    }
+
+    /**
+     * Forget what a successful push from `checkpoint` sent. Changes recorded since stay, and the
+     * journal is complete again unless it lost track of something meanwhile.
+     */
+    async acknowledge(checkpoint) {
+        this._state.operations = this._state.operations.filter(operation => operation.seq > checkpoint.lastSeq);
+        this._state.unrecorded = Math.max(0, this._state.unrecorded - checkpoint.unrecorded);
+        if (this._state.incompleteAt <= checkpoint.lastSeq) {
+            this._state.complete = true;
+        }
+        await this._save();
+    }
+
+    async _save() {
+        await this.context.globalState.update(JOURNAL_STORAGE_KEY, this._state);
+    }
+}
+
+/**
+ * Turn changes into operations, projects first. A record that left one place and arrived in
+ * another (a note moved between projects, a project archived or restored) becomes one move.
+ */
+function toOperations(changes) {
+    const operations = [];
+
+    for (const kind of ['project', 'note']) {
+        const groups = new Map();
+        for (const change of changes.filter(c => c.kind === kind)) {
+            const id = kind === 'note' ? change.noteId : change.projectId;
+            groups.set(id, [...(groups.get(id) || []), change]);
+        }
+
+        for (const group of groups.values()) {
+            const edited = group.find(c => c.before && c.after);
+            const left = group.find(c => c.before && !c.after);
+            const arrived = group.find(c => !c.before && c.after);
+            const from = edited || left || arrived;
+            const operation = {
+                kind,
+                container: from.container,
+                projectId: from.projectId
+            };
+            if (kind === 'note') {
+                operation.noteId = from.noteId;
+            }
+
+            if (edited) {
+                const fields = fieldChanges(edited.before, edited.after);
+                if (Object.keys(fields).length === 0) continue;
+                Object.assign(operation, {
+                    type: 'update',
+                    fields
+                });
+            } else if (left && arrived) {
+                Object.assign(operation, {
+                    type: 'move',
+                    to: {
+                        container: arrived.container,
+                        projectId: arrived.projectId
+                    },
+                    fields: fieldChanges(left.before, arrived.after)
+                });
+            } else if (arrived) {
+                Object.assign(operation, {
+                    type: 'add',
+                    record: arrived.after
+                });
+            } else {
+                operation.type = 'delete';
+            }
+
+            if (kind === 'note' && operation.type !== 'delete') {
+                operation.index = (arrived || edited).index;
+                operation.updatedAt = (arrived || edited).after.updatedAt;
+            }
+            operations.push(operation);
+        }
+    }
+    return operations;
+}
+
+function fieldChanges(before, after) {
+    const fields = {};
+    for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (META_FIELDS.includes(field)) continue;
+        if (JSON.stringify(before[field]) === JSON.stringify(after[field])) continue;
+        fields[field] = {
+            before: before[field],
+            after: after[field]
+        };
+    }
+    return fields;
+}
+
+module.exports = {
+    ChangeJournal
+};
@@ -0,0 +1,946 @@
+const vscode = require('vscode');
+const {
+    mergeTombstones,
+    applyTombstones,
+    moveNotesToTheirProjects,
+    compactTombstones
+} = require('../data/tombstones');
+const {
+    mergeTrash,
+    applyTrashTombstones
+} = require('../data/trash');
+const {
+    SCHEMA_VERSION,
+    getSchemaVersion,
+    isNewerSchema,
+    createNewerSchemaError,
+    migrateData
+} = require('../data/schema');
+const {
+    createSyncProvider,
+    getProviderConfigKey
+} = require('./providers');
+const {
+    isEncrypted,
+    deriveKey,
+    unlockKey,
+    encryptDocument,
+    decryptDocument,
+    createPassphraseError,
+    getKeys,
+    storeKeys
+} = require('./encryption');
+
+const BASE_STORAGE_KEY = 'quickNotes.syncBase';
+
+// Bookkeeping fields that are never merged field-by-field
+const NOTE_META_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+// Note fields holding lists of items with IDs, merged item by item (value: the item fields)
+const LIST_FIELDS = {
+    subtasks: ['text', 'done'],
+    anchors: ['file', 'line', 'text']
+};
+
+// Note fields holding plain value sets (order kept, no duplicates), merged value by value
+const SET_FIELDS = ['tags'];
+
+// Note fields where, if both sides changed them, the more recently edited note wins without a conflict
+const LATEST_WINS_FIELDS = ['rank', 'completedAt'];
+
+/**
+ * Syncs notes data with a remote copy of notes.json, merging local and remote changes.
+ * Where the file lives (GitHub, GitLab, Gitea, any git remote, WebDAV, a shared folder) is up to the sync provider
+ * picked in the `quickNotes.sync.provider` setting (see providers/index.js). With
+ * `quickNotes.sync.encryption` on, the file is encrypted with the sync passphrase (see encryption.js).
+ */
+class SyncManager {
+    constructor(context) {
+        this.context = context;
+        // Version of notes.json last read or written (a blob SHA, commit ID, ...), for the next write
+        this.remoteVersion = null;
+        this._provider = null;
+        this._providerKey = null;
+        this._isSyncing = false;
+        this._lastSyncTime = null;
+        this._conflictResolver = null;
+        this._resolvingConflicts = false;
+        this._onSyncStatusChanged = new vscode.EventEmitter();
+        this.onSyncStatusChanged = this._onSyncStatusChanged.event;
+    }
+
+    /**
+     * Check if sync is properly configured (a repo URL is set)
+     */
+    isConfigured() {
+        const config = vscode.workspace.getConfiguration('quickNotes.sync');
+        const repoUrl = config.get('repoUrl', '');
+        return repoUrl.length > 0;
+    }
+
+    isEncryptionEnabled() {
+        return vscode.workspace.getConfiguration('quickNotes.sync').get('encryption', false);
+    }
+
+    /**
+     * Whether the remote notes.json is encrypted, read afresh
+     */
+    async isRemoteEncrypted() {
+        const file = await this.getProvider().read();
+        return !!file && isEncrypted(JSON.parse(file.content));
+    }
+
+    /**
+     * Set the passphrase the synced notes are encrypted with on this device. If the remote notes
+     * are encrypted already, it must be the one they were encrypted with (throws with
+     * `needsPassphrase` otherwise); if not, a new key is made and used from the next push.
+     */
+    async setPassphrase(passphrase) {
+        const provider = this.getProvider();
+        const file = await provider.read();
+        const envelope = file && JSON.parse(file.content);
+
+        const key = isEncrypted(envelope) ?
+            await unlockKey(envelope, passphrase, `the notes on ${provider.label}`) :
+            await deriveKey(passphrase);
+        await storeKeys(this.context.secrets, [key]);
+    }
+
+    /**
+     * Change the passphrase (and key): the next push encrypts with the new key, which other
+     * devices then need the new passphrase for. The old key is kept until then, to read the remote.
+     */
+    async changePassphrase(passphrase) {
+        const keys = await getKeys(this.context.secrets);
+        if (keys.length === 0) {
+            throw createPassphraseError('No sync passphrase is set on this device yet. Run "Set Sync Passphrase..." first.');
+        }
+        await storeKeys(this.context.secrets, [...keys, await deriveKey(passphrase)]);
+    }
+
+    /**
+     * The provider for the current settings, created again when they change.
+     * Throws if the repo URL doesn't suit the provider.
+     */
+    getProvider() {
+        const key = getProviderConfigKey();
+        if (!this._provider || key !== this._providerKey) {
+            this._provider = createSyncProvider(this.context);
+            this._providerKey = key;
+            this.remoteVersion = null;
+        }
+        return this._provider;
+    }
+
+    /**
+     * Pull the latest notes.json from the remote.
+     * Returns the parsed data object, or null if the file doesn't exist yet.
+     */
+    async pull() {
+        if (!this.isConfigured()) {
+            return null;
+        }
+
+        try {
+            const provider = this.getProvider();
+            const file = await provider.read();
+
+            if (!file) {
+                // File doesn't exist yet on the remote — first sync
+                this.remoteVersion = null;
+                return null;
+            }
+
+            // Remember the version for updates
+            this.remoteVersion = file.version;
+
+            // Decrypted if need be (throws without the right passphrase), then upgraded to the
+            // current schema (throws if it is newer)
+            let data = JSON.parse(file.content);
+            if (isEncrypted(data)) {
+                data = JSON.parse(decryptDocument(data, await getKeys(this.context.secrets), `the notes on ${provider.label}`));
+            }
+            return migrateData(data, `The notes on ${provider.label}`);
+        } catch (err) {
+            if (err.isOffline) {
+                this._onSyncStatusChanged.fire('offline');
+            } else if (err.needsPassphrase) {
+                this._onSyncStatusChanged.fire('locked');
+            }
+            console.error('Quick Notes sync pull failed:', err.message);
+            throw err;
+        }
+    }
+
+    /**
+     * Push notes data to the remote.
+     * Creates or updates notes.json. Returns true if the file was written.
+     * Pushes are run one at a time by SyncQueue, which every sync goes through.
+     */
+    async push(data) {
+        if (!this.isConfigured()) {
+            return false;
+        }
+
+        // Never overwrite the remote with data this version can't fully represent
+        if (isNewerSchema(data)) {
+            throw createNewerSchemaError(data, 'These notes');
+        }
+
+        this._isSyncing = true;
+        this._onSyncStatusChanged.fire('syncing');
+
+        try {
+            const keys = await getKeys(this.context.secrets);
+            let content = JSON.stringify(data, null, 2);
+            if (this.isEncryptionEnabled()) {
+                if (keys.length === 0) {
+                    throw createPassphraseError('Sync encryption is on, but no passphrase is set on this device. Run "Set Sync Passphrase..." to set one.');
+                }
+                content = JSON.stringify(encryptDocument(content, keys[keys.length - 1], data.version), null, 2);
+            }
+
+            // Providers reject the write with `isConflict` if the file changed since remoteVersion
+            this.remoteVersion = await this.getProvider().write(content, this.remoteVersion);
+            this._lastSyncTime = new Date();
+
+            // Keys from before a passphrase change aren't needed once the remote uses the new one
+            if (this.isEncryptionEnabled() && keys.length > 1) {
+                await storeKeys(this.context.secrets, keys.slice(-1));
+            }
+            this._onSyncStatusChanged.fire('synced');
+            return true;
+        } catch (err) {
+            this._onSyncStatusChanged.fire(err.isOffline ? 'offline' : err.needsPassphrase ? 'locked' : 'error');
+            console.error('Quick Notes sync push failed:', err.message);
+            throw err;
+        } finally {
+            this._isSyncing = false;
+        }
+    }
+
+    /**
+     * Merge local and remote data field by field, using the last synced snapshot (`baseData`)
+     * as the common ancestor. Projects and notes are merged by ID. Archive is also merged.
+     * Deletion tombstones from either side are honoured unless the record was edited later.
+     * Notes moved to another project on either side are moved on both sides first, so a move
+     * merges with edits made to the note meanwhile.
+     * Trashed notes and projects are merged as a set (see trash.js).
+     * Fields changed differently on both sides keep the local value and are reported in `conflicts`.
+     */
+    mergeData(localData, remoteData, baseData = null, conflicts = []) {
+        if (!remoteData) return localData;
+        if (!localData) return remoteData;
+
+        const merged = {
+            version: SCHEMA_VERSION,
+            projects: {},
+            archivedProjects: {},
+            trash: mergeTrash(localData.trash, remoteData.trash),
+            tombstones: mergeTombstones(localData.tombstones, remoteData.tombstones)
+        };
+        const baseNotes = this._indexNotes(baseData);
+        localData = moveNotesToTheirProjects(this._copyContainers(localData), merged.tombstones);
+        remoteData = moveNotesToTheirProjects(this._copyContainers(remoteData), merged.tombstones);
+
+        for (const container of ['projects', 'archivedProjects']) {
+            const localProjects = localData[container] || {};
+            const remoteProjects = remoteData[container] || {};
+            const allProjectIds = new Set([
+                ...Object.keys(localProjects),
+                ...Object.keys(remoteProjects)
+            ]);
+
+            for (const projectId of allProjectIds) {
+                const localProject = localProjects[projectId];
+                const remoteProject = remoteProjects[projectId];
+
+                if (localProject && remoteProject) {
+                    // Both exist — merge notes
+                    merged[container][projectId] = {
+                        ...remoteProject,
+                        ...localProject,
+                        // Each device keeps its own path for the project
+                        paths: {
+                            ...(remoteProject.paths || {}),
+                            ...(localProject.paths || {})
+                        },
+                        notes: this._mergeNotes(
+                            localProject.notes || [],
+                            remoteProject.notes || [],
+                            baseNotes,
+                            conflicts, {
+                                container,
+                                projectId,
+                                projectName: localProject.name || remoteProject.name
+                            }
+                        )
+                    };
+                } else {
+                    // Only one exists — take whichever
+                    merged[container][projectId] = localProject || remoteProject;
+                }
+            }
+        }
+
+        // Drop anything deleted on either side (and trash entries restored or purged), then forget expired tombstones
+        applyTombstones(merged);
+        applyTrashTombstones(merged);
+        compactTombstones(merged);
+
+        // A conflict on a note that ended up deleted no longer needs resolving
+        for (let i = conflicts.length - 1; i >= 0; i--) {
+            if (!this._findNote(merged, conflicts[i])) {
+                conflicts.splice(i, 1);
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Merge by replaying local operations (see ChangeJournal) on top of the remote data.
+     * Unlike mergeData this needs no common ancestor: records untouched here keep their remote
+     * version, and only the fields an operation changed are applied. A note field changed
+     * differently on the remote side meanwhile keeps the local value and is reported in `conflicts`.
+     * Deletions and the trash are merged as in mergeData, so edits made after a deletion win.
+     */
+    mergeOperations(localData, remoteData, operations, conflicts = []) {
+        if (!remoteData) return localData;
+        if (!localData) return remoteData;
+
+        const merged = this._copy(remoteData);
+        Object.assign(merged, {
+            version: SCHEMA_VERSION,
+            projects: merged.projects || {},
+            archivedProjects: merged.archivedProjects || {},
+            trash: mergeTrash(localData.trash, remoteData.trash),
+            tombstones: mergeTombstones(localData.tombstones, remoteData.tombstones)
+        });
+        const remoteNotes = this._indexNotes(remoteData);
+        const noteConflicts = new Map();
+
+        for (const operation of operations) {
+            if (operation.kind === 'project') {
+                this._replayProject(merged, localData, operation);
+            } else {
+                this._replayNote(merged, localData, operation, remoteNotes, noteConflicts);
+            }
+        }
+
+        applyTombstones(merged);
+        applyTrashTombstones(merged);
+        compactTombstones(merged);
+
+        // Report conflicts against where each note ended up, unless later operations settled them
+        for (const conflict of noteConflicts.values()) {
+            const found = this._locateNote(merged, conflict.noteId);
+            if (!found) continue;
+
+            const fields = conflict.fields
+                .map(f => ({
+                    ...f,
+                    local: found.note[f.field]
+                }))
+                .filter(f => !this._sameValue(f.local, f.remote));
+            if (fields.length === 0) continue;
+
+            conflicts.push({
+                container: found.container,
+                projectId: found.projectId,
+                projectName: found.project.name,
+                noteId: conflict.noteId,
+                title: found.note.title || conflict.remote?.title,
+                local: found.note,
+                remote: conflict.remote,
+                fields
+            });
+        }
+
+        return merged;
+    }
+
+    _replayProject(merged, localData, operation) {
+        const found = this._locateProject(merged, operation.projectId);
+
+        if (operation.type === 'delete') {
+            // Notes edited on the remote side after the deletion keep the project
+            const editedSince = (found?.project.notes || []).some(note => this._time(note) > Date.parse(operation.at));
+            if (found && !editedSince) {
+                delete merged[found.container][operation.projectId];
+            }
+            return;
+        }
+
+        // Deleted on the remote side, or never pushed: bring back the local copy; tombstones decide
+        let project = found?.project || this._copyProjectMeta(localData, operation.projectId);
+        if (operation.type === 'add') {
+            project = {
+                ...(project || {}),
+                ...operation.record,
+                paths: {
+                    ...(project?.paths || {}),
+                    ...(operation.record.paths || {})
+                },
+                notes: project?.notes || []
+            };
+        } else if (!project) {
+            return;
+        }
+
+        for (const [field, change] of Object.entries(operation.fields || {})) {
+            const value = field === 'paths' ?
+                this._replayPaths(project.paths, change.before, change.after) :
+                change.after;
+            if (value === undefined) {
+                delete project[field];
+            } else {
+                project[field] = value;
+            }
+        }
+
+        const container = operation.type === 'move' ? operation.to.container : operation.container;
+        if (found) {
+            delete merged[found.container][operation.projectId];
+        }
+        merged[container][operation.projectId] = project;
+    }
+
+    _replayNote(merged, localData, operation, remoteNotes, noteConflicts) {
+        const found = this._locateNote(merged, operation.noteId);
+
+        switch (operation.type) {
+            case 'add':
+                // Copied, since replaying later operations edits notes in place
+                if (found) {
+                    found.project.notes[found.index] = this._newer(this._copy(operation.record), found.note);
+                } else {
+                    this._insertNote(merged, localData, operation.container, operation.projectId, this._copy(operation.record), operation.index);
+                }
+                return;
+
+            case 'delete':
+                // A note edited on the remote side after the deletion is kept
+                if (found && this._time(found.note) <= Date.parse(operation.at)) {
+                    found.project.notes.splice(found.index, 1);
+                }
+                return;
+
+            default: {
+                if (!found) {
+                    // Deleted on the remote side, or never pushed: bring back the local copy; tombstones decide
+                    const local = this._locateNote(localData, operation.noteId);
+                    if (local) {
+                        this._insertNote(merged, localData, local.container, local.projectId, this._copy(local.note), local.index);
+                    }
+                    return;
+                }
+
+                if (operation.type === 'move') {
+                    const target = this._ensureProject(merged, localData, operation.to.container, operation.to.projectId);
+                    if (target && target !== found.project) {
+                        found.project.notes.splice(found.index, 1);
+                        target.notes.splice(Math.min(operation.index, target.notes.length), 0, found.note);
+                    }
+                }
+                this._replayNoteFields(found.note, operation, remoteNotes, noteConflicts);
+            }
+        }
+    }
+
+    /**
+     * Apply an operation's field changes to a note, in place. Fields the remote side left alone
+     * (or changed the same way) take the local value; lists and sets are merged item by item.
+     */
+    _replayNoteFields(note, operation, remoteNotes, noteConflicts) {
+        for (const [field, {
+                before,
+                after
+            }] of Object.entries(operation.fields || {})) {
+            const current = note[field];
+            let value;
+
+            if (LIST_FIELDS[field]) {
+                value = this._mergeItems(before || [], after || [], current || [], LIST_FIELDS[field]);
+            } else if (SET_FIELDS.includes(field)) {
+                value = this._mergeSet(before || [], after || [], current || []);
+            } else if (this._sameValue(current, before) || this._sameValue(current, after)) {
+                value = after;
+            } else if (LATEST_WINS_FIELDS.includes(field)) {
+                value = Date.parse(operation.updatedAt) >= this._time(note) ? after : current;
+            } else {
+                value = after;
+                const conflict = noteConflicts.get(note.id) || {
+                    noteId: note.id,
+                    remote: remoteNotes.get(note.id),
+                    fields: []
+                };
+                if (!conflict.fields.some(f => f.field === field)) {
+                    conflict.fields.push({
+                        field,
+                        base: before,
+                        remote: current
+                    });
+                }
+                noteConflicts.set(note.id, conflict);
+            }
+
+            if (value === undefined) {
+                delete note[field];
+            } else {
+                note[field] = value;
+            }
+        }
+
+        if (operation.updatedAt && Date.parse(operation.updatedAt) > this._time(note)) {
+            note.updatedAt = operation.updatedAt;
+        }
+    }
+
+    /**
+     * Per-device project paths: apply the devices changed locally, keep the others' remote paths
+     */
+    _replayPaths(current = {}, before = {}, after = {}) {
+        const paths = {
+            ...current
+        };
+        for (const device of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            if (device in after) {
+                paths[device] = after[device];
+            } else {
+                delete paths[device];
+            }
+        }
+        return paths;
+    }
+
+    _insertNote(merged, localData, container, projectId, note, index) {
+        const project = this._ensureProject(merged, localData, container, projectId);
+        if (project) {
+            project.notes.splice(Math.min(index ?? project.notes.length, project.notes.length), 0, note);
+        }
+    }
+
+    /**
+     * The project notes go into: wherever it is in `merged`, or else the local copy
+     * (without its notes) added there. Null if neither side has it.
+     */
+    _ensureProject(merged, localData, container, projectId) {
+        const found = this._locateProject(merged, projectId);
+        if (found) {
+            found.project.notes = found.project.notes || [];
+            return found.project;
+        }
+
+        const project = this._copyProjectMeta(localData, projectId);
+        if (!project) return null;
+        const local = this._locateProject(localData, projectId);
+        merged[local?.container || container][projectId] = project;
+        return project;
+    }
+
+    _copyProjectMeta(data, projectId) {
+        const found = this._locateProject(data, projectId);
+        if (!found) return null;
+        return {
+            ...this._copy(found.project),
+            notes: []
+        };
+    }
+
+    _locateProject(data, projectId) {
+        for (const container of ['projects', 'archivedProjects']) {
+            const project = data[container]?.[projectId];
+            if (project) {
+                return {
+                    container,
+                    project
+                };
+            }
+        }
+        return null;
+    }
+
+    _locateNote(data, noteId) {
+        for (const container of ['projects', 'archivedProjects']) {
+            for (const [projectId, project] of Object.entries(data[container] || {})) {
+                const index = (project.notes || []).findIndex(n => n.id === noteId);
+                if (index !== -1) {
+                    return {
+                        container,
+                        projectId,
+                        project,
+                        index,
+                        note: project.notes[index]
+                    };
+                }
+            }
+        }
+        return null;
+    }
+
+    _time(note) {
+        return new Date(note.updatedAt || note.createdAt).getTime();
+    }
+
+    _copy(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Merge two arrays of notes by ID.
+     * Notes changed on both sides are merged field by field against their base version;
+     * without a base version the one with newer updatedAt is kept.
+     */
+    _mergeNotes(localNotes, remoteNotes, baseNotes = new Map(), conflicts = [], location = {}) {
+        const noteMap = new Map();
+
+        // Add remote notes first
+        for (const note of remoteNotes) {
+            noteMap.set(note.id, note);
+        }
+
+        // Combine with local
+        for (const note of localNotes) {
+            const existing = noteMap.get(note.id);
+            const base = baseNotes.get(note.id);
+            if (!existing) {
+                noteMap.set(note.id, note);
+            } else if (base) {
+                noteMap.set(note.id, this._mergeNoteFields(base, note, existing, conflicts, location));
+            } else {
+                const localTime = new Date(note.updatedAt || note.createdAt).getTime();
+                const remoteTime = new Date(existing.updatedAt || existing.createdAt).getTime();
+                if (localTime >= remoteTime) {
+                    noteMap.set(note.id, note);
+                }
+            }
+        }
+
+        return Array.from(noteMap.values());
+    }
+
+    /**
+     * Three-way merge of a single note. A field changed on only one side takes that side's
+     * value; a field changed differently on both sides is a conflict.
+     */
+    _mergeNoteFields(base, local, remote, conflicts, location) {
+        const merged = {
+            ...remote,
+            ...local
+        };
+        const conflictingFields = [];
+        const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+
+        for (const field of fields) {
+            if (NOTE_META_FIELDS.includes(field)) continue;
+
+            if (LIST_FIELDS[field]) {
+                merged[field] = this._mergeItems(base[field] || [], local[field] || [], remote[field] || [], LIST_FIELDS[field]);
+                continue;
+            }
+
+            if (SET_FIELDS.includes(field)) {
+                merged[field] = this._mergeSet(base[field] || [], local[field] || [], remote[field] || []);
+                continue;
+            }
+
+            const baseValue = base[field];
+            const localValue = local[field];
+            const remoteValue = remote[field];
+
+            if (this._sameValue(localValue, remoteValue) || this._sameValue(remoteValue, baseValue)) {
+                merged[field] = localValue;
+            } else if (this._sameValue(localValue, baseValue)) {
+                merged[field] = remoteValue;
+            } else if (LATEST_WINS_FIELDS.includes(field)) {
+                const localTime = new Date(local.updatedAt || local.createdAt).getTime();
+                const remoteTime = new Date(remote.updatedAt || remote.createdAt).getTime();
+                merged[field] = localTime >= remoteTime ? localValue : remoteValue;
+            } else {
+                merged[field] = localValue;
+                conflictingFields.push({
+                    field,
+                    base: baseValue,
+                    local: localValue,
+                    remote: remoteValue
+                });
+            }
+
+            if (merged[field] === undefined) {
+                delete merged[field];
+            }
+        }
+
+        const localTime = new Date(local.updatedAt || local.createdAt).getTime();
+        const remoteTime = new Date(remote.updatedAt || remote.createdAt).getTime();
+        merged.updatedAt = localTime >= remoteTime ? local.updatedAt : remote.updatedAt;
+
+        if (conflictingFields.length > 0) {
+            conflicts.push({
+                ...location,
+                noteId: local.id,
+                title: local.title || remote.title,
+                local,
+                remote,
+                fields: conflictingFields
+            });
+        }
+
+        return merged;
+    }
+
+    /**
+     * Three-way merge of a list of items with IDs (checklist items, code anchors), item by item.
+     * Items added on either side are kept; an item removed on one side stays removed unless
+     * the other side changed it. Item fields changed on both sides take the newer item's value.
+     * Order follows the local list, with remote-only items placed after their remote predecessor.
+     */
+    _mergeItems(baseItems, localItems, remoteItems, fields) {
+        const baseById = new Map(baseItems.map(item => [item.id, item]));
+        const localById = new Map(localItems.map(item => [item.id, item]));
+        const remoteById = new Map(remoteItems.map(item => [item.id, item]));
+        const mergedById = new Map();
+
+        for (const id of new Set([...localById.keys(), ...remoteById.keys()])) {
+            const base = baseById.get(id);
+            const local = localById.get(id);
+            const remote = remoteById.get(id);
+
+            if (local && remote) {
+                mergedById.set(id, this._mergeItem(base, local, remote, fields));
+            } else {
+                // Present on one side only: new there, or deleted on the other side
+                const present = local || remote;
+                const removedOtherSide = !!base;
+                if (!removedOtherSide || !this._sameValue(present, base)) {
+                    mergedById.set(id, present);
+                }
+            }
+        }
+
+        // Local order first, then slot remote-only items in after their remote predecessor
+        const order = localItems.map(item => item.id).filter(id => mergedById.has(id));
+        remoteItems.forEach((item, index) => {
+            if (!mergedById.has(item.id) || order.includes(item.id)) return;
+
+            let insertAt = 0;
+            for (let i = index - 1; i >= 0; i--) {
+                const position = order.indexOf(remoteItems[i].id);
+                if (position !== -1) {
+                    insertAt = position + 1;
+                    break;
+                }
+            }
+            order.splice(insertAt, 0, item.id);
+        });
+
+        return order.map(id => mergedById.get(id));
+    }
+
+    _mergeItem(base, local, remote, fields) {
+        if (this._sameValue(local, remote)) return local;
+        if (!base) return this._newer(local, remote);
+
+        const newer = this._newer(local, remote);
+        const merged = {
+            ...newer
+        };
+        for (const field of fields) {
+            if (this._sameValue(remote[field], base[field])) {
+                merged[field] = local[field];
+            } else if (this._sameValue(local[field], base[field])) {
+                merged[field] = remote[field];
+            } else {
+                merged[field] = newer[field];
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Three-way merge of a set of values: additions and removals from both sides are kept.
+     * Order follows the local list, with values added remotely appended.
+     */
+    _mergeSet(baseValues, localValues, remoteValues) {
+        const removedRemotely = baseValues.filter(value => !remoteValues.includes(value));
+        const addedRemotely = remoteValues.filter(value => !baseValues.includes(value) && !localValues.includes(value));
+        return [...localValues.filter(value => !removedRemotely.includes(value)), ...addedRemotely];
+    }
+
+    _newer(local, remote) {
+        const localTime = new Date(local.updatedAt || local.createdAt).getTime();
+        const remoteTime = new Date(remote.updatedAt || remote.createdAt).getTime();
+        return localTime >= remoteTime ? local : remote;
+    }
+
+    _sameValue(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    /**
+     * Shallow copy of data with its own project containers, so projects can be replaced without touching the original
+     */
+    _copyContainers(data) {
+        return {
+            ...data,
+            projects: {
+                ...(data.projects || {})
+            },
+            archivedProjects: {
+                ...(data.archivedProjects || {})
+            }
+        };
+    }
+
+    /**
+     * Map every note in a data object (active and archived) by ID
+     */
+    _indexNotes(data) {
+        const index = new Map();
+        if (!data) return index;
+
+        for (const container of [data.projects || {}, data.archivedProjects || {}]) {
+            for (const project of Object.values(container)) {
+                for (const note of project.notes || []) {
+                    index.set(note.id, note);
+                }
+            }
+        }
+        return index;
+    }
+
+    _findNote(data, conflict) {
+        const notes = data[conflict.container]?.[conflict.projectId]?.notes || [];
+        return notes.find(n => n.id === conflict.noteId);
+    }
+
+    /**
+     * Set the callback used to resolve conflicting edits.
+     * It receives the conflicts and resolves to one `{ field: value }` object per conflict,
+     * or null if the user cancelled.
+     */
+    setConflictResolver(resolver) {
+        this._conflictResolver = resolver;
+    }
+
+    /**
+     * Merge local data with a freshly pulled remote copy, asking the user about conflicts.
+     * With the local `operations` since the last push (see ChangeJournal) they are replayed on
+     * the remote copy; without them whole snapshots are merged against the last synced copy.
+     */
+    async mergeWithRemote(localData, remoteData, operations = null) {
+        const conflicts = [];
+        const merged = operations ?
+            this.mergeOperations(localData, remoteData, operations, conflicts) :
+            this.mergeData(localData, remoteData, this.getBase(), conflicts);
+
+        if (conflicts.length > 0 && this._conflictResolver) {
+            if (this._resolvingConflicts) {
+                throw new Error('Sync is waiting for conflicting edits to be resolved');
+            }
+
+            this._resolvingConflicts = true;
+            this._onSyncStatusChanged.fire('conflict');
+            let resolutions;
+            try {
+                resolutions = await this._conflictResolver(conflicts);
+            } finally {
+                this._resolvingConflicts = false;
+            }
+
+            if (!resolutions) {
+                this._onSyncStatusChanged.fire('error');
+                const err = new Error('Sync cancelled: conflicting edits were not resolved');
+                err.isCancelled = true;
+                throw err;
+            }
+            this._applyResolutions(merged, conflicts, resolutions);
+        }
+
+        return merged;
+    }
+
+    _applyResolutions(data, conflicts, resolutions) {
+        const now = new Date().toISOString();
+        conflicts.forEach((conflict, i) => {
+            const values = resolutions[i];
+            const note = this._findNote(data, conflict);
+            if (!values || !note) return;
+
+            Object.assign(note, values, {
+                updatedAt: now
+            });
+        });
+    }
+
+    /**
+     * Last remote snapshot this device saw — the common ancestor for three-way merges
+     */
+    getBase() {
+        const base = this.context.globalState.get(BASE_STORAGE_KEY, null);
+        if (!base || getSchemaVersion(base) >= SCHEMA_VERSION) return base;
+        try {
+            return migrateData(base);
+        } catch {
+            // Without a usable base, notes changed on both sides are merged by updatedAt
+            return null;
+        }
+    }
+
+    async _saveBase(data) {
+        await this.context.globalState.update(BASE_STORAGE_KEY, data);
+    }
+
+    /**
+     * Pull remote data and merge it into local data without pushing.
+     * Returns the merged data, or null if there is nothing remote yet.
+     * `operations` are replayed as in mergeWithRemote.
+     */
+    async pullAndMerge(localData, operations = null) {
+        const remoteData = await this.pull();
+        if (!remoteData) return null;
+
+        const merged = await this.mergeWithRemote(localData, remoteData, operations);
+        await this._saveBase(remoteData);
+        return merged;
+    }
+
+    /**
+     * Full sync: pull remote, merge with local, push result, return merged data.
+     * Retries once if the remote file changed in between (a write conflict).
+     * `operations` are replayed as in mergeWithRemote.
+     */
+    async sync(localData, operations = null) {
+        try {
+            return await this._syncOnce(localData, operations);
+        } catch (err) {
+            if (err.isConflict) {
+                // Retry once: pull again to get the new version and content, then merge and push
+                return await this._syncOnce(localData, operations);
+            }
+            throw err;
+        }
+    }
+
+    async _syncOnce(localData, operations) {
+        const remoteData = await this.pull();
+        const merged = await this.mergeWithRemote(localData, remoteData, operations);
+        if (await this.push(merged)) {
+            await this._saveBase(merged);
+        }
+        return merged;
+    }
+
+    get lastSyncTime() {
+        return this._lastSyncTime;
+    }
+
+    get isSyncing() {
+        return this._isSyncing;
+    }
+}
+
+module.exports = {
+    SyncManager
+};
\ No newline at end of file
@@ -0,0 +1,167 @@
+const vscode = require('vscode');
+const {
+    ChangeJournal
+} = require('./ChangeJournal');
+const {
+    getProviderConfigKey
+} = require('./providers');
+
+// Quiet time after the last save before syncing, so a burst of edits goes out as one push
+const DEBOUNCE_MS = 2000;
+
+// Delay before retrying a failed sync, doubling up to the maximum
+const RETRY_MIN_MS = 5 * 1000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+/**
+ * Runs syncs in the background, one at a time.
+ * Saving only records the changes in the journal (see ChangeJournal); a debounced job then
+ * pulls, replays everything recorded so far on the remote notes and pushes in one round trip.
+ * Failed jobs, e.g. while offline, are retried with backoff while changes are pending, and the
+ * journal is persisted, so changes saved offline or just before a reload are pushed later.
+ */
+class SyncQueue {
+    constructor(context, dataManager, syncManager) {
+        this.context = context;
+        this.dataManager = dataManager;
+        this.syncManager = syncManager;
+        this.journal = new ChangeJournal(context);
+        this._timer = null;
+        this._retryDelay = 0;
+        // Jobs run one after another; this settles when the last one queued has finished
+        this._queue = Promise.resolve();
+
+        this._onDidChangePending = new vscode.EventEmitter();
+        this.onDidChangePending = this._onDidChangePending.event;
+        // Fires with the merged data after a sync brought local notes up to date
+        this._onDidSync = new vscode.EventEmitter();
+        this.onDidSync = this._onDidSync.event;
+    }
+
+    get pending() {
+        return this.journal.size;
+    }
+
+    /**
+     * Record saved `changes` (see changes.js) and sync once saving has been quiet for a moment
+     */
+    async enqueue(changes) {
+        if (!this.syncManager.isConfigured()) {
+            // Nothing to replay for changes made while sync is off; the first sync merges snapshots
+            await this.journal.invalidate();
+            return;
+        }
+        await this.journal.record(changes);
+        this._onDidChangePending.fire(this.pending);
+        // While retrying after failures, new changes don't bring the next attempt forward
+        this._schedule(Math.max(DEBOUNCE_MS, this._retryDelay));
+    }
+
+    /**
+     * Note that local notes were replaced without recording the changes (e.g. another store was
+     * opened), so the next sync merges whole snapshots instead of replaying operations
+     */
+    async invalidate() {
+        await this.journal.invalidate();
+    }
+
+    /**
+     * Pull, merge and push right away (after any sync already running).
+     * Resolves to the merged data; failures are thrown to the caller.
+     */
+    syncNow() {
+        this._cancelTimer();
+        return this._retryOnFailure(this._run(true));
+    }
+
+    /**
+     * Bring local notes up to date when starting: a full sync if changes are still pending
+     * (e.g. saved offline or just before a reload) or weren't recorded, otherwise only a pull.
+     */
+    catchUp() {
+        this._cancelTimer();
+        return this._retryOnFailure(this._run(this.pending > 0 || !this.journal.complete));
+    }
+
+    dispose() {
+        this._cancelTimer();
+        this._onDidChangePending.dispose();
+        this._onDidSync.dispose();
+    }
+
+    _run(push) {
+        const job = this._queue.then(() => this._sync(push));
+        // Later jobs wait for this one, whether or not it fails
+        this._queue = job.catch(() => {});
+        return job;
+    }
+
+    async _sync(push) {
+        if (!this.syncManager.isConfigured()) return null;
+
+        await this.journal.setRemote(getProviderConfigKey());
+        const checkpoint = this.journal.checkpoint();
+        const sent = this.dataManager.exportData();
+        const merged = push ?
+            await this.syncManager.sync(sent, checkpoint.operations) :
+            await this.syncManager.pullAndMerge(sent, checkpoint.operations);
+        if (!merged) return null;
+
+        // Notes saved while the sync was on the network are merged in, not overwritten;
+        // they are still pending and go out with the next job
+        const current = this.dataManager.exportData();
+        const result = JSON.stringify(current) === JSON.stringify(sent) ?
+            merged :
+            this.syncManager.mergeData(current, merged, sent);
+        if (JSON.stringify(result) !== JSON.stringify(current)) {
+            await this.dataManager.importData(result);
+        }
+
+        if (push) {
+            await this.journal.acknowledge(checkpoint);
+            this._onDidChangePending.fire(this.pending);
+        }
+        this._retryDelay = 0;
+        this._onDidSync.fire(result);
+        return result;
+    }
+
+    _schedule(delay) {
+        this._cancelTimer();
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this._run(true).catch(err => {
+                console.error('Quick Notes: Background sync failed:', err.message);
+                this._retryLater(err);
+            });
+        }, delay);
+    }
+
+    /**
+     * Retry a job in the background if it fails with changes still pending; the caller still
+     * gets the job's result or error
+     */
+    _retryOnFailure(job) {
+        job.catch(err => this._retryLater(err));
+        return job;
+    }
+
+    _retryLater(err) {
+        // Cancelled conflict resolution, notes from a newer version or a missing passphrase: retrying can't help
+        if (err.isCancelled || err.isNewerSchema || err.needsPassphrase || this.pending === 0) return;
+
+        this._retryDelay = Math.min(RETRY_MAX_MS, this._retryDelay ? this._retryDelay * 2 : RETRY_MIN_MS);
+        this._schedule(this._retryDelay);
+    }
+
+    _cancelTimer() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+    }
+}
+
+module.exports = {
+    SyncQueue
+};
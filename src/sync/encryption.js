@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const {
+    promisify
+} = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Keys for the synced notes, kept in SecretStorage on this device only
+const KEYRING_SECRET_KEY = 'quickNotes.sync.encryptionKeys';
+
+// Marks notes.json as an encrypted envelope rather than plain notes data
+const ENVELOPE_FORMAT = 'quick-notes-encrypted';
+const ENVELOPE_VERSION = 1;
+
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+
+// scrypt cost for new keys (about 32 MB and a fraction of a second, once per passphrase entry)
+const KDF_PARAMS = {
+    N: 32768,
+    r: 8,
+    p: 1
+};
+
+// Highest scrypt cost accepted from an envelope, so a planted file can't make a device run out of memory
+const KDF_LIMITS = {
+    N: 65536,
+    r: 8,
+    p: 4
+};
+// Enough for the largest accepted N and r (128 * N * r bytes), plus room to spare
+const KDF_MAXMEM = 128 * 1024 * 1024;
+
+/**
+ * Client-side encryption of the synced notes document.
+ *
+ * A key is derived from the user's passphrase with scrypt and a random salt, and only the key
+ * (never the passphrase) is kept in SecretStorage. Encrypted, notes.json is an envelope:
+ *   { format, formatVersion, schemaVersion, keyId, kdf: { name, salt, N, r, p }, cipher,
+ *     encryptedAt, iv, tag, ciphertext }
+ * Everything but `ciphertext` is readable metadata, authenticated along with it. `keyId` names
+ * the key, so a device can tell a passphrase changed elsewhere from a corrupted file, and `kdf`
+ * lets a new device derive the same key from the passphrase.
+ *
+ * The keyring holds the key pushes are encrypted with (the last one) and, after the passphrase
+ * was changed, older keys still needed to read the remote until the next push.
+ */
+
+function isEncrypted(doc) {
+    return !!doc && doc.format === ENVELOPE_FORMAT;
+}
+
+/**
+ * Derive a key for `passphrase`: with the salt and parameters of `kdf` to unlock notes encrypted
+ * elsewhere, or with a new salt (and a new key ID) when setting a passphrase.
+ */
+async function deriveKey(passphrase, kdf = null, id = null) {
+    if (kdf) {
+        checkKdf(kdf);
+    }
+    const params = kdf || {
+        name: 'scrypt',
+        salt: crypto.randomBytes(16).toString('base64'),
+        ...KDF_PARAMS
+    };
+    const key = await scrypt(passphrase, Buffer.from(params.salt, 'base64'), KEY_LENGTH, {
+        N: params.N,
+        r: params.r,
+        p: params.p,
+        maxmem: KDF_MAXMEM
+    });
+    return {
+        id: id || crypto.randomBytes(8).toString('hex'),
+        kdf: params,
+        key: key.toString('base64')
+    };
+}
+
+/**
+ * Throw unless key-derivation settings (from an envelope, so untrusted) are scrypt within
+ * KDF_LIMITS. Entering the passphrase again can't help then, so it isn't a passphrase error.
+ */
+function checkKdf(kdf) {
+    const within = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+    const valid = !!kdf && kdf.name === 'scrypt' && typeof kdf.salt === 'string' && kdf.salt.length > 0 &&
+        within(kdf.N, KDF_LIMITS.N) && kdf.N > 1 && (kdf.N & (kdf.N - 1)) === 0 &&
+        within(kdf.r, KDF_LIMITS.r) && within(kdf.p, KDF_LIMITS.p);
+    if (!valid) {
+        throw new Error('The encrypted notes are damaged: their key settings are invalid or too costly.');
+    }
+}
+
+/**
+ * Derive the key `envelope` was encrypted with from `passphrase`, checking that it decrypts it.
+ * Throws (with `needsPassphrase`) if the passphrase is wrong.
+ */
+async function unlockKey(envelope, passphrase, where) {
+    checkKdf(envelope.kdf);
+    const key = await deriveKey(passphrase, envelope.kdf, envelope.keyId);
+    try {
+        decryptDocument(envelope, [key], where);
+    } catch (err) {
+        err.message = `Wrong passphrase for ${where}`;
+        throw err;
+    }
+    return key;
+}
+
+/**
+ * Encrypt the notes document `content` (JSON text of data at `schemaVersion`) with `key`
+ */
+function encryptDocument(content, key, schemaVersion) {
+    const iv = crypto.randomBytes(12);
+    const metadata = {
+        format: ENVELOPE_FORMAT,
+        formatVersion: ENVELOPE_VERSION,
+        schemaVersion,
+        keyId: key.id,
+        kdf: key.kdf,
+        cipher: CIPHER,
+        encryptedAt: new Date().toISOString(),
+        iv: iv.toString('base64')
+    };
+
+    const cipher = crypto.createCipheriv(CIPHER, Buffer.from(key.key, 'base64'), iv);
+    cipher.setAAD(Buffer.from(JSON.stringify(metadata)));
+    const ciphertext = Buffer.concat([cipher.update(content, 'utf8'), cipher.final()]);
+    return {
+        ...metadata,
+        tag: cipher.getAuthTag().toString('base64'),
+        ciphertext: ciphertext.toString('base64')
+    };
+}
+
+/**
+ * Decrypt an envelope with the matching key in `keys`, returning the notes document's JSON text.
+ * Throws (with `needsPassphrase`) when there's no key for it or it doesn't decrypt;
+ * `where` names the notes in error messages ("the notes on GitHub").
+ */
+function decryptDocument(envelope, keys, where) {
+    if (envelope.formatVersion > ENVELOPE_VERSION || envelope.cipher !== CIPHER) {
+        throw new Error(`${capitalize(where)} were encrypted by a newer version of Quick Notes. Update the extension to sync them.`);
+    }
+
+    const key = keys.find(k => k.id === envelope.keyId);
+    if (!key) {
+        throw createPassphraseError(keys.length > 0 ?
+            `${capitalize(where)} are encrypted with a passphrase this device doesn't know; it may have been changed on another device. Run "Set Sync Passphrase..." to enter it.` :
+            `${capitalize(where)} are encrypted. Run "Set Sync Passphrase..." to enter the passphrase used on your other devices.`);
+    }
+
+    const {
+        tag,
+        ciphertext,
+        ...metadata
+    } = envelope;
+    try {
+        const decipher = crypto.createDecipheriv(CIPHER, Buffer.from(key.key, 'base64'), Buffer.from(envelope.iv, 'base64'));
+        decipher.setAAD(Buffer.from(JSON.stringify(metadata)));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    } catch {
+        throw createPassphraseError(`${capitalize(where)} couldn't be decrypted: the file is damaged or the stored passphrase is wrong. Run "Set Sync Passphrase..." to enter it again.`);
+    }
+}
+
+/**
+ * Error for encrypted notes this device can't decrypt (or encrypt). Flagged with `needsPassphrase`.
+ */
+function createPassphraseError(message) {
+    const err = new Error(message);
+    err.needsPassphrase = true;
+    return err;
+}
+
+async function getKeys(secrets) {
+    const stored = await secrets.get(KEYRING_SECRET_KEY);
+    return stored ? JSON.parse(stored) : [];
+}
+
+async function storeKeys(secrets, keys) {
+    await secrets.store(KEYRING_SECRET_KEY, JSON.stringify(keys));
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports = {
+    isEncrypted,
+    deriveKey,
+    unlockKey,
+    encryptDocument,
+    decryptDocument,
+    createPassphraseError,
+    getKeys,
+    storeKeys
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FILE_NAME = 'notes.json';
+
+/**
+ * notes.json in a local folder that something else keeps in sync between devices (Dropbox,
+ * OneDrive, Syncthing, a network share). The version is the file's modification time and size:
+ * a write first checks they are unchanged, then replaces the file in one rename, so a copy
+ * that arrived from another device in the meantime is merged rather than overwritten.
+ */
+class FolderProvider {
+    constructor(context, repoUrl) {
+        const folder = repoUrl.trim();
+        this.folder = folder.startsWith('~') ? path.join(os.homedir(), folder.slice(1)) : folder;
+        if (!path.isAbsolute(this.folder)) {
+            throw new Error(`Sync folder must be an absolute path: ${repoUrl}`);
+        }
+        this.file = path.join(this.folder, FILE_NAME);
+        this.label = this.folder;
+    }
+
+    async read() {
+        // Read the version first: if the file changes while being read, the next write conflicts
+        const version = await this._getVersion();
+        if (!version) return null;
+
+        try {
+            return {
+                content: await fs.promises.readFile(this.file, 'utf8'),
+                version
+            };
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    async write(content, version) {
+        if (!fs.existsSync(this.folder)) {
+            throw new Error(`Sync folder not found: ${this.folder}`);
+        }
+        if (await this._getVersion() !== version) {
+            const err = new Error(`${FILE_NAME} in ${this.folder} changed since it was read`);
+            err.isConflict = true;
+            throw err;
+        }
+
+        const temp = `${this.file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temp, content, 'utf8');
+        await fs.promises.rename(temp, this.file);
+        return this._getVersion();
+    }
+
+    /**
+     * The file's modification time and size, or null if there is no file
+     */
+    async _getVersion() {
+        try {
+            const stat = await fs.promises.stat(this.file);
+            return `${stat.mtimeMs}:${stat.size}`;
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+}
+
+module.exports = {
+    FolderProvider
+};
@@ -0,0 +1,204 @@
+const {
+    spawn
+} = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FILE_NAME = 'notes.json';
+
+// Used for sync commits when git has no user.name / user.email configured
+const DEFAULT_IDENTITY = ['-c', 'user.name=Quick Notes', '-c', 'user.email=quick-notes@localhost'];
+
+// Git commands taking longer than this (a hung remote, a prompt nobody can answer) fail as if offline
+const GIT_TIMEOUT_MS = 60000;
+
+// Git errors that mean the remote couldn't be reached at all
+const OFFLINE_PATTERN = /could not resolve host|unable to access|connection (refused|timed out|reset)|network is unreachable|operation timed out/i;
+
+/**
+ * notes.json in any git repository the `git` command can reach: an absolute local or bare
+ * repository path, file://, ssh or https, using git's own credentials. Works in a private bare mirror
+ * under the extension's storage, so no working tree is touched: a sync fetches the branch,
+ * reads the file from its tip and pushes a commit on top of it. The version is that tip's
+ * commit ID; a push that isn't a fast-forward means someone else pushed first (a conflict).
+ * Other files in the repository are left as they are.
+ */
+class GitCliProvider {
+    constructor(context, repoUrl, branch) {
+        const remote = repoUrl.trim();
+        this.remote = remote.startsWith('~') ? path.join(os.homedir(), remote.slice(1)) : remote;
+        // Git runs inside the mirror, where a relative path would point somewhere else entirely
+        if (isLocalPath(this.remote) && !path.isAbsolute(this.remote)) {
+            throw new Error(`Git remote path must be absolute: ${repoUrl}`);
+        }
+        this.branch = branch;
+        this.label = this.remote;
+        this.timeoutMs = GIT_TIMEOUT_MS;
+        const id = crypto.createHash('sha1').update(this.remote).digest('hex').slice(0, 16);
+        this.dir = path.join(context.globalStorageUri.fsPath, 'git-sync', id);
+        this._identity = null;
+    }
+
+    async read() {
+        const commit = await this._fetch();
+        if (!commit || !(await this._hasFile(commit))) return null;
+
+        return {
+            content: await this._git(['show', `${commit}:${FILE_NAME}`]),
+            version: commit
+        };
+    }
+
+    async write(content, version) {
+        // Creating the file: build on whatever the branch holds now, unless someone else created it first
+        const parent = version || await this._fetch();
+        if (!version && parent && await this._hasFile(parent)) {
+            throw this._conflictError();
+        }
+
+        const blob = (await this._git(['hash-object', '-w', '--stdin'], content)).trim();
+        const entries = parent ?
+            (await this._git(['ls-tree', parent])).split('\n').filter(line => line && !line.endsWith(`\t${FILE_NAME}`)) :
+            [];
+        entries.push(`100644 blob ${blob}\t${FILE_NAME}`);
+        const tree = (await this._git(['mktree'], entries.join('\n') + '\n')).trim();
+
+        const message = `Sync notes — ${new Date().toISOString()}`;
+        const commit = (await this._git([
+            ...(await this._getIdentity()),
+            'commit-tree', tree, ...(parent ? ['-p', parent] : []), '-m', message
+        ])).trim();
+
+        try {
+            await this._git(['push', '--quiet', this.remote, `${commit}:refs/heads/${await this._getBranch()}`]);
+        } catch (err) {
+            if (/rejected|non-fast-forward|fetch first/i.test(err.message)) {
+                throw this._conflictError();
+            }
+            throw err;
+        }
+        return commit;
+    }
+
+    /**
+     * Fetch the branch into the mirror. Returns its tip commit, or null if the branch doesn't exist yet.
+     */
+    async _fetch() {
+        await this._ensureMirror();
+        const branch = await this._getBranch();
+        const ref = `refs/remotes/origin/${branch}`;
+        try {
+            await this._git(['fetch', '--quiet', '--no-tags', this.remote, `+refs/heads/${branch}:${ref}`]);
+        } catch (err) {
+            if (/couldn't find remote ref/i.test(err.message)) return null;
+            throw err;
+        }
+        return (await this._git(['rev-parse', '--verify', ref])).trim();
+    }
+
+    async _hasFile(commit) {
+        return (await this._git(['ls-tree', '--name-only', commit, FILE_NAME])).trim() === FILE_NAME;
+    }
+
+    /**
+     * The configured branch, or else the remote's default branch ('main' while it has none)
+     */
+    async _getBranch() {
+        if (!this.branch) {
+            const output = await this._git(['ls-remote', '--symref', this.remote, 'HEAD']);
+            const match = output.match(/^ref: refs\/heads\/(\S+)\tHEAD/m);
+            this.branch = match ? match[1] : 'main';
+        }
+        return this.branch;
+    }
+
+    async _ensureMirror() {
+        if (fs.existsSync(path.join(this.dir, 'HEAD'))) return;
+        await fs.promises.mkdir(this.dir, {
+            recursive: true
+        });
+        await this._git(['init', '--quiet', '--bare']);
+    }
+
+    async _getIdentity() {
+        if (this._identity === null) {
+            const configured = await Promise.all(['user.name', 'user.email'].map(key =>
+                this._git(['config', '--get', key]).then(value => value.trim(), () => '')
+            ));
+            this._identity = configured.every(Boolean) ? [] : DEFAULT_IDENTITY;
+        }
+        return this._identity;
+    }
+
+    _conflictError() {
+        const err = new Error(`${FILE_NAME} on ${this.remote} changed since it was read`);
+        err.isConflict = true;
+        return err;
+    }
+
+    /**
+     * Run git in the mirror, resolving to its output; fails with git's error message
+     */
+    _git(args, input = null) {
+        return new Promise((resolve, reject) => {
+            const child = spawn('git', args, {
+                cwd: fs.existsSync(this.dir) ? this.dir : undefined,
+                env: {
+                    ...process.env,
+                    // Never wait for a password, passphrase or host-key prompt nobody can see
+                    GIT_TERMINAL_PROMPT: '0',
+                    GIT_SSH_COMMAND: `${process.env.GIT_SSH_COMMAND || 'ssh'} -o BatchMode=yes`
+                }
+            });
+            // Rejects straight away: a helper git started (ssh) may keep the pipes open after git is killed
+            const timer = setTimeout(() => {
+                child.kill('SIGKILL');
+                const err = new Error(`git ${args[0]} timed out`);
+                err.isOffline = true;
+                reject(err);
+            }, this.timeoutMs);
+            let stdout = '';
+            let stderr = '';
+            child.stdout.on('data', chunk => {
+                stdout += chunk;
+            });
+            child.stderr.on('data', chunk => {
+                stderr += chunk;
+            });
+            child.on('error', err => {
+                clearTimeout(timer);
+                reject(err.code === 'ENOENT' ?
+                    new Error('Git was not found. Install git, or pick another sync provider.') :
+                    err);
+            });
+            child.on('close', code => {
+                clearTimeout(timer);
+                if (code === 0) {
+                    resolve(stdout);
+                    return;
+                }
+                const err = new Error(stderr.trim() || `git ${args[0]} failed`);
+                err.isOffline = OFFLINE_PATTERN.test(stderr);
+                reject(err);
+            });
+            if (input !== null) {
+                child.stdin.end(input);
+            } else {
+                child.stdin.end();
+            }
+        });
+    }
+}
+
+/**
+ * Whether a git remote is a path rather than a URL (https://, ssh://, file://) or scp-like (host:path)
+ */
+function isLocalPath(remote) {
+    return !/^[\w+.-]+:\/\//.test(remote) && !/^[^/\\]+:/.test(remote);
+}
+
+module.exports = {
+    GitCliProvider
+};
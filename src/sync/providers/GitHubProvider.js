@@ -0,0 +1,88 @@
+const vscode = require('vscode');
+const {
+    httpRequest,
+    parseRepoUrl
+} = require('./http');
+
+/**
+ * notes.json in a GitHub or GitHub Enterprise Server repository, through the Contents API.
+ * Signs in with VS Code's built-in 'github' account, or 'github-enterprise' for any other host
+ * (which uses the `github-enterprise.uri` setting). The version is the file's blob SHA.
+ */
+class GitHubProvider {
+    constructor(context, repoUrl, branch) {
+        const {
+            host,
+            segments
+        } = parseRepoUrl(repoUrl);
+        this.owner = segments[0];
+        this.repo = segments[1];
+        this.branch = branch;
+        this.enterprise = host !== 'github.com';
+        this.apiBase = this.enterprise ? `https://${host}/api/v3` : 'https://api.github.com';
+        this.label = this.enterprise ? `GitHub (${host})` : 'GitHub';
+    }
+
+    async read() {
+        const ref = this.branch ? `?ref=${encodeURIComponent(this.branch)}` : '';
+        const result = await this._request('GET', `${this._filePath()}${ref}`);
+        if (result.status === 404) return null;
+
+        return {
+            content: Buffer.from(result.data.content, 'base64').toString('utf8'),
+            version: result.data.sha
+        };
+    }
+
+    async write(content, version) {
+        const body = {
+            message: `Sync notes — ${new Date().toISOString()}`,
+            content: Buffer.from(content).toString('base64')
+        };
+        // With a SHA this is an update; without one it's a create
+        if (version) {
+            body.sha = version;
+        }
+        if (this.branch) {
+            body.branch = this.branch;
+        }
+
+        try {
+            const result = await this._request('PUT', this._filePath(), body);
+            return result.data.content.sha;
+        } catch (err) {
+            // 409: the SHA is out of date; 422: the file was created meanwhile
+            if (err.statusCode === 409 || (err.statusCode === 422 && !version)) {
+                err.isConflict = true;
+            }
+            throw err;
+        }
+    }
+
+    _filePath() {
+        return `/repos/${encodeURIComponent(this.owner)}/${encodeURIComponent(this.repo)}/contents/notes.json`;
+    }
+
+    async _request(method, path, body = null) {
+        const session = await vscode.authentication.getSession(this.enterprise ? 'github-enterprise' : 'github', ['repo'], {
+            createIfNone: true
+        });
+        if (!session) {
+            throw new Error('Authentication cancelled');
+        }
+
+        return httpRequest(`${this.apiBase}${path}`, {
+            method,
+            body,
+            headers: {
+                'Accept': 'application/vnd.github.v3+json',
+                'Authorization': `token ${session.accessToken}`
+            },
+            service: `${this.label} API`
+        });
+    }
+}
+
+module.exports = {
+    GitHubProvider
+};
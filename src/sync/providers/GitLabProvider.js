@@ -0,0 +1,107 @@
+const {
+    httpRequest,
+    parseRepoUrl
+} = require('./http');
+const {
+    getTokenHost,
+    getToken,
+    deleteToken
+} = require('./tokens');
+
+/**
+ * notes.json in a GitLab project (gitlab.com or self-managed, nested groups included), read through
+ * the Repository Files API and written through the Commits API, with a personal access token (`api`
+ * scope). The version is the ID of the last commit that changed the file, which GitLab checks
+ * before accepting an update.
+ */
+class GitLabProvider {
+    constructor(context, repoUrl, branch) {
+        const {
+            origin,
+            host,
+            segments
+        } = parseRepoUrl(repoUrl);
+        this.secrets = context.secrets;
+        this.tokenHost = getTokenHost('gitlab', repoUrl);
+        this.apiBase = `${origin}/api/v4/projects/${encodeURIComponent(segments.join('/'))}`;
+        this.branch = branch;
+        this.label = `GitLab (${host})`;
+    }
+
+    async read() {
+        const branch = await this._getBranch();
+        const result = await this._request('GET', `/repository/files/notes.json?ref=${encodeURIComponent(branch)}`);
+        if (result.status === 404) return null;
+
+        return {
+            content: Buffer.from(result.data.content, 'base64').toString('utf8'),
+            version: result.data.last_commit_id
+        };
+    }
+
+    async write(content, version) {
+        const action = {
+            action: version ? 'update' : 'create',
+            file_path: 'notes.json',
+            content: Buffer.from(content).toString('base64'),
+            encoding: 'base64'
+        };
+        if (version) {
+            action.last_commit_id = version;
+        }
+
+        try {
+            // One commit whose ID is the new version, so no other write can slip in before it's known
+            const result = await this._request('POST', '/repository/commits', {
+                branch: await this._getBranch(),
+                commit_message: `Sync notes — ${new Date().toISOString()}`,
+                actions: [action]
+            });
+            return result.data.id;
+        } catch (err) {
+            // 400: the file changed since `version`, or was created meanwhile
+            if (err.statusCode === 400 && /changed|exists/i.test(err.message)) {
+                err.isConflict = true;
+            }
+            throw err;
+        }
+    }
+
+    /**
+     * The configured branch, or else the project's default branch ('main' while it has none)
+     */
+    async _getBranch() {
+        if (!this.branch) {
+            const result = await this._request('GET', '');
+            if (result.status === 404) {
+                throw new Error(`GitLab project not found: ${this.apiBase}`);
+            }
+            this.branch = result.data.default_branch || 'main';
+        }
+        return this.branch;
+    }
+
+    async _request(method, path, body = null) {
+        const token = await getToken(this.secrets, this.tokenHost, this.label);
+        try {
+            return await httpRequest(`${this.apiBase}${path}`, {
+                method,
+                body,
+                headers: {
+                    'PRIVATE-TOKEN': token
+                },
+                service: 'GitLab API'
+            });
+        } catch (err) {
+            if (err.statusCode === 401) {
+                await deleteToken(this.secrets, this.tokenHost);
+                err.message = `${this.label} rejected the access token; sync again to enter a new one`;
+            }
+            throw err;
+        }
+    }
+}
+
+module.exports = {
+    GitLabProvider
+};
@@ -0,0 +1,88 @@
+const {
+    httpRequest,
+    parseRepoUrl
+} = require('./http');
+const {
+    getTokenHost,
+    getToken,
+    deleteToken
+} = require('./tokens');
+
+/**
+ * notes.json in a Gitea or Forgejo repository (including Codeberg), through the Contents API
+ * with an access token (repository read and write). The version is the file's blob SHA.
+ */
+class GiteaProvider {
+    constructor(context, repoUrl, branch) {
+        const {
+            origin,
+            host,
+            segments
+        } = parseRepoUrl(repoUrl);
+        this.secrets = context.secrets;
+        this.tokenHost = getTokenHost('gitea', repoUrl);
+        this.apiBase = `${origin}/api/v1/repos/${encodeURIComponent(segments[0])}/${encodeURIComponent(segments[1])}`;
+        this.branch = branch;
+        this.label = `Gitea (${host})`;
+    }
+
+    async read() {
+        const ref = this.branch ? `?ref=${encodeURIComponent(this.branch)}` : '';
+        const result = await this._request('GET', `/contents/notes.json${ref}`);
+        if (result.status === 404) return null;
+
+        return {
+            content: Buffer.from(result.data.content, 'base64').toString('utf8'),
+            version: result.data.sha
+        };
+    }
+
+    async write(content, version) {
+        const body = {
+            message: `Sync notes — ${new Date().toISOString()}`,
+            content: Buffer.from(content).toString('base64')
+        };
+        if (version) {
+            body.sha = version;
+        }
+        if (this.branch) {
+            body.branch = this.branch;
+        }
+
+        try {
+            // POST creates the file, PUT updates it
+            const result = await this._request(version ? 'PUT' : 'POST', '/contents/notes.json', body);
+            return result.data.content.sha;
+        } catch (err) {
+            // The SHA is out of date, or the file was created meanwhile
+            if (err.statusCode === 409 || (err.statusCode === 422 && /sha|exist/i.test(err.message))) {
+                err.isConflict = true;
+            }
+            throw err;
+        }
+    }
+
+    async _request(method, path, body = null) {
+        const token = await getToken(this.secrets, this.tokenHost, this.label);
+        try {
+            return await httpRequest(`${this.apiBase}${path}`, {
+                method,
+                body,
+                headers: {
+                    'Authorization': `token ${token}`
+                },
+                service: 'Gitea API'
+            });
+        } catch (err) {
+            if (err.statusCode === 401) {
+                await deleteToken(this.secrets, this.tokenHost);
+                err.message = `${this.label} rejected the access token; sync again to enter a new one`;
+            }
+            throw err;
+        }
+    }
+}
+
+module.exports = {
+    GiteaProvider
+};
@@ -0,0 +1,128 @@
+const {
+    httpRequest,
+    parseRepoUrl
+} = require('./http');
+const {
+    getTokenHost,
+    getToken,
+    deleteToken
+} = require('./tokens');
+
+const FILE_NAME = 'notes.json';
+
+/**
+ * notes.json in a folder on a WebDAV server (Nextcloud, ownCloud, a NAS, ...), signing in with
+ * the user name given in the folder URL (https://alice@cloud.example.com/...) and a password or
+ * app password. The version is the file's ETag: writes are sent with If-Match (If-None-Match
+ * when creating it), so the server refuses them if someone else wrote the file in between.
+ */
+class WebDavProvider {
+    constructor(context, repoUrl) {
+        const {
+            host,
+            username
+        } = parseRepoUrl(repoUrl, 0);
+        const url = new URL(repoUrl.trim());
+        url.username = '';
+        url.password = '';
+        url.pathname = url.pathname.replace(/\/?$/, '/');
+        this.secrets = context.secrets;
+        this.tokenHost = getTokenHost('webdav', repoUrl);
+        this.username = username;
+        this.folderUrl = url.toString();
+        this.fileUrl = new URL(FILE_NAME, url).toString();
+        this.label = `WebDAV (${host})`;
+    }
+
+    async read() {
+        const result = await this._request('GET', this.fileUrl);
+        if (result.status === 404) return null;
+
+        return {
+            content: result.data,
+            version: result.headers.etag || null
+        };
+    }
+
+    async write(content, version) {
+        let result;
+        try {
+            result = await this._put(content, version);
+            if (result.status === 404) {
+                // Some servers answer a PUT into a missing folder with 404 rather than 409
+                await this._createFolder();
+                result = await this._put(content, version);
+            }
+        } catch (err) {
+            if (err.statusCode !== 409) throw err;
+            // 409 on a PUT means the folder doesn't exist, not a conflicting write
+            await this._createFolder();
+            result = await this._put(content, version);
+        }
+
+        // Servers needn't return the new ETag. Reading it back only tells us ours if the file still
+        // holds what we wrote; otherwise the version stays unknown, so the next write is checked
+        // against whatever is there (If-None-Match) and conflicts rather than overwriting it.
+        if (result.headers?.etag) return result.headers.etag;
+        const file = await this.read();
+        return file?.content === content ? file.version : null;
+    }
+
+    async _put(content, version) {
+        try {
+            return await this._request('PUT', this.fileUrl, content, version ? {
+                'If-Match': version
+            } : {
+                'If-None-Match': '*'
+            });
+        } catch (err) {
+            // 412: the ETag no longer matches, or the file was created meanwhile
+            if (err.statusCode === 412) {
+                err.message = `${FILE_NAME} on ${this.label} changed since it was read`;
+                err.isConflict = true;
+            }
+            throw err;
+        }
+    }
+
+    async _createFolder() {
+        try {
+            await this._request('MKCOL', this.folderUrl);
+        } catch (err) {
+            // 405: it exists after all
+            if (err.statusCode !== 405) throw err;
+        }
+    }
+
+    async _request(method, url, body = null, headers = {}) {
+        const password = await getToken(this.secrets, this.tokenHost, this.label,
+            `Password (or app password) for ${this.username || 'your account'} on ${this.label}`);
+        const credentials = Buffer.from(`${this.username}:${password}`).toString('base64');
+        try {
+            return await httpRequest(url, {
+                method,
+                body,
+                raw: true,
+                headers: {
+                    'Authorization': `Basic ${credentials}`,
+                    'Accept': '*/*',
+                    ...(body !== null ? {
+                        'Content-Type': 'application/json'
+                    } : {}),
+                    ...headers
+                },
+                service: 'WebDAV'
+            });
+        } catch (err) {
+            if (err.statusCode === 401) {
+                await deleteToken(this.secrets, this.tokenHost);
+                err.message = `${this.label} rejected the password; sync again to enter a new one`;
+            }
+            throw err;
+        }
+    }
+}
+
+module.exports = {
+    WebDavProvider
+};
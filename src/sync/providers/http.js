@@ -0,0 +1,130 @@
+const http = require('http');
+const https = require('https');
+
+// Requests taking longer than this fail as if offline
+const REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Make a JSON request to a forge's REST API (https, or http for a local server).
+ * Resolves to { status, data, headers } for 2xx responses, and { status: 404, data: null } when not found.
+ * Other responses reject with `err.statusCode` set; network failures reject with `err.isOffline`.
+ * With `raw` the body is sent and returned as text rather than JSON (e.g. for WebDAV).
+ * `service` names the API in error messages, e.g. 'GitLab API error 403: ...'.
+ */
+function httpRequest(url, {
+    method = 'GET',
+    headers = {},
+    body = null,
+    raw = false,
+    service = 'API'
+} = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const options = {
+            method,
+            headers: {
+                'User-Agent': 'QuickNotes-VSCode-Extension',
+                'Accept': 'application/json',
+                ...headers
+            }
+        };
+
+        if (body !== null && !raw) {
+            options.headers['Content-Type'] = 'application/json';
+        }
+
+        const transport = target.protocol === 'http:' ? http : https;
+        const req = transport.request(target, options, (res) => {
+            let data = '';
+            res.on('data', (chunk) => {
+                data += chunk;
+            });
+            res.on('end', () => {
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    try {
+                        resolve({
+                            status: res.statusCode,
+                            data: raw ? data : JSON.parse(data),
+                            headers: res.headers
+                        });
+                    } catch {
+                        resolve({
+                            status: res.statusCode,
+                            data: data,
+                            headers: res.headers
+                        });
+                    }
+                } else if (res.statusCode === 404) {
+                    resolve({
+                        status: 404,
+                        data: null
+                    });
+                } else {
+                    let errorMsg = `${service} error ${res.statusCode}`;
+                    try {
+                        const parsed = JSON.parse(data);
+                        errorMsg += `: ${parsed.message || parsed.error || ''}`;
+                    } catch {
+                        /* ignore parse error */
+                    }
+                    const err = new Error(errorMsg);
+                    err.statusCode = res.statusCode;
+                    reject(err);
+                }
+            });
+        });
+
+        // Network failures are flagged so sync can tell being offline from other errors
+        req.on('error', (err) => {
+            const error = new Error(`Network error: ${err.message}`);
+            error.isOffline = true;
+            reject(error);
+        });
+
+        req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+            req.destroy();
+            const error = new Error('Request timed out');
+            error.isOffline = true;
+            reject(error);
+        });
+
+        if (body !== null) {
+            req.write(raw ? body : JSON.stringify(body));
+        }
+        req.end();
+    });
+}
+
+/**
+ * Split a repository web URL (e.g. https://gitlab.example.com/group/project.git) into its
+ * origin ('https://gitlab.example.com'), host, path segments (['group', 'project']) and the
+ * user name given in it, if any ('' otherwise).
+ * Throws if it isn't an http(s) URL with at least `minSegments` path segments.
+ */
+function parseRepoUrl(repoUrl, minSegments = 2) {
+    let url;
+    try {
+        url = new URL(repoUrl.trim());
+    } catch {
+        url = null;
+    }
+    const segments = (url?.pathname || '')
+        .replace(/\.git\/?$/, '')
+        .split('/')
+        .filter(Boolean)
+        .map(decodeURIComponent);
+    if (!url || !['http:', 'https:'].includes(url.protocol) || segments.length < minSegments) {
+        throw new Error(`Invalid repository URL: ${repoUrl}`);
+    }
+    return {
+        origin: url.origin,
+        host: url.host,
+        segments,
+        username: decodeURIComponent(url.username)
+    };
+}
+
+module.exports = {
+    httpRequest,
+    parseRepoUrl
+};
@@ -0,0 +1,61 @@
+const vscode = require('vscode');
+const {
+    GitHubProvider
+} = require('./GitHubProvider');
+const {
+    GitLabProvider
+} = require('./GitLabProvider');
+const {
+    GiteaProvider
+} = require('./GiteaProvider');
+const {
+    GitCliProvider
+} = require('./GitCliProvider');
+const {
+    WebDavProvider
+} = require('./WebDavProvider');
+const {
+    FolderProvider
+} = require('./FolderProvider');
+
+/**
+ * Sync providers store the notes document (notes.json) on a remote, for SyncManager.
+ * They share one shape:
+ *   label                   where the notes are, for messages ('GitHub', 'GitLab (gitlab.example.com)', ...)
+ *   read()                  resolves to { content, version }, or null if there is no notes.json yet
+ *   write(content, version) writes notes.json over `version` (null: create it) and resolves to the
+ *                           new version; rejects with `err.isConflict` if the file changed since
+ * `version` is opaque to the caller (a blob SHA, a commit ID, an ETag, ...). Network failures reject with
+ * `err.isOffline`. Providers are created from the `quickNotes.sync` settings.
+ */
+const SYNC_PROVIDERS = {
+    github: GitHubProvider,
+    gitlab: GitLabProvider,
+    gitea: GiteaProvider,
+    git: GitCliProvider,
+    webdav: WebDavProvider,
+    folder: FolderProvider
+};
+
+function createSyncProvider(context) {
+    const config = vscode.workspace.getConfiguration('quickNotes.sync');
+    const type = config.get('provider', 'github');
+    const Provider = SYNC_PROVIDERS[type];
+    if (!Provider) {
+        throw new Error(`Unknown sync provider: ${type}`);
+    }
+    return new Provider(context, config.get('repoUrl', ''), config.get('branch', '').trim());
+}
+
+/**
+ * Settings the provider is created from; a different key means a new provider is needed
+ */
+function getProviderConfigKey() {
+    const config = vscode.workspace.getConfiguration('quickNotes.sync');
+    return [config.get('provider', 'github'), config.get('repoUrl', ''), config.get('branch', '')].join('\n');
+}
+
+module.exports = {
+    createSyncProvider,
+    getProviderConfigKey
+};
@@ -0,0 +1,70 @@
+const vscode = require('vscode');
+const {
+    parseRepoUrl
+} = require('./http');
+
+/**
+ * Personal access tokens (or passwords) for servers without a VS Code sign-in (GitLab, Gitea,
+ * WebDAV), kept per host in VS Code's SecretStorage, never in settings.
+ */
+
+// Providers that sign in with a stored token
+const TOKEN_PROVIDERS = ['gitlab', 'gitea', 'webdav'];
+
+/**
+ * Where a provider's token is filed: the repo URL's host, with the user name if the URL has one.
+ * Null for providers that don't use a stored token; throws if the URL is invalid.
+ */
+function getTokenHost(provider, repoUrl) {
+    if (!TOKEN_PROVIDERS.includes(provider)) return null;
+    const {
+        host,
+        username
+    } = parseRepoUrl(repoUrl, provider === 'webdav' ? 0 : 2);
+    return username ? `${username}@${host}` : host;
+}
+
+function getTokenKey(host) {
+    return `quickNotes.sync.token:${host}`;
+}
+
+/**
+ * The stored token for `host`, asking for one (with `prompt`) if there is none yet.
+ * Throws (with `isCancelled`) if the user doesn't enter one.
+ */
+async function getToken(secrets, host, label, prompt = `Personal access token for ${label}, with read and write access to the notes repository`) {
+    const stored = await secrets.get(getTokenKey(host));
+    if (stored) return stored;
+
+    const token = await vscode.window.showInputBox({
+        prompt,
+        password: true,
+        ignoreFocusOut: true
+    });
+    if (!token) {
+        const err = new Error(`Sync needs an access token for ${label}`);
+        err.isCancelled = true;
+        throw err;
+    }
+    await storeToken(secrets, host, token.trim());
+    return token.trim();
+}
+
+async function storeToken(secrets, host, token) {
+    await secrets.store(getTokenKey(host), token);
+}
+
+/**
+ * Forget a token the server rejected, so the next sync asks for a new one
+ */
+async function deleteToken(secrets, host) {
+    await secrets.delete(getTokenKey(host));
+}
+
+module.exports = {
+    TOKEN_PROVIDERS,
+    getTokenHost,
+    getToken,
+    storeToken,
+    deleteToken
+};
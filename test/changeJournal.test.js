@@ -0,0 +1,215 @@
+const assert = require('node:assert/strict');
+const {
+    test
+} = require('node:test');
+
+const {
+    createContext
+} = require('./helpers/vscode');
+const {
+    diffData
+} = require('../src/data/changes');
+const {
+    ChangeJournal
+} = require('../src/sync/ChangeJournal');
+const {
+    SyncManager
+} = require('../src/sync/SyncManager');
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+function note(id, fields = {}) {
+    return {
+        id,
+        title: `Note ${id}`,
+        description: '',
+        priority: 'medium',
+        status: 'backlog',
+        tags: [],
+        subtasks: [],
+        createdAt: minutesAgo(60),
+        updatedAt: minutesAgo(60),
+        ...fields
+    };
+}
+
+function data(projects) {
+    return {
+        version: 4,
+        projects,
+        archivedProjects: {},
+        trash: {
+            notes: {},
+            projects: {}
+        },
+        tombstones: {
+            notes: {},
+            projects: {}
+        }
+    };
+}
+
+const copy = value => JSON.parse(JSON.stringify(value));
+
+const synced = data({
+    p1: {
+        name: 'Work',
+        createdAt: minutesAgo(60),
+        notes: [note('a'), note('b')]
+    },
+    p2: {
+        name: 'Home',
+        createdAt: minutesAgo(60),
+        notes: []
+    }
+});
+
+/**
+ * A journal that has pushed everything, as after a successful sync
+ */
+async function completeJournal(context = createContext()) {
+    const journal = new ChangeJournal(context);
+    await journal.acknowledge(journal.checkpoint());
+    return journal;
+}
+
+test('recorded changes replay on top of the remote, keeping what changed there', async () => {
+    const journal = await completeJournal();
+    const local = copy(synced);
+    local.projects.p1.notes[0] = note('a', {
+        title: 'Renamed here',
+        updatedAt: minutesAgo(5)
+    });
+    local.projects.p1.notes.push(note('c', {
+        title: 'Added here',
+        updatedAt: minutesAgo(5)
+    }));
+    await journal.record(diffData(synced, local));
+
+    const remote = copy(synced);
+    remote.projects.p1.notes[0] = note('a', {
+        priority: 'high',
+        updatedAt: minutesAgo(3)
+    });
+    remote.projects.p1.notes[1] = note('b', {
+        status: 'done',
+        updatedAt: minutesAgo(3)
+    });
+
+    const checkpoint = journal.checkpoint();
+    assert.equal(checkpoint.operations.length, 2);
+    const conflicts = [];
+    const merged = new SyncManager(createContext()).mergeOperations(local, remote, checkpoint.operations, conflicts);
+
+    assert.equal(conflicts.length, 0);
+    const [a, b, c] = merged.projects.p1.notes;
+    assert.equal(a.title, 'Renamed here');
+    assert.equal(a.priority, 'high');
+    assert.equal(b.status, 'done');
+    assert.equal(c.title, 'Added here');
+});
+
+test('a field changed differently on the remote side is reported as a conflict', async () => {
+    const journal = await completeJournal();
+    const local = copy(synced);
+    local.projects.p1.notes[0] = note('a', {
+        description: 'Local text',
+        updatedAt: minutesAgo(5)
+    });
+    await journal.record(diffData(synced, local));
+
+    const remote = copy(synced);
+    remote.projects.p1.notes[0] = note('a', {
+        description: 'Remote text',
+        updatedAt: minutesAgo(3)
+    });
+
+    const conflicts = [];
+    const merged = new SyncManager(createContext()).mergeOperations(local, remote, journal.checkpoint().operations, conflicts);
+    assert.equal(merged.projects.p1.notes[0].description, 'Local text');
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].noteId, 'a');
+    assert.deepEqual(conflicts[0].fields.map(f => [f.field, f.local, f.remote]), [
+        ['description', 'Local text', 'Remote text']
+    ]);
+});
+
+test('a note moved here is moved on the remote side, with the edits made there', async () => {
+    const journal = await completeJournal();
+    const local = copy(synced);
+    local.projects.p2.notes.push(local.projects.p1.notes.shift());
+    await journal.record(diffData(synced, local));
+
+    const operations = journal.checkpoint().operations;
+    assert.deepEqual(operations.map(o => o.type), ['move']);
+
+    const remote = copy(synced);
+    remote.projects.p1.notes[0] = note('a', {
+        title: 'Edited there',
+        updatedAt: minutesAgo(3)
+    });
+    const merged = new SyncManager(createContext()).mergeOperations(local, remote, operations);
+    assert.deepEqual(merged.projects.p1.notes.map(n => n.id), ['b']);
+    assert.deepEqual(merged.projects.p2.notes.map(n => [n.id, n.title]), [
+        ['a', 'Edited there']
+    ]);
+});
+
+test('past 1000 operations the journal falls back to merging whole snapshots', async () => {
+    const journal = await completeJournal();
+    const local = copy(synced);
+    for (let i = 0; i < 600; i++) {
+        local.projects.p1.notes.push(note(`bulk${i}`));
+    }
+    await journal.record(diffData(synced, local));
+    assert.equal(journal.complete, true);
+    assert.equal(journal.checkpoint().operations.length, 600);
+
+    const edited = copy(local);
+    edited.projects.p1.notes.forEach(n => {
+        n.status = 'done';
+    });
+    await journal.record(diffData(local, edited));
+
+    assert.equal(journal.complete, false);
+    assert.equal(journal.size, 1202);
+    const checkpoint = journal.checkpoint();
+    assert.equal(checkpoint.operations, null);
+
+    // Pushing the snapshot makes the journal complete, and empty, again
+    await journal.acknowledge(checkpoint);
+    assert.equal(journal.complete, true);
+    assert.equal(journal.size, 0);
+});
+
+test('changes recorded while a sync runs stay for the next one', async () => {
+    const journal = await completeJournal();
+    const local = copy(synced);
+    local.projects.p1.notes[0].title = 'First';
+    await journal.record(diffData(synced, local));
+    const checkpoint = journal.checkpoint();
+
+    const later = copy(local);
+    later.projects.p1.notes[1].title = 'Second';
+    await journal.record(diffData(local, later));
+    await journal.acknowledge(checkpoint);
+
+    assert.deepEqual(journal.checkpoint().operations.map(o => o.noteId), ['b']);
+});
+
+test('the journal is kept across reloads, and switching remotes makes it incomplete', async () => {
+    const context = createContext();
+    const journal = await completeJournal(context);
+    await journal.setRemote('folder:/one');
+    const local = copy(synced);
+    local.projects.p1.notes[0].title = 'Saved before the reload';
+    await journal.record(diffData(synced, local));
+
+    const reloaded = new ChangeJournal(context);
+    assert.equal(reloaded.complete, true);
+    assert.equal(reloaded.size, 1);
+
+    await reloaded.setRemote('folder:/two');
+    assert.equal(reloaded.complete, false);
+    assert.equal(reloaded.checkpoint().operations, null);
+});
@@ -0,0 +1,138 @@
+const assert = require('node:assert/strict');
+const {
+    test
+} = require('node:test');
+
+const {
+    isEncrypted,
+    deriveKey,
+    unlockKey,
+    encryptDocument,
+    decryptDocument
+} = require('../src/sync/encryption');
+
+const WHERE = 'the notes on GitHub';
+const CONTENT = JSON.stringify({
+    version: 4,
+    projects: {
+        p1: {
+            name: 'Secret plans',
+            notes: []
+        }
+    }
+});
+
+// Cheap settings for tests that don't care about the cost
+const cheapKdf = (fields = {}) => ({
+    name: 'scrypt',
+    salt: 'c2FsdHNhbHRzYWx0c2FsdA==',
+    N: 1024,
+    r: 8,
+    p: 1,
+    ...fields
+});
+
+const isDamagedKdf = err => !err.needsPassphrase && /key settings are invalid or too costly/.test(err.message);
+
+test('notes encrypted with a passphrase decrypt with the key derived from it elsewhere', async () => {
+    const key = await deriveKey('correct horse battery staple');
+    const envelope = encryptDocument(CONTENT, key, 4);
+
+    assert.equal(isEncrypted(envelope), true);
+    assert.equal(envelope.keyId, key.id);
+    assert.equal(envelope.schemaVersion, 4);
+    assert.equal(JSON.stringify(envelope).includes('Secret plans'), false);
+
+    // A new device has only the envelope and the passphrase
+    const unlocked = await unlockKey(envelope, 'correct horse battery staple', WHERE);
+    assert.deepEqual(unlocked, key);
+    assert.equal(decryptDocument(envelope, [unlocked], WHERE), CONTENT);
+});
+
+test('a wrong passphrase is refused as a passphrase error', async () => {
+    const envelope = encryptDocument(CONTENT, await deriveKey('right', cheapKdf()), 4);
+    await assert.rejects(unlockKey(envelope, 'wrong', WHERE), err => err.needsPassphrase && err.message === `Wrong passphrase for ${WHERE}`);
+});
+
+test('notes this device has no key for ask for the passphrase', async () => {
+    const envelope = encryptDocument(CONTENT, await deriveKey('one', cheapKdf()), 4);
+    const otherKey = await deriveKey('two', cheapKdf());
+
+    assert.throws(() => decryptDocument(envelope, [], WHERE), err => err.needsPassphrase && /^The notes on GitHub are encrypted\./.test(err.message));
+    assert.throws(() => decryptDocument(envelope, [otherKey], WHERE), err => err.needsPassphrase && /changed on another device/.test(err.message));
+});
+
+test('changed metadata or ciphertext fails to decrypt', async () => {
+    const key = await deriveKey('passphrase', cheapKdf());
+    const envelope = encryptDocument(CONTENT, key, 4);
+
+    assert.throws(() => decryptDocument({
+        ...envelope,
+        schemaVersion: 3
+    }, [key], WHERE), err => err.needsPassphrase && /couldn't be decrypted/.test(err.message));
+
+    const ciphertext = Buffer.from(envelope.ciphertext, 'base64');
+    ciphertext[0] ^= 1;
+    assert.throws(() => decryptDocument({
+        ...envelope,
+        ciphertext: ciphertext.toString('base64')
+    }, [key], WHERE), err => err.needsPassphrase);
+});
+
+test('an envelope from a newer format asks for an update, not a passphrase', async () => {
+    const key = await deriveKey('passphrase', cheapKdf());
+    const envelope = encryptDocument(CONTENT, key, 4);
+    assert.throws(() => decryptDocument({
+        ...envelope,
+        formatVersion: envelope.formatVersion + 1
+    }, [key], WHERE), err => !err.needsPassphrase && /newer version of Quick Notes/.test(err.message));
+});
+
+test('invalid or too costly key settings are refused before any key is derived', async () => {
+    const refused = [
+        cheapKdf({
+            N: 131072
+        }),
+        cheapKdf({
+            r: 16
+        }),
+        cheapKdf({
+            p: 8
+        }),
+        cheapKdf({
+            N: 1000
+        }),
+        cheapKdf({
+            N: 1
+        }),
+        cheapKdf({
+            p: 1.5
+        }),
+        cheapKdf({
+            name: 'pbkdf2'
+        }),
+        cheapKdf({
+            salt: ''
+        })
+    ];
+    for (const kdf of refused) {
+        await assert.rejects(deriveKey('passphrase', kdf), isDamagedKdf, JSON.stringify(kdf));
+    }
+
+    // A planted envelope without settings can't make unlocking generate fresh ones either
+    const envelope = encryptDocument(CONTENT, await deriveKey('passphrase', cheapKdf()), 4);
+    await assert.rejects(unlockKey({
+        ...envelope,
+        kdf: null
+    }, 'passphrase', WHERE), isDamagedKdf);
+});
+
+test('key settings at the limits are accepted', async () => {
+    await deriveKey('passphrase', cheapKdf({
+        N: 65536,
+        r: 8
+    }));
+    await deriveKey('passphrase', cheapKdf({
+        p: 4
+    }));
+});
@@ -0,0 +1,68 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+    test,
+    beforeEach,
+    afterEach
+} = require('node:test');
+
+const {
+    FolderProvider
+} = require('../src/sync/providers/FolderProvider');
+
+let folder;
+
+beforeEach(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'quick-notes-folder-'));
+});
+
+afterEach(() => {
+    fs.rmSync(folder, {
+        recursive: true,
+        force: true
+    });
+});
+
+test('notes written to the folder are read back', async () => {
+    const provider = new FolderProvider({}, folder);
+    assert.equal(await provider.read(), null);
+
+    const version = await provider.write('{"v":1}', null);
+    assert.deepEqual(await new FolderProvider({}, folder).read(), {
+        content: '{"v":1}',
+        version
+    });
+    // Written through a temporary file, which is gone afterwards
+    assert.deepEqual(fs.readdirSync(folder), ['notes.json']);
+});
+
+test('writing over a file that changed since it was read is a conflict', async () => {
+    const provider = new FolderProvider({}, folder);
+    const version = await provider.write('{"v":1}', null);
+
+    // Another device's copy arrives through the sync app
+    fs.writeFileSync(path.join(folder, 'notes.json'), '{"v":2,"from":"elsewhere"}');
+    await assert.rejects(provider.write('{"v":3}', version), err => err.isConflict);
+    // Creating the file when it already exists is one too
+    await assert.rejects(provider.write('{"v":3}', null), err => err.isConflict);
+
+    const file = await provider.read();
+    assert.equal(file.content, '{"v":2,"from":"elsewhere"}');
+    await provider.write('{"v":3}', file.version);
+    assert.equal((await provider.read()).content, '{"v":3}');
+});
+
+test('a missing folder is reported rather than created', async () => {
+    const missing = path.join(folder, 'not-mounted');
+    const provider = new FolderProvider({}, missing);
+    assert.equal(await provider.read(), null);
+    await assert.rejects(provider.write('{"v":1}', null), /Sync folder not found/);
+    assert.equal(fs.existsSync(missing), false);
+});
+
+test('folder paths must be absolute, with ~ as the home folder', () => {
+    assert.throws(() => new FolderProvider({}, 'Dropbox/notes'), /must be an absolute path/);
+    assert.equal(new FolderProvider({}, '~/Dropbox/notes').folder, path.join(os.homedir(), 'Dropbox/notes'));
+});
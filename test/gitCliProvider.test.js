@@ -0,0 +1,128 @@
+const assert = require('node:assert/strict');
+const {
+    execFileSync
+} = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+    test,
+    before,
+    after
+} = require('node:test');
+
+const {
+    createContext
+} = require('./helpers/vscode');
+const {
+    GitCliProvider
+} = require('../src/sync/providers/GitCliProvider');
+
+let root;
+let remote;
+
+const git = (...args) => execFileSync('git', args, {
+    cwd: root,
+    encoding: 'utf8'
+});
+
+// Each device has its own mirror under its own extension storage
+let devices = 0;
+const provider = (repoUrl = remote, branch = '') =>
+    new GitCliProvider(createContext(path.join(root, `device${++devices}`)), repoUrl, branch);
+
+before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'quick-notes-git-'));
+    remote = path.join(root, 'remote.git');
+    git('init', '--quiet', '--bare', remote);
+});
+
+after(() => {
+    fs.rmSync(root, {
+        recursive: true,
+        force: true
+    });
+});
+
+test('notes written on one device are read on another', async () => {
+    const first = provider();
+    const second = provider();
+
+    assert.equal(await first.read(), null);
+    const version = await first.write('{"v":1}', null);
+    // With no branch configured and none on the remote yet, the notes start one called main
+    assert.equal(first.branch, 'main');
+
+    const file = await second.read();
+    assert.deepEqual(file, {
+        content: '{"v":1}',
+        version
+    });
+    assert.equal(git('--git-dir', remote, 'rev-parse', 'main').trim(), version);
+});
+
+test('writing over a version someone else replaced is a conflict', async () => {
+    const first = provider();
+    const second = provider();
+    const {
+        version
+    } = await first.read();
+    await second.read();
+
+    await second.write('{"v":2}', version);
+    await assert.rejects(first.write('{"v":3}', version), err => err.isConflict);
+    // Creating the file when it already exists is one too
+    await assert.rejects(provider().write('{"v":4}', null), err => err.isConflict);
+    assert.equal((await first.read()).content, '{"v":2}');
+});
+
+test('other files in the repository are kept', async () => {
+    const clone = path.join(root, 'clone');
+    git('clone', '--quiet', '--branch', 'main', remote, clone);
+    fs.writeFileSync(path.join(clone, 'README.md'), 'Notes\n');
+    git('-C', clone, 'add', 'README.md');
+    git('-C', clone, '-c', 'user.name=Test', '-c', 'user.email=test@localhost', 'commit', '--quiet', '-m', 'Add readme');
+    git('-C', clone, 'push', '--quiet', 'origin', 'main');
+
+    const device = provider();
+    const {
+        version
+    } = await device.read();
+    await device.write('{"v":5}', version);
+
+    assert.deepEqual(git('--git-dir', remote, 'ls-tree', '--name-only', 'main').trim().split('\n'), ['README.md', 'notes.json']);
+    assert.equal(git('--git-dir', remote, 'show', 'main:notes.json'), '{"v":5}');
+});
+
+test('a configured branch is created on the first write', async () => {
+    const device = provider(remote, 'notes');
+    assert.equal(await device.read(), null);
+    await device.write('{"v":1}', null);
+    assert.equal(git('--git-dir', remote, 'show', 'notes:notes.json'), '{"v":1}');
+});
+
+test('relative remote paths are refused', () => {
+    assert.throws(() => provider('notes.git'), /must be absolute/);
+    assert.throws(() => provider('./notes.git'), /must be absolute/);
+});
+
+test('a remote that isn\'t a repository fails the read', async () => {
+    await assert.rejects(provider(path.join(root, 'missing.git'), 'main').read(), /does not appear to be a git repository/);
+});
+
+test('a git command that hangs times out as offline', async () => {
+    // ssh that never answers; git runs the command through a shell, so the rest is a comment
+    const sshCommand = process.env.GIT_SSH_COMMAND;
+    process.env.GIT_SSH_COMMAND = 'sleep 2 #';
+    try {
+        const device = provider('ssh://git.invalid/notes.git', 'main');
+        device.timeoutMs = 200;
+        await assert.rejects(device.read(), err => err.isOffline && /timed out/.test(err.message));
+    } finally {
+        if (sshCommand === undefined) {
+            delete process.env.GIT_SSH_COMMAND;
+        } else {
+            process.env.GIT_SSH_COMMAND = sshCommand;
+        }
+    }
+});
@@ -0,0 +1,99 @@
+const Module = require('node:module');
+
+/**
+ * Stand-in for the `vscode` module, which only exists inside the editor. Requiring this file
+ * makes `require('vscode')` load it. Settings read their default unless set in `settings` by
+ * full key ('quickNotes.sync.tombstoneRetentionDays').
+ */
+
+const settings = {};
+
+class EventEmitter {
+    constructor() {
+        this._listeners = [];
+        this.event = listener => {
+            this._listeners.push(listener);
+            return {
+                dispose: () => {
+                    this._listeners = this._listeners.filter(l => l !== listener);
+                }
+            };
+        };
+    }
+
+    fire(value) {
+        this._listeners.forEach(listener => listener(value));
+    }
+
+    dispose() {
+        this._listeners = [];
+    }
+}
+
+/**
+ * globalState: values are stored as JSON, like VS Code does
+ */
+class Memento {
+    constructor() {
+        this._values = new Map();
+    }
+
+    get(key, fallback) {
+        return this._values.has(key) ? JSON.parse(this._values.get(key)) : fallback;
+    }
+
+    async update(key, value) {
+        if (value === undefined) {
+            this._values.delete(key);
+        } else {
+            this._values.set(key, JSON.stringify(value));
+        }
+    }
+
+    keys() {
+        return Array.from(this._values.keys());
+    }
+}
+
+/**
+ * Extension context with an empty globalState, storing files under `storagePath`
+ */
+function createContext(storagePath = '') {
+    return {
+        globalState: new Memento(),
+        globalStorageUri: {
+            fsPath: storagePath
+        }
+    };
+}
+
+const vscode = {
+    EventEmitter,
+    workspace: {
+        getConfiguration: section => ({
+            get: (key, fallback) => {
+                const name = section ? `${section}.${key}` : key;
+                return name in settings ? settings[name] : fallback;
+            }
+        })
+    },
+    env: {
+        machineId: 'test'
+    }
+};
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...args) {
+    return request === 'vscode' ? request : resolveFilename.call(this, request, ...args);
+};
+require.cache.vscode = {
+    id: 'vscode',
+    filename: 'vscode',
+    loaded: true,
+    exports: vscode
+};
+
+module.exports = {
+    settings,
+    createContext
+};
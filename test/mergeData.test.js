@@ -0,0 +1,230 @@
+const assert = require('node:assert/strict');
+const {
+    test
+} = require('node:test');
+
+const {
+    createContext
+} = require('./helpers/vscode');
+const {
+    SyncManager
+} = require('../src/sync/SyncManager');
+
+const BASE_TIME = Date.now() - 60 * 60 * 1000;
+const minutesLater = minutes => new Date(BASE_TIME + minutes * 60 * 1000).toISOString();
+
+const baseNote = {
+    id: 'n1',
+    title: 'Write release notes',
+    description: 'For 1.4',
+    priority: 'medium',
+    status: 'backlog',
+    tags: ['docs', 'release'],
+    subtasks: [{
+        id: 's1',
+        text: 'Collect changes',
+        done: false
+    }, {
+        id: 's2',
+        text: 'Proofread',
+        done: false
+    }],
+    rank: 1,
+    createdAt: minutesLater(0),
+    updatedAt: minutesLater(0)
+};
+
+function data(notes, otherProjects = {}) {
+    return {
+        version: 4,
+        projects: {
+            p1: {
+                name: 'Docs',
+                createdAt: minutesLater(0),
+                notes
+            },
+            ...otherProjects
+        },
+        archivedProjects: {},
+        tombstones: {
+            notes: {},
+            projects: {}
+        }
+    };
+}
+
+const edit = (minutes, fields) => ({
+    ...baseNote,
+    ...fields,
+    updatedAt: minutesLater(minutes)
+});
+
+function merge(localNotes, remoteNotes, baseNotes = [baseNote]) {
+    const conflicts = [];
+    const merged = new SyncManager(createContext()).mergeData(data(localNotes), data(remoteNotes), data(baseNotes), conflicts);
+    return {
+        merged,
+        notes: merged.projects.p1.notes,
+        conflicts
+    };
+}
+
+test('fields changed on one side each keep both changes without a conflict', () => {
+    const {
+        notes,
+        conflicts
+    } = merge([edit(1, {
+        title: 'Write the release notes'
+    })], [edit(2, {
+        priority: 'high',
+        status: 'inProgress'
+    })]);
+
+    assert.equal(conflicts.length, 0);
+    assert.equal(notes.length, 1);
+    assert.equal(notes[0].title, 'Write the release notes');
+    assert.equal(notes[0].priority, 'high');
+    assert.equal(notes[0].status, 'inProgress');
+    assert.equal(notes[0].updatedAt, minutesLater(2));
+});
+
+test('a field changed differently on both sides keeps the local value and is reported', () => {
+    const {
+        notes,
+        conflicts
+    } = merge([edit(1, {
+        description: 'For 1.4, with upgrade steps'
+    })], [edit(2, {
+        description: 'For 1.4 and 1.5',
+        priority: 'low'
+    })]);
+
+    assert.equal(notes[0].description, 'For 1.4, with upgrade steps');
+    assert.equal(notes[0].priority, 'low');
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].container, 'projects');
+    assert.equal(conflicts[0].projectId, 'p1');
+    assert.equal(conflicts[0].projectName, 'Docs');
+    assert.equal(conflicts[0].noteId, 'n1');
+    assert.deepEqual(conflicts[0].fields, [{
+        field: 'description',
+        base: 'For 1.4',
+        local: 'For 1.4, with upgrade steps',
+        remote: 'For 1.4 and 1.5'
+    }]);
+});
+
+test('the same change made on both sides is not a conflict', () => {
+    const {
+        notes,
+        conflicts
+    } = merge([edit(1, {
+        status: 'done'
+    })], [edit(2, {
+        status: 'done'
+    })]);
+
+    assert.equal(conflicts.length, 0);
+    assert.equal(notes[0].status, 'done');
+});
+
+test('order changed on both sides goes to the more recent edit without a conflict', () => {
+    const {
+        notes,
+        conflicts
+    } = merge([edit(3, {
+        rank: 5
+    })], [edit(2, {
+        rank: 7
+    })]);
+
+    assert.equal(conflicts.length, 0);
+    assert.equal(notes[0].rank, 5);
+});
+
+test('checklist items and tags merge item by item', () => {
+    const {
+        notes,
+        conflicts
+    } = merge([edit(1, {
+        tags: ['docs', 'release', 'urgent'],
+        subtasks: [{
+            ...baseNote.subtasks[0],
+            done: true
+        }, {
+            id: 's3',
+            text: 'Post announcement',
+            done: false
+        }]
+    })], [edit(2, {
+        tags: ['release', 'changelog'],
+        subtasks: [...baseNote.subtasks, {
+            id: 's4',
+            text: 'Update screenshots',
+            done: false
+        }]
+    })]);
+
+    assert.equal(conflicts.length, 0);
+    assert.deepEqual(notes[0].tags, ['release', 'urgent', 'changelog']);
+    // s2 was removed locally and left untouched remotely, so it stays removed; s4 goes after
+    // the item before it on the remote side
+    assert.deepEqual(notes[0].subtasks.map(s => [s.id, s.done]), [
+        ['s1', true],
+        ['s4', false],
+        ['s3', false]
+    ]);
+});
+
+test('without a base version the more recently edited note wins', () => {
+    const {
+        notes,
+        conflicts
+    } = merge([edit(1, {
+        title: 'Older title'
+    })], [edit(2, {
+        title: 'Newer title'
+    })], []);
+
+    assert.equal(conflicts.length, 0);
+    assert.equal(notes[0].title, 'Newer title');
+});
+
+test('notes and projects added on either side are all kept', () => {
+    const added = {
+        ...baseNote,
+        id: 'n2',
+        title: 'Added here'
+    };
+    const conflicts = [];
+    const merged = new SyncManager(createContext()).mergeData(data([baseNote, added]), data([baseNote], {
+        p2: {
+            name: 'Elsewhere',
+            createdAt: minutesLater(1),
+            notes: []
+        }
+    }), data([baseNote]), conflicts);
+
+    assert.deepEqual(merged.projects.p1.notes.map(n => n.id).sort(), ['n1', 'n2']);
+    assert.equal(merged.projects.p2.name, 'Elsewhere');
+    assert.equal(conflicts.length, 0);
+});
+
+test('a conflict on a note deleted on the other side is not reported', () => {
+    const local = data([edit(1, {
+        description: 'Local text'
+    })]);
+    const remote = data([edit(2, {
+        description: 'Remote text'
+    })]);
+    remote.tombstones.notes.n1 = {
+        projectId: 'p1',
+        deletedAt: minutesLater(3),
+        deletedBy: 'other'
+    };
+
+    const conflicts = [];
+    const merged = new SyncManager(createContext()).mergeData(local, remote, data([baseNote]), conflicts);
+    assert.deepEqual(merged.projects.p1.notes, []);
+    assert.equal(conflicts.length, 0);
+});
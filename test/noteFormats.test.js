@@ -0,0 +1,72 @@
+const assert = require('node:assert/strict');
+const {
+    test
+} = require('node:test');
+
+// The formats just read settings, left at their defaults
+require('./helpers/vscode');
+
+const {
+    formatNotes,
+    parseNotes
+} = require('../src/data/noteFormats');
+
+// Titles with words each format would otherwise read as metadata
+const TITLES = [
+    'Fix issue #123',
+    'Ask @john re: C# build',
+    'Bump +1 due:friday status:later priority:high pri:A id:x',
+    '(A) 2026-05-01 launch \\#literal \\@also',
+    'Plain title'
+];
+
+const groups = [{
+    projectId: 'p1',
+    projectName: 'Side Project',
+    notes: TITLES.map((title, index) => ({
+        id: `note_${index}`,
+        title,
+        description: index === 0 ? 'First line\n\nSecond paragraph' : '',
+        priority: ['high', 'medium', 'low'][index % 3],
+        status: index === 1 ? 'done' : index === 2 ? 'blocked' : 'backlog',
+        tags: index === 0 ? ['bug'] : [],
+        dueDate: index === 2 ? '2026-03-01' : null,
+        subtasks: index === 0 ? [{
+            id: 's1',
+            text: 'Reproduce',
+            done: true
+        }] : [],
+        createdAt: '2026-01-01T00:00:00.000Z',
+        updatedAt: '2026-01-02T00:00:00.000Z'
+    }))
+}];
+
+function roundTrip(formatId) {
+    return parseNotes(formatId, formatNotes(formatId, groups)).map(entry => entry.note);
+}
+
+for (const formatId of ['markdown', 'json', 'csv', 'todotxt']) {
+    test(`${formatId} export reads back as the same notes`, () => {
+        const notes = roundTrip(formatId);
+        assert.equal(notes.length, TITLES.length);
+
+        groups[0].notes.forEach((original, index) => {
+            const note = notes[index];
+            assert.equal(note.id, original.id);
+            assert.equal(note.title, original.title);
+            assert.deepEqual(note.tags, original.tags);
+            assert.equal(note.priority, original.priority);
+            assert.equal(note.dueDate || null, original.dueDate);
+            if (note.status) {
+                assert.equal(note.status, original.status);
+            } else {
+                assert.equal(note.done, original.status === 'done');
+            }
+            // todo.txt has no descriptions or checklists
+            if (formatId !== 'todotxt') {
+                assert.equal(note.description, original.description);
+                assert.deepEqual(note.subtasks.map(s => [s.text, s.done]), original.subtasks.map(s => [s.text, s.done]));
+            }
+        });
+    });
+}
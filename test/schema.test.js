@@ -0,0 +1,150 @@
+const assert = require('node:assert/strict');
+const {
+    test
+} = require('node:test');
+
+require('./helpers/vscode');
+const {
+    SCHEMA_VERSION,
+    getSchemaVersion,
+    migrateData
+} = require('../src/data/schema');
+
+// As saved by 1.x: a version string, legacy `tag` / `content` note fields, no trash or statuses
+const v1Data = {
+    version: '1.0.0',
+    projects: {
+        p1: {
+            name: 'Old Project',
+            notes: [{
+                id: 'n1',
+                tag: 'Legacy title',
+                content: 'Legacy content',
+                priority: 'high',
+                completed: true
+            }, {
+                content: 'Only content',
+                priority: 'urgent'
+            }, null]
+        }
+    }
+};
+
+test('1.x data is migrated to the current schema', () => {
+    const data = migrateData(v1Data);
+
+    assert.equal(data.version, SCHEMA_VERSION);
+    assert.deepEqual(data.archivedProjects, {});
+    assert.deepEqual(data.trash, {
+        notes: {},
+        projects: {}
+    });
+
+    const [first, second] = data.projects.p1.notes;
+    assert.equal(data.projects.p1.notes.length, 2);
+    assert.deepEqual(first, {
+        id: 'n1',
+        title: 'Legacy title',
+        description: 'Legacy content',
+        priority: 'high',
+        status: 'done',
+        subtasks: [],
+        tags: []
+    });
+    assert.equal(second.id, 'note_p1_1');
+    assert.equal(second.title, 'Only content');
+    assert.equal(second.priority, 'medium');
+    assert.equal(second.status, 'backlog');
+    assert.equal('completed' in second, false);
+});
+
+test('migrating leaves the input untouched', () => {
+    const before = JSON.stringify(v1Data);
+    migrateData(v1Data);
+    assert.equal(JSON.stringify(v1Data), before);
+});
+
+test('version 3 data gets statuses, trashed notes included', () => {
+    const data = migrateData({
+        version: 3,
+        projects: {
+            p1: {
+                notes: [{
+                    id: 'n1',
+                    title: 'Open',
+                    completed: false
+                }, {
+                    id: 'n2',
+                    title: 'Has a status',
+                    status: 'inProgress',
+                    completed: true
+                }]
+            }
+        },
+        archivedProjects: {},
+        trash: {
+            notes: {
+                n3: {
+                    note: {
+                        id: 'n3',
+                        title: 'Trashed',
+                        completed: true
+                    }
+                }
+            },
+            projects: {}
+        }
+    });
+
+    assert.deepEqual(data.projects.p1.notes.map(n => n.status), ['backlog', 'inProgress']);
+    assert.equal(data.trash.notes.n3.note.status, 'done');
+    assert.equal('completed' in data.trash.notes.n3.note, false);
+});
+
+test('current data passes through unchanged', () => {
+    const current = {
+        version: SCHEMA_VERSION,
+        projects: {},
+        archivedProjects: {},
+        trash: {
+            notes: {},
+            projects: {}
+        },
+        tombstones: {
+            notes: {},
+            projects: {}
+        }
+    };
+    assert.deepEqual(migrateData(current), current);
+});
+
+test('data from a newer version is refused rather than downgraded', () => {
+    assert.throws(() => migrateData({
+        version: SCHEMA_VERSION + 1,
+        projects: {}
+    }, 'The notes on GitHub'), err => err.isNewerSchema && /^The notes on GitHub were saved by a newer version/.test(err.message));
+});
+
+test('data that fails validation is refused', () => {
+    assert.throws(() => migrateData({
+        version: SCHEMA_VERSION,
+        projects: {
+            p1: {
+                notes: [{
+                    id: 'n1'
+                }]
+            }
+        },
+        archivedProjects: {}
+    }), /could not be read: note 1 of project "p1" has no ID or title/);
+});
+
+test('schema versions are read from numbers and 1.x version strings', () => {
+    assert.equal(getSchemaVersion({
+        version: 3
+    }), 3);
+    assert.equal(getSchemaVersion({
+        version: '1.0.0'
+    }), 1);
+    assert.equal(getSchemaVersion({}), 1);
+});
@@ -0,0 +1,219 @@
+const assert = require('node:assert/strict');
+const {
+    test
+} = require('node:test');
+
+const {
+    settings,
+    createContext
+} = require('./helpers/vscode');
+const {
+    mergeTombstones,
+    compactTombstones
+} = require('../src/data/tombstones');
+const {
+    SyncManager
+} = require('../src/sync/SyncManager');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tombstones older than the retention period are dropped by every merge, so times are relative to now
+const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString();
+
+function note(id, updatedAt, fields = {}) {
+    return {
+        id,
+        title: `Note ${id}`,
+        description: '',
+        status: 'backlog',
+        tags: [],
+        subtasks: [],
+        createdAt: daysAgo(10),
+        updatedAt,
+        ...fields
+    };
+}
+
+function data(projects, tombstones = {}) {
+    return {
+        version: 4,
+        projects,
+        archivedProjects: {},
+        tombstones: {
+            notes: {},
+            projects: {},
+            ...tombstones
+        }
+    };
+}
+
+function project(notes, fields = {}) {
+    return {
+        name: 'Project',
+        createdAt: daysAgo(10),
+        notes,
+        ...fields
+    };
+}
+
+const noteIds = (merged, projectId = 'p1') => merged.projects[projectId].notes.map(n => n.id);
+
+test('a deleted note stays deleted through later merges with copies that still have it', () => {
+    const syncManager = new SyncManager(createContext());
+    const stale = data({
+        p1: project([note('a', daysAgo(5)), note('b', daysAgo(5))])
+    });
+    const local = data({
+        p1: project([note('b', daysAgo(5))])
+    }, {
+        notes: {
+            a: {
+                projectId: 'p1',
+                deletedAt: daysAgo(1),
+                deletedBy: 'test'
+            }
+        }
+    });
+
+    const first = syncManager.mergeData(local, stale, stale);
+    assert.deepEqual(noteIds(first), ['b']);
+    assert.ok(first.tombstones.notes.a);
+
+    // Another device that never saw the deletion merges, then merges its result back again
+    const second = syncManager.mergeData(stale, first);
+    assert.deepEqual(noteIds(second), ['b']);
+    const third = syncManager.mergeData(second, stale);
+    assert.deepEqual(noteIds(third), ['b']);
+    assert.ok(third.tombstones.notes.a);
+});
+
+test('a note edited after it was deleted wins over its tombstone', () => {
+    const syncManager = new SyncManager(createContext());
+    const local = data({
+        p1: project([])
+    }, {
+        notes: {
+            a: {
+                projectId: 'p1',
+                deletedAt: daysAgo(2),
+                deletedBy: 'test'
+            }
+        }
+    });
+    const remote = data({
+        p1: project([note('a', daysAgo(1), {
+            title: 'Edited elsewhere'
+        })])
+    });
+
+    const merged = syncManager.mergeData(local, remote);
+    assert.deepEqual(noteIds(merged), ['a']);
+    assert.equal(merged.projects.p1.notes[0].title, 'Edited elsewhere');
+    assert.equal(merged.tombstones.notes.a, undefined);
+});
+
+test('a deleted project stays deleted unless it saw activity after the deletion', () => {
+    const syncManager = new SyncManager(createContext());
+    const deleted = {
+        projects: {
+            p1: {
+                deletedAt: daysAgo(2),
+                deletedBy: 'test'
+            }
+        }
+    };
+
+    const untouched = syncManager.mergeData(data({}, deleted), data({
+        p1: project([note('a', daysAgo(5))])
+    }));
+    assert.equal(untouched.projects.p1, undefined);
+    assert.ok(untouched.tombstones.projects.p1);
+
+    const edited = syncManager.mergeData(data({}, deleted), data({
+        p1: project([note('a', daysAgo(1))])
+    }));
+    assert.deepEqual(noteIds(edited), ['a']);
+    assert.equal(edited.tombstones.projects.p1, undefined);
+});
+
+test('a note moved to another project lands there, with edits made to the old copy', () => {
+    const syncManager = new SyncManager(createContext());
+    const local = data({
+        p1: project([]),
+        p2: project([note('a', daysAgo(3))])
+    }, {
+        notes: {
+            a: {
+                projectId: 'p1',
+                movedTo: 'p2',
+                deletedAt: daysAgo(3),
+                deletedBy: 'test'
+            }
+        }
+    });
+    const remote = data({
+        p1: project([note('a', daysAgo(1), {
+            title: 'Edited before the move arrived'
+        })]),
+        p2: project([])
+    });
+
+    const merged = syncManager.mergeData(local, remote);
+    assert.deepEqual(noteIds(merged, 'p1'), []);
+    assert.deepEqual(noteIds(merged, 'p2'), ['a']);
+    assert.equal(merged.projects.p2.notes[0].title, 'Edited before the move arrived');
+});
+
+test('merging tombstones keeps the later deletion of a record deleted on both sides', () => {
+    const earlier = {
+        deletedAt: daysAgo(3),
+        deletedBy: 'one'
+    };
+    const later = {
+        deletedAt: daysAgo(1),
+        deletedBy: 'other'
+    };
+
+    assert.equal(mergeTombstones({
+        notes: {
+            a: earlier
+        }
+    }, {
+        notes: {
+            a: later
+        }
+    }).notes.a, later);
+    assert.equal(mergeTombstones({
+        notes: {
+            a: later
+        }
+    }, {
+        notes: {
+            a: earlier
+        }
+    }).notes.a, later);
+});
+
+test('tombstones are forgotten after the retention period, or never with a retention of 0', () => {
+    const withStones = () => data({}, {
+        notes: {
+            old: {
+                deletedAt: daysAgo(100),
+                deletedBy: 'test'
+            },
+            recent: {
+                deletedAt: daysAgo(10),
+                deletedBy: 'test'
+            }
+        }
+    });
+
+    assert.deepEqual(Object.keys(compactTombstones(withStones()).tombstones.notes), ['recent']);
+
+    settings['quickNotes.sync.tombstoneRetentionDays'] = 0;
+    try {
+        assert.deepEqual(Object.keys(compactTombstones(withStones()).tombstones.notes), ['old', 'recent']);
+    } finally {
+        delete settings['quickNotes.sync.tombstoneRetentionDays'];
+    }
+});